@@ -0,0 +1,168 @@
+// 管線回歸檢查 (Pipeline Regression Checks)
+//
+// 在 Node 中執行 src/utils/dataExecute 的純函式，檢查已修正過的問題不會再出現：
+//   - 乾淨的路網 (含交叉、支線與環線) 完整跑完管線後，每個步驟的拓撲檢查都沒有違規
+//   - 路網結構分類的優先順序 (getStructurePriority) 讓幹線最優先，且涵蓋 2_10→3_1 標記的每個類型
+//
+// 用法：
+//   npm test
+//
+// 有任何檢查失敗時結束碼為 1。
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+const SRC = path.join(__dirname, '..', 'src');
+
+function importSrc(...parts) {
+  return import(pathToFileURL(path.join(SRC, ...parts)).href);
+}
+
+// 測試用路網：紅、藍、綠三條線在兩個轉乘站交會，另有一條從紅線分出的環線
+// 中途站只帶 tags.name (不是轉乘點)，2_3→2_4 不會保留它們，拓撲檢查也不能把它們算成車站
+function buildSampleNetwork() {
+  const features = [];
+  const stationIds = new Map();
+  const station = (lon, lat) => {
+    const key = `${lon},${lat}`;
+    if (!stationIds.has(key)) {
+      const id = stationIds.size + 1;
+      stationIds.set(key, id);
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties: { id, tags: { name: `S${id}` } },
+      });
+    }
+    return stationIds.get(key);
+  };
+  const route = (name, coordinates) => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates },
+      properties: {
+        nodes: coordinates.map(([lon, lat]) => station(lon, lat)),
+        tags: { route_name: name },
+      },
+    });
+  };
+
+  const b = 121.5;
+  const c = 25.0;
+  const d = 0.01;
+  route('Red', [
+    [b, c],
+    [b + d, c + d * 0.2],
+    [b + 2 * d, c + d * 0.1],
+    [b + 3 * d, c],
+    [b + 4 * d, c - d * 0.1],
+  ]);
+  route('Blue', [
+    [b + 2 * d, c - 2 * d],
+    [b + 2 * d + 0.001, c - d],
+    [b + 2 * d, c + d * 0.1],
+    [b + 2.1 * d, c + d],
+    [b + 2 * d, c + 2 * d],
+  ]);
+  route('Green', [
+    [b + d, c - d],
+    [b + d, c + d * 0.2],
+    [b + d * 0.5, c + d * 1.5],
+  ]);
+  route('Ring', [
+    [b + 3 * d, c],
+    [b + 3.5 * d, c + d],
+    [b + 4.5 * d, c + d],
+    [b + 4.5 * d, c - d],
+    [b + 3.5 * d, c - d],
+    [b + 3 * d, c],
+  ]);
+  return { type: 'FeatureCollection', features };
+}
+
+const CHECKS = [
+  {
+    name: '乾淨的路網完整執行後沒有拓撲違規',
+    async run() {
+      const { runStepsHeadless } = await importSrc('utils', 'dataExecute', 'headlessPipeline.js');
+      const { setSharedSeed } = await importSrc('utils', 'seededRandom.js');
+      setSharedSeed(42);
+
+      const result = runStepsHeadless(buildSampleNetwork(), { validate: true });
+      const failed = result.steps.filter((step) => !step.validation.valid);
+      return failed.map((step) => {
+        const codes = step.validation.violations.map((violation) => violation.code);
+        return `${step.id}：${codes.join(', ')}`;
+      });
+    },
+  },
+  {
+    name: '結構分類的優先順序讓幹線最優先，並涵蓋每個標記的類型',
+    async run() {
+      const { STRUCTURE_TYPES, getStructurePriority } = await importSrc(
+        'utils',
+        'dataExecute',
+        'networkStructure.js'
+      );
+      const { runStepsHeadless } = await importSrc('utils', 'dataExecute', 'headlessPipeline.js');
+      const { setSharedSeed } = await importSrc('utils', 'seededRandom.js');
+      setSharedSeed(42);
+
+      const problems = [];
+      if (getStructurePriority('trunk') !== 0) {
+        problems.push(`幹線的優先順序應為 0，實際為 ${getStructurePriority('trunk')}`);
+      }
+      STRUCTURE_TYPES.forEach((type, index) => {
+        if (getStructurePriority(type.value) !== index) {
+          problems.push(`${type.value} 的優先順序應為 ${index}`);
+        }
+      });
+      for (const unknown of [undefined, 'unknown']) {
+        if (getStructurePriority(unknown) !== STRUCTURE_TYPES.length) {
+          problems.push(`未分類的類型 (${unknown}) 應排在最後`);
+        }
+      }
+
+      const { data } = runStepsHeadless(buildSampleNetwork(), { to: '2_10_to_3_1' });
+      const types = new Set(data.map((seg) => seg.structure_type));
+      types.forEach((type) => {
+        if (getStructurePriority(type) === STRUCTURE_TYPES.length) {
+          problems.push(`2_10→3_1 標記了沒有優先順序的類型 ${type}`);
+        }
+      });
+      if (!types.has('trunk')) {
+        problems.push('測試路網應至少有一段幹線');
+      }
+      return problems;
+    },
+  },
+];
+
+async function main() {
+  register('./esm-alias-loader.mjs', pathToFileURL(__filename));
+
+  let failures = 0;
+  for (const check of CHECKS) {
+    let problems;
+    try {
+      problems = await check.run();
+    } catch (error) {
+      problems = [error.message];
+    }
+    if (problems.length === 0) {
+      console.log(`✅ ${check.name}`);
+    } else {
+      failures++;
+      console.log(`❌ ${check.name}`);
+      problems.forEach((problem) => console.log(`   - ${problem}`));
+    }
+  }
+
+  console.log(`🏁 ${CHECKS.length - failures} / ${CHECKS.length} 項檢查通過`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
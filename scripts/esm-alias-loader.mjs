@@ -0,0 +1,22 @@
+// Node ESM loader hooks for running src/ modules outside webpack:
+// - resolve the '@/' alias to src/ (same as jsconfig.json / vue-cli)
+// - treat .js files under src/ as ES modules (package.json has no "type": "module")
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const SRC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src');
+const SRC_URL = pathToFileURL(SRC_DIR).href + '/';
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    return nextResolve(pathToFileURL(path.join(SRC_DIR, specifier.slice(2))).href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
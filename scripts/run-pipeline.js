@@ -0,0 +1,299 @@
+// 示意化管線命令列工具 (Headless Pipeline CLI)
+//
+// 在 Node 中直接執行 src/utils/dataExecute 的 run_* 純函式 (不需要 Pinia 或 DOM)，
+// 將每個步驟的輸出寫成 JSON，最後輸出 summary.json。
+//
+// 用法：
+//   npm run pipeline -- --input taipei.geojson --out output/taipei
+//   npm run pipeline -- --input output/taipei/taipei_2_2.json --from 2_2_to_2_3 --to 2_4_to_2_5 --out output/taipei
+//
+// 參數：
+//   --input <file>     輸入檔：從 1_0_to_1_1 開始時為 GeoJSON，否則為前一階段的輸出 JSON
+//   --out <dir>        輸出資料夾 (預設 ./pipeline-output)
+//   --project <name>   專案名稱，用於輸出檔名 (預設 taipei)
+//   --from <stepId>    起始步驟 (預設第一步)
+//   --to <stepId>      結束步驟 (預設最後一步)
+//   --options <file>   各步驟選項 JSON，以步驟 ID 為鍵，例如 {"2_2_to_2_3": {"maxAttempts": 200}}
+//   --seed <seed>      隨機種子 (預設隨機產生並記錄在 summary.json，可用來重現同一份結果)
+//   --layout <mode>    版面模式：orthogonal (水平 / 垂直，預設) 或 octilinear (另允許 45° 斜線)
+//   --ridership <file> 站間運量 CSV / JSON，3_1_to_4_1 以運量換算權重 (預設使用隨機權重)
+//   --previous <dir>   前次的輸出資料夾 (需有 summary.json)：增量模式，只重新配置有變動的路段
+//   --constraints <file> 版面限制 JSON {pins, locks}：固定車站位置、鎖定路線為直線 / 水平 / 垂直
+//   --quiet            隱藏步驟內部的 console.log / console.warn 輸出 (警告仍記錄在 summary.json)
+//   --validate         每個步驟完成後執行拓撲檢查，違規列在 summary.json；有違規時結束碼為 2
+//   --labels           另外寫出最後一個步驟輸出的站名標籤位置 ({project}_{stage}_labels.json)
+//   --metrics          另外寫出最後一個步驟輸出相對原始經緯度的各站失真指標 ({project}_{stage}_metrics.csv)
+const fs = require('fs');
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+const SRC = path.join(__dirname, '..', 'src');
+
+function parseArgs(argv) {
+  const args = {
+    out: 'pipeline-output',
+    project: 'taipei',
+    quiet: false,
+    validate: false,
+    labels: false,
+    metrics: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (key === '--quiet') {
+      args.quiet = true;
+    } else if (key === '--validate') {
+      args.validate = true;
+    } else if (key === '--labels') {
+      args.labels = true;
+    } else if (key === '--metrics') {
+      args.metrics = true;
+    } else if (key === '--help' || key === '-h') {
+      args.help = true;
+    } else if (key.startsWith('--')) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`參數 ${key} 缺少值`);
+      }
+      args[key.slice(2)] = value;
+      i++;
+    } else {
+      throw new Error(`無法辨識的參數: ${key}`);
+    }
+  }
+  return args;
+}
+
+function printUsage() {
+  const lines = fs.readFileSync(__filename, 'utf8').split('\n');
+  const usage = [];
+  for (const line of lines) {
+    if (!line.startsWith('//')) break;
+    usage.push(line.replace(/^\/\/ ?/, ''));
+  }
+  console.log(usage.join('\n'));
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.input) {
+    printUsage();
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+  if (!/^[a-z][a-z0-9_]*$/i.test(args.project)) {
+    throw new Error(`專案名稱只能包含英文字母、數字與底線: ${args.project}`);
+  }
+
+  register('./esm-alias-loader.mjs', pathToFileURL(__filename));
+  const { runStepsHeadless } = await import(
+    pathToFileURL(path.join(SRC, 'utils', 'dataExecute', 'headlessPipeline.js')).href
+  );
+  const { generateSeed, setSharedSeed } = await import(
+    pathToFileURL(path.join(SRC, 'utils', 'seededRandom.js')).href
+  );
+  const { DEFAULT_LAYOUT_MODE, isLayoutMode } = await import(
+    pathToFileURL(path.join(SRC, 'utils', 'dataExecute', 'octilinear.js')).href
+  );
+  const layoutMode = args.layout ?? DEFAULT_LAYOUT_MODE;
+  if (!isLayoutMode(layoutMode)) {
+    throw new Error(`未知的版面模式: ${layoutMode} (可用 orthogonal 或 octilinear)`);
+  }
+  const { placeStationLabels } = await import(
+    pathToFileURL(path.join(SRC, 'utils', 'labelPlacement.js')).href
+  );
+  const { computeDistortionMetrics, formatStationMetricsCsv } = await import(
+    pathToFileURL(path.join(SRC, 'utils', 'distortionMetrics.js')).href
+  );
+  const seed = setSharedSeed(args.seed ?? generateSeed());
+
+  const inputData = readJson(args.input);
+  const stepOptions = args.options ? readJson(args.options) : {};
+
+  // 運量資料只帶入 3_1_to_4_1，summary 只記錄檔名與筆數
+  let runStepOptions = stepOptions;
+  let ridership = null;
+  if (args.ridership) {
+    const { parseRidership } = await import(
+      pathToFileURL(path.join(SRC, 'utils', 'dataExecute', 'ridership.js')).href
+    );
+    const { rows, skipped } = parseRidership(fs.readFileSync(args.ridership, 'utf8'));
+    ridership = { file: path.resolve(args.ridership), rows: rows.length, skipped };
+    runStepOptions = {
+      ...stepOptions,
+      '3_1_to_4_1': { ...stepOptions['3_1_to_4_1'], ridership: rows },
+    };
+  }
+
+  // 增量模式：支援的步驟以前次輸出為基準 (先讀進記憶體，--out 與 --previous 可為同一個資料夾)
+  let previous = null;
+  if (args.previous) {
+    const { PIPELINE_STEPS } = await import(
+      pathToFileURL(path.join(SRC, 'utils', 'dataExecute', 'stepRegistry.js')).href
+    );
+    const previousDir = path.resolve(args.previous);
+    const previousSummaryFile = path.join(previousDir, 'summary.json');
+    if (!fs.existsSync(previousSummaryFile)) {
+      throw new Error(`找不到前次執行的摘要: ${previousSummaryFile}`);
+    }
+    const steps = [];
+    for (const entry of readJson(previousSummaryFile).steps || []) {
+      const step = PIPELINE_STEPS.find((item) => item.id === entry.id);
+      if (!step || !step.incremental) continue;
+      const previousResult = {
+        data: readJson(path.join(previousDir, entry.output)),
+        report: entry.report,
+      };
+      runStepOptions = {
+        ...runStepOptions,
+        [entry.id]: { ...runStepOptions[entry.id], previous: previousResult },
+      };
+      steps.push(entry.id);
+    }
+    previous = { dir: previousDir, steps };
+  }
+
+  // 版面限制：帶入所有配置與縮減步驟 (2_3、2_4、2_7、2_8、2_10)
+  let constraints = null;
+  if (args.constraints) {
+    const { PIPELINE_STEPS } = await import(
+      pathToFileURL(path.join(SRC, 'utils', 'dataExecute', 'stepRegistry.js')).href
+    );
+    const { normalizeLayoutConstraints } = await import(
+      pathToFileURL(path.join(SRC, 'utils', 'dataExecute', 'layoutConstraints.js')).href
+    );
+    const normalized = normalizeLayoutConstraints(fs.readFileSync(args.constraints, 'utf8'));
+    for (const step of PIPELINE_STEPS.filter((item) => item.constraints)) {
+      runStepOptions = {
+        ...runStepOptions,
+        [step.id]: { ...runStepOptions[step.id], constraints: normalized },
+      };
+    }
+    constraints = {
+      file: path.resolve(args.constraints),
+      pins: normalized.pins.length,
+      locks: normalized.locks.length,
+    };
+  }
+  const outDir = path.resolve(args.out);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const summary = {
+    project: args.project,
+    input: path.resolve(args.input),
+    from: args.from || null,
+    to: args.to || null,
+    stepOptions,
+    layoutMode,
+    ridership,
+    previous,
+    constraints,
+    seed,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    steps: [],
+    error: null,
+  };
+
+  const log = console.log;
+  const warn = console.warn;
+  if (args.quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  try {
+    const result = runStepsHeadless(inputData, {
+      from: args.from,
+      to: args.to,
+      stepOptions: runStepOptions,
+      layoutMode,
+      validate: args.validate,
+      onStepStart: (step, index, total) => {
+        log(`🚀 [${index + 1}/${total}] ${step.id} (${step.title})`);
+      },
+      onStepComplete: (step, stepResult, duration, validation) => {
+        const file = `${args.project}_${step.outputStage}.json`;
+        writeJson(path.join(outDir, file), stepResult.data);
+        summary.steps.push({
+          id: step.id,
+          title: step.title,
+          output: file,
+          duration: parseFloat(duration.toFixed(2)),
+          report: stepResult.report,
+          ...(validation && { validation }),
+        });
+        log(`✅ ${step.id} 完成 (${duration.toFixed(2)} 秒) → ${file}`);
+        const warnings = stepResult.report?.warnings || [];
+        if (warnings.length > 0) {
+          log(`   ⚠️ ${warnings.length} 個警告：${warnings.map((w) => w.code).join(', ')}`);
+        }
+        if (validation && !validation.valid) {
+          log(`   🔍 拓撲檢查發現 ${validation.violations.length} 個問題：`);
+          validation.violations.forEach((violation) => {
+            const coords = (violation.coords || []).map((c) => `(${c.join(', ')})`).join(' ');
+            log(`      - [${violation.code}] ${violation.message} ${coords}`.trimEnd());
+          });
+        }
+      },
+    });
+    summary.status = 'completed';
+    summary.duration = parseFloat(result.duration.toFixed(2));
+    if (args.labels && result.steps.length > 0) {
+      const lastStep = result.steps[result.steps.length - 1];
+      const file = `${args.project}_${lastStep.outputStage}_labels.json`;
+      const { labels, stats } = placeStationLabels(result.data);
+      writeJson(path.join(outDir, file), { stage: lastStep.outputStage, stats, labels });
+      summary.labels = { output: file, ...stats };
+      log(
+        `🏷️ 站名標籤：${stats.stations} 個 (引線 ${stats.leaders}，仍重疊 ${stats.overlapping}) → ${file}`
+      );
+    }
+    if (args.metrics && result.steps.length > 0) {
+      const lastStep = result.steps[result.steps.length - 1];
+      const metrics = computeDistortionMetrics(result.data);
+      if (metrics) {
+        const file = `${args.project}_${lastStep.outputStage}_metrics.csv`;
+        fs.writeFileSync(path.join(outDir, file), formatStationMetricsCsv(metrics) + '\n', 'utf8');
+        summary.metrics = { output: file, ...metrics.summary, areas: metrics.areas };
+        log(
+          `🧭 地理失真：方位顛倒 ${metrics.summary.orderViolationRate}、平均角度偏差 ${metrics.summary.meanAngleDeviation}°、鄰近保留 ${metrics.summary.neighbourhoodPreservation} → ${file}`
+        );
+      } else {
+        log('🧭 地理失真：車站沒有經緯度 (輸入需從 1_0_to_1_1 開始)，未計算');
+      }
+    }
+    if (args.validate && result.steps.some((step) => !step.validation.valid)) {
+      process.exitCode = 2;
+    }
+  } catch (error) {
+    summary.status = 'failed';
+    summary.error = { stepId: error.stepId || null, message: error.message };
+    process.exitCode = 1;
+    console.error(`❌ ${error.message}`);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  summary.finishedAt = new Date().toISOString();
+  writeJson(path.join(outDir, 'summary.json'), summary);
+  log(
+    `🏁 ${summary.status}：${summary.steps.length} 個步驟，摘要已寫入 ${path.join(outDir, 'summary.json')}`
+  );
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -98,13 +98,83 @@ import { defineStore } from 'pinia';
  *
  * @see https://vuejs.org/
  */
-import { ref, computed } from 'vue';
+import { ref, computed, markRaw, watch } from 'vue';
+
+/**
+ * 可重現隨機數模組
+ * 全專案共用的隨機種子，供示意化步驟與網格數值生成使用
+ */
+import { generateSeed, getSharedSeed, setSharedSeed } from '@/utils/seededRandom.js';
+import { DEFAULT_LAYOUT_MODE, isLayoutMode } from '@/utils/dataExecute/octilinear.js';
+
+/**
+ * 專案圖層對應模組
+ * execute_* 步驟透過此模組讀寫圖層；store 於下方註冊，步驟模組本身不引用 store
+ */
+import { DEFAULT_PROJECT, registerLayerStore } from '@/utils/dataExecute/projectLayers.js';
+
+/**
+ * 管線步驟註冊表 (不引用 store)
+ * 提供各階段清單，用於建立專案的示意化圖層
+ */
+import { getPipelineStages } from '@/utils/dataExecute/stepRegistry.js';
+
+/**
+ * 網格合併歷程模組
+ * 以命令記錄合併-H、合併-V 與縮減網格，支援復原 / 重做
+ */
+import {
+  createMergeHistory,
+  getMergeHistoryLayout,
+  pushMergeCommand,
+  runMergeCommand,
+} from '@/utils/mergeHistory.js';
 
 /**
  * 數據處理工具函數引入
  * 提供數據載入功能
  */
 
+// ==================== 💾 本地保存 (Local Persistence) ====================
+
+/**
+ * 💾 建立保存在 localStorage 的設定物件 (Create Persisted Map)
+ *
+ * 下方 store 的 persist: true 需要的 Pinia 外掛並未安裝 (也不適合保存圖層資料)，
+ * 以專案名稱或圖層 ID 為鍵的小型設定改由此函式各自保存：
+ * 建立時讀取 localStorage (非瀏覽器環境或資料損毀時為空物件)，之後內容變更即寫回。
+ *
+ * @param {string} key - localStorage 鍵名
+ * @returns {Ref<Object>} - 響應式設定物件
+ */
+const createPersistedMap = (key) => {
+  const hasStorage = typeof localStorage !== 'undefined';
+  let stored = {};
+  if (hasStorage) {
+    try {
+      stored = JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+      console.error(`❌ DataStore: 無法讀取已保存的設定 ${key}`, error);
+    }
+  }
+
+  const map = ref(stored);
+  if (hasStorage) {
+    watch(
+      map,
+      (value) => {
+        try {
+          localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+          console.error(`❌ DataStore: 無法保存設定 ${key}`, error);
+        }
+      },
+      { deep: true }
+    );
+  }
+  return map;
+};
+
 // ==================== 📦 主要數據存儲定義 (Main Data Store Definition) ====================
 
 /**
@@ -569,6 +639,8 @@ export const useDataStore = defineStore(
           // layoutGridJsonData_Test4：版面網格測試4專用資料欄位
           layer.layoutGridJsonData_Test4 =
             result.layoutGridJsonData_Test4 ?? layer.layoutGridJsonData_Test4;
+          // 重新載入的版面取代了合併前的版面，舊的合併歷程不再適用
+          if (result.layoutGridJsonData_Test4) clearMergeHistory4(layerId);
           layer.processedJsonData = result.processedJsonData;
           layer.geojsonData = result.geojsonData || null; // 如果有 geojsonData，則保存
           layer.dataTableData = result.dataTableData;
@@ -747,12 +819,18 @@ export const useDataStore = defineStore(
       showGrid.value = !!value;
     };
 
-    // 顯示站名（預設關閉；開啟才顯示紅點車站的站名）
+    // 顯示站名（預設關閉；開啟時站名位置由 labelPlacement 配置）
     const showStationNames = ref(false);
     const setShowStationNames = (value) => {
       showStationNames.value = !!value;
     };
 
+    // 平行路線（預設開啟；共用走廊的路線由 routeOffsets 畫成並排的平行線）
+    const showParallelRoutes = ref(true);
+    const setShowParallelRoutes = (value) => {
+      showParallelRoutes.value = !!value;
+    };
+
     // 當前執行的合併操作（用於在 ControlTab 中顯示）
     const currentMergeOperation4 = ref(null);
 
@@ -783,15 +861,6 @@ export const useDataStore = defineStore(
       }
     };
 
-    // 權重放大倍數（預設 5，開啟權重放大時使用此倍數）
-    const weightScalingMultiplier = ref(5);
-    const setWeightScalingMultiplier = (value) => {
-      const numValue = Number(value);
-      if (!isNaN(numValue) && numValue > 0) {
-        weightScalingMultiplier.value = numValue;
-      }
-    };
-
     // LayoutGridTab_Test4 當前滑鼠網格座標
     const layoutGridTabTest4MouseGridCoordinate = ref({
       x: null, // 網格 X 座標
@@ -814,14 +883,504 @@ export const useDataStore = defineStore(
       };
     };
 
-    // 權重縮放指數（預設 2，用於非線性縮放：值越大，最大值和最小值的差異越大）
-    // 例如：指數 = 2 時，maxVal=1 -> weightedValue=1，maxVal=3 -> weightedValue=9，maxVal=5 -> weightedValue=25
-    const weightScalingExponent = ref(2);
-    const setWeightScalingExponent = (value) => {
-      const numValue = Number(value);
-      if (!isNaN(numValue) && numValue > 0) {
-        weightScalingExponent.value = numValue;
+    // 權重縮放的倍數與指數改由 6_1_to_7_1 的步驟參數 (cellScaling.js 縮放函式) 設定，保存在 stepParams
+
+    // ==================== 🏙️ 專案 (城市) 管理 ====================
+
+    // 已建立的專案與當前專案 {current, names}；重新整理後依此重建各專案的圖層
+    const projectSettings = createPersistedMap('gisgym.projects');
+
+    // 當前專案名稱（execute_* 步驟以此組出圖層 ID，例如 taipei_2_3、kaohsiung_2_3）
+    const currentProject = computed(() => projectSettings.value.current || DEFAULT_PROJECT);
+
+    // 已建立的專案名稱（ControlTab 的專案選單）
+    const projectNames = computed(() => projectSettings.value.names || [DEFAULT_PROJECT]);
+
+    /**
+     * 🏗️ 確保專案圖層存在 (Ensure Project Layers)
+     *
+     * 依照管線的階段清單，為指定專案建立一組示意化圖層（若已存在則略過）。
+     * 圖層 ID 格式為 `${project}_${stage}`，例如 kaohsiung_2_3。
+     *
+     * @param {string} project - 專案名稱
+     * @param {Array<{stage: string, title: string}>} stages - 階段清單
+     * @returns {Array<Object>} - 該專案的圖層陣列
+     */
+    const ensureProjectLayers = (project, stages) => {
+      const groupName = `${project} 示意化流程`;
+      let group = layers.value.find((g) => g.groupName === groupName);
+      if (!group) {
+        group = { groupName, groupLayers: [] };
+        layers.value.push(group);
+      }
+
+      for (const { stage, title } of stages) {
+        const layerId = `${project}_${stage}`;
+        if (findLayerById(layerId)) continue;
+        group.groupLayers.push({
+          layerId,
+          layerName: `${stage.replace('_', '.')} ${title}`,
+          project,
+          isPipelineLayer: true,
+          visible: false,
+          isLoading: false,
+          isLoaded: true,
+          colorName: 'blue',
+          jsonData: null,
+          spaceNetworkGridJsonData: null,
+          layoutGridJsonData: null,
+          processedJsonData: null,
+          workData: null,
+          dashboardData: null,
+          topologyValidation: null,
+          dataTableData: null,
+          layerInfoData: null,
+          jsonLoader: null,
+          jsonFileName: null,
+          display: true,
+          upperViewTabs: ['dashboard', 'compare'],
+        });
+      }
+
+      return group.groupLayers;
+    };
+
+    /**
+     * 🏙️ 設定當前專案 (Set Current Project)
+     *
+     * 切換到指定專案，並建立該專案的示意化圖層（新專案會加入專案清單）。
+     *
+     * @param {string} value - 專案名稱（英文字母開頭，只能包含英文字母、數字與底線）
+     * @returns {boolean} - 是否設定成功
+     */
+    const setCurrentProject = (value) => {
+      const name = String(value ?? '').trim();
+      if (!/^[a-z][a-z0-9_]*$/i.test(name)) {
+        console.error(`❌ DataStore: 無效的專案名稱 ${value}`);
+        return false;
+      }
+      ensureProjectLayers(name, getPipelineStages());
+      const names = projectNames.value.includes(name)
+        ? projectNames.value
+        : [...projectNames.value, name];
+      projectSettings.value = { current: name, names };
+      return true;
+    };
+
+    // 建立所有已建立專案的圖層，不需先執行管線即可在各分頁看到並設定
+    projectNames.value.forEach((project) => ensureProjectLayers(project, getPipelineStages()));
+
+    // ==================== 🎲 隨機種子 (Random Seed) ====================
+
+    // 全專案共用的隨機種子（顯示於 ControlTab；相同種子 + 相同輸入可重現相同版面）
+    const randomSeed = ref(getSharedSeed());
+
+    /**
+     * 🎲 設定隨機種子 (Set Random Seed)
+     * @param {number|string} value - 新的種子（非負整數，或任意字串）
+     * @returns {boolean} - 是否設定成功
+     */
+    const setRandomSeed = (value) => {
+      try {
+        randomSeed.value = setSharedSeed(value);
+        return true;
+      } catch (error) {
+        console.error('❌ DataStore: 無效的隨機種子', error);
+        return false;
+      }
+    };
+
+    /**
+     * 🎲 重新產生隨機種子 (Regenerate Random Seed)
+     * @returns {number} - 新的種子
+     */
+    const regenerateRandomSeed = () => {
+      randomSeed.value = setSharedSeed(generateSeed());
+      return randomSeed.value;
+    };
+
+    // ==================== 🎛️ 步驟參數 (Step Parameters) ====================
+
+    // 各專案的步驟參數，以專案名稱 → 步驟 ID 為鍵；只保存使用者改過的值，未設定的由 schema 預設值補齊
+    // {[project]: {[stepId]: {key: value}}}
+    const stepParams = createPersistedMap('gisgym.stepParams');
+
+    /**
+     * 🎛️ 取得專案中某步驟已保存的參數
+     * @param {string} project - 專案名稱
+     * @param {string} stepId - 步驟 ID
+     * @returns {Object} - 參數值（未保存時為空物件）
+     */
+    const getStepParams = (project, stepId) => stepParams.value[project]?.[stepId] || {};
+
+    /**
+     * 🎛️ 設定專案中某步驟的參數（值應先經 normalizeStepParams 驗證）
+     * @param {string} project - 專案名稱
+     * @param {string} stepId - 步驟 ID
+     * @param {Object} values - 參數值
+     */
+    const setStepParams = (project, stepId, values) => {
+      stepParams.value[project] = { ...(stepParams.value[project] || {}), [stepId]: { ...values } };
+    };
+
+    /**
+     * 🎛️ 將專案中某步驟的參數恢復為預設值
+     * @param {string} project - 專案名稱
+     * @param {string} stepId - 步驟 ID
+     */
+    const resetStepParams = (project, stepId) => {
+      if (!stepParams.value[project]) return;
+      delete stepParams.value[project][stepId];
+    };
+
+    // ==================== 📐 版面模式 (Layout Mode) ====================
+
+    // 各專案的版面模式，以專案名稱為鍵；未設定的專案使用 DEFAULT_LAYOUT_MODE
+    // {[project]: 'orthogonal' | 'octilinear'}
+    const layoutModes = createPersistedMap('gisgym.layoutModes');
+
+    /**
+     * 📐 取得專案的版面模式 (示意化之後的步驟共用)
+     * @param {string} project - 專案名稱
+     * @returns {string} - 'orthogonal' | 'octilinear'
+     */
+    const getLayoutMode = (project) => {
+      const mode = layoutModes.value[project];
+      return isLayoutMode(mode) ? mode : DEFAULT_LAYOUT_MODE;
+    };
+
+    /**
+     * 📐 設定專案的版面模式
+     * @param {string} project - 專案名稱
+     * @param {string} mode - 'orthogonal' | 'octilinear'
+     * @returns {boolean} - 是否設定成功（不認得的模式會被拒絕）
+     */
+    const setLayoutMode = (project, mode) => {
+      if (!isLayoutMode(mode)) {
+        console.error(`❌ DataStore: 不支援的版面模式 ${mode}`);
+        return false;
+      }
+      layoutModes.value = { ...layoutModes.value, [project]: mode };
+      return true;
+    };
+
+    // ==================== 🚇 運量資料 (Ridership Data) ====================
+
+    // 各專案的運量資料，以專案名稱為鍵；沒有運量資料的專案在 3_1_to_4_1 使用隨機權重
+    // {[project]: {fileName, rows, skipped}}
+    const ridershipData = createPersistedMap('gisgym.ridership');
+
+    /**
+     * 🚇 取得專案的運量資料
+     * @param {string} project - 專案名稱
+     * @returns {Object|null} - {fileName, rows, skipped}（未上傳時為 null）
+     */
+    const getRidership = (project) => ridershipData.value[project] || null;
+
+    /**
+     * 🚇 設定專案的運量資料（rows 應先經 parseRidership 解析）
+     * @param {string} project - 專案名稱
+     * @param {Object} ridership - {fileName, rows, skipped}
+     */
+    const setRidership = (project, ridership) => {
+      ridershipData.value = { ...ridershipData.value, [project]: ridership };
+    };
+
+    /**
+     * 🚇 清除專案的運量資料（恢復為隨機權重）
+     * @param {string} project - 專案名稱
+     */
+    const clearRidership = (project) => {
+      const rest = { ...ridershipData.value };
+      delete rest[project];
+      ridershipData.value = rest;
+    };
+
+    // ==================== ♻️ 增量重新配置 (Incremental Layout) ====================
+
+    // 各專案是否開啟增量模式，以專案名稱為鍵；未設定的專案預設關閉 (每次完整重新配置)
+    // {[project]: boolean}
+    const incrementalLayouts = createPersistedMap('gisgym.incrementalLayouts');
+
+    /**
+     * ♻️ 專案是否開啟增量模式（支援的步驟以輸出圖層目前的結果為基準，只重新配置有變動的路段）
+     * @param {string} project - 專案名稱
+     * @returns {boolean} - 是否開啟
+     */
+    const getIncrementalLayout = (project) => incrementalLayouts.value[project] === true;
+
+    /**
+     * ♻️ 設定專案的增量模式
+     * @param {string} project - 專案名稱
+     * @param {boolean} enabled - 是否開啟
+     */
+    const setIncrementalLayout = (project, enabled) => {
+      incrementalLayouts.value = { ...incrementalLayouts.value, [project]: !!enabled };
+    };
+
+    // ==================== 📌 版面限制 (Layout Constraints) ====================
+
+    // 各專案的版面限制，以專案名稱為鍵；沒有設定的專案不帶入任何限制
+    // {[project]: {pins, locks}}
+    const layoutConstraints = createPersistedMap('gisgym.layoutConstraints');
+
+    /**
+     * 📌 取得專案的版面限制（配置與縮減步驟視為硬限制）
+     * @param {string} project - 專案名稱
+     * @returns {Object|null} - {pins, locks}（未設定時為 null）
+     */
+    const getLayoutConstraints = (project) => layoutConstraints.value[project] || null;
+
+    /**
+     * 📌 設定專案的版面限制（應先經 normalizeLayoutConstraints 整理；沒有任何限制時等同清除）
+     * @param {string} project - 專案名稱
+     * @param {Object} constraints - {pins: [{station, x, y}], locks: [{type, route, from, to}]}
+     */
+    const setLayoutConstraints = (project, constraints) => {
+      if (constraints.pins.length === 0 && constraints.locks.length === 0) {
+        clearLayoutConstraints(project);
+        return;
+      }
+      layoutConstraints.value = { ...layoutConstraints.value, [project]: constraints };
+    };
+
+    /**
+     * 📌 清除專案的版面限制
+     * @param {string} project - 專案名稱
+     */
+    const clearLayoutConstraints = (project) => {
+      const rest = { ...layoutConstraints.value };
+      delete rest[project];
+      layoutConstraints.value = rest;
+    };
+
+    // ==================== ✏️ 手動編輯 (Layout Edits) ====================
+
+    // 各圖層的手動編輯 (patch)，以 layerId 為鍵；管線輸出本身不變，顯示時依序套用
+    // {[layerId]: [{from, to, label}]}
+    const layoutEdits = createPersistedMap('gisgym.layoutEdits');
+
+    /**
+     * ✏️ 取得圖層的手動編輯
+     * @param {string} layerId - 圖層 ID
+     * @returns {Array<Object>} - [{from, to, label}]（沒有編輯時為空陣列）
+     */
+    const getLayoutEdits = (layerId) => layoutEdits.value[layerId] || [];
+
+    /**
+     * ✏️ 新增一筆手動編輯（應先經 tryLayoutEdit 檢查）
+     * @param {string} layerId - 圖層 ID
+     * @param {Object} edit - {from: [x, y], to: [x, y], label}
+     */
+    const addLayoutEdit = (layerId, edit) => {
+      layoutEdits.value = {
+        ...layoutEdits.value,
+        [layerId]: [...getLayoutEdits(layerId), edit],
+      };
+    };
+
+    /**
+     * ✏️ 復原圖層最後一筆手動編輯
+     * @param {string} layerId - 圖層 ID
+     */
+    const undoLayoutEdit = (layerId) => {
+      const edits = getLayoutEdits(layerId);
+      if (edits.length <= 1) {
+        clearLayoutEdits(layerId);
+        return;
+      }
+      layoutEdits.value = { ...layoutEdits.value, [layerId]: edits.slice(0, -1) };
+    };
+
+    /**
+     * ✏️ 清除圖層的所有手動編輯（回到管線輸出）
+     * @param {string} layerId - 圖層 ID
+     */
+    const clearLayoutEdits = (layerId) => {
+      const rest = { ...layoutEdits.value };
+      delete rest[layerId];
+      layoutEdits.value = rest;
+    };
+
+    // ==================== 📸 步驟快照 (Step Snapshots) ====================
+
+    // 每個圖層最多保留的快照數量（超過時丟棄最舊的快照）
+    const MAX_SNAPSHOTS_PER_LAYER = 20;
+
+    // 各圖層的快照列表，以 layerId 為鍵；快照資料以 markRaw 保存，避免大型網絡被深層響應化
+    const layerSnapshots = ref({});
+
+    /**
+     * 📸 新增圖層快照 (Add Layer Snapshot)
+     *
+     * 每次步驟將結果寫入圖層時呼叫，記錄當下的 spaceNetworkGridJsonData、摘要與執行參數。
+     *
+     * @param {string} layerId - 圖層 ID
+     * @param {Object} snapshotData - {stepId, params, data, report, layoutGrid}
+     * @returns {Object} - 新增的快照 {version, layerId, stepId, params, timestamp, data, report, layoutGrid}
+     */
+    const addLayerSnapshot = (layerId, snapshotData) => {
+      const list = layerSnapshots.value[layerId] || [];
+      const lastVersion = list.length > 0 ? list[list.length - 1].version : 0;
+      const snapshot = markRaw({
+        version: lastVersion + 1,
+        layerId,
+        stepId: snapshotData.stepId || null,
+        params: snapshotData.params || {},
+        timestamp: new Date().toISOString(),
+        data: JSON.parse(JSON.stringify(snapshotData.data ?? null)),
+        report: snapshotData.report ?? null,
+        layoutGrid: !!snapshotData.layoutGrid,
+      });
+
+      layerSnapshots.value[layerId] = [...list, snapshot].slice(-MAX_SNAPSHOTS_PER_LAYER);
+
+      const layer = findLayerById(layerId);
+      if (layer) layer.currentSnapshotVersion = snapshot.version;
+      return snapshot;
+    };
+
+    /**
+     * 📸 取得圖層的所有快照 (由舊到新)
+     * @param {string} layerId - 圖層 ID
+     * @returns {Array<Object>} - 快照列表
+     */
+    const getLayerSnapshots = (layerId) => layerSnapshots.value[layerId] || [];
+
+    /**
+     * 📸 取得圖層的指定版本快照
+     * @param {string} layerId - 圖層 ID
+     * @param {number} version - 快照版本
+     * @returns {Object|null} - 快照
+     */
+    const getLayerSnapshot = (layerId, version) =>
+      getLayerSnapshots(layerId).find((snapshot) => snapshot.version === Number(version)) || null;
+
+    /**
+     * ⏪ 將圖層回復到指定快照 (Rollback Layer to Snapshot)
+     *
+     * 以快照內容覆寫圖層資料與摘要；回復本身不會產生新的快照。
+     *
+     * @param {string} layerId - 圖層 ID
+     * @param {number} version - 快照版本
+     * @returns {Object} - 回復使用的快照
+     */
+    const rollbackLayerToSnapshot = (layerId, version) => {
+      const layer = findLayerById(layerId);
+      if (!layer) {
+        throw new Error(`找不到圖層: ${layerId}`);
+      }
+      const snapshot = getLayerSnapshot(layerId, version);
+      if (!snapshot) {
+        throw new Error(`找不到圖層 ${layerId} 的快照版本 ${version}`);
+      }
+
+      const data = JSON.parse(JSON.stringify(snapshot.data));
+      layer.spaceNetworkGridJsonData = data;
+      if (snapshot.layoutGrid) {
+        layer.layoutGridJsonData = data;
+      }
+      layer.dashboardData = snapshot.report;
+      layer.topologyValidation = null;
+      layer.currentSnapshotVersion = snapshot.version;
+      console.log(`⏪ DataStore: 圖層 ${layerId} 已回復到快照 v${snapshot.version}`);
+      return snapshot;
+    };
+
+    /**
+     * 🗑️ 清除圖層的所有快照
+     * @param {string} layerId - 圖層 ID
+     */
+    const clearLayerSnapshots = (layerId) => {
+      delete layerSnapshots.value[layerId];
+    };
+
+    // ==================== 🧩 網格合併歷程 (Grid Merge History) ====================
+
+    // 各圖層 layoutGridJsonData_Test4 的合併 / 縮減歷程 {entries, position}，以 layerId 為鍵；
+    // 命令記錄 (含執行前後的版面) 以 markRaw 保存，避免大型版面被深層響應化
+    const mergeHistories = ref({});
+
+    /**
+     * 🧩 取得圖層的合併歷程
+     * @param {string} layerId - 圖層 ID
+     * @returns {Object} - {entries, position}（沒有歷程時為空歷程）
+     */
+    const getMergeHistory4 = (layerId) => mergeHistories.value[layerId] || createMergeHistory();
+
+    /**
+     * 🧩 取得有合併版面資料的圖層（找不到時拋出錯誤）
+     * @param {string} layerId - 圖層 ID
+     * @returns {Object} - 圖層物件
+     */
+    const findMergeLayer = (layerId) => {
+      const layer = findLayerById(layerId);
+      if (!layer) {
+        throw new Error(`找不到圖層: ${layerId}`);
+      }
+      if (!layer.layoutGridJsonData_Test4) {
+        throw new Error(`圖層 ${layerId} 沒有可合併的版面資料`);
       }
+      return layer;
+    };
+
+    /**
+     * 🧩 執行合併 / 縮減操作並記錄到歷程 (Run Merge Operation)
+     *
+     * 操作在版面的複本上執行，有變更時才寫回圖層並加入歷程（捨棄可重做的命令）。
+     *
+     * @param {string} layerId - 圖層 ID
+     * @param {string} operation - 操作名稱（mergeHorizontal、mergeVertical 或 reduceGrid）
+     * @param {number} [gap=0] - 允許的權重差
+     * @returns {Object} - 命令記錄 {operation, label, gap, modified, before, after, timestamp}
+     */
+    const runMergeOperation4 = (layerId, operation, gap = 0) => {
+      const layer = findMergeLayer(layerId);
+      const entry = markRaw(runMergeCommand(layer.layoutGridJsonData_Test4, operation, gap));
+      if (entry.modified) {
+        layer.layoutGridJsonData_Test4 = JSON.parse(JSON.stringify(entry.after));
+        mergeHistories.value[layerId] = pushMergeCommand(getMergeHistory4(layerId), entry);
+      }
+      return entry;
+    };
+
+    /**
+     * 🧩 將圖層的版面切換到歷程中的任一位置（0 為第一筆操作之前的版面）
+     * @param {string} layerId - 圖層 ID
+     * @param {number} position - 位置
+     */
+    const jumpToMergeHistory4 = (layerId, position) => {
+      const layer = findMergeLayer(layerId);
+      const history = getMergeHistory4(layerId);
+      layer.layoutGridJsonData_Test4 = getMergeHistoryLayout(history, position);
+      mergeHistories.value[layerId] = { ...history, position };
+      console.log(`⏪ DataStore: 圖層 ${layerId} 的合併歷程切換到第 ${position} 步`);
+    };
+
+    /**
+     * 🧩 復原圖層最後一筆合併操作
+     * @param {string} layerId - 圖層 ID
+     */
+    const undoMergeOperation4 = (layerId) => {
+      const { position } = getMergeHistory4(layerId);
+      if (position > 0) jumpToMergeHistory4(layerId, position - 1);
+    };
+
+    /**
+     * 🧩 重做圖層下一筆已復原的合併操作
+     * @param {string} layerId - 圖層 ID
+     */
+    const redoMergeOperation4 = (layerId) => {
+      const { entries, position } = getMergeHistory4(layerId);
+      if (position < entries.length) jumpToMergeHistory4(layerId, position + 1);
+    };
+
+    /**
+     * 🗑️ 清除圖層的合併歷程（版面維持目前的狀態）
+     * @param {string} layerId - 圖層 ID
+     */
+    const clearMergeHistory4 = (layerId) => {
+      delete mergeHistories.value[layerId];
     };
 
     const setSelectedFeature = (feature) => {
@@ -878,6 +1437,8 @@ export const useDataStore = defineStore(
             result.layoutGridJsonData_Test3 ?? layer.layoutGridJsonData_Test3;
           layer.layoutGridJsonData_Test4 =
             result.layoutGridJsonData_Test4 ?? layer.layoutGridJsonData_Test4;
+          // 重新載入的版面取代了合併前的版面，舊的合併歷程不再適用
+          if (result.layoutGridJsonData_Test4) clearMergeHistory4(layerId);
           layer.geojsonData = result.geojsonData ?? layer.geojsonData;
           layer.processedJsonData = result.processedJsonData ?? layer.processedJsonData;
           layer.drawJsonData = result.drawJsonData ?? layer.drawJsonData;
@@ -968,21 +1529,81 @@ export const useDataStore = defineStore(
       setShowGrid,
       showStationNames,
       setShowStationNames,
+      showParallelRoutes,
+      setShowParallelRoutes,
       currentMergeOperation4,
       setCurrentMergeOperation4,
       clearCurrentMergeOperation4,
       // 自動合併閾值
       autoMergeThreshold,
       setAutoMergeThreshold,
-      // 權重縮放指數
-      weightScalingExponent,
-      setWeightScalingExponent,
-      // 權重放大倍數
-      weightScalingMultiplier,
-      setWeightScalingMultiplier,
+      // 專案 (城市) 管理
+      currentProject,
+      projectNames,
+      setCurrentProject,
+      ensureProjectLayers,
+
+      // 隨機種子
+      randomSeed,
+      setRandomSeed,
+      regenerateRandomSeed,
+
+      // 步驟參數
+      stepParams,
+      getStepParams,
+      setStepParams,
+      resetStepParams,
+
+      // 版面模式
+      layoutModes,
+      getLayoutMode,
+      setLayoutMode,
+
+      // 運量資料
+      ridershipData,
+      getRidership,
+      setRidership,
+      clearRidership,
+
+      // 增量重新配置
+      incrementalLayouts,
+      getIncrementalLayout,
+      setIncrementalLayout,
+
+      // 版面限制
+      layoutConstraints,
+      getLayoutConstraints,
+      setLayoutConstraints,
+      clearLayoutConstraints,
+
+      // 手動編輯
+      layoutEdits,
+      getLayoutEdits,
+      addLayoutEdit,
+      undoLayoutEdit,
+      clearLayoutEdits,
+
+      // 步驟快照
+      layerSnapshots,
+      addLayerSnapshot,
+      getLayerSnapshots,
+      getLayerSnapshot,
+      rollbackLayerToSnapshot,
+      clearLayerSnapshots,
+      // 網格合併歷程
+      mergeHistories,
+      getMergeHistory4,
+      runMergeOperation4,
+      jumpToMergeHistory4,
+      undoMergeOperation4,
+      redoMergeOperation4,
+      clearMergeHistory4,
     };
   },
   {
     persist: true,
   }
 );
+
+// 讓 execute_* 步驟 (projectLayers) 可以取得本 store
+registerLayerStore(useDataStore);
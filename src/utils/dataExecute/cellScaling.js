@@ -0,0 +1,212 @@
+/**
+ * 網格縮放函式模組 (Cell Scaling Functions Module)
+ *
+ * 6_1→7_1 依每一行 / 列的最大權重決定格子大小。原本固定為 2 ^ 權重，
+ * 這裡改為可選的縮放函式 (CELL_SCALINGS)，每個函式把權重換算為格子大小 (最小為 1)：
+ * - exponential 指數：2 ^ 權重 (預設，與原本相同)
+ * - linear 線性：1 + 倍數 × 權重
+ * - power 冪次：1 + 倍數 × 權重 ^ 指數
+ * - log 對數：1 + 倍數 × log2(1 + 權重)
+ * - sqrt 平方根：1 + 倍數 × √權重
+ * - quantile 分位數分級：依所有行列權重的分位數分成 N 級，1 + 倍數 × 級數
+ * - piecewise 自訂分段：以「權重:大小」斷點線性內插 (例如 "0:1, 3:8, 9:32")
+ *
+ * 其他模組可用 registerCellScaling 加入新的函式 (會出現在步驟參數的選單中)；
+ * 背景執行的 Web Worker 另外載入模組，註冊需放在 Worker 也會載入的模組中。
+ * 步驟與 CompareTab 的網格線、ControlTab 的對應圖預覽共用 createCellScaler，確保三者一致。
+ *
+ * @file cellScaling.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// 預設縮放函式與參數 (倍數、指數沿用原本 dataStore 的 weightScalingMultiplier / weightScalingExponent)
+export const DEFAULT_CELL_SCALING = 'exponential';
+export const DEFAULT_SCALING_MULTIPLIER = 5;
+export const DEFAULT_SCALING_EXPONENT = 2;
+export const DEFAULT_SCALING_CLASSES = 5;
+export const DEFAULT_PIECEWISE_BREAKPOINTS = '0:1, 3:8, 9:32';
+
+// 格子大小下限
+const MIN_CELL_SIZE = 1;
+
+// ==========================================
+// 1. 分段斷點 (Piecewise Breakpoints)
+// ==========================================
+
+/**
+ * 解析自訂分段的斷點文字 "權重:大小, 權重:大小, ..." (依權重排序，重複的權重保留最後一個)
+ * @param {string|Array} text - 斷點文字，或已解析的 [[權重, 大小], ...]
+ * @returns {Array<Array<number>>} 斷點 (格式錯誤的項目略過)
+ */
+export function parsePiecewiseBreakpoints(text) {
+  const items = Array.isArray(text) ? text : String(text ?? '').split(/[,;\n]/);
+  const points = new Map();
+  for (const item of items) {
+    const [w, size] = Array.isArray(item) ? item : String(item).split(':').map(Number);
+    if (!Number.isFinite(w) || !Number.isFinite(size)) continue;
+    points.set(w, Math.max(MIN_CELL_SIZE, size));
+  }
+  return Array.from(points.entries()).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * 依斷點線性內插 (超出範圍時使用最近端點的大小)
+ * @param {Array<Array<number>>} breakpoints - 斷點
+ * @param {number} weight - 權重
+ * @returns {number} 格子大小
+ */
+function interpolateBreakpoints(breakpoints, weight) {
+  if (breakpoints.length === 0) return MIN_CELL_SIZE;
+  if (weight <= breakpoints[0][0]) return breakpoints[0][1];
+  for (let i = 1; i < breakpoints.length; i++) {
+    const [w1, s1] = breakpoints[i];
+    if (weight <= w1) {
+      const [w0, s0] = breakpoints[i - 1];
+      return s0 + ((weight - w0) / (w1 - w0)) * (s1 - s0);
+    }
+  }
+  return breakpoints[breakpoints.length - 1][1];
+}
+
+// ==========================================
+// 2. 分位數分級 (Quantile Classes)
+// ==========================================
+
+/**
+ * 計算分位數分級的門檻 (classes - 1 個，由小到大)
+ * @param {Array<number>} weights - 所有行列的權重
+ * @param {number} classes - 級數
+ * @returns {Array<number>} 門檻
+ */
+function getQuantileThresholds(weights, classes) {
+  const sorted = weights.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0 || classes < 2) return [];
+  const thresholds = [];
+  for (let k = 1; k < classes; k++) {
+    thresholds.push(sorted[Math.min(sorted.length - 1, Math.floor((k / classes) * sorted.length))]);
+  }
+  return thresholds;
+}
+
+// ==========================================
+// 3. 縮放函式註冊表 (Registry)
+// ==========================================
+
+/**
+ * 可選的縮放函式 (value / label 供步驟參數的選單使用)
+ * create(params, weights) 回傳 (權重) => 格子大小；params 為 {multiplier, exponent, classes, breakpoints}，
+ * weights 為所有行列的權重 (分位數分級使用)
+ * @type {Array<Object>}
+ */
+export const CELL_SCALINGS = [
+  {
+    value: 'exponential',
+    label: '指數 (2 ^ 權重)',
+    create: () => (w) => Math.pow(2, w),
+  },
+  {
+    value: 'linear',
+    label: '線性',
+    create: (params) => (w) => 1 + params.multiplier * w,
+  },
+  {
+    value: 'power',
+    label: '冪次',
+    create: (params) => (w) => 1 + params.multiplier * Math.pow(w, params.exponent),
+  },
+  {
+    value: 'log',
+    label: '對數',
+    create: (params) => (w) => 1 + params.multiplier * Math.log2(1 + w),
+  },
+  {
+    value: 'sqrt',
+    label: '平方根',
+    create: (params) => (w) => 1 + params.multiplier * Math.sqrt(w),
+  },
+  {
+    value: 'quantile',
+    label: '分位數分級',
+    create: (params, weights) => {
+      const thresholds = getQuantileThresholds(weights, params.classes);
+      return (w) => 1 + params.multiplier * thresholds.filter((t) => w > t).length;
+    },
+  },
+  {
+    value: 'piecewise',
+    label: '自訂分段',
+    create: (params) => {
+      const breakpoints = parsePiecewiseBreakpoints(params.breakpoints);
+      return (w) => interpolateBreakpoints(breakpoints, w);
+    },
+  },
+];
+
+/**
+ * 加入 (或取代同名的) 縮放函式
+ * @param {Object} definition - {value, label, create(params, weights)}
+ */
+export function registerCellScaling(definition) {
+  if (!definition || !definition.value || typeof definition.create !== 'function') {
+    throw new Error('縮放函式需要 value 與 create(params, weights)');
+  }
+  const idx = CELL_SCALINGS.findIndex((item) => item.value === definition.value);
+  if (idx === -1) {
+    CELL_SCALINGS.push(definition);
+  } else {
+    CELL_SCALINGS[idx] = definition;
+  }
+}
+
+/**
+ * 取得縮放函式的定義
+ * @param {string} name - 縮放函式名稱
+ * @returns {Object|null} 定義 (未註冊時為 null)
+ */
+export function getCellScaling(name) {
+  return CELL_SCALINGS.find((item) => item.value === name) || null;
+}
+
+/**
+ * 建立權重 → 格子大小的函式 (結果不小於 1；負數權重視為 0)
+ * @param {string} name - 縮放函式名稱
+ * @param {Object} [params] - 參數 {multiplier, exponent, classes, breakpoints}
+ * @param {Array<number>} [weights=[]] - 所有行列的權重 (分位數分級使用)
+ * @returns {Function} (權重) => 格子大小
+ */
+export function createCellScaler(name, params = {}, weights = []) {
+  const scaling = getCellScaling(name);
+  if (!scaling) {
+    throw new Error(`不支援的縮放函式: ${name}`);
+  }
+  const scale = scaling.create(
+    {
+      multiplier: params.multiplier ?? DEFAULT_SCALING_MULTIPLIER,
+      exponent: params.exponent ?? DEFAULT_SCALING_EXPONENT,
+      classes: params.classes ?? DEFAULT_SCALING_CLASSES,
+      breakpoints: params.breakpoints ?? DEFAULT_PIECEWISE_BREAKPOINTS,
+    },
+    weights
+  );
+  return (w) => {
+    const size = scale(Math.max(0, w));
+    return Number.isFinite(size) ? Math.max(MIN_CELL_SIZE, size) : MIN_CELL_SIZE;
+  };
+}
+
+/**
+ * 取樣權重 0 ~ maxWeight 的對應 (ControlTab 預覽圖使用)
+ * @param {Function} scaler - createCellScaler 的結果
+ * @param {number} maxWeight - 最大權重
+ * @param {number} [samples=50] - 取樣段數
+ * @returns {Array<Array<number>>} [[權重, 格子大小], ...]
+ */
+export function sampleCellScaler(scaler, maxWeight, samples = 50) {
+  const points = [];
+  for (let i = 0; i <= samples; i++) {
+    const w = (i / samples) * maxWeight;
+    points.push([w, scaler(w)]);
+  }
+  return points;
+}
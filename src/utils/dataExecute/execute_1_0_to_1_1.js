@@ -5,10 +5,37 @@
 // 2. 座標轉換：將經緯度「吸附 (Snap)」至整數網格索引 (Grid X, Grid Y)。
 // 3. 線段切分：將 LineString 切碎為 Segments (A->B)，便於後續路徑搜尋。
 // 4. 資料優化：從輸出的 `way_properties` 中移除龐大的 `nodes` 列表以縮減體積。
+// 5. 保留原始經緯度：車站節點另外記錄 lon / lat，隨節點屬性傳到後續各階段 (地理失真指標使用)。
+// 6. 運具與轉乘：路線記錄 transit_mode，車站記錄經過的運具 transit_modes 與轉乘連結 transfer_links
+//    (站內轉乘與距離在 walkingTransferDistance 公尺內的步行轉乘，見 transitModes.js)。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
 import { findNearestTwoPoints } from './helpers.js';
+import {
+  DEFAULT_WALKING_TRANSFER_DISTANCE,
+  buildTransferLinks,
+  getModePriority,
+  getRouteMode,
+} from './transitModes.js';
+
+/**
+ * 步驟參數定義 (ControlTab 依此產生表單，管線執行時以 options 帶入)
+ * @type {Array<Object>}
+ */
+export const schema_1_0_to_1_1 = [
+  {
+    key: 'walkingTransferDistance',
+    label: '步行轉乘距離 (公尺)',
+    type: 'integer',
+    default: DEFAULT_WALKING_TRANSFER_DISTANCE,
+    min: 0,
+    max: 2000,
+    step: 50,
+    description: '距離在此範圍內、沒有路線直接相連的兩個車站建立步行轉乘連結 (0 表示不建立)',
+  },
+];
 
 // ==========================================
 // 3. 輔助函式定義
@@ -25,44 +52,27 @@ function findNearestTwoPointsLocal(points) {
   return { point1, point2, minDistance };
 }
 
-/**
- * 從屬性提取顏色，預設藍色
- * @param {Object} props - 屬性物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getColorFromProps(props) {
-  const tags = props?.tags || {};
-  return tags.colour || tags.color || '#2c7bb6';
-}
-
 // ==========================================
 // 4. 主執行流程
 // ==========================================
-export function execute_1_0_to_1_1(jsonData) {
-  const dataStore = useDataStore();
-  const taipei1_1Layer = dataStore.findLayerById('taipei_1_1');
-
-  // ==========================================
-  // 2. 檔案路徑與全域設定
-  // ==========================================
-  // 輸入：Step 1 產生的 GeoJSON (已透過參數傳入)
-  // 輸出：標準化後的 JSON (已直接傳給下一個圖層)
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案 (GeoJSON): 已透過參數傳入`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_1_1 圖層`);
-  console.log('='.repeat(60));
-
+/**
+ * 純函式版本：GeoJSON → 網格化 Segments
+ * 不依賴任何圖層，可直接用於其他城市或 Node 環境。
+ * @param {Object} jsonData - GeoJSON FeatureCollection
+ * @param {Object} [options] - 執行選項
+ * @param {number} [options.walkingTransferDistance=300] - 步行轉乘距離 (公尺，0 表示不建立步行轉乘)
+ * @returns {Object} {data: 輸出線段陣列, report: 摘要}
+ */
+export function run_1_0_to_1_1(jsonData, options = {}) {
   if (!jsonData || !jsonData.features || !Array.isArray(jsonData.features)) {
     console.error('❌ [錯誤] 輸入資料格式錯誤，應為有效的 GeoJSON 格式。');
     throw new Error('輸入資料格式錯誤，應為有效的 GeoJSON 格式。');
   }
 
+  const report = createStepReport('1_0_to_1_1');
+
   try {
     // --- [Step A] 讀取與分類 GeoJSON ---
-    console.log('\n🚀 [Step A] 讀取並解析 GeoJSON 資料...');
     const geojsonData = jsonData;
 
     const stationsData = []; // 用於計算數學距離
@@ -88,10 +98,9 @@ export function execute_1_0_to_1_1(jsonData) {
       throw new Error('站點數量不足 (少於 2 個)，無法計算網格。');
     }
 
-    console.log(`   -> 讀取完成：${stationsData.length} 個站點, ${lineFeatures.length} 條路線。`);
+    report.mark('parse');
 
     // --- [Step B] 計算網格單元 (Grid Unit) ---
-    console.log('\n🚀 [Step B] 計算最佳網格尺寸 (Grid Unit)...');
     const pointsNp = stationsData.map((s) => [s.lon, s.lat]);
 
     // 邊界計算
@@ -109,11 +118,9 @@ export function execute_1_0_to_1_1(jsonData) {
     const estW = Math.floor((maxLon - minLon) / gridUnit) + 1;
     const estH = Math.floor((maxLat - minLat) / gridUnit) + 1;
 
-    console.log(`   -> 最近兩點距離 (Grid Unit): ${gridUnit.toFixed(6)} 度`);
-    console.log(`   -> 預估網格大小: ${estW} (W) x ${estH} (H)`);
+    report.mark('gridUnit');
 
     // --- [Step C] 執行網格吸附 (Snapping) ---
-    console.log('\n🚀 [Step C] 執行網格吸附與資料轉換...');
 
     // 1. 建立站點座標查找表 (Lon/Lat -> Grid X/Y)
     const stationLookup = {};
@@ -126,6 +133,9 @@ export function execute_1_0_to_1_1(jsonData) {
       const newProps = JSON.parse(JSON.stringify(originalFeat.properties || {}));
       newProps.x_grid = rawX;
       newProps.y_grid = rawY;
+      // 保留原始經緯度，供後續階段比較示意圖與實際地理位置 (distortionMetrics)
+      newProps.lon = s.lon;
+      newProps.lat = s.lat;
 
       stationLookup[s.id] = {
         coords: [rawX, rawY],
@@ -133,14 +143,58 @@ export function execute_1_0_to_1_1(jsonData) {
       };
     }
 
-    // 2. 處理路線與切分 Segments
+    // 2. 運具與轉乘連結：統計每個車站經過的運具與直接相連的車站
+    const stationModes = {};
+    const adjacentStations = new Set();
+    const modeCounts = {};
+    for (const line of lineFeatures) {
+      const mode = getRouteMode(line.properties?.tags);
+      modeCounts[mode] = (modeCounts[mode] || 0) + 1;
+      const servedIds = (line.properties?.nodes || []).filter((nid) => nid in stationLookup);
+      servedIds.forEach((nid, idx) => {
+        if (!stationModes[nid]) stationModes[nid] = new Set();
+        stationModes[nid].add(mode);
+        if (idx === 0) return;
+        adjacentStations.add(`${servedIds[idx - 1]}|${nid}`);
+        adjacentStations.add(`${nid}|${servedIds[idx - 1]}`);
+      });
+    }
+
+    // 只有路線經過的車站參與轉乘 (線形節點不是車站)
+    const transferStations = stationsData
+      .filter((s) => stationModes[s.id] && stationLookup[s.id].properties.node_type !== 'line')
+      .map((s) => ({
+        ...s,
+        modes: Array.from(stationModes[s.id]).sort(
+          (a, b) => getModePriority(a) - getModePriority(b)
+        ),
+      }));
+    const transferLinks = buildTransferLinks(transferStations, adjacentStations, {
+      walkingDistance: options.walkingTransferDistance ?? DEFAULT_WALKING_TRANSFER_DISTANCE,
+    });
+    for (const station of transferStations) {
+      const props = stationLookup[station.id].properties;
+      props.transit_modes = station.modes;
+      const links = transferLinks.filter(
+        (link) => link.from === station.id || link.to === station.id
+      );
+      if (links.length > 0) props.transfer_links = links;
+    }
+    const interchangeLinks = transferLinks.filter((link) => link.type === 'interchange').length;
+    const walkingLinks = transferLinks.length - interchangeLinks;
+
+    // 3. 處理路線與切分 Segments
     const outputSegments = [];
+    let missingNodeRefs = 0;
+    let mergedNodes = 0;
+    const skippedLines = [];
     for (const line of lineFeatures) {
       const nodeIds = line.properties?.nodes || [];
 
       // [重要] 移除 nodes 屬性以減少 JSON 體積
       const wayProps = JSON.parse(JSON.stringify(line.properties || {}));
       delete wayProps.nodes;
+      wayProps.transit_mode = getRouteMode(wayProps.tags);
 
       const routeName = wayProps.tags?.route_name || 'unknown';
 
@@ -156,7 +210,11 @@ export function execute_1_0_to_1_1(jsonData) {
             pathNodes[pathNodes.length - 1].coords[1] !== nodeData.coords[1]
           ) {
             pathNodes.push(nodeData);
+          } else {
+            mergedNodes++;
           }
+        } else {
+          missingNodeRefs++;
         }
       }
 
@@ -175,51 +233,59 @@ export function execute_1_0_to_1_1(jsonData) {
             way_properties: wayProps,
           });
         }
+      } else {
+        skippedLines.push(routeName);
       }
     }
 
-    console.log(`   -> 轉換完成，共生成 ${outputSegments.length} 個線段 (Segments)。`);
+    report.mark('snapping');
 
-    // --- [Step D] 輸出 JSON ---
-    console.log('\n🚀 [Step D] 儲存 Normalize JSON 檔案...');
-    if (!taipei1_1Layer) {
-      throw new Error('找不到 taipei_1_1 圖層');
+    if (missingNodeRefs > 0) {
+      report.warn(
+        'missing_station_refs',
+        `路線中有 ${missingNodeRefs} 個節點找不到對應站點，已略過`,
+        { count: missingNodeRefs }
+      );
     }
-
-    taipei1_1Layer.spaceNetworkGridJsonData = outputSegments;
-    console.log(`✅ 資料已傳給 taipei_1_1 圖層`);
-
-    // --- [Step E] 視覺化對照 ---
-    console.log('\n🚀 [Step E] 產生對照圖 (GeoJSON vs Grid)...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    console.log(`   - Before: GeoJSON (Lat/Lon)`);
-    console.log(`   - After: Raw Grid (${estW} x ${estH})`);
-
-    // 自動開啟 taipei_1_1 圖層以便查看結果
-    if (!taipei1_1Layer.visible) {
-      taipei1_1Layer.visible = true;
-      dataStore.saveLayerState('taipei_1_1', { visible: true });
+    if (mergedNodes > 0) {
+      report.warn('merged_nodes', `有 ${mergedNodes} 個連續節點吸附到同一網格點，已合併`, {
+        count: mergedNodes,
+      });
+    }
+    if (skippedLines.length > 0) {
+      report.warn('skipped_lines', `${skippedLines.length} 條路線的有效站點少於 2 個，未產生線段`, {
+        count: skippedLines.length,
+        routes: skippedLines,
+      });
     }
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      stationCount: stationsData.length,
-      segmentCount: outputSegments.length,
-      gridUnit: parseFloat(gridUnit.toFixed(6)),
-      gridSize: {
-        width: estW,
-        height: estH,
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputStations: stationsData.length,
+        inputLines: lineFeatures.length,
+        outputSegments: outputSegments.length,
+        interchangeLinks,
+        walkingLinks,
       },
-      bounds: {
-        minLon: parseFloat(minLon.toFixed(6)),
-        maxLon: parseFloat(maxLon.toFixed(6)),
-        minLat: parseFloat(minLat.toFixed(6)),
-        maxLat: parseFloat(maxLat.toFixed(6)),
+      values: {
+        gridUnit: parseFloat(gridUnit.toFixed(6)),
+        gridSize: {
+          width: estW,
+          height: estH,
+        },
+        bounds: {
+          minLon: parseFloat(minLon.toFixed(6)),
+          maxLon: parseFloat(maxLon.toFixed(6)),
+          minLat: parseFloat(minLat.toFixed(6)),
+          maxLat: parseFloat(maxLat.toFixed(6)),
+        },
+        nearestDistance: parseFloat(minDist.toFixed(6)),
+        modeCounts,
       },
-      nearestDistance: parseFloat(minDist.toFixed(6)),
-    };
+    });
 
-    taipei1_1Layer.dashboardData = dashboardData;
+    return { data: outputSegments, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
     if (error.stack) {
@@ -229,45 +295,30 @@ export function execute_1_0_to_1_1(jsonData) {
   }
 }
 
-// ==========================================
-// 5. 輔助函式：視覺化
-// ==========================================
-// Note: 在 JavaScript 環境中，視覺化功能由前端組件處理
-// 以下函式保留作為參考，實際繪圖由前端組件執行
-
 /**
- * (左圖) 繪製原始地理座標
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} features - GeoJSON features
- * @param {string} title - 圖表標題
+ * 圖層版本：執行 run_1_0_to_1_1 並將結果寫入專案的 1_1 圖層
+ * @param {Object} jsonData - GeoJSON FeatureCollection
+ * @param {Object} [options] - 執行選項
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
  */
-// eslint-disable-next-line no-unused-vars
-function plotGeojsonLayer(ax, features, title) {
-  // 在 JavaScript 環境中，此功能由前端組件處理
-  console.log(`[視覺化] ${title}`);
-}
+export function execute_1_0_to_1_1(jsonData, options = {}) {
+  const { outputLayerId, outputLayer } = resolveStepLayers(null, '1_1', options.project);
 
-/**
- * (右圖) 繪製網格化後的 Segments
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} data - Segments 資料
- * @param {string} title - 圖表標題
- */
-// eslint-disable-next-line no-unused-vars
-function plotNormalizeFormat(ax, data, title) {
-  // 在 JavaScript 環境中，此功能由前端組件處理
-  console.log(`[視覺化] ${title}`);
-}
+  // ==========================================
+  // 2. 檔案路徑與全域設定
+  // ==========================================
+  // 輸入：Step 1 產生的 GeoJSON (已透過參數傳入)
+  // 輸出：標準化後的 JSON (已直接傳給下一個圖層)
 
-/**
- * 繪製左右對照圖
- * @param {Array} originalFeatures - 原始 GeoJSON features
- * @param {Array} outputSegments - 輸出 Segments
- * @param {number} w - 網格寬度
- * @param {number} h - 網格高度
- */
-// eslint-disable-next-line no-unused-vars
-function plotComparison(originalFeatures, outputSegments, w, h) {
-  // 在 JavaScript 環境中，此功能由前端組件處理
-  console.log(`[視覺化] 對照圖: Before vs After (${w} x ${h})`);
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_1_0_to_1_1(jsonData, options);
+
+  // --- 輸出 JSON ---
+  writeStepOutput(outputLayer, result, { stepId: '1_0_to_1_1', params: options });
+
+  return result;
 }
@@ -5,10 +5,13 @@
 // 2. 拓撲分析：識別「交會點 (Connect Node)」(即路線交叉或端點)。
 // 3. 直線化處理：將兩個交會點之間的所有中間點，替換為數學上的等距直線點。
 // 4. 資料重建：重新生成並保留 `nodes` 屬性列表 (包含 node_type 與 connect_number)。
-// 5. 輸出 Step 2 的結果並繪製靜態圖 (無 Plotly)。
+// 5. 輸出 Step 2 的結果 (對照圖由 CompareTab 步驟對照分頁繪製)。
+// 6. 環狀路線：極值車站也視為交會點，拉直後保留多邊形輪廓 (不會被切成兩條重疊的直線)。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { findLoopRoutes, getLoopAnchorPoints, getSegmentRouteName } from './loopRoutes.js';
 
 // ==========================================
 // 3. 核心演算法函式
@@ -86,11 +89,11 @@ function normalizeInputData(data) {
 /**
  * [核心邏輯] 建立拓撲並拉直路線
  * 1. 建立鄰接表 (Adjacency List)。
- * 2. 識別拓撲節點 (Topological Nodes)：端點、交叉點、或路線變更點。
+ * 2. 識別拓撲節點 (Topological Nodes)：端點、交叉點、路線變更點、或環狀路線的極值車站。
  * 3. 遍歷所有節點，將兩節點間的路徑「拉直」。
  * 4. [關鍵] 重建並保留 `nodes` 欄位。
  * @param {Array} segments - 輸入線段陣列
- * @returns {Object} {segments, topoNodes, stats, nodeRoutesLog}
+ * @returns {Object} {segments, topoNodes, stats, nodeRoutesLog, loopRoutes}
  */
 function buildTopologyStraightLines(segments) {
   // 1. 建立鄰接表
@@ -129,6 +132,17 @@ function buildTopologyStraightLines(segments) {
     }
   }
 
+  // 條件 C: 環狀路線的極值車站 (否則只有轉乘站時，整圈會被拉成重疊的直線)
+  const loopRoutes = findLoopRoutes(segments.filter((seg) => seg.points && seg.points.length >= 2));
+  for (const routeName of loopRoutes) {
+    const routeSegments = segments.filter(
+      (seg) => seg.points && seg.points.length >= 2 && getSegmentRouteName(seg) === routeName
+    );
+    for (const pt of getLoopAnchorPoints(routeSegments)) {
+      topoNodes.add(JSON.stringify(pt));
+    }
+  }
+
   // 防呆：若無拓撲點，任意取一點作為起始
   if (topoNodes.size === 0 && adj.size > 0) {
     const firstPt = Array.from(adj.keys())[0];
@@ -232,7 +246,10 @@ function buildTopologyStraightLines(segments) {
       const endNodeStr = curr;
 
       // 避免重複處理同一條邊 (A->B 與 B->A)
-      const pathId = JSON.stringify([startNodeStr, endNodeStr].sort());
+      // 環狀路線另外以兩端的第一步區分，同一對拓撲點之間的兩段弧線才不會被當成重複
+      const pathId = loopRoutes.has(getSegmentRouteName(firstSeg))
+        ? JSON.stringify([`${startNodeStr}>${neighborStr}`, `${endNodeStr}>${prev}`].sort())
+        : JSON.stringify([startNodeStr, endNodeStr].sort());
       if (processedEdges.has(pathId)) {
         continue;
       }
@@ -295,137 +312,115 @@ function buildTopologyStraightLines(segments) {
   }
 
   const topoNodesArray = Array.from(topoNodes).map((s) => parseCoord(s));
-  return { segments: newStraightSegments, topoNodes: topoNodesArray, stats, nodeRoutesLog };
+  return {
+    segments: newStraightSegments,
+    topoNodes: topoNodesArray,
+    stats,
+    nodeRoutesLog,
+    loopRoutes: Array.from(loopRoutes),
+  };
 }
 
 // ==========================================
-// 4. 輔助函式：視覺化
+// 4. 主執行流程
 // ==========================================
 /**
- * 取得路線顏色
- * @param {Object} segment - 線段物件
- * @returns {string} 顏色字串
+ * 純函式版本：交叉點拓撲分析與路線直線化
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 1.2 的壓縮後 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
 // eslint-disable-next-line no-unused-vars
-function getSegmentColor(segment) {
-  const defaultColor = '#000000';
-  let props = segment.way_properties?.tags || {};
-  if (!props || Object.keys(props).length === 0) {
-    props = segment.properties || {};
+export function run_1_2_to_2_1(inputData, options = {}) {
+  const report = createStepReport('1_2_to_2_1');
+
+  try {
+    // --- [Step A] 讀取資料 ---
+    const rawData = JSON.parse(JSON.stringify(inputData));
+
+    // 資料正規化 (確保是 List 結構)
+    const L_raw = normalizeInputData(rawData);
+    report.mark('parse');
+
+    // --- [Step B] 執行拓撲分析與直線化 ---
+    const {
+      segments: L_straight,
+      stats,
+      nodeRoutesLog: routeLog,
+      loopRoutes,
+    } = buildTopologyStraightLines(L_raw);
+
+    report.mark('straighten');
+
+    // 少於 2 個點的線段無法建立鄰接關係，會在拓撲分析中被略過
+    const invalidSegments = L_raw.filter((seg) => !seg.points || seg.points.length < 2).length;
+    if (invalidSegments > 0) {
+      report.warn('invalid_segments', `${invalidSegments} 條線段少於 2 個點，已略過`, {
+        count: invalidSegments,
+      });
+    }
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: L_raw.length,
+        outputSegments: L_straight.length,
+        inputPoints: stats.input_points,
+        outputPoints: stats.output_points,
+        connectNodes: Object.keys(routeLog).length,
+        loopRoutes: loopRoutes.length,
+      },
+      values: {
+        nodeRoutesLog: routeLog,
+        loopRoutes,
+      },
+    });
+
+    return { data: L_straight, report: dashboardData };
+  } catch (error) {
+    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    throw error;
   }
-  return props.colour || props.color || defaultColor;
 }
 
 /**
- * 繪製靜態比較圖 (Input vs Output)
- * @param {Array} rawData - 原始資料
- * @param {Array} straightData - 拉直後的資料
- * @param {string} outputImg - 輸出圖片路徑 (在 JS 中由前端組件處理)
- * @param {Set} keyNodes - 關鍵節點集合
+ * 圖層版本：讀取專案的 1_2 圖層，執行 run_1_2_to_2_1 後寫入 2_1 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_1_2_to_2_1)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
  */
 // eslint-disable-next-line no-unused-vars
-function plotStaticMpl(rawData, straightData, outputImg, keyNodes = null) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] 靜態比較圖: Input vs Output`);
-}
-
-// ==========================================
-// 5. 主執行流程
-// ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_1_2_to_2_1(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei1_2Layer = dataStore.findLayerById('taipei_1_2');
-  const taipei2_1Layer = dataStore.findLayerById('taipei_2_1');
+export function execute_1_2_to_2_1(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '1_2',
+    '2_1',
+    options.project
+  );
 
   // ==========================================
   // 2. 檔案路徑與全域設定
   // ==========================================
   // 輸入：Step 1 (Colab 3) 的輸出
-  const inputJsonFilename = taipei1_2Layer ? 'taipei_1_2 (in-memory)' : 'taipei_1_2';
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
   // 輸出：Step 2 的結果 (已直接傳給下一個圖層)
 
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案 (Step 1): 從 taipei_1_2 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_1 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei1_2Layer || !taipei1_2Layer.spaceNetworkGridJsonData) {
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
     console.error(`❌ [錯誤] 找不到輸入檔案: ${inputJsonFilename}`);
     throw new Error(`找不到輸入檔案: ${inputJsonFilename}`);
   }
 
-  try {
-    // --- [Step A] 讀取資料 ---
-    console.log('\n🚀 [Step A] 讀取 Normalize JSON 資料...');
-    const rawData = taipei1_2Layer.spaceNetworkGridJsonData;
-
-    // 資料正規化 (確保是 List 結構)
-    const L_raw = normalizeInputData(rawData);
-    console.log(`   -> 讀取並標準化了 ${L_raw.length} 條線段。`);
-
-    // --- [Step B] 執行拓撲分析與直線化 ---
-    console.log('\n🚀 [Step B] 執行拓撲分析與路線直線化...');
-    const { segments: L_straight, topoNodes: keyNodesSet, stats, nodeRoutesLog: routeLog } = buildTopologyStraightLines(L_raw);
-
-    console.log(`   -> 轉換完成，輸出 ${L_straight.length} 條直線化線段。`);
-    console.log(`   -> 輸入總點數: ${stats.input_points} -> 輸出總點數: ${stats.output_points}`);
-
-    // --- [Step C] 輸出交會點日誌 (Connect Node Analysis) ---
-    console.log('\n🔍 [Step C] 交會點 (Connect Node) 詳細分析:');
-    console.log('-'.repeat(60));
-    console.log(`${'No.'.padEnd(6)} | ${'Routes Passing Through'}`);
-    console.log('-'.repeat(60));
-
-    const sortedLog = Object.entries(routeLog).sort((a, b) => parseInt(a[0]) - parseInt(b[0]));
-    for (const [cNum, routes] of sortedLog) {
-      const routesStr = routes.join(', ');
-      console.log(`${String(cNum).padEnd(6)} | ${routesStr}`);
-    }
-    console.log('-'.repeat(60));
-
-    // 驗證資料結構
-    if (L_straight.length > 0 && L_straight[0].points) {
-      console.log(`   -> (Debug) 屬性檢查: 'nodes' in output? ${'nodes' in L_straight[0]}`);
-    }
-
-    // --- [Step D] 儲存檔案 ---
-    console.log('\n🚀 [Step D] 儲存 Step 2 JSON 檔案...');
-    if (!taipei2_1Layer) {
-      throw new Error('找不到 taipei_2_1 圖層');
-    }
-
-    taipei2_1Layer.spaceNetworkGridJsonData = L_straight;
-    console.log(`✅ 資料已傳給 taipei_2_1 圖層`);
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
 
-    // --- [Step E] 繪製靜態圖 ---
-    console.log('\n🚀 [Step E] 繪製並儲存靜態地圖...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    plotStaticMpl(L_raw, L_straight, '', keyNodesSet);
+  const result = run_1_2_to_2_1(inputLayer.spaceNetworkGridJsonData, options);
 
-    // 自動開啟 taipei_2_1 圖層以便查看結果
-    if (!taipei2_1Layer.visible) {
-      taipei2_1Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_1', { visible: true });
-    }
+  writeStepOutput(outputLayer, result, { stepId: '1_2_to_2_1', params: options });
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      inputSegments: L_raw.length,
-      outputSegments: L_straight.length,
-      inputPoints: stats.input_points,
-      outputPoints: stats.output_points,
-      connectNodesCount: Object.keys(routeLog).length,
-      nodeRoutesLog: routeLog,
-    };
-
-    taipei2_1Layer.dashboardData = dashboardData;
-  } catch (error) {
-    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-    throw error;
-  }
+  return result;
 }
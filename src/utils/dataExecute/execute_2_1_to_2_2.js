@@ -10,7 +10,28 @@
 //    同時檢查 `properties_start/end` 與 `nodes` 列表，確保交會點 (Connect Node) 被正確識別。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+
+// [參數] 示意化網格大小預設值 (可由 options.gridSize 覆寫)
+const DEFAULT_GRID_SIZE = 5;
+
+/**
+ * 步驟參數定義 (ControlTab 依此產生表單，管線執行時以 options 帶入)
+ * @type {Array<Object>}
+ */
+export const schema_2_1_to_2_2 = [
+  {
+    key: 'gridSize',
+    label: '網格大小',
+    type: 'integer',
+    default: DEFAULT_GRID_SIZE,
+    min: 1,
+    max: 50,
+    step: 1,
+    description: '將座標吸附到較粗網格的格距',
+  },
+];
 
 // ==========================================
 // 3. 核心演算法函式
@@ -176,9 +197,10 @@ function snapAndInterpolateStroke(stroke, frozenNodes, gridSize) {
 /**
  * 檢查並補全 nodes 列表，確保後續運算不會報錯。
  * @param {Array} segments - 線段陣列
+ * @param {Object} report - 步驟報告 (記錄補全警告)
  * @returns {Array} 處理後的線段陣列
  */
-function formStrokesAndValidate(segments) {
+function formStrokesAndValidate(segments, report) {
   const processedStrokes = [];
   let missingCount = 0;
 
@@ -209,134 +231,76 @@ function formStrokesAndValidate(segments) {
   }
 
   if (missingCount > 0) {
-    console.log(`⚠️ [警告] 發現 ${missingCount} 條線段缺少完整 'nodes' 列表，已自動補全頭尾資訊。`);
+    report.warn(
+      'missing_nodes',
+      `發現 ${missingCount} 條線段缺少完整 'nodes' 列表，已自動補全頭尾資訊`,
+      { count: missingCount }
+    );
   }
 
   return processedStrokes;
 }
 
 // ==========================================
-// 4. 輔助函式：視覺化
+// 4. 主執行流程
 // ==========================================
 /**
- * 取得路線顏色
- * @param {Object} segment - 線段物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getSegmentColor(segment) {
-  let props = segment.way_properties?.tags || {};
-  if (!props || Object.keys(props).length === 0) {
-    props = segment.properties || {};
-  }
-  return props.colour || props.color || '#000000';
-}
-
-/**
- * 繪製地圖 (支援讀取 nodes 顯示紅點/黑點)
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} data - 線段資料
- * @param {string} title - 圖表標題
+ * 純函式版本：示意化網格運算 (吸附至較粗網格)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.1 的直線化 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {number} [options.gridSize=5] - 示意化網格大小
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
-// eslint-disable-next-line no-unused-vars
-function plotRoadData(ax, data, title) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] ${title}`);
-}
-
-// ==========================================
-// 5. 主執行流程
-// ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_1_to_2_2(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_1Layer = dataStore.findLayerById('taipei_2_1');
-  const taipei2_2Layer = dataStore.findLayerById('taipei_2_2');
-
-  // ==========================================
-  // 2. 檔案路徑與全域設定
-  // ==========================================
-  // 輸入：Step 2.1 直線化後的檔案
-  const inputJsonFilename = taipei2_1Layer ? 'taipei_2_1 (in-memory)' : 'taipei_2_1';
-  // 輸出：Step 2.2 示意化後的檔案 (已直接傳給下一個圖層)
-
-  // [參數] 示意化網格大小 (數值越大，地圖越抽象/方正)
-  const GRID_SIZE = 5;
+export function run_2_1_to_2_2(inputData, options = {}) {
+  // [參數] 示意化網格大小
+  const GRID_SIZE = options.gridSize ?? DEFAULT_GRID_SIZE;
 
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_1 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_2 圖層`);
-  console.log(`   - 網格大小: ${GRID_SIZE}`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_1Layer || !taipei2_1Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ [錯誤] 找不到檔案: ${inputJsonFilename}`);
-    console.error('請確認 Colab 4 (Step 2.1) 是否已執行並產生檔案。');
-    throw new Error(`找不到檔案: ${inputJsonFilename}`);
-  }
+  const report = createStepReport('2_1_to_2_2');
 
   try {
     // --- [Step A] 讀取資料 ---
-    console.log('\n🚀 [Step A] 讀取直線性資料 (Straightened Data)...');
-    const L_topology = taipei2_1Layer.spaceNetworkGridJsonData;
-    console.log(`   -> 讀取 ${L_topology.length} 條線段。`);
+    const L_topology = JSON.parse(JSON.stringify(inputData));
+    report.mark('parse');
 
     // --- [Step B] 資料驗證與補全 ---
-    console.log('\n🚀 [Step B] 驗證 nodes 完整性...');
-    const S_strokes = formStrokesAndValidate(L_topology);
+    const S_strokes = formStrokesAndValidate(L_topology, report);
+    report.mark('validate');
 
     // --- [Step C] 提取交會點與碰撞偵測 ---
-    console.log('\n🚀 [Step C] 偵測交會點與網格碰撞...');
     const nodesInput = extractConnectNodes(S_strokes);
-    console.log(`   -> 識別出 ${nodesInput.length} 個交會點 (Connect Nodes)。`);
 
     const frozenNodes = detectFrozenNodes(nodesInput, GRID_SIZE);
     if (frozenNodes.size > 0) {
-      console.log(`   -> ⚠️ 發現 ${frozenNodes.size} 個節點發生網格碰撞，將強制鎖定位置 (Frozen)。`);
+      report.warn(
+        'frozen_nodes',
+        `發現 ${frozenNodes.size} 個節點發生網格碰撞，將強制鎖定位置 (Frozen)`,
+        { count: frozenNodes.size }
+      );
     }
+    report.mark('collision');
 
     // --- [Step D] 執行示意化運算 ---
-    console.log(`\n🚀 [Step D] 執行示意化 (Grid Size = ${GRID_SIZE})...`);
-    let processedCount = 0;
     for (const stroke of S_strokes) {
       snapAndInterpolateStroke(stroke, frozenNodes, GRID_SIZE);
-      processedCount++;
     }
-    console.log(`   -> 完成 ${processedCount} 條線段的網格吸附運算。`);
-
-    // --- [Step E] 儲存檔案 ---
-    console.log('\n🚀 [Step E] 儲存 Schematized JSON...');
-    if (!taipei2_2Layer) {
-      throw new Error('找不到 taipei_2_2 圖層');
-    }
-
-    taipei2_2Layer.spaceNetworkGridJsonData = S_strokes;
-    console.log(`✅ 資料已傳給 taipei_2_2 圖層`);
-
-    // --- [Step F] 繪製對照圖 ---
-    console.log('\n🚀 [Step F] 產生對照圖 (Input vs Output)...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    plotRoadData(null, L_topology, '1. Straightened (Input)');
-    plotRoadData(null, S_strokes, `2. Schematized (Output, Grid ${GRID_SIZE})`);
-
-    // 自動開啟 taipei_2_2 圖層以便查看結果
-    if (!taipei2_2Layer.visible) {
-      taipei2_2Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_2', { visible: true });
-    }
-
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      inputSegments: L_topology.length,
-      outputSegments: S_strokes.length,
-      gridSize: GRID_SIZE,
-      connectNodesCount: nodesInput.length,
-      frozenNodesCount: frozenNodes.size,
-      processedSegments: S_strokes.filter((s) => s.processed !== false).length,
-    };
-
-    taipei2_2Layer.dashboardData = dashboardData;
+    report.mark('snapping');
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: L_topology.length,
+        outputSegments: S_strokes.length,
+        connectNodes: nodesInput.length,
+        frozenNodes: frozenNodes.size,
+        processedSegments: S_strokes.filter((s) => s.processed !== false).length,
+      },
+      values: {
+        gridSize: GRID_SIZE,
+      },
+    });
+
+    return { data: S_strokes, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
     if (error.stack) {
@@ -345,3 +309,42 @@ export function execute_2_1_to_2_2(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 2_1 圖層，執行 run_2_1_to_2_2 後寫入 2_2 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_1_to_2_2)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_2_1_to_2_2(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_1',
+    '2_2',
+    options.project
+  );
+
+  // ==========================================
+  // 2. 檔案路徑與全域設定
+  // ==========================================
+  // 輸入：Step 2.1 直線化後的檔案
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
+  // 輸出：Step 2.2 示意化後的檔案 (已直接傳給下一個圖層)
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ [錯誤] 找不到檔案: ${inputJsonFilename}`);
+    console.error('請確認 Colab 4 (Step 2.1) 是否已執行並產生檔案。');
+    throw new Error(`找不到檔案: ${inputJsonFilename}`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_2_1_to_2_2(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, { stepId: '2_1_to_2_2', params: options });
+
+  return result;
+}
@@ -6,14 +6,173 @@
 //    - 將每一條路段 (Link) 嘗試變形為 L 型或 Z 型 (Ortho-schematization)。
 //    - [關鍵] Station Injection: 變形後，將原本位於路段中間的車站 (黑點)，
 //      依照比例重新「注入」回新的幾何路徑上。
-// 3. 最佳化迴圈：
-//    - 隨機嘗試多種 Z 型組合，尋找「交叉數 (Collisions)」最少的解。
-// 4. 視覺化回饋：
+// 3. 最佳化迴圈 (options.optimizer)：
+//    - annealing (預設)：模擬退火，以加權成本 (交叉、轉折、長度、方向偏差、站距) 逐步改善版面。
+//    - random：隨機嘗試多種 Z 型組合，尋找「交叉數 (Collisions)」最少的解。
+//    - 兩者都記錄成本歷程 (report.values.costHistory)，方便比較。
+// 4. 視覺化回饋 (由 CompareTab 步驟對照分頁繪製)：
 //    - [新增] 若發生交叉，使用紅色 'X' 標記錯誤位置。
 //    - 顯示黑點 (一般站) 與紅點 (轉乘站/端點)。
+// 5. 八方向模式 (options.layoutMode = 'octilinear')：
+//    - 候選路徑另外加入含 45° 斜線的路徑，重疊檢查支援斜線共線。
+// 6. 增量模式 (options.previous)：
+//    - 與前次結果相同的路段沿用前次路徑並固定 (先放置、不參與最佳化)，只重新配置變動的路段。
+// 7. 版面限制 (options.constraints)：
+//    - 固定點的車站成為關鍵節點並移到指定座標；鎖定範圍內的路段只使用符合鎖定的候選路徑。
+//    - 無法滿足的限制列在報告的警告中。
+// 8. 多運具 (transit_mode，見 transitModes.js)：
+//    - 依運具的優先順序放置 (鐵路最先)，轉折成本乘上運具的 bendWeight，
+//      straightest 的運具 (鐵路) 在碰撞最少的候選中選轉折最少的路徑。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import {
+  DEFAULT_LAYOUT_MODE,
+  generateOctilinearCandidates,
+  getCollinearOverlapLength,
+  isDiagonalSegment,
+  isOctilinearMode,
+} from './octilinear.js';
+import {
+  DEFAULT_COST_WEIGHTS,
+  addCostTerms,
+  combineCostTerms,
+  createEmptyCostTerms,
+  getPathCostTerms,
+} from './layoutCost.js';
+import { getPathCorners, matchPreviousLinks } from './incrementalLayout.js';
+import { getModePriority, getSegmentMode, getTransitMode } from './transitModes.js';
+import {
+  findConstrainedSegments,
+  getConstraintStations,
+  hasLayoutConstraints,
+  isLockSatisfied,
+  matchesStation,
+  normalizeLayoutConstraints,
+  reportLayoutConstraints,
+} from './layoutConstraints.js';
+import { createSeededRandom, getSharedSeed, normalizeSeed } from '@/utils/seededRandom.js';
+
+// [參數] 最大嘗試次數預設值 (可由 options.maxAttempts 覆寫)
+const DEFAULT_MAX_ATTEMPTS = 500;
+
+// [參數] 模擬退火迭代次數預設值 (可由 options.annealingIterations 覆寫)
+const DEFAULT_ANNEALING_ITERATIONS = 3000;
+
+/**
+ * 可選的最佳化方法
+ * @type {Array<Object>}
+ */
+export const LAYOUT_OPTIMIZERS = [
+  { value: 'annealing', label: '模擬退火' },
+  { value: 'random', label: '隨機重啟' },
+];
+
+// 預設最佳化方法
+const DEFAULT_OPTIMIZER = 'annealing';
+
+// 成本歷程最多保留的取樣點數量
+const COST_HISTORY_POINTS = 50;
+
+// 模擬退火結束溫度 (相對於起始溫度)
+const ANNEALING_END_TEMPERATURE_RATIO = 1e-3;
+
+/**
+ * 步驟參數定義 (ControlTab 依此產生表單，管線執行時以 options 帶入)
+ * @type {Array<Object>}
+ */
+export const schema_2_2_to_2_3 = [
+  {
+    key: 'maxAttempts',
+    label: '最大嘗試次數',
+    type: 'integer',
+    default: DEFAULT_MAX_ATTEMPTS,
+    min: 1,
+    max: 5000,
+    step: 50,
+    description: '隨機重啟的嘗試次數，越多越可能找到交叉較少的解',
+  },
+  {
+    key: 'optimizer',
+    label: '最佳化方法',
+    type: 'select',
+    default: DEFAULT_OPTIMIZER,
+    options: LAYOUT_OPTIMIZERS,
+    description: '模擬退火依成本逐步改善版面；隨機重啟保留交叉最少的隨機嘗試',
+  },
+  {
+    key: 'annealingIterations',
+    label: '模擬退火迭代次數',
+    type: 'integer',
+    default: DEFAULT_ANNEALING_ITERATIONS,
+    min: 0,
+    max: 50000,
+    step: 500,
+    description: '每次迭代隨機更換一條路段的路徑',
+  },
+  {
+    key: 'weightCrossings',
+    label: '成本權重：交叉',
+    type: 'number',
+    default: DEFAULT_COST_WEIGHTS.crossings,
+    min: 0,
+    max: 1000,
+    step: 10,
+  },
+  {
+    key: 'weightBends',
+    label: '成本權重：轉折',
+    type: 'number',
+    default: DEFAULT_COST_WEIGHTS.bends,
+    min: 0,
+    max: 100,
+    step: 0.5,
+  },
+  {
+    key: 'weightLength',
+    label: '成本權重：總長度',
+    type: 'number',
+    default: DEFAULT_COST_WEIGHTS.length,
+    min: 0,
+    max: 10,
+    step: 0.1,
+  },
+  {
+    key: 'weightDirection',
+    label: '成本權重：方向偏差',
+    type: 'number',
+    default: DEFAULT_COST_WEIGHTS.direction,
+    min: 0,
+    max: 100,
+    step: 0.5,
+    description: '轉折點偏離原始起訖直線的程度',
+  },
+  {
+    key: 'weightSpacing',
+    label: '成本權重：站距過近',
+    type: 'number',
+    default: DEFAULT_COST_WEIGHTS.spacing,
+    min: 0,
+    max: 100,
+    step: 0.5,
+  },
+];
+
+/**
+ * 由步驟選項組出成本權重 (未指定的項目使用預設權重)
+ * @param {Object} options - 步驟選項
+ * @returns {Object} {crossings, bends, length, direction, spacing}
+ */
+function getCostWeights(options) {
+  return {
+    crossings: options.weightCrossings ?? DEFAULT_COST_WEIGHTS.crossings,
+    bends: options.weightBends ?? DEFAULT_COST_WEIGHTS.bends,
+    length: options.weightLength ?? DEFAULT_COST_WEIGHTS.length,
+    direction: options.weightDirection ?? DEFAULT_COST_WEIGHTS.direction,
+    spacing: options.weightSpacing ?? DEFAULT_COST_WEIGHTS.spacing,
+  };
+}
 
 // ==========================================
 // 2. 幾何核心演算法
@@ -93,6 +252,11 @@ function isCollinearOverlap(s1, s2) {
       return Math.max(p1_s[0], p3_s[0]) < Math.min(p2_s[0], p4_s[0]) - 1e-4;
     }
   }
+
+  // 45° 斜線重疊檢查 (八方向模式)
+  if (isDiagonalSegment(p1, p2) && isDiagonalSegment(p3, p4)) {
+    return getCollinearOverlapLength([p1, p2], [p3, p4]) > 1e-4;
+  }
   return false;
 }
 
@@ -219,24 +383,11 @@ function pointInPolygon(point, polygon) {
 // 3. 邏輯與輔助工具
 // ==========================================
 /**
- * 取得路線顏色
- * @param {Object} props - 屬性物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getColor(props) {
-  let p = props.way_properties?.tags || {};
-  if (!p || Object.keys(p).length === 0) p = props.properties || {};
-  if (!p || Object.keys(p).length === 0) p = props;
-  return p.colour || p.color || '#555555';
-}
-
-/**
- * 找出所有非法的交叉點座標 (用於畫紅色 X)
+ * 找出所有非法的交叉點座標 (用於畫紅色 X，CompareTab 比較分頁也以此標記各階段的交叉)
  * @param {Array} solutionLinks - 解決方案中的連線陣列
  * @returns {Array<Array<number>>} 交叉點座標陣列
  */
-function findIllegalIntersections(solutionLinks) {
+export function findIllegalIntersections(solutionLinks) {
   const segments = [];
   for (const link of solutionLinks) {
     const pts = link.points;
@@ -405,6 +556,7 @@ function decomposeToLinks(strokes, keyNodes) {
           start_props: startProps,
           end_props: endProps,
           route_name: routeName,
+          transit_mode: getSegmentMode(stroke),
           original_props: originalProps,
           stations: intermediateStations, // 暫存中間站點資料
         };
@@ -421,9 +573,17 @@ function decomposeToLinks(strokes, keyNodes) {
  * @param {Array<number>} pStart - 起點座標
  * @param {Array<number>} pEnd - 終點座標
  * @param {number} numSamples - 樣本數量
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
+ * @param {boolean} [octilinear=false] - 八方向模式：另外加入含 45° 斜線的候選路徑
  * @returns {Array<Array<Array<number>>>} 候選路徑陣列
  */
-function generateZPathCandidates(pStart, pEnd, numSamples = 10) {
+function generateZPathCandidates(
+  pStart,
+  pEnd,
+  numSamples = 10,
+  random = Math.random,
+  octilinear = false
+) {
   const startPt = [pStart[0], pStart[1]];
   const endPt = [pEnd[0], pEnd[1]];
   const [x1, y1] = startPt;
@@ -431,6 +591,10 @@ function generateZPathCandidates(pStart, pEnd, numSamples = 10) {
   if (Math.abs(x1 - x2) < 1e-6 || Math.abs(y1 - y2) < 1e-6) {
     return [[startPt, endPt]];
   }
+  // 八方向模式下，本身已是 45° 斜線的路段直接保留
+  if (octilinear && isDiagonalSegment(startPt, endPt)) {
+    return [[startPt, endPt]];
+  }
 
   const candidates = [];
   candidates.push([startPt, [x2, y1], endPt]); // L型 1
@@ -438,21 +602,28 @@ function generateZPathCandidates(pStart, pEnd, numSamples = 10) {
 
   // 隨機 Z 型 (水平優先)
   for (let i = 0; i < numSamples; i++) {
-    const r = Math.random() * 0.8 + 0.1; // 0.1 到 0.9
+    const r = random() * 0.8 + 0.1; // 0.1 到 0.9
     const midX = x1 + (x2 - x1) * r;
     candidates.push([startPt, [midX, y1], [midX, y2], endPt]);
   }
 
   // 隨機 Z 型 (垂直優先)
   for (let i = 0; i < numSamples; i++) {
-    const r = Math.random() * 0.8 + 0.1; // 0.1 到 0.9
+    const r = random() * 0.8 + 0.1; // 0.1 到 0.9
     const midY = y1 + (y2 - y1) * r;
     candidates.push([startPt, [x1, midY], [x2, midY], endPt]);
   }
 
+  // 八方向：斜線 + 直線的組合
+  if (octilinear) {
+    for (const [points] of generateOctilinearCandidates(startPt, endPt, numSamples, random)) {
+      candidates.push(points);
+    }
+  }
+
   // 隨機打亂
   for (let i = candidates.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
   }
 
@@ -528,14 +699,276 @@ function mergeStationsIntoPath(corners, stations, startProps, endProps) {
 }
 
 /**
- * 互動式求解器
+ * 鎖定範圍內的路段只保留符合鎖定的候選路徑 (沒有任何符合的路徑時保留全部，由報告列出未滿足的鎖定)
+ * @param {Array<Array<Array<number>>>} candidates - 候選路徑陣列
+ * @param {Object} link - 連線物件 (link.lock 為鎖定類型)
+ * @param {boolean} octilinear - 八方向模式
+ * @returns {Array<Array<Array<number>>>} 候選路徑陣列
+ */
+function filterLockedCandidates(candidates, link, octilinear) {
+  if (!link.lock) return candidates;
+  const kept = candidates.filter((path) => isLockSatisfied(path, link.lock, octilinear));
+  return kept.length > 0 ? kept : candidates;
+}
+
+/**
+ * 將固定點的車站 (已是關鍵節點) 移到指定座標，所有以該點為端點的路段一起更新
+ *
+ * 目標座標已被其他關鍵節點佔用時不移動 (由報告列為未滿足的固定點)。
+ *
+ * @param {Array} links - 連線陣列 (直接修改 start_coord / end_coord)
+ * @param {Array<Object>} pins - 固定點 [{station, x, y}]
+ * @param {Array<Array<number>>} allNodesList - 所有節點陣列 (包圍檢查用，一併更新)
+ * @returns {number} 成功套用的固定點數量
+ */
+function applyPinsToLinks(links, pins, allNodesList) {
+  let applied = 0;
+  for (const pin of pins) {
+    const endpoint = links
+      .flatMap((link) => [
+        [link.start_coord, link.start_props],
+        [link.end_coord, link.end_props],
+      ])
+      .find(([, props]) => matchesStation(props, pin.station));
+    if (!endpoint) continue;
+
+    const source = JSON.stringify(endpoint[0].slice(0, 2));
+    const target = [pin.x, pin.y];
+    if (source === JSON.stringify(target)) {
+      applied++;
+      continue;
+    }
+    const occupied = links.some((link) =>
+      [link.start_coord, link.end_coord].some(
+        (pt) => JSON.stringify(pt.slice(0, 2)) === JSON.stringify(target)
+      )
+    );
+    if (occupied) continue;
+
+    for (const link of links) {
+      if (JSON.stringify(link.start_coord.slice(0, 2)) === source) link.start_coord = [...target];
+      if (JSON.stringify(link.end_coord.slice(0, 2)) === source) link.end_coord = [...target];
+    }
+    allNodesList.forEach((pt, index) => {
+      if (JSON.stringify(pt.slice(0, 2)) === source) allNodesList[index] = [...target];
+    });
+    applied++;
+  }
+  return applied;
+}
+
+/**
+ * 將路段依序以貪婪法放置：每條路段在候選路徑中選擇不重疊、不包圍站點且交叉最少的路徑
+ * @param {Array} orderedLinks - 已排序的連線陣列 (放置順序)
+ * @param {Array<Array<number>>} allNodesList - 所有節點陣列
+ * @param {Function} random - 隨機數產生器 (回傳 [0, 1))
+ * @param {boolean} octilinear - 八方向模式
+ * @returns {Array<Array<Array<number>>>} 每條路段選出的轉折點路徑 (與 orderedLinks 對應)
+ */
+function placeLinksGreedy(orderedLinks, allNodesList, random, octilinear) {
+  const paths = [];
+  const placedSegmentsGeom = []; // 碰撞偵測用的純幾何線段
+
+  for (const link of orderedLinks) {
+    const [pStart, pEnd] = [link.start_coord, link.end_coord];
+    // 增量模式的固定路段只有前次的路徑可選
+    const candidates = link.fixed_path
+      ? [link.fixed_path]
+      : filterLockedCandidates(
+          generateZPathCandidates(pStart, pEnd, 15, random, octilinear),
+          link,
+          octilinear
+        );
+
+    // 1. 選擇最佳 Z 路徑 (幾何層面)
+    let bestPath = null;
+    let minLocalCollisions = Infinity;
+
+    // 篩選合法路徑
+    const validCandidates = [];
+    for (const path of candidates) {
+      if (checkSegmentOverlap(path, placedSegmentsGeom)) continue;
+      if (checkEnclosureViolation(pStart, pEnd, path, allNodesList)) continue;
+      validCandidates.push(path);
+    }
+    const finalCandidates = validCandidates.length > 0 ? validCandidates : candidates;
+
+    // 在合法路徑中選碰撞最少的 (straightest 的運具在碰撞相同時選轉折較少的)
+    const straightest = getTransitMode(link.transit_mode).straightest;
+    for (const path of finalCandidates) {
+      const collisions = countCollisionsFast(path, placedSegmentsGeom);
+      if (
+        collisions < minLocalCollisions ||
+        (straightest && collisions === minLocalCollisions && path.length < bestPath.length)
+      ) {
+        minLocalCollisions = collisions;
+        bestPath = path;
+      }
+      if (collisions === 0 && (!straightest || path.length === 2)) break;
+    }
+
+    if (bestPath === null) {
+      bestPath = [pStart, pEnd];
+    }
+    paths.push(bestPath);
+
+    // 更新碰撞偵測用的幾何
+    for (let i = 0; i < bestPath.length - 1; i++) {
+      placedSegmentsGeom.push([bestPath[i], bestPath[i + 1]]);
+    }
+  }
+  return paths;
+}
+
+/**
+ * 依各路段選出的路徑構建輸出資料
+ * @param {Array} orderedLinks - 連線陣列
+ * @param {Array<Array<Array<number>>>} paths - 對應的轉折點路徑
+ * @returns {Array} 輸出路段陣列
+ */
+function buildSolution(orderedLinks, paths) {
+  return orderedLinks.map((link, index) => {
+    // [關鍵] 將中間站點注入到最佳幾何路徑中 (增量模式的固定路段直接沿用前次的點與站位)
+    const [finalPoints, finalNodes] = link.fixed_output
+      ? [link.fixed_output.points, link.fixed_output.nodes]
+      : mergeStationsIntoPath(paths[index], link.stations, link.start_props, link.end_props);
+
+    // 構建輸出物件
+    const outputItem = JSON.parse(JSON.stringify(link.original_props));
+    outputItem.points = finalPoints;
+    outputItem.nodes = finalNodes;
+    // 更新長度
+    outputItem.length = finalPoints.length;
+    if (outputItem.segment_counts) {
+      outputItem.segment_counts = [finalPoints.length];
+    }
+    return outputItem;
+  });
+}
+
+/**
+ * 增量模式：固定路段排在最前面先放置，其餘路段放置時會避開它們 (沒有固定路段時順序不變)
+ * @param {Array} links - 連線陣列
+ * @returns {Array} 重新排列的連線陣列
+ */
+function placeFixedLinksFirst(links) {
+  return [...links.filter((link) => link.fixed_path), ...links.filter((link) => !link.fixed_path)];
+}
+
+/**
+ * 放置順序：固定路段最先，其餘依運具的優先順序 (鐵路最先) 穩定排序 (只有單一運具時順序不變)
+ * @param {Array} links - 連線陣列
+ * @returns {Array} 重新排列的連線陣列
+ */
+function orderLinksForPlacement(links) {
+  return placeFixedLinksFirst(
+    links
+      .map((link, index) => ({ link, index, priority: getModePriority(link.transit_mode) }))
+      .sort((a, b) => a.priority - b.priority || a.index - b.index)
+      .map((item) => item.link)
+  );
+}
+
+/**
+ * 路段的成本項目 (轉折數乘上運具的 bendWeight，鐵路的轉折代價較高)
+ * @param {Array<Array<number>>} path - 轉折點路徑
+ * @param {Object} link - 連線
+ * @returns {Object} 成本項目
+ */
+function getLinkCostTerms(path, link) {
+  const terms = getPathCostTerms(path, link.stations);
+  terms.bends *= getTransitMode(link.transit_mode).bendWeight;
+  return terms;
+}
+
+/**
+ * 將路徑拆成線段
+ * @param {Array<Array<number>>} path - 轉折點路徑
+ * @returns {Array} 線段陣列 [[p1, p2], ...]
+ */
+function toSegments(path) {
+  const segments = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    segments.push([path[i], path[i + 1]]);
+  }
+  return segments;
+}
+
+/**
+ * 計算整個版面的成本 (交叉以不同路段之間的線段交叉數計算)
+ * @param {Array} orderedLinks - 連線陣列
+ * @param {Array<Array<Array<number>>>} paths - 對應的轉折點路徑
+ * @param {Object} weights - 成本權重
+ * @returns {Object} {terms, cost}
+ */
+function evaluateLayoutCost(orderedLinks, paths, weights) {
+  const terms = createEmptyCostTerms();
+  const linkSegments = paths.map(toSegments);
+  for (let i = 0; i < paths.length; i++) {
+    addCostTerms(terms, getLinkCostTerms(paths[i], orderedLinks[i]));
+    for (let j = i + 1; j < paths.length; j++) {
+      for (const [p1, p2] of linkSegments[i]) {
+        for (const [p3, p4] of linkSegments[j]) {
+          if (segmentsIntersectBoolean(p1, p2, p3, p4)) terms.crossings++;
+        }
+      }
+    }
+  }
+  return { terms, cost: combineCostTerms(terms, weights) };
+}
+
+/**
+ * 整理成本項目供報告使用 (保留 3 位小數)
+ * @param {Object} terms - 成本項目
+ * @returns {Object} 成本項目
+ */
+function roundCostTerms(terms) {
+  return Object.fromEntries(
+    Object.entries(terms).map(([key, value]) => [key, parseFloat(value.toFixed(3))])
+  );
+}
+
+/**
+ * 建立成本歷程記錄器：只保留約 COST_HISTORY_POINTS 個取樣點
+ * @param {number} total - 總迭代次數
+ * @returns {Object} {history, shouldRecord(iteration), record(iteration, cost, best)}
+ */
+function createCostHistory(total) {
+  const interval = Math.max(1, Math.ceil(total / COST_HISTORY_POINTS));
+  const history = [];
+  return {
+    history,
+    shouldRecord: (iteration) => iteration % interval === 0 || iteration === total,
+    record(iteration, cost, best) {
+      history.push({
+        iteration,
+        cost: parseFloat(cost.toFixed(3)),
+        best: parseFloat(best.toFixed(3)),
+      });
+    },
+  };
+}
+
+/**
+ * 互動式求解器 (隨機重啟)：多次以隨機順序貪婪放置，保留交叉點最少的版面
  * @param {Array} links - 連線陣列
  * @param {Set} allNodes - 所有節點集合
  * @param {number} maxAttempts - 最大嘗試次數
  * @param {Function} liveCallback - 即時回調函數
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
+ * @param {boolean} [octilinear=false] - 八方向模式
+ * @param {Object} [weights=DEFAULT_COST_WEIGHTS] - 成本權重 (只用於記錄成本歷程，方便與模擬退火比較)
  * @returns {Object} 求解結果
  */
-function solveLayoutLive(links, allNodes, maxAttempts = 500, liveCallback = null) {
+function solveLayoutLive(
+  links,
+  allNodes,
+  maxAttempts = 500,
+  liveCallback = null,
+  random = Math.random,
+  octilinear = false,
+  weights = DEFAULT_COST_WEIGHTS
+) {
   const startTime = Date.now();
   let globalBestSolution = null;
   let globalMinRealIntersections = Infinity;
@@ -543,76 +976,25 @@ function solveLayoutLive(links, allNodes, maxAttempts = 500, liveCallback = null
   const allNodesList = Array.isArray(allNodes) ? allNodes : Array.from(allNodes);
   let bestRedCoords = [];
   let finalAttemptCount = 0;
+  let bestCost = null;
+  let initialCost = null;
+  const costHistory = createCostHistory(maxAttempts);
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     finalAttemptCount = attempt;
 
-    // 隨機打亂 links
-    const shuffledLinks = [...links];
+    // 隨機打亂 links (固定路段仍排在最前面，其餘依運具的優先順序)
+    let shuffledLinks = [...links];
     for (let i = shuffledLinks.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [shuffledLinks[i], shuffledLinks[j]] = [shuffledLinks[j], shuffledLinks[i]];
     }
+    shuffledLinks = orderLinksForPlacement(shuffledLinks);
 
-    const currentSolution = [];
-    const placedSegmentsGeom = []; // 碰撞偵測用的純幾何線段
-
-    for (const link of shuffledLinks) {
-      const [pStart, pEnd] = [link.start_coord, link.end_coord];
-      const candidates = generateZPathCandidates(pStart, pEnd, 15);
-
-      // 1. 選擇最佳 Z 路徑 (幾何層面)
-      let bestPath = null;
-      let minLocalCollisions = Infinity;
-
-      // 篩選合法路徑
-      const validCandidates = [];
-      for (const path of candidates) {
-        if (checkSegmentOverlap(path, placedSegmentsGeom)) continue;
-        if (checkEnclosureViolation(pStart, pEnd, path, allNodesList)) continue;
-        validCandidates.push(path);
-      }
-      const finalCandidates = validCandidates.length > 0 ? validCandidates : candidates;
-
-      // 在合法路徑中選碰撞最少的
-      for (const path of finalCandidates) {
-        const collisions = countCollisionsFast(path, placedSegmentsGeom);
-        if (collisions < minLocalCollisions) {
-          minLocalCollisions = collisions;
-          bestPath = path;
-        }
-        if (collisions === 0) break;
-      }
-
-      if (bestPath === null) {
-        bestPath = [pStart, pEnd];
-      }
-
-      // 2. [關鍵] 將中間站點注入到最佳幾何路徑中
-      const [finalPoints, finalNodes] = mergeStationsIntoPath(
-        bestPath,
-        link.stations,
-        link.start_props,
-        link.end_props
-      );
-
-      // 3. 構建輸出物件
-      const outputItem = JSON.parse(JSON.stringify(link.original_props));
-      outputItem.points = finalPoints;
-      outputItem.nodes = finalNodes;
-      // 更新長度
-      outputItem.length = finalPoints.length;
-      if (outputItem.segment_counts) {
-        outputItem.segment_counts = [finalPoints.length];
-      }
-
-      currentSolution.push(outputItem);
-
-      // 更新碰撞偵測用的幾何
-      for (let i = 0; i < bestPath.length - 1; i++) {
-        placedSegmentsGeom.push([bestPath[i], bestPath[i + 1]]);
-      }
-    }
+    const paths = placeLinksGreedy(shuffledLinks, allNodesList, random, octilinear);
+    const currentSolution = buildSolution(shuffledLinks, paths);
+    const currentCost = evaluateLayoutCost(shuffledLinks, paths, weights);
+    if (attempt === 1) initialCost = currentCost;
 
     // 計算真實錯誤 (交叉點)
     const realIntersections = findIllegalIntersections(currentSolution);
@@ -624,6 +1006,12 @@ function solveLayoutLive(links, allNodes, maxAttempts = 500, liveCallback = null
       globalBestSolution = JSON.parse(JSON.stringify(currentSolution));
       bestRedCoords = realIntersections;
       bestAttemptNum = attempt;
+      bestCost = currentCost;
+    }
+
+    const isLastAttempt = attempt === maxAttempts || globalMinRealIntersections === 0;
+    if (costHistory.shouldRecord(attempt) || isLastAttempt) {
+      costHistory.record(attempt, currentCost.cost, bestCost.cost);
     }
 
     if (liveCallback) {
@@ -635,7 +1023,8 @@ function solveLayoutLive(links, allNodes, maxAttempts = 500, liveCallback = null
         elapsed,
         isNewBest,
         globalBestSolution,
-        bestRedCoords
+        bestRedCoords,
+        { current: currentCost.cost, best: bestCost.cost }
       );
     }
 
@@ -652,74 +1041,219 @@ function solveLayoutLive(links, allNodes, maxAttempts = 500, liveCallback = null
     duration,
     finalAttemptCount,
     bestRedCoords,
+    initialCost: initialCost?.cost ?? 0,
+    finalCost: bestCost?.cost ?? 0,
+    costTerms: bestCost?.terms ?? createEmptyCostTerms(),
+    costHistory: costHistory.history,
   };
 }
 
-// ==========================================
-// 5. 視覺化 (顯示黑點與紅色X)
-// ==========================================
 /**
- * 繪製兩個階段的對照圖
- * @param {Array} beforeData - 處理前的資料
- * @param {Array} step2Sol - Step 2 解決方案
- * @param {Array} step2Reds - Step 2 紅色錯誤點
- * @param {number} step2Time - Step 2 執行時間
- * @param {string} statusText - 狀態文字
+ * 模擬退火求解器 (Simulated Annealing)
+ *
+ * 以一次隨機順序的貪婪放置作為初始版面，之後每次隨機挑一條路段改用另一條候選路徑：
+ * 成本下降一定接受，上升則以 exp(-Δ / T) 的機率接受，溫度 T 由高到低指數遞減，
+ * 最後回傳過程中成本最低的版面。重疊視為硬限制，不接受會增加重疊的移動。
+ *
+ * @param {Array} links - 連線陣列
+ * @param {Set} allNodes - 所有節點集合
+ * @param {number} iterations - 迭代次數
+ * @param {Object} weights - 成本權重
+ * @param {Function} [liveCallback=null] - 即時回調函數 (參數同 solveLayoutLive 的 liveCallback)
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
+ * @param {boolean} [octilinear=false] - 八方向模式
+ * @returns {Object} 求解結果 (格式同 solveLayoutLive)
  */
-// eslint-disable-next-line no-unused-vars
-function plotTwoStages(beforeData, step2Sol, step2Reds, step2Time, statusText = '') {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] ${statusText}`);
-}
+function solveLayoutAnnealing(
+  links,
+  allNodes,
+  iterations,
+  weights,
+  liveCallback = null,
+  random = Math.random,
+  octilinear = false
+) {
+  const startTime = Date.now();
+  const allNodesList = Array.isArray(allNodes) ? allNodes : Array.from(allNodes);
 
-/**
- * 產生互動式 Plotly HTML
- * @param {Array} solution - 解決方案
- * @param {string} outputHtml - 輸出 HTML 路徑
- */
-// eslint-disable-next-line no-unused-vars
-function createPlotlyFinal(solution, outputHtml) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] Plotly Final Result`);
+  // 1. 初始版面：與隨機重啟的單次嘗試相同
+  let orderedLinks = [...links];
+  for (let i = orderedLinks.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [orderedLinks[i], orderedLinks[j]] = [orderedLinks[j], orderedLinks[i]];
+  }
+  orderedLinks = orderLinksForPlacement(orderedLinks);
+  const paths = placeLinksGreedy(orderedLinks, allNodesList, random, octilinear);
+
+  // 2. 每條路段的候選路徑 (排除會包圍其他站點的路徑)；只有一種走法的路段 (含固定路段) 不參與移動
+  const candidates = orderedLinks.map((link, index) => {
+    if (link.fixed_path) return [paths[index]];
+    const all = filterLockedCandidates(
+      generateZPathCandidates(link.start_coord, link.end_coord, 15, random, octilinear),
+      link,
+      octilinear
+    );
+    const valid = all.filter(
+      (path) => !checkEnclosureViolation(link.start_coord, link.end_coord, path, allNodesList)
+    );
+    return [paths[index], ...(valid.length > 0 ? valid : all)];
+  });
+  const movable = [];
+  candidates.forEach((list, index) => {
+    if (list.length > 1) movable.push(index);
+  });
+
+  // 3. 目前狀態 (各路段的線段與成本項目)
+  const linkSegments = paths.map(toSegments);
+  const linkTerms = paths.map((path, index) => getLinkCostTerms(path, orderedLinks[index]));
+  const countAgainstOthers = (index, segments, test) => {
+    let count = 0;
+    for (let j = 0; j < linkSegments.length; j++) {
+      if (j === index) continue;
+      for (const [p1, p2] of segments) {
+        for (const [p3, p4] of linkSegments[j]) {
+          if (test(p1, p2, p3, p4)) count++;
+        }
+      }
+    }
+    return count;
+  };
+  const countCrossings = (index, segments) =>
+    countAgainstOthers(index, segments, segmentsIntersectBoolean);
+  const countOverlaps = (index, segments) =>
+    countAgainstOthers(index, segments, (p1, p2, p3, p4) => isCollinearOverlap([p1, p2], [p3, p4]));
+
+  const { terms } = evaluateLayoutCost(orderedLinks, paths, weights);
+  let currentCost = combineCostTerms(terms, weights);
+  const initialCost = currentCost;
+  let best = { cost: currentCost, terms: { ...terms }, paths: [...paths], iteration: 0 };
+  const costHistory = createCostHistory(iterations);
+  costHistory.record(0, currentCost, currentCost);
+
+  // 溫度：交叉權重的一半起算 (初期偶爾接受多一個交叉)，指數遞減到千分之一
+  const startTemperature = 0.5 * Math.max(...Object.values(weights), 1e-6);
+  const endTemperature = startTemperature * ANNEALING_END_TEMPERATURE_RATIO;
+
+  let finalIteration = 0;
+  for (let iteration = 1; iteration <= iterations && movable.length > 0; iteration++) {
+    finalIteration = iteration;
+    const progress = iterations > 1 ? (iteration - 1) / (iterations - 1) : 1;
+    const temperature = startTemperature * (endTemperature / startTemperature) ** progress;
+
+    const index = movable[Math.floor(random() * movable.length)];
+    const options = candidates[index];
+    const nextPath = options[Math.floor(random() * options.length)];
+    let isNewBest = false;
+
+    if (nextPath !== paths[index]) {
+      const nextSegments = toSegments(nextPath);
+      // 重疊視為硬限制
+      if (countOverlaps(index, nextSegments) <= countOverlaps(index, linkSegments[index])) {
+        const crossingDelta =
+          countCrossings(index, nextSegments) - countCrossings(index, linkSegments[index]);
+        const nextTerms = getLinkCostTerms(nextPath, orderedLinks[index]);
+        const delta =
+          (weights.crossings ?? 0) * crossingDelta +
+          combineCostTerms(nextTerms, weights) -
+          combineCostTerms(linkTerms[index], weights);
+
+        if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+          addCostTerms(terms, linkTerms[index], -1);
+          addCostTerms(terms, nextTerms);
+          terms.crossings += crossingDelta;
+          paths[index] = nextPath;
+          linkSegments[index] = nextSegments;
+          linkTerms[index] = nextTerms;
+          currentCost += delta;
+
+          if (currentCost < best.cost - 1e-9) {
+            best = { cost: currentCost, terms: { ...terms }, paths: [...paths], iteration };
+            isNewBest = true;
+          }
+        }
+      }
+    }
+
+    if (costHistory.shouldRecord(iteration)) {
+      costHistory.record(iteration, currentCost, best.cost);
+      if (liveCallback) {
+        const elapsed = (Date.now() - startTime) / 1000;
+        liveCallback(
+          iteration,
+          terms.crossings,
+          best.terms.crossings,
+          elapsed,
+          isNewBest,
+          null,
+          null,
+          { current: currentCost, best: best.cost }
+        );
+      }
+    }
+  }
+
+  const solution = buildSolution(orderedLinks, best.paths);
+  const bestRedCoords = findIllegalIntersections(solution);
+  const duration = (Date.now() - startTime) / 1000;
+  return {
+    solution,
+    redsCount: bestRedCoords.length,
+    bestAttemptNum: best.iteration,
+    duration,
+    finalAttemptCount: finalIteration,
+    bestRedCoords,
+    initialCost,
+    finalCost: best.cost,
+    costTerms: best.terms,
+    costHistory: costHistory.history,
+  };
 }
 
 // ==========================================
-// 6. 主程式執行
+// 5. 主程式執行
 // ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_2_to_2_3(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_2Layer = dataStore.findLayerById('taipei_2_2');
-  const taipei2_3Layer = dataStore.findLayerById('taipei_2_3');
-
-  // ==========================================
-  // 1. 檔案路徑與全域設定
-  // ==========================================
-  // 輸入：Step 2.2 示意化後的檔案
-  const inputJsonFilename = taipei2_2Layer ? 'taipei_2_2 (in-memory)' : 'taipei_2_2';
-  // 輸出：Step 2.3 Z-Layout 後的檔案 (已直接傳給下一個圖層)
-
+/**
+ * 純函式版本：隨機 L/Z 型配置 (Z-Layout 最佳化)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.2 的示意化 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {string} [options.optimizer='annealing'] - 最佳化方法 ('annealing' | 'random')
+ * @param {number} [options.maxAttempts=500] - 最大嘗試次數 (隨機重啟)
+ * @param {number} [options.annealingIterations=3000] - 迭代次數 (模擬退火)
+ * @param {number} [options.weightCrossings] - 成本權重：交叉 (weightBends、weightLength、weightDirection、weightSpacing 同理)
+ * @param {Function} [options.liveCallback] - 即時進度回調 (參數同 solveLayoutLive 的 liveCallback)
+ * @param {number|string} [options.seed] - 隨機種子 (預設使用共用種子，相同種子可重現相同版面)
+ * @param {string} [options.layoutMode='orthogonal'] - 版面模式 ('orthogonal' | 'octilinear')
+ * @param {Object} [options.previous] - 增量模式：前次執行此步驟的結果 {data, report}，
+ *   車站序列與端點都沒變的路段沿用前次路徑，只重新配置其餘路段
+ * @param {Object} [options.constraints] - 版面限制 {pins, locks}，固定點的車站移到指定座標，
+ *   鎖定範圍內的路段只使用符合鎖定的路徑
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
+ */
+export function run_2_2_to_2_3(inputData, options = {}) {
   // [參數] 最大嘗試次數
-  const MAX_ATTEMPTS = 500;
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_2 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_3 圖層`);
-  console.log(`   - 最大嘗試次數: ${MAX_ATTEMPTS}`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_2Layer || !taipei2_2Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ [錯誤] 找不到檔案: ${inputJsonFilename}`);
-    console.error('請確認 Colab 5 / Step 2.2 是否已執行並產生檔案。');
-    throw new Error(`找不到檔案: ${inputJsonFilename}`);
+  const MAX_ATTEMPTS = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  // [參數] 最佳化方法與成本權重
+  const OPTIMIZER = options.optimizer ?? DEFAULT_OPTIMIZER;
+  const ANNEALING_ITERATIONS = options.annealingIterations ?? DEFAULT_ANNEALING_ITERATIONS;
+  const COST_WEIGHTS = getCostWeights(options);
+  if (!LAYOUT_OPTIMIZERS.some((item) => item.value === OPTIMIZER)) {
+    throw new Error(`不支援的最佳化方法: ${OPTIMIZER}`);
   }
+  // [參數] 版面模式
+  const LAYOUT_MODE = options.layoutMode ?? DEFAULT_LAYOUT_MODE;
+  const OCTILINEAR = isOctilinearMode(options);
+  // [參數] 隨機種子
+  const SEED = normalizeSeed(options.seed ?? getSharedSeed());
+  const random = createSeededRandom(SEED, '2_2_to_2_3');
+  // [參數] 版面限制
+  const CONSTRAINTS = normalizeLayoutConstraints(options.constraints);
+
+  const report = createStepReport('2_2_to_2_3');
 
   try {
     // --- [Step A] 讀取資料 ---
-    console.log('\n🚀 [Step A] 讀取直線性資料 (Straightened Data)...');
-    const dataStep2 = taipei2_2Layer.spaceNetworkGridJsonData;
-    console.log(`   -> 讀取 ${dataStep2.length} 條線段。`);
+    const dataStep2 = JSON.parse(JSON.stringify(inputData));
 
     // 建立所有點的集合
     const allPointsSet = new Set();
@@ -729,72 +1263,135 @@ export function execute_2_2_to_2_3(_jsonData) {
       }
     }
     const allNodesList = Array.from(allPointsSet).map((s) => JSON.parse(s));
+    report.mark('parse');
 
     // --- [Step B] 找出關鍵節點並分解為連線 ---
-    console.log('\n🚀 [Step B] 找出關鍵節點並分解為連線...');
     const keyNodes = getKeyNodes(dataStep2);
+    // 限制中提到的車站 (固定點、鎖定區段的兩端) 也視為關鍵節點，讓路段在這些車站切開
+    const constraintStations = getConstraintStations(CONSTRAINTS);
+    for (const s of dataStep2) {
+      (s.nodes || []).forEach((node, i) => {
+        if (constraintStations.some((station) => matchesStation(node, station))) {
+          keyNodes.add(JSON.stringify(s.points[i]));
+        }
+      });
+    }
     const baseLinks = decomposeToLinks(dataStep2, keyNodes);
-    console.log(`✅ 已載入 ${baseLinks.length} 條路段，準備進行 Z-Layout 最佳化。`);
+    report.mark('decompose');
+
+    // --- [Step B2] 版面限制：移動固定點並標記鎖定的路段 ---
+    if (hasLayoutConstraints(CONSTRAINTS)) {
+      applyPinsToLinks(baseLinks, CONSTRAINTS.pins, allNodesList);
+      const { locked } = findConstrainedSegments(
+        baseLinks.map((link) => ({
+          name: link.route_name,
+          way_properties: link.original_props.way_properties,
+          points: [link.start_coord, link.end_coord],
+          nodes: [link.start_props, link.end_props],
+        })),
+        CONSTRAINTS
+      );
+      locked.forEach((type, index) => {
+        baseLinks[index].lock = type;
+      });
+      report.mark('constraints');
+    }
 
-    // --- [Step C] 執行最佳化 ---
-    console.log(`\n🚀 [Step C] 執行 Z-Layout 最佳化 (最大嘗試次數: ${MAX_ATTEMPTS})...`);
-
-    // 即時回調函數
-    // eslint-disable-next-line no-unused-vars
-    const liveCallback = (attempt, currRed, bestRed, elapsed, isNewBest, bestSol, bestRedsCoords) => {
-      if (attempt % 50 === 0 || isNewBest) {
-        console.log(
-          `  執行中: 第 ${attempt} 次 | 錯誤紅點數: ${bestRed} | 耗時: ${elapsed.toFixed(1)} 秒`
-        );
+    // --- [Step B3] 增量模式：沿用前次結果中沒有變動的路段 ---
+    let incremental = null;
+    if (options.previous) {
+      incremental = matchPreviousLinks(
+        baseLinks.map((link) => ({
+          route: link.route_name,
+          nodes: [link.start_props, ...link.stations.map((st) => st.props), link.end_props],
+          start: link.start_coord,
+          end: link.end_coord,
+        })),
+        options.previous.data,
+        { octilinear: OCTILINEAR }
+      );
+      incremental.matches.forEach((match, index) => {
+        // 鎖定的路段一律重新配置，確保使用符合鎖定的路徑
+        if (!match || baseLinks[index].lock) return;
+        baseLinks[index].fixed_path = getPathCorners(match.points);
+        baseLinks[index].fixed_output = match;
+      });
+      if (incremental.stats.keptLinks === 0) {
+        report.warn('incremental_no_match', '前次結果沒有可沿用的路段，已完整重新配置');
       }
-    };
+      report.mark('incremental');
+    }
 
-    const result = solveLayoutLive(baseLinks, allNodesList, MAX_ATTEMPTS, liveCallback);
+    // --- [Step C] 執行最佳化 ---
+    // 外部進度回調 (例如 UI 進度條)
+    const liveCallback = options.liveCallback || null;
+
+    const result =
+      OPTIMIZER === 'annealing'
+        ? solveLayoutAnnealing(
+            baseLinks,
+            allNodesList,
+            ANNEALING_ITERATIONS,
+            COST_WEIGHTS,
+            liveCallback,
+            random,
+            OCTILINEAR
+          )
+        : solveLayoutLive(
+            baseLinks,
+            allNodesList,
+            MAX_ATTEMPTS,
+            liveCallback,
+            random,
+            OCTILINEAR,
+            COST_WEIGHTS
+          );
+    report.mark('optimize');
 
     if (result.solution) {
-      console.log(`\n✅ 布局解決完成！`);
-      console.log(`   - 總執行次數: ${result.finalAttemptCount}`);
-      console.log(`   - 最佳解發現於第 ${result.bestAttemptNum} 次 (錯誤紅點數: ${result.redsCount})`);
-      console.log(`   - 總耗時: ${result.duration.toFixed(2)} 秒`);
-
-      // --- [Step D] 儲存檔案 ---
-      console.log('\n🚀 [Step D] 儲存 Z-Layout JSON...');
-      if (!taipei2_3Layer) {
-        throw new Error('找不到 taipei_2_3 圖層');
-      }
-
-      taipei2_3Layer.spaceNetworkGridJsonData = result.solution;
-      console.log(`✅ 資料已傳給 taipei_2_3 圖層`);
-
-      // --- [Step E] 繪製對照圖 ---
-      console.log('\n🚀 [Step E] 產生對照圖 (Input vs Output)...');
-      // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-      plotTwoStages(
-        dataStep2,
-        result.solution,
-        result.bestRedCoords,
-        result.duration,
-        `Final Result: Collisions ${result.redsCount} | Found at #${result.bestAttemptNum} | Total Time ${result.duration.toFixed(1)}s`
-      );
-
-      // 自動開啟 taipei_2_3 圖層以便查看結果
-      if (!taipei2_3Layer.visible) {
-        taipei2_3Layer.visible = true;
-        dataStore.saveLayerState('taipei_2_3', { visible: true });
+      if (result.redsCount > 0) {
+        report.warn('unresolved_crossings', `最佳解仍有 ${result.redsCount} 個交叉點未解決`, {
+          count: result.redsCount,
+          coords: result.bestRedCoords,
+        });
       }
-
-      // 產生摘要並存到 dashboardData
-      const dashboardData = {
-        inputSegments: dataStep2.length,
-        outputLinks: result.solution.length,
-        maxAttempts: MAX_ATTEMPTS,
-        finalAttemptCount: result.finalAttemptCount,
-        bestAttemptNum: result.bestAttemptNum,
-        collisionsCount: result.redsCount,
-        duration: parseFloat(result.duration.toFixed(2)),
-      };
-
-      taipei2_3Layer.dashboardData = dashboardData;
+      const constraintCounts = hasLayoutConstraints(CONSTRAINTS)
+        ? reportLayoutConstraints(report, result.solution, CONSTRAINTS, { octilinear: OCTILINEAR })
+        : null;
+
+      // 產生結構化報告並存到 dashboardData
+      const dashboardData = report.finish({
+        counts: {
+          inputSegments: dataStep2.length,
+          keyNodes: keyNodes.size,
+          links: baseLinks.length,
+          outputLinks: result.solution.length,
+          collisions: result.redsCount,
+          ...(incremental && {
+            keptLinks: incremental.stats.keptLinks,
+            relayoutLinks: incremental.stats.relayoutLinks,
+          }),
+          ...constraintCounts,
+        },
+        values: {
+          optimizer: OPTIMIZER,
+          ...(OPTIMIZER === 'annealing'
+            ? { annealingIterations: ANNEALING_ITERATIONS }
+            : { maxAttempts: MAX_ATTEMPTS }),
+          seed: SEED,
+          layoutMode: LAYOUT_MODE,
+          ...(incremental && { incrementalFrameShifted: incremental.stats.frameShifted }),
+          finalAttemptCount: result.finalAttemptCount,
+          bestAttempt: result.bestAttemptNum,
+          costWeights: COST_WEIGHTS,
+          initialCost: parseFloat(result.initialCost.toFixed(3)),
+          finalCost: parseFloat(result.finalCost.toFixed(3)),
+          costTerms: roundCostTerms(result.costTerms),
+          costHistory: result.costHistory,
+        },
+      });
+
+      return { data: result.solution, report: dashboardData };
     } else {
       throw new Error('求解失敗，未產生解決方案');
     }
@@ -806,3 +1403,42 @@ export function execute_2_2_to_2_3(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 2_2 圖層，執行 run_2_2_to_2_3 後寫入 2_3 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_2_to_2_3)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_2_2_to_2_3(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_2',
+    '2_3',
+    options.project
+  );
+
+  // ==========================================
+  // 1. 檔案路徑與全域設定
+  // ==========================================
+  // 輸入：Step 2.2 示意化後的檔案
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
+  // 輸出：Step 2.3 Z-Layout 後的檔案 (已直接傳給下一個圖層)
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ [錯誤] 找不到檔案: ${inputJsonFilename}`);
+    console.error('請確認 Colab 5 / Step 2.2 是否已執行並產生檔案。');
+    throw new Error(`找不到檔案: ${inputJsonFilename}`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_2_2_to_2_3(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, { stepId: '2_2_to_2_3', params: options });
+
+  return result;
+}
@@ -6,11 +6,55 @@
 //    - 嘗試翻轉路徑 (L型 <-> Z型) 以減少重疊 (Overlaps) 和 交叉 (Collisions)。
 //    - [關鍵修正] 在變形過程中，嚴格保留「真實車站」屬性，
 //      並將其「均勻分佈」在新的幾何路徑上。
-// 3. 視覺化驗證：
+// 3. 視覺化驗證 (由 CompareTab 步驟對照分頁繪製)：
 //    - 繪圖時自動隱藏「幾何轉折點」，只顯示真正的車站 (黑點) 與轉乘點 (紅點)。
+// 4. 八方向模式 (options.layoutMode = 'octilinear')：
+//    - 翻轉候選另外加入含 45° 斜線的路徑，重疊長度支援斜線共線。
+// 5. 增量模式 (options.previous)：
+//    - 與前次結果相同的路段沿用前次翻轉後的路徑，且不再翻轉；其餘路段照常優化並避開它們。
+// 6. 版面限制 (options.constraints)：
+//    - 含固定點車站的路段不翻轉；鎖定範圍內的路段只翻轉為符合鎖定的路徑。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { isRealStation } from './helpers.js';
+import {
+  DEFAULT_LAYOUT_MODE,
+  generateOctilinearCandidates,
+  getCollinearOverlapLength,
+  isDiagonalSegment,
+  isOctilinearMode,
+} from './octilinear.js';
+import { describeLink, matchPreviousLinks } from './incrementalLayout.js';
+import {
+  findConstrainedSegments,
+  hasLayoutConstraints,
+  isLockSatisfied,
+  normalizeLayoutConstraints,
+  reportLayoutConstraints,
+} from './layoutConstraints.js';
+import { createSeededRandom, getSharedSeed, normalizeSeed } from '@/utils/seededRandom.js';
+
+// [參數] 最大迭代輪數預設值 (可由 options.maxEpochs 覆寫)
+const DEFAULT_MAX_EPOCHS = 150;
+
+/**
+ * 步驟參數定義 (ControlTab 依此產生表單，管線執行時以 options 帶入)
+ * @type {Array<Object>}
+ */
+export const schema_2_3_to_2_4 = [
+  {
+    key: 'maxEpochs',
+    label: '最大迭代輪數',
+    type: 'integer',
+    default: DEFAULT_MAX_EPOCHS,
+    min: 1,
+    max: 1000,
+    step: 10,
+    description: 'flip 優化的迭代輪數上限',
+  },
+];
 
 // ==========================================
 // 2. 核心邏輯工具
@@ -25,27 +69,6 @@ function dist(p1, p2) {
   return Math.sqrt((p1[0] - p2[0]) ** 2 + (p1[1] - p2[1]) ** 2);
 }
 
-/**
- * [關鍵修正] 嚴格判定是否為需要繪製/保留的車站。
- * 只有轉乘站(connect)或有站名(station_name)的才算。
- * 空的 {} 或 僅標記為 line 的幾何轉折點會回傳 False。
- * @param {Object} node - 節點屬性物件
- * @returns {boolean} 是否為真實車站
- */
-function isRealStation(node) {
-  if (!node) return false;
-
-  // 1. 轉乘點一定是車站
-  if (node.node_type === 'connect') return true;
-
-  // 2. 有站名的也是車站
-  if (node.station_name) return true;
-  if (node.tags?.station_name) return true;
-
-  // 3. 其他情況 (如 node_type='line' 且無站名) 視為幾何點
-  return false;
-}
-
 /**
  * 計算兩線段重疊的長度
  * @param {Array} s1 - 線段1 [[x1, y1], [x2, y2]]
@@ -90,6 +113,11 @@ function getSegmentOverlapLength(s1, s2) {
     }
   }
 
+  // 45° 斜線共線檢查 (八方向模式)
+  if (isDiagonalSegment(p1, p2) && isDiagonalSegment(p3, p4)) {
+    return getCollinearOverlapLength([p1, p2], [p3, p4]);
+  }
+
   return 0.0;
 }
 
@@ -328,13 +356,21 @@ function embedNodesIntoPath(geometryPoints, intermediateNodes, startProps, endPr
 }
 
 /**
- * 產生幾何候選路徑 (直線、L型、Z型)
+ * 產生幾何候選路徑 (直線、L型、Z型；八方向模式另含 45° 斜線)
  * @param {Array<number>} pStart - 起點座標
  * @param {Array<number>} pEnd - 終點座標
  * @param {number} numSamples - 樣本數量
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
+ * @param {boolean} [octilinear=false] - 八方向模式
  * @returns {Array} 候選路徑陣列，每個元素為 [points, type]
  */
-function generateFullResampleCandidates(pStart, pEnd, numSamples = 25) {
+function generateFullResampleCandidates(
+  pStart,
+  pEnd,
+  numSamples = 25,
+  random = Math.random,
+  octilinear = false
+) {
   const [x1, y1] = pStart.slice(0, 2);
   const [x2, y2] = pEnd.slice(0, 2);
   const candidates = [];
@@ -343,6 +379,9 @@ function generateFullResampleCandidates(pStart, pEnd, numSamples = 25) {
   if (Math.abs(x1 - x2) < 1e-6 || Math.abs(y1 - y2) < 1e-6) {
     return [[[pStart, pEnd], 'Straight']];
   }
+  if (octilinear && isDiagonalSegment(pStart, pEnd)) {
+    return [[[pStart, pEnd], 'Diagonal']];
+  }
 
   // 1. L型
   candidates.push([[pStart, [x2, y1], pEnd], 'L-Shape']);
@@ -351,13 +390,18 @@ function generateFullResampleCandidates(pStart, pEnd, numSamples = 25) {
   // 2. Z型 (隨機採樣轉折點)
   for (let i = 0; i < numSamples; i++) {
     // 水平優先
-    const mx = x1 + (x2 - x1) * (Math.random() * 0.8 + 0.1);
+    const mx = x1 + (x2 - x1) * (random() * 0.8 + 0.1);
     candidates.push([[pStart, [mx, y1], [mx, y2], pEnd], 'Z-Shape']);
     // 垂直優先
-    const my = y1 + (y2 - y1) * (Math.random() * 0.8 + 0.1);
+    const my = y1 + (y2 - y1) * (random() * 0.8 + 0.1);
     candidates.push([[pStart, [x1, my], [x2, my], pEnd], 'Z-Shape']);
   }
 
+  // 3. 八方向：斜線 + 直線的組合
+  if (octilinear) {
+    candidates.push(...generateOctilinearCandidates(pStart, pEnd, numSamples, random));
+  }
+
   return candidates;
 }
 
@@ -413,13 +457,25 @@ function calculateScoreSmart(targetPath, solution, currentIdx, allNodesList) {
  * 優化迭代生成器
  * @param {Array} initialSolution - 初始解決方案
  * @param {Set|Array} allNodes - 所有節點集合或陣列
+ * @param {number} [maxEpochs=150] - 最大迭代輪數
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
+ * @param {boolean} [octilinear=false] - 八方向模式 (候選路徑含 45° 斜線)
+ * @param {Set<number>} [fixedIndices=new Set()] - 增量模式：固定不翻轉的路段索引
+ * @param {Map<number, string>} [lockedLinks=new Map()] - 版面限制：鎖定的路段索引 → 鎖定類型
  * @returns {Generator} 優化迭代生成器
  */
-function* optimizationGenerator(initialSolution, allNodes) {
+function* optimizationGenerator(
+  initialSolution,
+  allNodes,
+  maxEpochs = DEFAULT_MAX_EPOCHS,
+  random = Math.random,
+  octilinear = false,
+  fixedIndices = new Set(),
+  lockedLinks = new Map()
+) {
   let solution = JSON.parse(JSON.stringify(initialSolution));
   const allNodesList = Array.isArray(allNodes) ? allNodes : Array.from(allNodes);
   let iterationCounter = 0;
-  const maxEpochs = 150; // 最大迭代輪數
   const tabuMap = {}; // 防止反覆震盪
 
   while (iterationCounter < maxEpochs) {
@@ -428,11 +484,12 @@ function* optimizationGenerator(initialSolution, allNodes) {
     const indices = Array.from({ length: solution.length }, (_, i) => i);
     // 隨機打亂
     for (let i = indices.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [indices[i], indices[j]] = [indices[j], indices[i]];
     }
 
     for (const originalIdx of indices) {
+      if (fixedIndices.has(originalIdx)) continue;
       if (iterationCounter < (tabuMap[originalIdx] || 0)) continue;
 
       const link = solution[originalIdx];
@@ -462,10 +519,12 @@ function* optimizationGenerator(initialSolution, allNodes) {
 
       let bestRes = null;
       let bestScore = currResult.score;
-      const candidates = generateFullResampleCandidates(pStart, pEnd);
+      const candidates = generateFullResampleCandidates(pStart, pEnd, 25, random, octilinear);
+      const lockType = lockedLinks.get(originalIdx);
 
       for (const [candGeom] of candidates) {
         if (checkEnclosureViolation(pStart, pEnd, candGeom, allNodesList)) continue;
+        if (lockType && !isLockSatisfied(candGeom, lockType, octilinear)) continue;
         const cResult = calculateScoreSmart(candGeom, solution, originalIdx, allNodesList);
 
         // 不允許讓交叉變多 (嚴格條件)
@@ -509,62 +568,68 @@ function* optimizationGenerator(initialSolution, allNodes) {
 }
 
 // ==========================================
-// 4. 視覺化 (White-list Plotting)
+// 4. 主程式執行
 // ==========================================
 /**
- * 取得路線顏色
- * @param {Object} props - 屬性物件
- * @returns {string} 顏色字串
+ * 純函式版本：flip 優化 (減少重疊與交叉)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.3 的 Z-Layout Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {number} [options.maxEpochs=150] - 最大迭代輪數
+ * @param {Function} [options.onIteration] - 每輪迭代回調 (iteration, flips, totalFlips, elapsed)
+ * @param {number|string} [options.seed] - 隨機種子 (預設使用共用種子，相同種子可重現相同版面)
+ * @param {string} [options.layoutMode='orthogonal'] - 版面模式 ('orthogonal' | 'octilinear')
+ * @param {Object} [options.previous] - 增量模式：前次執行此步驟的結果 {data, report}，
+ *   車站序列與端點都沒變的路段沿用前次路徑且不翻轉
+ * @param {Object} [options.constraints] - 版面限制 {pins, locks}，含固定點車站的路段不翻轉，
+ *   鎖定範圍內的路段只翻轉為符合鎖定的路徑
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
-// eslint-disable-next-line no-unused-vars
-function getColor(props) {
-  let p = props.way_properties?.tags || {};
-  if (!p || Object.keys(p).length === 0) p = props.properties || {};
-  if (!p || Object.keys(p).length === 0) p = props;
-  return p.colour || p.color || '#555555';
-}
-
-/**
- * 繪製最終對照圖
- * @param {Array} beforeData - 處理前的資料
- * @param {Array} afterSolution - 處理後的解決方案
- */
-// eslint-disable-next-line no-unused-vars
-function plotFinalComparison(beforeData, afterSolution) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log('[視覺化] Final Comparison: Input vs Output');
-}
-
-// ==========================================
-// 5. 主程式執行
-// ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_3_to_2_4(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_3Layer = dataStore.findLayerById('taipei_2_3');
-  const taipei2_4Layer = dataStore.findLayerById('taipei_2_4');
-
-  // ==========================================
-  // 1. 檔案路徑與全域設定
-  // ==========================================
-  // 輸入：Step 2.3 的 Z-Layout 結果
-  const inputJsonFilename = taipei2_3Layer ? 'taipei_2_3 (in-memory)' : 'taipei_2_3';
-  // 輸出：Step 2.4 最終優化結果 (已直接傳給下一個圖層)
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_3 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_4 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_3Layer || !taipei2_3Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ [錯誤] 找不到輸入檔案: ${inputJsonFilename}`);
-    console.error('請先執行 Colab 3');
-    throw new Error(`找不到輸入檔案: ${inputJsonFilename}`);
-  }
+export function run_2_3_to_2_4(inputData, options = {}) {
+  // [參數] 最大迭代輪數
+  const MAX_EPOCHS = options.maxEpochs ?? DEFAULT_MAX_EPOCHS;
+  // [參數] 版面模式
+  const LAYOUT_MODE = options.layoutMode ?? DEFAULT_LAYOUT_MODE;
+  // [參數] 隨機種子
+  const SEED = normalizeSeed(options.seed ?? getSharedSeed());
+  const random = createSeededRandom(SEED, '2_3_to_2_4');
+  // [參數] 版面限制
+  const CONSTRAINTS = normalizeLayoutConstraints(options.constraints);
+
+  const report = createStepReport('2_3_to_2_4');
 
   try {
-    const initialData = JSON.parse(JSON.stringify(taipei2_3Layer.spaceNetworkGridJsonData));
+    const initialData = JSON.parse(JSON.stringify(inputData));
+
+    // 增量模式：沿用前次結果中沒有變動的路段，並固定不翻轉
+    let incremental = null;
+    const fixedIndices = new Set();
+    if (options.previous) {
+      // 翻轉時只保留 isRealStation 的車站，比對時也只看這些車站
+      incremental = matchPreviousLinks(initialData.map(describeLink), options.previous.data, {
+        octilinear: isOctilinearMode(options),
+        isStation: isRealStation,
+      });
+      incremental.matches.forEach((match, index) => {
+        if (!match) return;
+        initialData[index].points = match.points;
+        initialData[index].nodes = match.nodes;
+        initialData[index].length = match.points.length;
+        fixedIndices.add(index);
+      });
+      if (incremental.stats.keptLinks === 0) {
+        report.warn('incremental_no_match', '前次結果沒有可沿用的路段，已完整重新優化');
+      }
+      report.mark('incremental');
+    }
+
+    // 版面限制：含固定點車站的路段固定不翻轉，鎖定的路段只接受符合鎖定的路徑
+    let lockedLinks = new Map();
+    if (hasLayoutConstraints(CONSTRAINTS)) {
+      const constrained = findConstrainedSegments(initialData, CONSTRAINTS);
+      constrained.pinned.forEach((index) => fixedIndices.add(index));
+      lockedLinks = constrained.locked;
+    }
 
     // 收集端點用於拓撲檢查 (Enclosure Check)
     const allPointsSet = new Set();
@@ -573,11 +638,15 @@ export function execute_2_3_to_2_4(_jsonData) {
       allPointsSet.add(JSON.stringify(s.points[s.points.length - 1].slice(0, 2)));
     }
 
-    console.log('🚀 開始自動優化 (迭代次數上限: 150)...');
-    console.log('   - 目標: 減少重疊與交叉');
-    console.log('   - 修正: 隱藏幾何轉折點，保留真實車站黑點');
-
-    const optimizerGen = optimizationGenerator(initialData, allPointsSet);
+    const optimizerGen = optimizationGenerator(
+      initialData,
+      allPointsSet,
+      MAX_EPOCHS,
+      random,
+      isOctilinearMode(options),
+      fixedIndices,
+      lockedLinks
+    );
     let currentBestSolution = initialData;
 
     const startTime = Date.now();
@@ -592,49 +661,50 @@ export function execute_2_3_to_2_4(_jsonData) {
         finalIteration = iteration;
         totalFlips += flips;
 
-        if (flips > 0) {
-          console.log(`  > Iteration ${iteration}: ${flips} segments optimized.`);
+        // 外部進度回調 (例如 UI 進度條)
+        if (options.onIteration) {
+          options.onIteration(iteration, flips, totalFlips, (Date.now() - startTime) / 1000);
         }
       }
 
-      const totalTime = (Date.now() - startTime) / 1000;
-
-      // 存檔
-      console.log('\n🚀 儲存最終優化結果...');
-      if (!taipei2_4Layer) {
-        throw new Error('找不到 taipei_2_4 圖層');
-      }
-
-      taipei2_4Layer.spaceNetworkGridJsonData = currentBestSolution;
-      console.log(`✅ 資料已傳給 taipei_2_4 圖層`);
+      report.mark('optimize');
 
-      console.log(`\n✅ 優化結束，結果已儲存。`);
-      console.log(`   - 總迭代次數: ${finalIteration}`);
-      console.log(`   - 總翻轉次數: ${totalFlips}`);
-      console.log(`   - 總耗時: ${totalTime.toFixed(2)} 秒`);
-
-      // 繪圖
-      console.log('\n🚀 產生對照圖 (Input vs Output)...');
-      // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-      plotFinalComparison(initialData, currentBestSolution);
-
-      // 自動開啟 taipei_2_4 圖層以便查看結果
-      if (!taipei2_4Layer.visible) {
-        taipei2_4Layer.visible = true;
-        dataStore.saveLayerState('taipei_2_4', { visible: true });
-      }
-
-      // 產生摘要並存到 dashboardData
       const finalReds = findIllegalIntersections(currentBestSolution);
-      const dashboardData = {
-        totalFlips: totalFlips,
-        totalIterations: finalIteration,
-        segmentCount: currentBestSolution.length,
-        collisionsCount: finalReds.length,
-        duration: parseFloat(totalTime.toFixed(2)),
-      };
-
-      taipei2_4Layer.dashboardData = dashboardData;
+      if (finalReds.length > 0) {
+        report.warn('unresolved_crossings', `優化後仍有 ${finalReds.length} 個交叉點未解決`, {
+          count: finalReds.length,
+          coords: finalReds,
+        });
+      }
+      const constraintCounts = hasLayoutConstraints(CONSTRAINTS)
+        ? reportLayoutConstraints(report, currentBestSolution, CONSTRAINTS, {
+            octilinear: isOctilinearMode(options),
+          })
+        : null;
+
+      // 產生結構化報告並存到 dashboardData
+      const dashboardData = report.finish({
+        counts: {
+          inputSegments: initialData.length,
+          outputSegments: currentBestSolution.length,
+          collisions: finalReds.length,
+          ...(incremental && {
+            keptLinks: incremental.stats.keptLinks,
+            relayoutLinks: incremental.stats.relayoutLinks,
+          }),
+          ...constraintCounts,
+        },
+        values: {
+          maxEpochs: MAX_EPOCHS,
+          seed: SEED,
+          layoutMode: LAYOUT_MODE,
+          ...(incremental && { incrementalFrameShifted: incremental.stats.frameShifted }),
+          totalIterations: finalIteration,
+          totalFlips: totalFlips,
+        },
+      });
+
+      return { data: currentBestSolution, report: dashboardData };
     } catch (error) {
       console.error(`❌ 錯誤: ${error.message}`);
       if (error.stack) {
@@ -650,3 +720,42 @@ export function execute_2_3_to_2_4(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 2_3 圖層，執行 run_2_3_to_2_4 後寫入 2_4 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_3_to_2_4)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_2_3_to_2_4(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_3',
+    '2_4',
+    options.project
+  );
+
+  // ==========================================
+  // 1. 檔案路徑與全域設定
+  // ==========================================
+  // 輸入：Step 2.3 的 Z-Layout 結果
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
+  // 輸出：Step 2.4 最終優化結果 (已直接傳給下一個圖層)
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ [錯誤] 找不到輸入檔案: ${inputJsonFilename}`);
+    console.error('請先執行 Colab 3');
+    throw new Error(`找不到輸入檔案: ${inputJsonFilename}`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_2_3_to_2_4(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, { stepId: '2_3_to_2_4', params: options });
+
+  return result;
+}
@@ -8,33 +8,16 @@
 //      (包含內建的台北捷運標準色碼表，作為備援)。
 // 3. 輸出格式：
 //    - 維持 Flat List (扁平列表) 結構，方便 Colab 6 (並行線處理) 讀取。
-// 4. 視覺化驗證：
+// 4. 視覺化驗證 (由 CompareTab 步驟對照分頁繪製)：
 //    - 延續 Colab 4 的嚴格標準，只繪製「真實車站」，隱藏幾何轉折點。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
 
 // ==========================================
 // 2. 核心判定工具 (嚴格過濾)
 // ==========================================
-/**
- * [嚴格判定] 是否為真實車站 (黑點/紅點)。
- * 過濾掉幾何運算產生的 node_type='line' 轉折點。
- * @param {Object} node - 節點屬性物件
- * @returns {boolean} 是否為真實車站
- */
-// eslint-disable-next-line no-unused-vars
-function isRealStation(node) {
-  if (!node) return false;
-  // 1. 轉乘點 (Connect Node)
-  if (node.node_type === 'connect') return true;
-  // 2. 有站名的點
-  if (node.station_name) return true;
-  if (node.tags?.station_name) return true;
-
-  return false;
-}
-
 /**
  * 安全地從多層次屬性中提取數值
  * @param {Object} item - 項目物件
@@ -169,102 +152,95 @@ function organizeAndFixData(segmentsData) {
 }
 
 // ==========================================
-// 4. 視覺化 (Visual Verification)
+// 4. 主程式執行
 // ==========================================
 /**
- * 繪製合併結果對照圖
- * @param {Array} originalData - 原始資料
- * @param {Array} finalData - 最終資料
+ * 純函式版本：路線串接 (依路線分組並統一顏色)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.4 的優化後 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
 // eslint-disable-next-line no-unused-vars
-function plotMergeResult(originalData, finalData) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log('[視覺化] Merge Result: Input vs Output');
+export function run_2_4_to_2_5(inputData, options = {}) {
+  const report = createStepReport('2_4_to_2_5');
+
+  try {
+    const dataStep4 = JSON.parse(JSON.stringify(inputData));
+
+    // 1. 執行整合與修復
+    const [outputFlatList, routeColorMap] = organizeAndFixData(dataStep4);
+    report.mark('organize');
+
+    // 找不到顏色的路線會使用預設灰色 (#555555)
+    const uncoloredRoutes = Object.keys(routeColorMap).filter(
+      (r) => routeColorMap[r] === '#555555'
+    );
+    if (uncoloredRoutes.length > 0) {
+      report.warn(
+        'missing_route_color',
+        `${uncoloredRoutes.length} 條路線找不到顏色，使用預設灰色`,
+        { count: uncoloredRoutes.length, routes: uncoloredRoutes }
+      );
+    }
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: dataStep4.length,
+        outputSegments: outputFlatList.length,
+        routes: Object.keys(routeColorMap).length,
+      },
+      values: {
+        routeColorMap: routeColorMap,
+      },
+    });
+
+    return { data: outputFlatList, report: dashboardData };
+  } catch (error) {
+    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    throw error;
+  }
 }
 
-// ==========================================
-// 5. 主程式執行
-// ==========================================
+/**
+ * 圖層版本：讀取專案的 2_4 圖層，執行 run_2_4_to_2_5 後寫入 2_5 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_4_to_2_5)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
 // eslint-disable-next-line no-unused-vars
-export function execute_2_4_to_2_5(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_4Layer = dataStore.findLayerById('taipei_2_4');
-  const taipei2_5Layer = dataStore.findLayerById('taipei_2_5');
+export function execute_2_4_to_2_5(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_4',
+    '2_5',
+    options.project
+  );
 
   // ==========================================
   // 1. 檔案路徑與全域設定
   // ==========================================
   // 輸入：Step 2.4 最終幾何優化後的檔案
-  const inputJsonFilename = taipei2_4Layer ? 'taipei_2_4 (in-memory)' : 'taipei_2_4';
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
   // 輸出：Step 3 整合後的檔案 (已直接傳給下一個圖層)
 
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_4 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_5 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_4Layer || !taipei2_4Layer.spaceNetworkGridJsonData) {
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
     console.error(`❌ [錯誤] 找不到輸入檔案: ${inputJsonFilename}`);
     console.error('   請確認 Colab 4 是否已執行並產生檔案。');
     throw new Error(`找不到輸入檔案: ${inputJsonFilename}`);
   }
 
-  try {
-    const dataStep4 = JSON.parse(JSON.stringify(taipei2_4Layer.spaceNetworkGridJsonData));
-
-    console.log('🚀 開始執行資料整合...');
-
-    // 1. 執行整合與修復
-    const [outputFlatList, routeColorMap] = organizeAndFixData(dataStep4);
-
-    console.log('\n' + '='.repeat(40));
-    console.log('📊 資料處理報告 (Data Report)');
-    console.log('='.repeat(40));
-    console.log(`  - 輸入片段數: ${dataStep4.length}`);
-    console.log(`  - 輸出片段數: ${outputFlatList.length} (維持 Flat List 結構)`);
-
-    console.log('\n🎨 路線顏色對照表 (Route Colors):');
-    console.log('-'.repeat(40));
-    for (const [r, c] of Object.entries(routeColorMap)) {
-      console.log(`  - ${r.padEnd(20)} : ${c}`);
-    }
-    console.log('-'.repeat(40));
-
-    // 2. 儲存檔案
-    console.log('\n🚀 儲存 JSON 檔案...');
-    if (!taipei2_5Layer) {
-      throw new Error('找不到 taipei_2_5 圖層');
-    }
-
-    taipei2_5Layer.spaceNetworkGridJsonData = outputFlatList;
-    console.log(`✅ 資料已傳給 taipei_2_5 圖層`);
-
-    // 3. 繪圖驗證
-    console.log('\n🚀 產生對照圖 (Input vs Output)...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    plotMergeResult(dataStep4, outputFlatList);
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
 
-    // 自動開啟 taipei_2_5 圖層以便查看結果
-    if (!taipei2_5Layer.visible) {
-      taipei2_5Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_5', { visible: true });
-    }
+  const result = run_2_4_to_2_5(inputLayer.spaceNetworkGridJsonData, options);
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      originalSegmentCount: dataStep4.length,
-      outputSegmentCount: outputFlatList.length,
-      routeCount: Object.keys(routeColorMap).length,
-      routeColorMap: routeColorMap,
-    };
+  writeStepOutput(outputLayer, result, { stepId: '2_4_to_2_5', params: options });
 
-    taipei2_5Layer.dashboardData = dashboardData;
-  } catch (error) {
-    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-    throw error;
-  }
+  return result;
 }
@@ -8,11 +8,15 @@
 // 3. 執行「均勻分佈 (Redistribution)」：
 //    - 收集該路段所有真實車站。
 //    - 將車站均勻重新排列在保留的直線上 (Linear Interpolation)。
-// 4. 輸出：
+// 4. 環狀路線沒有末端，不做末端裁切 (保持封閉)。
+// 5. 輸出：
 //    - 視覺上更整潔、且站點間距平均的示意地圖。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { isRealStation } from './helpers.js';
+import { findLoopRoutes, getSegmentRouteName } from './loopRoutes.js';
 
 // ==========================================
 // 2. 幾何運算工具 (Geometry Utils)
@@ -115,44 +119,6 @@ function resamplePath(points, count) {
 // ==========================================
 // 3. 屬性處理工具 (Attribute Utils)
 // ==========================================
-/**
- * 判斷是否為有效車站 (黑點/紅點)
- * @param {Object} node - 節點屬性物件
- * @returns {boolean} 是否為有效車站
- */
-function isRealStation(node) {
-  if (!node) return false;
-  if (node.node_type === 'connect') return true;
-  if (node.station_name) return true;
-  if (node.tags?.station_name) return true;
-  return false;
-}
-
-/**
- * 提取顏色 (相容多種結構)
- * @param {Object} item - 項目物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getColorRobust(item) {
-  const keys = ['color', 'colour'];
-  const searchTargets = [
-    item.way_properties?.tags || {},
-    item.properties || {},
-    item.properties?.tags || {},
-    item,
-    item.tags || {},
-  ];
-  for (const target of searchTargets) {
-    if (!target || typeof target !== 'object') continue;
-    for (const k of keys) {
-      const val = target[k];
-      if (val) return val;
-    }
-  }
-  return '#555555';
-}
-
 /**
  * 提取轉乘點編號
  * @param {Object} nodeProps - 節點屬性物件
@@ -267,20 +233,20 @@ function getStraightSegmentIndexFromEnd(points) {
 /**
  * 執行末端裁切與全路段均勻分佈
  * @param {Array} flatData - 扁平資料陣列
- * @returns {Array} 處理後的資料陣列
+ * @returns {Object} {data: 處理後的資料陣列, loopRoutes: 略過的環狀路線名稱}
  */
 function straightenDeadEnds(flatData) {
-  console.log('🚀 正在執行末端裁切與全路段均勻分佈 (Global Redistribution)...');
   const processedData = JSON.parse(JSON.stringify(flatData));
   matchNodesToEndpoints(processedData);
   const connMap = buildConnectivityMap(processedData);
-
-  let countPruned = 0;
+  // 環狀路線沒有末端，整條略過
+  const loopRoutes = findLoopRoutes(processedData);
 
   for (const seg of processedData) {
     const points = seg.points;
     const nodes = seg.nodes || [];
 
+    if (loopRoutes.has(getSegmentRouteName(seg))) continue;
     if (points.length !== nodes.length) continue;
     if (points.length <= 2) continue;
 
@@ -336,122 +302,92 @@ function straightenDeadEnds(flatData) {
       // 將屬性與新座標一一對應
       seg.points = newCoords;
       seg.nodes = validNodes; // 替換為過濾後的車站列表
-
-      countPruned++;
     }
   }
 
   cleanPointsFormat(processedData);
-  console.log(`✂️  共優化並均勻重組了 ${countPruned} 條路線。`);
-  return processedData;
+  return { data: processedData, loopRoutes: Array.from(loopRoutes) };
 }
 
 // ==========================================
-// 5. 繪圖函式 (Visualization)
+// 5. 主程式執行
 // ==========================================
 /**
- * 明確繪製節點
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} segmentsList - 線段陣列
- * @param {boolean} drawBlack - 是否繪製黑點
- * @param {boolean} drawRed - 是否繪製紅點
+ * 純函式版本：末端簡化 (拉直末端路段並重組)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.5 的路線串接 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
 // eslint-disable-next-line no-unused-vars
-function drawNodesExplicitly(ax, segmentsList, drawBlack = true, drawRed = true) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] Draw Nodes: Black=${drawBlack}, Red=${drawRed}`);
-}
+export function run_2_5_to_2_6(inputData, options = {}) {
+  const report = createStepReport('2_5_to_2_6');
 
-/**
- * 繪製地圖 Step 6
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} flatData - 扁平資料陣列
- * @param {string} title - 圖表標題
- */
-// eslint-disable-next-line no-unused-vars
-function drawMapStep6(ax, flatData, title) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] ${title}`);
+  try {
+    // 1. 讀取資料
+    const dataStep5 = JSON.parse(JSON.stringify(inputData));
+
+    // 2. 執行簡化與重組
+    const { data: finalDataList, loopRoutes } = straightenDeadEnds(dataStep5);
+    report.mark('straighten');
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: dataStep5.length,
+        outputSegments: finalDataList.length,
+        loopRoutes: loopRoutes.length,
+      },
+      values: {
+        loopRoutes,
+      },
+    });
+
+    return { data: finalDataList, report: dashboardData };
+  } catch (error) {
+    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    throw error;
+  }
 }
 
 /**
- * 繪製對照圖
- * @param {Array} originalData - 原始資料
- * @param {Array} simplifiedData - 簡化後的資料
+ * 圖層版本：讀取專案的 2_5 圖層，執行 run_2_5_to_2_6 後寫入 2_6 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_5_to_2_6)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
  */
 // eslint-disable-next-line no-unused-vars
-function plotComparison(originalData, simplifiedData) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log('[視覺化] Comparison: Before Pruning vs After');
-}
-
-// ==========================================
-// 6. 主程式執行
-// ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_5_to_2_6(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_5Layer = dataStore.findLayerById('taipei_2_5');
-  const taipei2_6Layer = dataStore.findLayerById('taipei_2_6');
+export function execute_2_5_to_2_6(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_5',
+    '2_6',
+    options.project
+  );
 
   // ==========================================
   // 1. 檔案路徑與全域設定
   // ==========================================
   // 輸入：Step 3 整合後的檔案
-  const inputJsonFilename = taipei2_5Layer ? 'taipei_2_5 (in-memory)' : 'taipei_2_5';
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
   // 輸出：Step 4 簡化後的檔案 (已直接傳給下一個圖層)
 
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_5 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_6 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_5Layer || !taipei2_5Layer.spaceNetworkGridJsonData) {
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
     console.error(`❌ 錯誤: 找不到輸入檔 ${inputJsonFilename}`);
     console.error('   請確認 Colab 5 是否已執行成功。');
     throw new Error(`找不到輸入檔 ${inputJsonFilename}`);
   }
 
-  try {
-    // 1. 讀取資料
-    const dataStep5 = JSON.parse(JSON.stringify(taipei2_5Layer.spaceNetworkGridJsonData));
-
-    // 2. 執行簡化與重組
-    const finalDataList = straightenDeadEnds(dataStep5);
-
-    // 3. 存檔
-    console.log('\n🚀 儲存 JSON 檔案...');
-    if (!taipei2_6Layer) {
-      throw new Error('找不到 taipei_2_6 圖層');
-    }
-
-    taipei2_6Layer.spaceNetworkGridJsonData = finalDataList;
-    console.log(`✅ 資料已傳給 taipei_2_6 圖層`);
-
-    // 4. 繪圖驗證
-    console.log('\n🚀 產生對照圖 (Before vs After)...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    plotComparison(dataStep5, finalDataList);
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
 
-    // 自動開啟 taipei_2_6 圖層以便查看結果
-    if (!taipei2_6Layer.visible) {
-      taipei2_6Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_6', { visible: true });
-    }
+  const result = run_2_5_to_2_6(inputLayer.spaceNetworkGridJsonData, options);
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      inputSegmentCount: dataStep5.length,
-      outputSegmentCount: finalDataList.length,
-    };
+  writeStepOutput(outputLayer, result, { stepId: '2_5_to_2_6', params: options });
 
-    taipei2_6Layer.dashboardData = dashboardData;
-  } catch (error) {
-    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-    throw error;
-  }
+  return result;
 }
@@ -5,59 +5,52 @@
 // 2. 執行「拓撲修正」消除 U 型 (ㄈ型) 結構。
 // 3. [保護機制 1]：加入「底邊長度限制」，防止長距離的線段被錯誤塌陷。
 // 4. [保護機制 2]：加入「H/V 完整性檢查」，若移動點會導致任何連線變成斜線，則禁止移動。
+//    (八方向模式下 45° 斜線也視為合法)
+// 5. 增量模式 (options.previous)：先重播前次的塌陷，與前次結果相同的路段上的點視同保護點。
+// 6. 版面限制 (options.constraints)：固定點車站與鎖定範圍內的點視同保護點。
+// 7. 環狀路線：封閉的長線從轉折點開始拆解，並檢查跨過接點的 U 型；只剩四個邊的環不再塌陷。
 // ==============================================================================
 /* eslint-disable no-console */
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { isRealStation } from './helpers.js';
+import { DEFAULT_LAYOUT_MODE, isOctilinearMode } from './octilinear.js';
+import { collectFixedPoints } from './incrementalLayout.js';
+import {
+  collectConstrainedPoints,
+  hasLayoutConstraints,
+  normalizeLayoutConstraints,
+  reportLayoutConstraints,
+} from './layoutConstraints.js';
+import { isClosedPath, startClosedPathAtTurn } from './loopRoutes.js';
 
 // ==========================================
 // 1. 檔案路徑與全域設定
 // ==========================================
-// [重要設定] 最大允許塌陷距離 (格)
-const MAX_COLLAPSE_DIST = 2.5;
-
-// ==========================================
-// 2. 核心判定工具 (Utility Functions)
-// ==========================================
-/**
- * 嚴格判斷是否為需要繪製的車站
- * @param {Object} node - 節點屬性物件
- * @returns {boolean} 是否為有效車站
- */
-function isRealStation(node) {
-  if (!node) return false;
-  if (node.node_type === 'connect') return true;
-  if (node.station_name) return true;
-  if (node.tags?.station_name) return true;
-  if (node.tags?.station_name) return true;
-  return false;
-}
+// [重要設定] 最大允許塌陷距離預設值 (格，可由 options.maxCollapseDist 覆寫)
+const DEFAULT_MAX_COLLAPSE_DIST = 2.5;
 
 /**
- * 提取顏色
- * @param {Object} item - 項目物件
- * @returns {string} 顏色字串
+ * 步驟參數定義 (ControlTab 依此產生表單，管線執行時以 options 帶入)
+ * @type {Array<Object>}
  */
-// eslint-disable-next-line no-unused-vars
-function getColorRobust(item) {
-  const keys = ['color', 'colour'];
-  const searchTargets = [
-    item.way_properties?.tags || {},
-    item.properties || {},
-    item.properties?.tags || {},
-    item,
-    item.tags || {},
-  ];
-  for (const target of searchTargets) {
-    if (!target || typeof target !== 'object') continue;
-    for (const k of keys) {
-      const val = target[k];
-      if (val) return val;
-    }
-  }
-  return '#555555';
-}
+export const schema_2_6_to_2_7 = [
+  {
+    key: 'maxCollapseDist',
+    label: '最大塌陷距離 (格)',
+    type: 'number',
+    default: DEFAULT_MAX_COLLAPSE_DIST,
+    min: 0,
+    max: 20,
+    step: 0.5,
+    description: 'ㄈ型底邊不超過此長度時才會被塌陷',
+  },
+];
 
+// ==========================================
+// 2. 核心判定工具 (Utility Functions)
+// ==========================================
 /**
  * 提取轉乘點編號
  * @param {Object} nodeProps - 節點屬性物件
@@ -196,12 +189,14 @@ function isProtected(pt, protectedSet) {
  * [保護機制]
  * 檢查若將 source_pt 移動到 target_pt：
  * 是否會導致與 source_pt 連接的「其他線段」變成斜線 (非水平且非垂直)。
+ * 八方向模式下，移動後為 45° 斜線的線段也允許。
  * @param {Array} structuredData - 結構化資料陣列
  * @param {Array<number>} sourcePt - 源點座標
  * @param {Array<number>} targetPt - 目標點座標
+ * @param {boolean} [octilinear=false] - 八方向模式
  * @returns {boolean} 是否通過檢查
  */
-function validateHvIntegrity(structuredData, sourcePt, targetPt) {
+function validateHvIntegrity(structuredData, sourcePt, targetPt, octilinear = false) {
   const epsilon = 0.1; // 容許誤差值
 
   // 遍歷所有路線的所有線段
@@ -234,12 +229,13 @@ function validateHvIntegrity(structuredData, sourcePt, targetPt) {
           const dx = Math.abs(neighbor[0] - targetPt[0]);
           const dy = Math.abs(neighbor[1] - targetPt[1]);
 
-          // 判斷是否為水平或垂直
+          // 判斷是否為水平或垂直 (八方向模式另含 45° 斜線)
           const isVertical = dx < epsilon;
           const isHorizontal = dy < epsilon;
+          const isDiagonal = octilinear && Math.abs(dx - dy) < epsilon;
 
-          // 如果移動後，既不是水平也不是垂直，則禁止移動！
-          if (!(isVertical || isHorizontal)) {
+          // 如果移動後，既不是水平也不是垂直 (也不是允許的斜線)，則禁止移動！
+          if (!(isVertical || isHorizontal || isDiagonal)) {
             return false;
           }
         }
@@ -255,6 +251,7 @@ function validateHvIntegrity(structuredData, sourcePt, targetPt) {
 // ==========================================
 /**
  * 拼接 segments 為邏輯長線，並在轉折處切斷以便分析幾何形狀
+ * 封閉的長線 (環狀路線) 從轉折點開始拆解，並在最後重複前兩段，讓跨過接點的三段也能被檢查。
  * @param {Array} segments - 線段陣列
  * @returns {Array} 拼接後的邏輯長線陣列
  */
@@ -297,6 +294,9 @@ function stitchSegmentsIntoLogicalLines(segments) {
       }
     }
 
+    const closed = isClosedPath(chain);
+    if (closed) chain = startClosedPathAtTurn(chain);
+
     // 拆解長線為直線段
     let tempPts = [chain[0]];
     const decomposedSegments = [];
@@ -318,6 +318,11 @@ function stitchSegmentsIntoLogicalLines(segments) {
     }
     tempPts.push(chain[chain.length - 1]);
     decomposedSegments.push({ points: tempPts });
+    if (closed) {
+      // 四個邊以內的環任何塌陷都會把整圈壓扁，不列入分析
+      if (decomposedSegments.length <= 4) continue;
+      decomposedSegments.push(decomposedSegments[0], decomposedSegments[1]);
+    }
     stitched.push(...decomposedSegments);
   }
 
@@ -329,9 +334,10 @@ function stitchSegmentsIntoLogicalLines(segments) {
  * @param {Object} seg1 - 線段1
  * @param {Object} seg2 - 線段2 (底)
  * @param {Object} seg3 - 線段3
+ * @param {number} maxCollapseDist - 最大允許塌陷距離 (格)
  * @returns {Array} [isU, gapLen] 是否為 U 型，底邊長度
  */
-function analyzeStrictUShape(seg1, seg2, seg3) {
+function analyzeStrictUShape(seg1, seg2, seg3, maxCollapseDist) {
   const p1S = seg1.points[0];
   const p1E = seg1.points[seg1.points.length - 1];
   const p3S = seg3.points[0];
@@ -347,7 +353,7 @@ function analyzeStrictUShape(seg1, seg2, seg3) {
       const p2S = seg2.points[0];
       const p2E = seg2.points[seg2.points.length - 1];
       const l2 = dist(p2S, p2E);
-      if (l2 <= MAX_COLLAPSE_DIST && l2 < l1 && l2 < l3) {
+      if (l2 <= maxCollapseDist && l2 < l1 && l2 < l3) {
         return [true, l2];
       }
     }
@@ -380,23 +386,86 @@ function updateGlobalPointCoords(structuredData, oldPt, newPt) {
   return count;
 }
 
+/**
+ * 增量模式：依序重播前次的塌陷 (來源點已不存在、已受保護或會產生斜線的移動略過)，
+ * 再找出與前次結果相同的路段，其上的點之後不可移動
+ * @param {Array} structuredData - 結構化資料陣列 (直接修改)
+ * @param {Object} previous - 前次結果 {data, report}，移動記錄在 report.values.moves
+ * @param {Set} protectedPoints - 保護點集合
+ * @param {boolean} octilinear - 八方向模式
+ * @returns {Object} {moves: 已重播的移動, skippedMoves, fixedPoints: 固定點集合, keptSegments, relayoutSegments}
+ */
+function replayPreviousMoves(structuredData, previous, protectedPoints, octilinear) {
+  const moves = [];
+  let skippedMoves = 0;
+  for (const { from, to } of previous.report?.values?.moves || []) {
+    const exists = structuredData.some((route) =>
+      route.segments.some((seg) => (seg.points || []).some((p) => isSamePoint(p, from)))
+    );
+    if (
+      !exists ||
+      isProtected(from, protectedPoints) ||
+      !validateHvIntegrity(structuredData, from, to, octilinear)
+    ) {
+      skippedMoves++;
+      continue;
+    }
+    updateGlobalPointCoords(structuredData, from, to);
+    moves.push({ from, to });
+  }
+
+  const { points, keptSegments, relayoutSegments } = collectFixedPoints(
+    flattenData(structuredData),
+    previous.data || []
+  );
+  const fixedPoints = new Set(
+    points.map((pt) =>
+      JSON.stringify([Math.round(pt[0] * 10000) / 10000, Math.round(pt[1] * 10000) / 10000])
+    )
+  );
+  return { moves, skippedMoves, fixedPoints, keptSegments, relayoutSegments };
+}
+
 // ==========================================
 // 6. 主自動化流程
 // ==========================================
 /**
  * 執行自動拓撲修正
  * @param {Array} flatData - 扁平資料陣列
- * @returns {Array} 處理後的扁平資料陣列
+ * @param {number} maxCollapseDist - 最大允許塌陷距離 (格)
+ * @param {boolean} [octilinear=false] - 八方向模式 (移動後允許 45° 斜線)
+ * @param {Object} [previous=null] - 增量模式：前次執行此步驟的結果 {data, report}
+ * @param {Set<string>} [constrainedPoints=null] - 版面限制：不可移動的點 (鍵值格式同保護點)
+ * @returns {Object} {data: 處理後的扁平資料陣列, fixesCount, moves: 所有塌陷 [{from, to}], blocked: 無法塌陷的 U 型, reachedMaxPasses, incremental}
  */
-function autoFixTopology(flatData) {
-  console.log('🚀 正在執行自動拓撲修正 (U-Shape Correction)...');
-
+function autoFixTopology(
+  flatData,
+  maxCollapseDist,
+  octilinear = false,
+  previous = null,
+  constrainedPoints = null
+) {
   const data = groupFlatDataByRoute(flatData);
   const protectedPoints = getProtectedPoints(data);
-  console.log(`🔒 已鎖定 ${protectedPoints.size} 個保護點 (車站/轉乘點)。`);
+  if (constrainedPoints) {
+    constrainedPoints.forEach((key) => protectedPoints.add(key));
+  }
+
+  // 所有執行過的塌陷 (記錄在報告中，下次增量模式時重播)
+  const moves = [];
+  let incremental = null;
+  let fixedPoints = new Set();
+  if (previous) {
+    incremental = replayPreviousMoves(data, previous, protectedPoints, octilinear);
+    moves.push(...incremental.moves);
+    fixedPoints = incremental.fixedPoints;
+  }
 
-  let fixesCount = 0;
+  let fixesCount = moves.length;
   const maxPasses = 10;
+  let reachedMaxPasses = false;
+  // 因保護點或 H/V 完整性而無法塌陷的 U 型 (以路線 + 底邊兩端點去重)
+  const blocked = new Map();
 
   for (let passIdx = 0; passIdx < maxPasses; passIdx++) {
     let foundFix = false;
@@ -408,23 +477,32 @@ function autoFixTopology(flatData) {
         const seg1 = ls[i];
         const seg2 = ls[i + 1];
         const seg3 = ls[i + 2];
-        const [isU, gapLen] = analyzeStrictUShape(seg1, seg2, seg3);
+        const [isU] = analyzeStrictUShape(seg1, seg2, seg3, maxCollapseDist);
 
         if (isU) {
           const p2 = seg1.points[seg1.points.length - 1];
           const p3 = seg2.points[seg2.points.length - 1];
           const p2Protected = isProtected(p2, protectedPoints);
           const p3Protected = isProtected(p3, protectedPoints);
+          // 增量模式：固定路段上的點視同保護點
+          const p2Locked = p2Protected || isProtected(p2, fixedPoints);
+          const p3Locked = p3Protected || isProtected(p3, fixedPoints);
 
           let sourcePt = null;
           let targetPt = null;
 
-          if (p2Protected && p3Protected) {
+          const blockedKey = `${route.route_name}|${p2}|${p3}`;
+          if (p2Locked && p3Locked) {
+            blocked.set(blockedKey, {
+              route: route.route_name,
+              points: [p2, p3],
+              reason: p2Protected && p3Protected ? 'protected' : 'fixed',
+            });
             continue;
-          } else if (p2Protected) {
+          } else if (p2Locked) {
             sourcePt = p3;
             targetPt = p2;
-          } else if (p3Protected) {
+          } else if (p3Locked) {
             sourcePt = p2;
             targetPt = p3;
           } else {
@@ -433,116 +511,126 @@ function autoFixTopology(flatData) {
           }
 
           // [關鍵修正]：在移動前，檢查是否會產生斜線
-          if (!validateHvIntegrity(data, sourcePt, targetPt)) {
+          if (!validateHvIntegrity(data, sourcePt, targetPt, octilinear)) {
             // print(f"   🛡️ 跳過: {route['route_name']} (移動會導致斜線)")
+            blocked.set(blockedKey, {
+              route: route.route_name,
+              points: [p2, p3],
+              reason: 'diagonal',
+            });
             continue;
           }
 
+          moves.push({ from: sourcePt.slice(0, 2), to: targetPt.slice(0, 2) });
           updateGlobalPointCoords(data, sourcePt, targetPt);
+          blocked.delete(blockedKey);
           fixesCount++;
           foundFix = true;
-          console.log(`   ✨ 修正 (Pass ${passIdx + 1}): ${route.route_name} (Gap=${gapLen.toFixed(2)})`);
           break;
         }
       }
       if (foundFix) break;
     }
     if (!foundFix) break;
+    if (passIdx === maxPasses - 1) reachedMaxPasses = true;
   }
 
-  console.log(`✅ 自動拓撲修正完成，共修正 ${fixesCount} 處 U 型結構。`);
-  return flattenData(data);
+  return {
+    data: flattenData(data),
+    fixesCount,
+    moves,
+    blocked: Array.from(blocked.values()),
+    reachedMaxPasses,
+    incremental,
+  };
 }
 
 // ==========================================
-// 7. 繪圖與存檔
+// 7. 主程式執行
 // ==========================================
 /**
- * 繪製節點 (只畫真實車站)
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} segmentsList - 線段陣列
- * @param {boolean} drawBlack - 是否繪製黑點
- * @param {boolean} drawRed - 是否繪製紅點
- */
-// eslint-disable-next-line no-unused-vars
-function drawNodesExplicitly(ax, segmentsList, drawBlack = true, drawRed = true) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] Draw Nodes: Black=${drawBlack}, Red=${drawRed}`);
-}
-
-/**
- * 繪製地圖
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} flatData - 扁平資料陣列
- * @param {string} title - 圖表標題
- */
-// eslint-disable-next-line no-unused-vars
-function drawMapStep7(ax, flatData, title) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] ${title}`);
-}
-
-/**
- * 繪製對照圖
- * @param {Array} originalData - 原始資料
- * @param {Array} correctedData - 修正後的資料
+ * 純函式版本：ㄈ 型縮減 (自動修復拓撲)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.6 的末端簡化 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {number} [options.maxCollapseDist=2.5] - 最大允許塌陷距離 (格)
+ * @param {string} [options.layoutMode='orthogonal'] - 版面模式 ('orthogonal' | 'octilinear')
+ * @param {Object} [options.previous] - 增量模式：前次執行此步驟的結果 {data, report}，
+ *   先重播前次的塌陷，與前次相同的路段不再變動
+ * @param {Object} [options.constraints] - 版面限制 {pins, locks}，固定點車站與鎖定範圍內的點不可移動
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
-// eslint-disable-next-line no-unused-vars
-function plotComparison(originalData, correctedData) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] Comparison: Input vs Output (Fixed U-Shapes < ${MAX_COLLAPSE_DIST})`);
-}
+export function run_2_6_to_2_7(inputData, options = {}) {
+  // [參數] 最大允許塌陷距離
+  const MAX_COLLAPSE_DIST = options.maxCollapseDist ?? DEFAULT_MAX_COLLAPSE_DIST;
+  // [參數] 版面模式
+  const LAYOUT_MODE = options.layoutMode ?? DEFAULT_LAYOUT_MODE;
+  // [參數] 版面限制
+  const CONSTRAINTS = normalizeLayoutConstraints(options.constraints);
 
-// ==========================================
-// 8. 主程式執行
-// ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_6_to_2_7(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_6Layer = dataStore.findLayerById('taipei_2_6');
-  const taipei2_7Layer = dataStore.findLayerById('taipei_2_7');
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_6 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_7 圖層`);
-  console.log(`   - 最大塌陷距離限制: ${MAX_COLLAPSE_DIST} 格`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_6Layer || !taipei2_6Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ 錯誤: 找不到輸入檔 taipei_2_6`);
-    throw new Error(`找不到輸入檔 taipei_2_6`);
-  }
+  const report = createStepReport('2_6_to_2_7');
 
   try {
-    const dataStep6 = JSON.parse(JSON.stringify(taipei2_6Layer.spaceNetworkGridJsonData));
-
-    const dataBefore = JSON.parse(JSON.stringify(dataStep6));
-    const finalDataList = autoFixTopology(dataStep6);
-
-    if (!taipei2_7Layer) {
-      throw new Error('找不到 taipei_2_7 圖層');
+    const dataStep6 = JSON.parse(JSON.stringify(inputData));
+    const hasConstraints = hasLayoutConstraints(CONSTRAINTS);
+
+    const {
+      data: finalDataList,
+      fixesCount,
+      moves,
+      blocked,
+      reachedMaxPasses,
+      incremental,
+    } = autoFixTopology(
+      dataStep6,
+      MAX_COLLAPSE_DIST,
+      isOctilinearMode(options),
+      options.previous || null,
+      hasConstraints ? collectConstrainedPoints(dataStep6, CONSTRAINTS) : null
+    );
+    report.mark('fixTopology');
+
+    if (blocked.length > 0) {
+      report.warn(
+        'blocked_u_shapes',
+        `${blocked.length} 處 U 型因保護點或會產生斜線而無法塌陷`,
+        { count: blocked.length, items: blocked }
+      );
     }
-
-    taipei2_7Layer.spaceNetworkGridJsonData = finalDataList;
-    console.log(`✅ 結果已傳給 taipei_2_7 圖層`);
-
-    plotComparison(dataBefore, finalDataList);
-
-    // 自動開啟 taipei_2_7 圖層以便查看結果
-    if (!taipei2_7Layer.visible) {
-      taipei2_7Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_7', { visible: true });
+    if (reachedMaxPasses) {
+      report.warn('max_passes_reached', '已達最大修正輪數，可能仍有未處理的 U 型結構');
     }
+    if (incremental && incremental.keptSegments === 0) {
+      report.warn('incremental_no_match', '前次結果沒有可沿用的路段，已完整重新縮減');
+    }
+    const constraintCounts = hasConstraints
+      ? reportLayoutConstraints(report, finalDataList, CONSTRAINTS, {
+          octilinear: isOctilinearMode(options),
+        })
+      : null;
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: dataStep6.length,
+        outputSegments: finalDataList.length,
+        fixedUShapes: fixesCount,
+        ...(incremental && {
+          replayedMoves: incremental.moves.length,
+          skippedMoves: incremental.skippedMoves,
+          keptSegments: incremental.keptSegments,
+          relayoutSegments: incremental.relayoutSegments,
+        }),
+        ...constraintCounts,
+      },
+      values: {
+        maxCollapseDist: MAX_COLLAPSE_DIST,
+        layoutMode: LAYOUT_MODE,
+        moves,
+      },
+    });
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      inputSegmentCount: dataStep6.length,
-      outputSegmentCount: finalDataList.length,
-      maxCollapseDist: MAX_COLLAPSE_DIST,
-    };
-
-    taipei2_7Layer.dashboardData = dashboardData;
+    return { data: finalDataList, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ [例外狀況] 執行錯誤：${error.message}`);
     if (error.stack) {
@@ -551,3 +639,34 @@ export function execute_2_6_to_2_7(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 2_6 圖層，執行 run_2_6_to_2_7 後寫入 2_7 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_6_to_2_7)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_2_6_to_2_7(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_6',
+    '2_7',
+    options.project
+  );
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ 錯誤: 找不到輸入檔 ${inputLayerId}`);
+    throw new Error(`找不到輸入檔 ${inputLayerId}`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_2_6_to_2_7(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, { stepId: '2_6_to_2_7', params: options });
+
+  return result;
+}
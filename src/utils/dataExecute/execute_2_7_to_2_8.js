@@ -8,54 +8,29 @@
 //    - 碰撞檢測：確保推移後不會撞到其他車站或切斷其他路線。
 // 3. 全域更新：
 //    - 若移動合法，同步更新所有共用該路段的路線 (保持轉乘點連接)。
+//    - 八方向模式下，移動不可讓 45° 斜線變成其他角度。
+//    - 增量模式 (options.previous)：先重播前次的位移，與前次結果相同的路段上的點不再移動。
+//    - 版面限制 (options.constraints)：固定點車站與鎖定範圍內的點不再移動。
+//    - 環狀路線：封閉的長路徑從轉折點開始，首尾之間的邊也會被分析。
 // 4. 輸出：
 //    - 視覺上更緊湊、留白更少的示意地圖。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { DEFAULT_LAYOUT_MODE, isOctilinearMode } from './octilinear.js';
+import { collectFixedPoints } from './incrementalLayout.js';
+import {
+  collectConstrainedPoints,
+  hasLayoutConstraints,
+  normalizeLayoutConstraints,
+  reportLayoutConstraints,
+} from './layoutConstraints.js';
+import { startClosedPathAtTurn } from './loopRoutes.js';
 
 // ==========================================
 // 2. 基礎工具 (屬性與幾何)
 // ==========================================
-/**
- * 嚴格判定是否為真實車站 (過濾幾何點)
- * @param {Object} node - 節點屬性物件
- * @returns {boolean} 是否為真實車站
- */
-// eslint-disable-next-line no-unused-vars
-function isRealStation(node) {
-  if (!node) return false;
-  if (node.node_type === 'connect') return true;
-  if (node.station_name) return true;
-  if (node.tags?.station_name) return true;
-  return false;
-}
-
-/**
- * 提取顏色
- * @param {Object} item - 項目物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getColorRobust(item) {
-  const keys = ['color', 'colour'];
-  const searchTargets = [
-    item.way_properties?.tags || {},
-    item.properties || {},
-    item.properties?.tags || {},
-    item,
-    item.tags || {},
-  ];
-  for (const target of searchTargets) {
-    if (!target || typeof target !== 'object') continue;
-    for (const k of keys) {
-      const val = target[k];
-      if (val) return val;
-    }
-  }
-  return '#555555';
-}
-
 /**
  * 提取轉乘點編號
  * @param {Object} nodeProps - 節點屬性物件
@@ -119,7 +94,7 @@ function isSamePoint(p1, p2, threshold = 1e-4) {
  * @param {number} threshold - 容差
  * @returns {boolean} 是否在線段上
  */
-function isPointOnSegment(pt, segStart, segEnd, threshold = 0.1) {
+export function isPointOnSegment(pt, segStart, segEnd, threshold = 0.1) {
   if (pt === null) return false;
   const xMin = Math.min(segStart[0], segEnd[0]);
   const xMax = Math.max(segStart[0], segEnd[0]);
@@ -200,6 +175,7 @@ function flattenData(structuredData) {
 /**
  * 將破碎的 segments 拼接為長路徑 (Logical Lines)。
  * 僅提取座標用於幾何分析，不影響原始資料屬性。
+ * 封閉的長路徑 (環狀路線) 改從轉折點開始，getCorners 的首尾即為同一個轉角，接點兩側的邊才是完整的一條。
  * @param {Array} segments - 線段陣列
  * @returns {Array<Array<Array<number>>>} 拼接後的長路徑陣列
  */
@@ -247,7 +223,7 @@ function stitchSegmentsIntoLogicalLines(segments) {
         }
       }
     }
-    stitched.push(chain);
+    stitched.push(startClosedPathAtTurn(chain));
   }
   return stitched;
 }
@@ -289,7 +265,7 @@ function getCorners(points) {
   return corners;
 }
 
-// --- 碰撞檢測函式群 ---
+// --- 碰撞檢測函式群 (手動編輯 layoutEdits.js 共用) ---
 /**
  * 檢查移動後的線段是否撞到其他站點
  * @param {Array<number>} ghostP1 - 虛擬移動起點
@@ -298,7 +274,7 @@ function getCorners(points) {
  * @param {Array<number>} anchorPt - 錨點
  * @returns {Array} [是否碰撞, 訊息]
  */
-function checkNodeCollisionStrict(ghostP1, ghostP2, allCollisionPoints, anchorPt) {
+export function checkNodeCollisionStrict(ghostP1, ghostP2, allCollisionPoints, anchorPt) {
   const collisionRadius = 0.5;
   for (const pt of allCollisionPoints) {
     if (isSamePoint(pt, anchorPt)) continue; // 忽略自己
@@ -322,7 +298,7 @@ function checkNodeCollisionStrict(ghostP1, ghostP2, allCollisionPoints, anchorPt
  * @param {Array<number>} s2End - 線段2終點
  * @returns {boolean} 是否重疊
  */
-function checkSegmentOverlap(s1Start, s1End, s2Start, s2End) {
+export function checkSegmentOverlap(s1Start, s1End, s2Start, s2End) {
   if (isPointOnSegment(s1Start, s2Start, s2End, 0.1) && isPointOnSegment(s1End, s2Start, s2End, 0.1)) return true;
   if (isPointOnSegment(s2Start, s1Start, s1End, 0.1) && isPointOnSegment(s2End, s1Start, s1End, 0.1)) return true;
   return false;
@@ -358,14 +334,16 @@ function checkAreaInterference(hP1, hP2, gP1, gP2, candidatePoints) {
 
 /**
  * 檢查移動後是否會產生歪斜線 (Diagonal)
+ * 八方向模式下 45° 斜線不算歪斜，但原本的斜線若被拉成其他角度仍會被擋下。
  * @param {Array<number>} hP1 - 原始起點
  * @param {Array<number>} hP2 - 原始終點
  * @param {number} shiftX - X 位移
  * @param {number} shiftY - Y 位移
  * @param {Array} dataList - 資料列表
+ * @param {boolean} [octilinear=false] - 八方向模式
  * @returns {boolean} 是否會產生斜線
  */
-function checkWillCreateDiagonal(hP1, hP2, shiftX, shiftY, dataList) {
+function checkWillCreateDiagonal(hP1, hP2, shiftX, shiftY, dataList, octilinear = false) {
   const threshold = 0.1;
   for (const route of dataList) {
     for (const seg of route.segments) {
@@ -387,7 +365,10 @@ function checkWillCreateDiagonal(hP1, hP2, shiftX, shiftY, dataList) {
         const dx = Math.abs(newCurrX - newNextX);
         const dy = Math.abs(newCurrY - newNextY);
         // 如果 dx 和 dy 都大於 0 (且大於閾值)，表示變成斜線了 (非90度/180度)
-        if (dx > threshold && dy > threshold) return true;
+        if (dx > threshold && dy > threshold) {
+          if (octilinear && Math.abs(dx - dy) <= threshold) continue;
+          return true;
+        }
       }
     }
   }
@@ -402,11 +383,20 @@ class MapOptimizer {
   /**
    * 初始化優化器
    * @param {Array} structuredData - 結構化資料陣列
+   * @param {boolean} [octilinear=false] - 八方向模式 (允許 45° 斜線)
+   * @param {Array<Array<number>>} [fixedPoints=[]] - 版面限制：不可移動的點
    */
-  constructor(structuredData) {
+  constructor(structuredData, octilinear = false, fixedPoints = []) {
     this.data = JSON.parse(JSON.stringify(structuredData));
+    this.octilinear = octilinear;
     this.steps = [];
     this.isCompleted = false;
+    this.totalMoves = 0;
+    this.reachedMaxIter = false;
+    // 所有執行過的位移 (記錄在報告中，下次增量模式時重播)
+    this.moves = [];
+    // 固定點 (版面限制與增量模式)：牽動這些點的位移不可執行
+    this.fixedPoints = fixedPoints;
     this.analyzeGeometry();
   }
 
@@ -462,6 +452,9 @@ class MapOptimizer {
           const vx = pEnd[0] - pStart[0];
           const vy = pEnd[1] - pStart[1];
           const ghosts = [];
+          const movesFixedPoint = this.fixedPoints.some((pt) =>
+            isPointOnSegment(pt, pStart, pEnd, 0.1)
+          );
 
           // 內部函式：評估該次移動是否安全
           const processGhost = (gStart, gEnd, anchorPt) => {
@@ -471,7 +464,9 @@ class MapOptimizer {
             let msg = null;
 
             const [hit, hitMsg] = checkNodeCollisionStrict(gStart, gEnd, allCollisionPoints, anchorPt);
-            if (hit) {
+            if (movesFixedPoint) {
+              status = 'fixed';
+            } else if (hit) {
               status = 'collision';
               msg = hitMsg;
             } else if (allSegmentsCache.some((s) => checkSegmentOverlap(gStart, gEnd, s[0], s[1]))) {
@@ -479,7 +474,9 @@ class MapOptimizer {
               msg = 'Seg Overlap';
             } else if (checkAreaInterference(pStart, pEnd, gStart, gEnd, interferenceList)) {
               status = 'interference';
-            } else if (checkWillCreateDiagonal(pStart, pEnd, shiftX, shiftY, this.data)) {
+            } else if (
+              checkWillCreateDiagonal(pStart, pEnd, shiftX, shiftY, this.data, this.octilinear)
+            ) {
               status = 'diagonal';
             }
 
@@ -523,6 +520,7 @@ class MapOptimizer {
     const [shiftX, shiftY] = bestGhost.shift;
     const p1 = stepData.p1;
     const p2 = stepData.p2;
+    this.moves.push({ p1: [p1[0], p1[1]], p2: [p2[0], p2[1]], shift: [shiftX, shiftY] });
 
     // 全域掃描更新：所有位於移動線段 (p1-p2) 上的點，都一起移動
     for (const route of this.data) {
@@ -554,12 +552,40 @@ class MapOptimizer {
     this.analyzeGeometry(); // 移動後重新分析幾何
   }
 
+  /**
+   * 增量模式：依序重播前次的位移 (目前幾何中仍有相同且安全的位移才執行)，
+   * 之後與前次結果相同的路段上的點加入固定點
+   * @param {Object} previous - 前次結果 {data, report}，位移記錄在 report.values.moves
+   * @returns {Object} {replayedMoves, skippedMoves, keptSegments, relayoutSegments}
+   */
+  replayMoves(previous) {
+    let skippedMoves = 0;
+    for (const move of previous.report?.values?.moves || []) {
+      const step = this.steps.find((s) => isSamePoint(s.p1, move.p1) && isSamePoint(s.p2, move.p2));
+      const ghost = step?.ghosts.find(
+        (g) => g.status === 'safe' && isSamePoint(g.shift, move.shift)
+      );
+      if (!ghost) {
+        skippedMoves++;
+        continue;
+      }
+      this.applyMove(step, ghost);
+    }
+
+    const { points, keptSegments, relayoutSegments } = collectFixedPoints(
+      flattenData(this.data),
+      previous.data || []
+    );
+    this.fixedPoints = [...this.fixedPoints, ...points];
+    this.analyzeGeometry();
+    return { replayedMoves: this.moves.length, skippedMoves, keptSegments, relayoutSegments };
+  }
+
   /**
    * 運行到完成
    * @returns {Array} 優化後的資料
    */
   runToCompletion() {
-    console.log('🚀 開始自動優化佈局 (Compact Layout)...');
     let iteration = 0;
     const maxIter = 100;
     let totalMoves = 0;
@@ -589,79 +615,36 @@ class MapOptimizer {
     }
 
     this.isCompleted = true;
-    console.log(`✅ 自動優化完成，共執行 ${totalMoves} 次收縮位移。`);
+    this.totalMoves = totalMoves;
+    this.reachedMaxIter = iteration >= maxIter;
     return this.data;
   }
 }
 
 // ==========================================
-// 5. 繪圖與存檔函式
+// 5. 主程式執行入口
 // ==========================================
 /**
- * 繪製節點 (只畫真實車站)
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} segmentsList - 線段陣列
- * @param {boolean} drawBlack - 是否繪製黑點
- * @param {boolean} drawRed - 是否繪製紅點
- */
-// eslint-disable-next-line no-unused-vars
-function drawNodesExplicitly(ax, segmentsList, drawBlack = true, drawRed = true) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] Draw Nodes: Black=${drawBlack}, Red=${drawRed}`);
-}
-
-/**
- * 繪製地圖 Step 8
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} flatData - 扁平資料陣列
- * @param {string} title - 圖表標題
+ * 純函式版本：L 型縮減
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.7 的 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {string} [options.layoutMode='orthogonal'] - 版面模式 ('orthogonal' | 'octilinear')
+ * @param {Object} [options.previous] - 增量模式：前次執行此步驟的結果 {data, report}，
+ *   先重播前次的位移，與前次相同的路段不再變動
+ * @param {Object} [options.constraints] - 版面限制 {pins, locks}，固定點車站與鎖定範圍內的點不可移動
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
-// eslint-disable-next-line no-unused-vars
-function drawMapStep8(ax, flatData, title) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] ${title}`);
-}
-
-/**
- * 繪製對照圖
- * @param {Array} originalData - 原始資料
- * @param {Array} optimizedData - 優化後的資料
- */
-// eslint-disable-next-line no-unused-vars
-function plotComparison(originalData, optimizedData) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log('[視覺化] Comparison: Before vs After Compact Optimization');
-}
-
-// ==========================================
-// 6. 主程式執行入口
-// ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_7_to_2_8(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_7Layer = dataStore.findLayerById('taipei_2_7');
-  const taipei2_8Layer = dataStore.findLayerById('taipei_2_8');
-
-  // ==========================================
-  // 1. 檔案路徑與全域設定
-  // ==========================================
-  // 輸入：Step 5 拓撲修正後的檔案
-  const inputJsonFilename = taipei2_7Layer ? 'taipei_2_7 (in-memory)' : 'taipei_2_7';
-  // 輸出：Step 6 緊湊化後的檔案 (已直接傳給下一個圖層)
+export function run_2_7_to_2_8(inputData, options = {}) {
+  // [參數] 版面模式
+  const LAYOUT_MODE = options.layoutMode ?? DEFAULT_LAYOUT_MODE;
+  // [參數] 版面限制
+  const CONSTRAINTS = normalizeLayoutConstraints(options.constraints);
 
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_7 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_8 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_7Layer || !taipei2_7Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ 錯誤: 找不到輸入檔 ${inputJsonFilename} (請先執行 Colab 7)`);
-    throw new Error(`找不到輸入檔 ${inputJsonFilename} (請先執行 Colab 7)`);
-  }
+  const report = createStepReport('2_7_to_2_8');
 
   try {
-    const dataInputFlat = JSON.parse(JSON.stringify(taipei2_7Layer.spaceNetworkGridJsonData));
+    const dataInputFlat = JSON.parse(JSON.stringify(inputData));
 
     // 1. 強制座標整數化 (消除浮點誤差，便於對齊)
     const sanitizeData = (flatList) => {
@@ -676,46 +659,54 @@ export function execute_2_7_to_2_8(_jsonData) {
     };
 
     const dataReadyFlat = sanitizeData(dataInputFlat);
-    const dataBeforeFlat = JSON.parse(JSON.stringify(dataReadyFlat));
+    report.mark('sanitize');
 
     // 2. 轉換結構 -> 優化 -> 還原
-    console.log('🔄 正在初始化 MapOptimizer...');
     const groupedData = groupFlatDataByRoute(dataReadyFlat);
 
-    const optimizer = new MapOptimizer(groupedData);
+    const hasConstraints = hasLayoutConstraints(CONSTRAINTS);
+    const constrainedPoints = hasConstraints
+      ? Array.from(collectConstrainedPoints(dataReadyFlat, CONSTRAINTS), (key) => JSON.parse(key))
+      : [];
+    const optimizer = new MapOptimizer(groupedData, isOctilinearMode(options), constrainedPoints);
+    const incremental = options.previous ? optimizer.replayMoves(options.previous) : null;
     const finalGroupedData = optimizer.runToCompletion();
 
     const finalFlatData = flattenData(finalGroupedData);
+    report.mark('optimize');
 
-    // 3. 存檔
-    console.log('\n🚀 儲存 JSON 檔案...');
-    if (!taipei2_8Layer) {
-      throw new Error('找不到 taipei_2_8 圖層');
+    if (!finalFlatData || finalFlatData.length === 0) {
+      throw new Error('L 型縮減後沒有任何線段，請檢查輸入資料');
     }
-
-    if (finalFlatData && finalFlatData.length > 0) {
-      taipei2_8Layer.spaceNetworkGridJsonData = finalFlatData;
-      console.log(`✅ 資料已傳給 taipei_2_8 圖層`);
+    if (optimizer.reachedMaxIter) {
+      report.warn('max_iterations_reached', '已達最大優化次數，可能仍有可縮減的 L 型結構');
     }
-
-    // 4. 繪製比較圖
-    console.log('\n🚀 產生對照圖 (Before vs After)...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    plotComparison(dataBeforeFlat, finalFlatData);
-
-    // 自動開啟 taipei_2_8 圖層以便查看結果
-    if (!taipei2_8Layer.visible) {
-      taipei2_8Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_8', { visible: true });
+    if (incremental && incremental.keptSegments === 0) {
+      report.warn('incremental_no_match', '前次結果沒有可沿用的路段，已完整重新縮減');
     }
+    const constraintCounts = hasConstraints
+      ? reportLayoutConstraints(report, finalFlatData, CONSTRAINTS, {
+          octilinear: isOctilinearMode(options),
+        })
+      : null;
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: dataInputFlat.length,
+        outputSegments: finalFlatData.length,
+        routes: groupedData.length,
+        moves: optimizer.totalMoves,
+        ...incremental,
+        ...constraintCounts,
+      },
+      values: {
+        layoutMode: LAYOUT_MODE,
+        moves: optimizer.moves,
+      },
+    });
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      inputSegmentCount: dataInputFlat.length,
-      outputSegmentCount: finalFlatData.length,
-    };
-
-    taipei2_8Layer.dashboardData = dashboardData;
+    return { data: finalFlatData, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
     if (error.stack) {
@@ -724,3 +715,41 @@ export function execute_2_7_to_2_8(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 2_7 圖層，執行 run_2_7_to_2_8 後寫入 2_8 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_7_to_2_8)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_2_7_to_2_8(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_7',
+    '2_8',
+    options.project
+  );
+
+  // ==========================================
+  // 1. 檔案路徑與全域設定
+  // ==========================================
+  // 輸入：Step 5 拓撲修正後的檔案
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
+  // 輸出：Step 6 緊湊化後的檔案 (已直接傳給下一個圖層)
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ 錯誤: 找不到輸入檔 ${inputJsonFilename} (請先執行 Colab 7)`);
+    throw new Error(`找不到輸入檔 ${inputJsonFilename} (請先執行 Colab 7)`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_2_7_to_2_8(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, { stepId: '2_7_to_2_8', params: options });
+
+  return result;
+}
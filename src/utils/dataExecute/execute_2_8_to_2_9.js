@@ -6,6 +6,7 @@
 //    - 收集所有出現過的 X 與 Y 座標。
 //    - 建立排序映射表 (Sorted Mapping)：將稀疏的浮點數座標映射為連續整數 (0, 1, 2...)。
 //    - 消除座標間的微小誤差與巨大間隙。
+//    - 八方向模式：45° 斜線跨越的間距保留原長度，使斜線維持 45°。
 // 3. 修正：
 //    - 支援 Colab 6/8 的 Flat List 結構 (解決 KeyError: 'segments')。
 //    - 加入 IPython 圖片顯示功能。
@@ -13,25 +14,13 @@
 //    - 座標為純整數的最終佈局資料。
 // ==============================================================================
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { DEFAULT_LAYOUT_MODE, createOctilinearAxisMaps, isOctilinearMode } from './octilinear.js';
 
 // ==========================================
 // 2. 基礎工具 (屬性與判定)
 // ==========================================
-/**
- * 判斷是否為真實車站
- * @param {Object} node - 節點屬性物件
- * @returns {boolean} 是否為真實車站
- */
-// eslint-disable-next-line no-unused-vars
-function isRealStation(node) {
-  if (!node) return false;
-  if (node.node_type === 'connect') return true;
-  if (node.station_name) return true;
-  if (node.tags?.station_name) return true;
-  return false;
-}
-
 /**
  * 提取轉乘點編號
  * @param {Object} nodeProps - 節點屬性物件
@@ -45,31 +34,6 @@ function getConnectId(nodeProps) {
   return nodeProps.tags?.connect_number || null;
 }
 
-/**
- * 提取顏色
- * @param {Object} item - 項目物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getColorRobust(item) {
-  const keys = ['color', 'colour'];
-  const searchTargets = [
-    item.way_properties?.tags || {},
-    item.properties || {},
-    item.properties?.tags || {},
-    item,
-    item.tags || {},
-  ];
-  for (const target of searchTargets) {
-    if (!target || typeof target !== 'object') continue;
-    for (const k of keys) {
-      const val = target[k];
-      if (val) return val;
-    }
-  }
-  return '#555555';
-}
-
 // ==========================================
 // 3. 幾何運算工具
 // ==========================================
@@ -199,17 +163,13 @@ function findNearestTwoPointsDist(pointsNp) {
 // 4. 核心邏輯：全索引整數化 (Integer Collapsing)
 // ==========================================
 /**
- * 將所有座標映射到連續整數空間 (0, 1, 2...)
- * 消除空隙，實現 Grid Normalization。
+ * 收集所有有效座標 (包含線段中間的採樣點)
  * @param {Array} flatData - 扁平資料陣列
- * @returns {Array} 整數化後的資料陣列
+ * @returns {Array<Set<number>>} [validXSet, validYSet]
  */
-function generateCollapsedDataStrict(flatData) {
-  const newData = JSON.parse(JSON.stringify(flatData));
+function collectValidCoords(flatData) {
   const validXSet = new Set();
   const validYSet = new Set();
-
-  // 1. 收集所有有效座標 (包含線段中間的採樣點)
   for (const seg of flatData) {
     const pts = seg.points;
     const origPts = seg.original_points || [];
@@ -222,6 +182,20 @@ function generateCollapsedDataStrict(flatData) {
       validYSet.add(Math.round(p[1] * 100) / 100);
     }
   }
+  return [validXSet, validYSet];
+}
+
+/**
+ * 將所有座標映射到連續整數空間 (0, 1, 2...)
+ * 消除空隙，實現 Grid Normalization。
+ * @param {Array} flatData - 扁平資料陣列
+ * @returns {Array} 整數化後的資料陣列
+ */
+function generateCollapsedDataStrict(flatData) {
+  const newData = JSON.parse(JSON.stringify(flatData));
+
+  // 1. 收集所有有效座標 (包含線段中間的採樣點)
+  const [validXSet, validYSet] = collectValidCoords(flatData);
 
   // 2. 建立映射表 (Value -> Index)
   const sortedX = Array.from(validXSet).sort((a, b) => a - b);
@@ -274,146 +248,126 @@ function generateCollapsedDataStrict(flatData) {
   return newData;
 }
 
-// ==========================================
-// 5. 繪圖與輔助函式
-// ==========================================
 /**
- * 計算繪圖邊界，確保網格對齊
+ * 八方向模式的網格正規化：與 generateCollapsedDataStrict 相同地消除空隙，
+ * 但 45° 斜線跨越的間距保留原長度 (斜線兩軸的位移仍然相等)
  * @param {Array} flatData - 扁平資料陣列
- * @param {number} gridSize - 網格大小
- * @param {number} bufferGrids - 緩衝網格數
- * @returns {Array<number>} [minX, maxX, minY, maxY]
+ * @returns {Array} 正規化後的資料陣列
  */
-// eslint-disable-next-line no-unused-vars
-function getGridAlignedBounds(flatData, gridSize, bufferGrids = 1) {
-  const allX = [];
-  const allY = [];
-  for (const seg of flatData) {
-    for (const p of seg.points) {
-      allX.push(p[0]);
-      allY.push(p[1]);
-    }
-  }
-  if (allX.length === 0) return [0, 10, 0, 10];
+function generateCollapsedDataOctilinear(flatData) {
+  const newData = JSON.parse(JSON.stringify(flatData));
+  const [validXSet, validYSet] = collectValidCoords(flatData);
+  const { mapX, mapY } = createOctilinearAxisMaps(
+    flatData.map((seg) => seg.points),
+    Array.from(validXSet),
+    Array.from(validYSet)
+  );
 
-  const minX = Math.min(...allX);
-  const maxX = Math.max(...allX);
-  const minY = Math.min(...allY);
-  const maxY = Math.max(...allY);
+  for (const seg of newData) {
+    seg.points = seg.points.map((p) => [mapX(p[0]), mapY(p[1])]);
 
-  const safeGrid = gridSize > 0.1 ? gridSize : 1.0;
+    // 同步更新頭尾屬性
+    if (seg.start_coord && seg.start_coord.length >= 2) {
+      seg.start_coord = [mapX(seg.start_coord[0]), mapY(seg.start_coord[1])];
+    }
+    if (seg.end_coord && seg.end_coord.length >= 2) {
+      seg.end_coord = [mapX(seg.end_coord[0]), mapY(seg.end_coord[1])];
+    }
+  }
 
-  const boundMinX = Math.floor(minX / safeGrid) * safeGrid - bufferGrids * safeGrid;
-  const boundMaxX = Math.ceil(maxX / safeGrid) * safeGrid + bufferGrids * safeGrid;
-  const boundMinY = Math.floor(minY / safeGrid) * safeGrid - bufferGrids * safeGrid;
-  const boundMaxY = Math.ceil(maxY / safeGrid) * safeGrid + bufferGrids * safeGrid;
-  return [boundMinX, boundMaxX, boundMinY, boundMaxY];
+  return newData;
 }
 
+// ==========================================
+// 5. 主程式執行
+// ==========================================
 /**
- * 繪製單張子圖
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} flatData - 扁平資料陣列
- * @param {string} title - 圖表標題
- * @param {number|null} gridSize - 網格大小
- * @param {boolean} isIntegerMode - 是否為整數模式
+ * 純函式版本：網格正規化 (整數化塌縮)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.8 的 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {string} [options.layoutMode='orthogonal'] - 版面模式 ('orthogonal' | 'octilinear')
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
  */
-// eslint-disable-next-line no-unused-vars
-function drawSubplot(ax, flatData, title, gridSize = null, isIntegerMode = false) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] ${title} (Grid Size: ${gridSize}, Integer Mode: ${isIntegerMode})`);
+export function run_2_8_to_2_9(inputData, options = {}) {
+  // [參數] 版面模式
+  const LAYOUT_MODE = options.layoutMode ?? DEFAULT_LAYOUT_MODE;
+
+  const report = createStepReport('2_8_to_2_9');
+
+  try {
+    const dataInput = JSON.parse(JSON.stringify(inputData));
+
+    const finalData = JSON.parse(JSON.stringify(dataInput));
+
+    // 1. 計算原始網格基準 (記錄於報告)
+    const allPointsNp = extractAllPoints(finalData);
+    const gridSizeCalculated = findNearestTwoPointsDist(allPointsNp);
+    report.mark('gridSize');
+
+    // 2. 執行整數化 (Integer Collapsing)
+    const collapsedData = isOctilinearMode(options)
+      ? generateCollapsedDataOctilinear(finalData)
+      : generateCollapsedDataStrict(finalData);
+    report.mark('collapse');
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: finalData.length,
+        outputSegments: collapsedData.length,
+        totalPoints: allPointsNp.length,
+      },
+      values: {
+        gridSize: parseFloat(gridSizeCalculated.toFixed(4)),
+        layoutMode: LAYOUT_MODE,
+      },
+    });
+
+    return { data: collapsedData, report: dashboardData };
+  } catch (error) {
+    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    throw error;
+  }
 }
 
 /**
- * 繪製三圖合一 (Input -> Grid -> Output)
- * @param {Array} dataClean - 清理後的資料
- * @param {Array} dataCollapsed - 整數化後的資料
- * @param {number} gridSize - 網格大小
- * @param {string} filename - 檔案名稱
+ * 圖層版本：讀取專案的 2_8 圖層，執行 run_2_8_to_2_9 後寫入 2_9 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_8_to_2_9)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
  */
 // eslint-disable-next-line no-unused-vars
-function saveCombinedPlot(dataClean, dataCollapsed, gridSize, filename) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] Combined Plot: Input -> Grid (${gridSize.toFixed(2)}) -> Output`);
-  console.log(`[視覺化] 圖片已儲存: ${filename}`);
-}
-
-// ==========================================
-// 6. 主程式執行
-// ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_8_to_2_9(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_8Layer = dataStore.findLayerById('taipei_2_8');
-  const taipei2_9Layer = dataStore.findLayerById('taipei_2_9');
+export function execute_2_8_to_2_9(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_8',
+    '2_9',
+    options.project
+  );
 
   // ==========================================
   // 1. 檔案路徑與全域設定
   // ==========================================
   // 輸入：Step 6 緊湊化後的檔案
-  const inputJsonFilename = taipei2_8Layer ? 'taipei_2_8 (in-memory)' : 'taipei_2_8';
+  const inputJsonFilename = inputLayer ? `${inputLayerId} (in-memory)` : inputLayerId;
   // 輸出：Step 7 正規化後的檔案 (整數座標) (已直接傳給下一個圖層)
 
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_8 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_9 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_8Layer || !taipei2_8Layer.spaceNetworkGridJsonData) {
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
     console.error(`❌ 錯誤: 找不到輸入檔 ${inputJsonFilename} (請先執行 Colab 8)`);
     throw new Error(`找不到輸入檔 ${inputJsonFilename} (請先執行 Colab 8)`);
   }
 
-  try {
-    console.log(`🚀 讀取檔案: ${inputJsonFilename}`);
-    const dataInput = JSON.parse(JSON.stringify(taipei2_8Layer.spaceNetworkGridJsonData));
-
-    const finalData = JSON.parse(JSON.stringify(dataInput));
-
-    // 1. 計算原始網格基準 (用於繪製中間的檢查圖)
-    const allPointsNp = extractAllPoints(finalData);
-    const gridSizeCalculated = findNearestTwoPointsDist(allPointsNp);
-    console.log(`📊 原始網格基準推測: ${gridSizeCalculated.toFixed(4)}`);
-
-    // 2. 執行整數化 (Integer Collapsing)
-    console.log('\n🔄 正在計算嚴格整數化佈局 (Grid Collapsing)...');
-    const collapsedData = generateCollapsedDataStrict(finalData);
-
-    // 3. 儲存結果
-    console.log('\n🚀 儲存 JSON 檔案...');
-    if (!taipei2_9Layer) {
-      throw new Error('找不到 taipei_2_9 圖層');
-    }
-
-    taipei2_9Layer.spaceNetworkGridJsonData = collapsedData;
-    console.log(`✅ 資料已傳給 taipei_2_9 圖層`);
-
-    // 4. 繪圖驗證
-    console.log('\n🚀 產生對照圖 (Input -> Grid -> Output)...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    saveCombinedPlot(finalData, collapsedData, gridSizeCalculated, 'dummy_path.png');
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
 
-    // 自動開啟 taipei_2_9 圖層以便查看結果
-    if (!taipei2_9Layer.visible) {
-      taipei2_9Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_9', { visible: true });
-    }
+  const result = run_2_8_to_2_9(inputLayer.spaceNetworkGridJsonData, options);
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      inputSegmentCount: finalData.length,
-      outputSegmentCount: collapsedData.length,
-      gridSize: parseFloat(gridSizeCalculated.toFixed(4)),
-      totalPoints: allPointsNp.length,
-    };
+  writeStepOutput(outputLayer, result, { stepId: '2_8_to_2_9', params: options });
 
-    taipei2_9Layer.dashboardData = dashboardData;
-  } catch (error) {
-    console.error(`\n❌ [例外狀況] 執行過程中發生錯誤：${error.message}`);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-    throw error;
-  }
+  return result;
 }
@@ -5,16 +5,29 @@
 // 2. 執行「順序重排 (Reordering)」：
 //    - 將同一條路線的 segments 依據幾何連通性重新排序。
 //    - 自動翻轉反向線段，確保車站順序正確。
+//    - 環狀路線依環狀順序排列 (最後一段接回第一段)，不從任意一點切開。
 // 3. 執行「向量收縮 (Vector Shrinking)」：
 //    - [關鍵保護] 偵測並鎖定所有「轉折點 (Turn Nodes)」。
 //      (修正：過濾 Segment 接縫處的重複點，確保轉折偵測正確)。
 //    - 讓非轉折點的車站向地圖中心收縮，消除空隙。
+//    - 八方向模式：與 45° 斜線相接的點也視為轉折點，壓縮座標時保留斜線跨越的間距。
+//    - 環狀路線首尾接點的轉折同樣鎖定。
+//    - 版面限制 (options.constraints)：固定點車站與鎖定範圍內的點不可移動。
 // 4. 輸出：
 //    - Before / After 對比圖 (防止重複顯示)。
 // ==============================================================================
 /* eslint-disable no-console */
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { DEFAULT_LAYOUT_MODE, createOctilinearAxisMaps, isOctilinearMode } from './octilinear.js';
+import {
+  collectConstrainedPoints,
+  hasLayoutConstraints,
+  normalizeLayoutConstraints,
+  reportLayoutConstraints,
+} from './layoutConstraints.js';
+import { isClosedPath, isLoopSegments, orderLoopSegments } from './loopRoutes.js';
 
 // ==========================================
 // 1. 檔案路徑與全域設定
@@ -376,10 +389,12 @@ function buildRouteOverlapMap(dataList) {
 /**
  * 偵測路徑中的轉折點 (Turn Nodes)。
  * 如果一個點的前後線段是垂直的 (Horizontal <-> Vertical)，則該點為轉折點。
+ * 八方向模式下，前後線段方向不同 (包含 45° 斜線) 即為轉折點。
  * @param {Array<Array<number>>} polyline - 折線點陣列
+ * @param {boolean} [octilinear=false] - 八方向模式
  * @returns {Set} 轉折點集合
  */
-function detectSharpTurns(polyline) {
+function detectSharpTurns(polyline, octilinear = false) {
   const turns = new Set();
   if (polyline.length < 3) return turns;
   for (let i = 1; i < polyline.length - 1; i++) {
@@ -393,6 +408,15 @@ function detectSharpTurns(polyline) {
     const v2x = nextP[0] - curr[0];
     const v2y = nextP[1] - curr[1];
 
+    // 八方向：方向不同 (不共線或折返) 即鎖定
+    if (octilinear) {
+      const cross = v1x * v2y - v1y * v2x;
+      if (Math.abs(cross) > 1e-6 || v1x * v2x + v1y * v2y < 0) {
+        turns.add(JSON.stringify([Math.round(curr[0]), Math.round(curr[1])]));
+      }
+      continue;
+    }
+
     // 判定水平或垂直 (容許微小誤差)
     const isV1Horiz = Math.abs(v1y) < 0.1 && Math.abs(v1x) > 0.1;
     const isV1Vert = Math.abs(v1x) < 0.1 && Math.abs(v1y) > 0.1;
@@ -412,9 +436,11 @@ function detectSharpTurns(polyline) {
 /**
  * 準備 Automator 所需的 Sequence 序列，並在此處設定「保護機制」。
  * @param {Array} dataList - 資料列表
+ * @param {boolean} [octilinear=false] - 八方向模式 (斜線轉折也鎖定)
+ * @param {Set<string>} [constrainedPoints=new Set()] - 版面限制：不可移動的點 (鍵值格式同 pointKey)
  * @returns {Array} [sequence, sortedData]
  */
-function prepareSequenceAndSortedData(dataList) {
+function prepareSequenceAndSortedData(dataList, octilinear = false, constrainedPoints = new Set()) {
   const sequence = [];
   const sortedData = JSON.parse(JSON.stringify(dataList));
   const metadataMap = {};
@@ -452,9 +478,12 @@ function prepareSequenceAndSortedData(dataList) {
     const routeName = route.route_name || `Route ${routeIdx}`;
     const routeColor = getColor(route.original_props || {});
 
-    // 排序 Segments
+    // 排序 Segments (環狀路線依環狀順序)
     const rawSegments = route.segments;
-    const sortedSegmentsList = reorderSegmentsContinuously(rawSegments);
+    const isLoop = isLoopSegments(rawSegments);
+    const sortedSegmentsList = isLoop
+      ? orderLoopSegments(rawSegments)
+      : reorderSegmentsContinuously(rawSegments);
     route.segments = sortedSegmentsList;
 
     // [關鍵修正] 重建整條 polyline 以精確偵測轉折點
@@ -478,7 +507,11 @@ function prepareSequenceAndSortedData(dataList) {
       }
     }
 
-    const turnCoords = detectSharpTurns(fullPolyline);
+    // 環狀路線：首尾各補上接點另一側的點，接點本身的轉折才會被偵測
+    if (isLoop && isClosedPath(fullPolyline)) {
+      fullPolyline = [fullPolyline[fullPolyline.length - 2], ...fullPolyline, fullPolyline[1]];
+    }
+    const turnCoords = detectSharpTurns(fullPolyline, octilinear);
 
     // 產生 Sequence
     for (let segI = 0; segI < sortedSegmentsList.length; segI++) {
@@ -535,6 +568,11 @@ function prepareSequenceAndSortedData(dataList) {
           ptObj.marker_type = 'X';
           ptObj.color_code = '#D50000';
           ptObj.is_movable = false;
+        } else if (constrainedPoints.has(coordKey)) {
+          // 版面限制的固定點與鎖定範圍內的點
+          ptObj.marker_type = 'X';
+          ptObj.color_code = '#0046E3';
+          ptObj.is_movable = false;
         } else {
           ptObj.marker_type = 'O';
           ptObj.color_code = 'black';
@@ -550,23 +588,7 @@ function prepareSequenceAndSortedData(dataList) {
 }
 
 // ==========================================
-// 5. 繪圖 (單圖版)
-// ==========================================
-/**
- * 繪製地圖樣式 3
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} dataList - 資料列表
- * @param {string} titleSuffix - 標題後綴
- * @param {Array|null} sequenceOverride - 序列覆蓋
- */
-// eslint-disable-next-line no-unused-vars
-function drawMapStyle3(ax, dataList, titleSuffix = '', sequenceOverride = null) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  console.log(`[視覺化] ${titleSuffix}`);
-}
-
-// ==========================================
-// 6. 自動化核心 (Automator)
+// 5. 自動化核心 (Automator)
 // ==========================================
 /**
  * 路線序列自動化器類別
@@ -576,10 +598,10 @@ class RouteSequenceAutomator {
    * 初始化自動化器
    * @param {Array} data - 資料列表
    * @param {Array} sequence - 序列資料
+   * @param {boolean} [octilinear=false] - 八方向模式 (壓縮座標時保留 45° 斜線)
    */
-  constructor(data, sequence) {
-    this.originalDataImmutable = JSON.parse(JSON.stringify(data));
-    this.originalSequence = JSON.parse(JSON.stringify(sequence));
+  constructor(data, sequence, octilinear = false) {
+    this.octilinear = octilinear;
     this.data = JSON.parse(JSON.stringify(data));
     this.sequence = JSON.parse(JSON.stringify(sequence));
     const [xMin, xMax, yMin, yMax] = getBounds(this.data);
@@ -587,6 +609,7 @@ class RouteSequenceAutomator {
     this.centerY = (yMin + yMax) / 2;
     this.routeGridMask = this._buildRouteGridMask();
     this.roundCount = 0;
+    this.isStable = false;
     this.calculateVectorsOnly();
   }
 
@@ -741,13 +764,14 @@ class RouteSequenceAutomator {
    * @param {number} maxRounds - 最大輪數
    */
   runUntilStable(maxRounds = 50) {
-    console.log(`🚀 開始向量收縮 (Max ${maxRounds} rounds)...`);
     for (let r = 0; r < maxRounds; r++) {
       this.roundCount++;
       const m = this.optimizeOneRound();
-      if (m === 0) break;
+      if (m === 0) {
+        this.isStable = true;
+        break;
+      }
     }
-    console.log('✅ 收縮完成。');
   }
 
   /**
@@ -775,11 +799,24 @@ class RouteSequenceAutomator {
     const sortedY = Array.from(validY).sort((a, b) => a - b);
     const mapX = {};
     const mapY = {};
-    for (let i = 0; i < sortedX.length; i++) {
-      mapX[sortedX[i]] = i;
-    }
-    for (let i = 0; i < sortedY.length; i++) {
-      mapY[sortedY[i]] = i;
+    if (this.octilinear) {
+      // 八方向：斜線跨越的間距保留原長度，其餘與正交模式相同壓縮為 1
+      const axisMaps = createOctilinearAxisMaps(
+        this.data.flatMap((route) =>
+          route.segments.map((seg) => seg.points.map((p) => [Math.round(p[0]), Math.round(p[1])]))
+        ),
+        sortedX,
+        sortedY
+      );
+      for (const x of sortedX) mapX[x] = axisMaps.mapX(x);
+      for (const y of sortedY) mapY[y] = axisMaps.mapY(y);
+    } else {
+      for (let i = 0; i < sortedX.length; i++) {
+        mapX[sortedX[i]] = i;
+      }
+      for (let i = 0; i < sortedY.length; i++) {
+        mapY[sortedY[i]] = i;
+      }
     }
 
     // 2. 轉換
@@ -831,88 +868,91 @@ class RouteSequenceAutomator {
   }
 
   /**
-   * 顯示結果
+   * 取得最終結果 (Collapsed View)，前後對照圖由 CompareTab 步驟對照分頁繪製
    * @returns {Array} 最終扁平資料
    */
-  showResults() {
-    // 1. 產生最終的 Collapsed View 數據
-    const [colSeq, colData] = this.generateCollapsedView();
-
-    // 2. 設置雙張圖表 (Before & After)
-    // 使用 subplot 1, 2 並排顯示
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    drawMapStyle3(null, this.originalDataImmutable, ' (1. Before Shrinking)', this.originalSequence);
-    drawMapStyle3(null, colData, ' (2. After Shrinking & Collapsed)', colSeq);
-
-    console.log(`✅ 對比圖已處理 (由前端 d3jsmap 組件顯示)`);
-
-    return flattenData(colData); // 回傳最終資料
+  getResults() {
+    const [, colData] = this.generateCollapsedView();
+    return flattenData(colData);
   }
 }
 
 // ==========================================
-// 7. 主程式
+// 6. 主程式
 // ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_2_9_to_2_10(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei2_9Layer = dataStore.findLayerById('taipei_2_9');
-  const taipei2_10Layer = dataStore.findLayerById('taipei_2_10');
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_2_9 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_2_10 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei2_9Layer || !taipei2_9Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ 錯誤: 找不到 ${taipei2_9Layer ? 'taipei_2_9' : 'taipei_2_9'} (請先執行 Colab 9)`);
-    throw new Error(`找不到 taipei_2_9 (請先執行 Colab 9)`);
-  }
+/**
+ * 純函式版本：站點往中心聚集 (路線順序重排)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 2.9 的網格正規化 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {string} [options.layoutMode='orthogonal'] - 版面模式 ('orthogonal' | 'octilinear')
+ * @param {Object} [options.constraints] - 版面限制 {pins, locks}，固定點車站與鎖定範圍內的點不可移動
+ *   (2_9 已正規化座標，固定點只保持位置不變，不再比對指定座標)
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
+ */
+export function run_2_9_to_2_10(inputData, options = {}) {
+  // [參數] 版面模式
+  const LAYOUT_MODE = options.layoutMode ?? DEFAULT_LAYOUT_MODE;
+  const OCTILINEAR = isOctilinearMode(options);
+  // [參數] 版面限制
+  const CONSTRAINTS = normalizeLayoutConstraints(options.constraints);
+
+  const report = createStepReport('2_9_to_2_10');
 
   try {
-    console.log(`📂 讀取檔案: 從 taipei_2_9 圖層`);
-    const dataFlat = JSON.parse(JSON.stringify(taipei2_9Layer.spaceNetworkGridJsonData));
+    const dataFlat = JSON.parse(JSON.stringify(inputData));
 
     // 1. 轉為 Grouped (按路線分組)
     const dataGrouped = groupFlatDataByRoute(dataFlat);
+    const loopRoutes = dataGrouped
+      .filter((route) => isLoopSegments(route.segments))
+      .map((route) => route.route_name);
 
     // 2. 準備 Sequence 並執行 [順序重排修正]
-    console.log('🔄 執行順序重排與 Sequence 建立...');
-    const [seqData, sortedData] = prepareSequenceAndSortedData(dataGrouped);
+    const hasConstraints = hasLayoutConstraints(CONSTRAINTS);
+    const [seqData, sortedData] = prepareSequenceAndSortedData(
+      dataGrouped,
+      OCTILINEAR,
+      hasConstraints ? collectConstrainedPoints(dataFlat, CONSTRAINTS) : new Set()
+    );
+    report.mark('sequence');
 
     // 3. 初始化並執行 Automator
-    console.log('🚀 初始化 Automator (使用 Sorted Data)...');
-    const automator = new RouteSequenceAutomator(sortedData, seqData);
+    const automator = new RouteSequenceAutomator(sortedData, seqData, OCTILINEAR);
     automator.runUntilStable();
-
-    // 4. 顯示結果並獲取最終數據
-    console.log('📊 繪製最終結果圖...');
-    const finalFlatData = automator.showResults();
-
-    // 5. 存檔
-    if (!taipei2_10Layer) {
-      throw new Error('找不到 taipei_2_10 圖層');
+    report.mark('shrink');
+    if (!automator.isStable) {
+      report.warn('not_stable', `收縮 ${automator.roundCount} 輪後仍未穩定，已提前停止`, {
+        rounds: automator.roundCount,
+      });
     }
 
-    taipei2_10Layer.spaceNetworkGridJsonData = finalFlatData;
-    console.log(`💾 結果已儲存 (所有座標與索引已同步): 已傳給 taipei_2_10 圖層`);
-
-    // 自動開啟 taipei_2_10 圖層以便查看結果
-    if (!taipei2_10Layer.visible) {
-      taipei2_10Layer.visible = true;
-      dataStore.saveLayerState('taipei_2_10', { visible: true });
-    }
-
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      inputSegmentCount: dataFlat.length,
-      outputSegmentCount: finalFlatData.length,
-      totalPoints: seqData.length,
-      rounds: automator.roundCount,
-    };
+    // 4. 獲取最終數據
+    const finalFlatData = automator.getResults();
+    const constraintCounts = hasConstraints
+      ? reportLayoutConstraints(report, finalFlatData, CONSTRAINTS, {
+          octilinear: OCTILINEAR,
+          checkPins: false,
+        })
+      : null;
+
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        inputSegments: dataFlat.length,
+        outputSegments: finalFlatData.length,
+        totalPoints: seqData.length,
+        loopRoutes: loopRoutes.length,
+        ...constraintCounts,
+      },
+      values: {
+        rounds: automator.roundCount,
+        layoutMode: LAYOUT_MODE,
+        loopRoutes,
+      },
+    });
 
-    taipei2_10Layer.dashboardData = dashboardData;
+    return { data: finalFlatData, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ [例外狀況] 執行錯誤：${error.message}`);
     if (error.stack) {
@@ -921,3 +961,34 @@ export function execute_2_9_to_2_10(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 2_9 圖層，執行 run_2_9_to_2_10 後寫入 2_10 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_2_9_to_2_10)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_2_9_to_2_10(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '2_9',
+    '2_10',
+    options.project
+  );
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ 錯誤: 找不到 ${inputLayerId} (請先執行 Colab 9)`);
+    throw new Error(`找不到 ${inputLayerId} (請先執行 Colab 9)`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_2_9_to_2_10(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, { stepId: '2_9_to_2_10', params: options });
+
+  return result;
+}
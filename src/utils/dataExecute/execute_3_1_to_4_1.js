@@ -6,14 +6,23 @@
 //    - 不再對每一小段幾何線段生成權重。
 //    - 而是找出同一條路線上相鄰的兩個「站點」(Station/Connect Node)。
 //    - 在這兩個站點之間的整個路徑段(包含所有轉折)，只生成並顯示 *一個* 權重。
-// 3. 繪圖邏輯：
+// 3. 繪圖邏輯 (由 CompareTab 步驟對照分頁繪製)：
 //    - 計算兩個站點沿著軌跡的「路徑中點」(Path Midpoint)。
 //    - 將權重文字標示在該中點上。
 //    - 畫風嚴格比照 Colab 3 (紅字無框、黑點)。
+// 4. 運量資料：提供 options.ridership (站間運量或班次) 時，以運量換算權重取代隨機權重 (見 ridership.js)。
 // ==============================================================================
 /* eslint-disable no-console */
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import { createSeededRandom, getSharedSeed, normalizeSeed } from '@/utils/seededRandom.js';
+import {
+  DEFAULT_RIDERSHIP_SCALE,
+  RIDERSHIP_SCALES,
+  applyRidershipWeights,
+  parseRidership,
+} from './ridership.js';
 
 // ==========================================
 // 1. 檔案路徑與全域設定
@@ -24,6 +33,25 @@ import { useDataStore } from '@/stores/dataStore.js';
 const WEIGHT_VALUES = [1, 2, 3, 4, 5, 6, 7, 8, 9];
 const WEIGHT_PROBS = [729, 512, 343, 216, 125, 64, 27, 8, 1];
 
+// 報告中最多列出的無法比對項目數量 (完整數量記錄在 counts)
+const MAX_REPORTED_UNMATCHED = 50;
+
+/**
+ * 可調整的參數定義 (ControlTab 依此產生表單)
+ * 運量資料本身由 ControlTab 上傳 (或命令列 --ridership) 帶入 options.ridership
+ * @type {Array<Object>}
+ */
+export const schema_3_1_to_4_1 = [
+  {
+    key: 'ridershipScale',
+    label: '運量換算方式',
+    type: 'select',
+    default: DEFAULT_RIDERSHIP_SCALE,
+    options: RIDERSHIP_SCALES,
+    description: '有運量資料時，運量換算為權重 1~9 的比例；沒有運量資料時不使用',
+  },
+];
+
 // ==========================================
 // 2. 幾何運算工具
 // ==========================================
@@ -137,9 +165,10 @@ function identifyStationIndices(segment) {
 /**
  * [核心修正] 針對「站到站」區間生成權重。
  * @param {Array} dataList - 資料列表
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
  * @returns {number} 處理的數量
  */
-function processWeightsStationToStation(dataList) {
+function processWeightsStationToStation(dataList, random = Math.random) {
   let processedCount = 0;
   for (const seg of iterSegments(dataList)) {
     const pts = seg.points || [];
@@ -163,7 +192,7 @@ function processWeightsStationToStation(dataList) {
       const endIdx = stationIndices[i + 1];
 
       // 生成一個隨機權重
-      const w = randomChoices(WEIGHT_VALUES, WEIGHT_PROBS, 1)[0];
+      const w = randomChoices(WEIGHT_VALUES, WEIGHT_PROBS, 1, random)[0];
 
       weightsInfo.push({
         start_idx: startIdx,
@@ -184,16 +213,17 @@ function processWeightsStationToStation(dataList) {
  * @param {Array<number>} values - 權重值陣列
  * @param {Array<number>} weights - 權重機率陣列
  * @param {number} k - 選擇數量
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
  * @returns {Array<number>} 選擇的權重值陣列
  */
-function randomChoices(values, weights, k) {
+function randomChoices(values, weights, k, random = Math.random) {
   const total = weights.reduce((sum, w) => sum + w, 0);
   const result = [];
   for (let i = 0; i < k; i++) {
-    let random = Math.random() * total;
+    let r = random() * total;
     for (let j = 0; j < values.length; j++) {
-      random -= weights[j];
-      if (random <= 0) {
+      r -= weights[j];
+      if (r <= 0) {
         result.push(values[j]);
         break;
       }
@@ -203,7 +233,7 @@ function randomChoices(values, weights, k) {
 }
 
 // ==========================================
-// 4. 繪圖核心
+// 4. 資料結構工具
 // ==========================================
 /**
  * 迭代所有 segments
@@ -226,68 +256,6 @@ function* iterSegments(dataList) {
   }
 }
 
-/**
- * 取得原始顏色
- * @param {Object} seg - 線段物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getOriginalColor(seg) {
-  let p = seg.way_properties?.tags || {};
-  if (!p || Object.keys(p).length === 0) p = seg.properties || {};
-  return p.colour || p.color || '#555555';
-}
-
-/**
- * 取得邊界
- * @param {Array} dataList - 資料列表
- * @param {number} buffer - 緩衝區大小
- * @returns {Array<number>} [minX, maxX, minY, maxY]
- */
-// eslint-disable-next-line no-unused-vars
-function getBounds(dataList, buffer = 2) {
-  const allX = [];
-  const allY = [];
-  for (const seg of iterSegments(dataList)) {
-    for (const p of seg.points || []) {
-      allX.push(p[0]);
-      allY.push(p[1]);
-    }
-  }
-  if (allX.length === 0) return [0, 10, 0, 10];
-  return [
-    Math.min(...allX) - buffer,
-    Math.max(...allX) + buffer,
-    Math.min(...allY) - buffer,
-    Math.max(...allY) + buffer,
-  ];
-}
-
-/**
- * 繪製權重視圖 (在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理)
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Array} dataList - 資料列表
- * @param {string} title - 標題
- * @param {string} mode - 模式 ('clean', 'single', 'fill')
- */
-// eslint-disable-next-line no-unused-vars
-function drawWeightedView(ax, dataList, title, mode = 'clean') {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  // 繪圖邏輯：
-  // 1. 繪製線段與權重 (Layer 1)
-  //    - 畫整條路線
-  //    - 畫權重 (只在站與站之間畫一個)
-  //      * 取出這一段的路徑 (包含中間所有轉折點)
-  //      * 計算這段路徑的總長
-  //      * 找出路徑中點座標 (幾何中點)
-  //      * 繪製權重
-  // 2. 繪製站點 (Layer 2 - Strict Colab 3 Style)
-  //    - 收集所有可能的站點資訊來源 (Nodes List, Properties Start/End)
-  //    - [紅色文字，無框] 如果 connect_number 存在
-  //    - [黑色實心點] 如果 station_name 或 name 存在
-  console.log(`[視覺化] ${title} (Mode: ${mode})`);
-}
-
 /**
  * 確保資料是 Grouped 結構
  * @param {Array} data - 資料陣列
@@ -317,63 +285,107 @@ function ensureGroupedStructure(data) {
 // ==========================================
 // 5. 主程式
 // ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_3_1_to_4_1(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei3_1Layer = dataStore.findLayerById('taipei_3_1');
-  const taipei4_1Layer = dataStore.findLayerById('taipei_4_1');
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_3_1 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_4_1 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei3_1Layer || !taipei3_1Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ 找不到輸入檔案: taipei_3_1`);
-    throw new Error(`找不到輸入檔案: taipei_3_1`);
-  }
+/**
+ * 純函式版本：隨機加入權重 (站間權重)
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 3.1 的結構標記 Segments 陣列
+ * @param {Object} [options] - 執行選項
+ * @param {number|string} [options.seed] - 隨機種子 (預設使用共用種子，相同種子可重現相同權重)
+ * @param {Array<Object>|string} [options.ridership] - 站間運量 [{from, to, value}]，或 CSV / JSON 文字
+ * @param {string} [options.ridershipScale='linear'] - 運量換算方式 ('linear' | 'log')
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
+ */
+export function run_3_1_to_4_1(inputData, options = {}) {
+  // [參數] 隨機種子
+  const SEED = normalizeSeed(options.seed ?? getSharedSeed());
+  const random = createSeededRandom(SEED, '3_1_to_4_1');
+  // [參數] 運量資料 (沒有時使用隨機權重)
+  const RIDERSHIP =
+    typeof options.ridership === 'string'
+      ? parseRidership(options.ridership).rows
+      : options.ridership || [];
+  const RIDERSHIP_SCALE = options.ridershipScale ?? DEFAULT_RIDERSHIP_SCALE;
+
+  const report = createStepReport('3_1_to_4_1');
 
   try {
-    console.log('🚀 Step A: 讀取資料...');
-    const rawData = JSON.parse(JSON.stringify(taipei3_1Layer.spaceNetworkGridJsonData));
+    const rawData = JSON.parse(JSON.stringify(inputData));
 
     const dataGrouped = ensureGroupedStructure(rawData);
+    report.mark('parse');
 
-    console.log('🚀 Step B: 生成模擬權重 (Station-to-Station)...');
-    const count = processWeightsStationToStation(dataGrouped);
-    console.log(`   -> 已為 ${count} 個站間區段生成權重。`);
+    const count = processWeightsStationToStation(dataGrouped, random);
+    report.mark('weights');
 
-    console.log('🚀 Step C: 儲存 JSON...');
-    if (!taipei4_1Layer) {
-      throw new Error('找不到 taipei_4_1 圖層');
+    // 有運量資料時改以運量換算權重
+    let ridershipResult = null;
+    if (RIDERSHIP.length > 0) {
+      ridershipResult = applyRidershipWeights(dataGrouped, RIDERSHIP, {
+        weightValues: WEIGHT_VALUES,
+        scale: RIDERSHIP_SCALE,
+      });
+      const { unmatchedIntervals, unmatchedRows, uniformWeight } = ridershipResult;
+      if (uniformWeight !== null) {
+        report.warn(
+          'uniform_ridership',
+          `比對到的站間區段運量都是 ${ridershipResult.minVolume}，無法區分高低，統一使用中間權重 ${uniformWeight}`,
+          { volume: ridershipResult.minVolume, weight: uniformWeight }
+        );
+      }
+      if (unmatchedRows.length > 0) {
+        report.warn(
+          'unmatched_ridership',
+          `${unmatchedRows.length} 筆運量資料沒有對應的相鄰站間區段`,
+          { count: unmatchedRows.length, pairs: unmatchedRows.slice(0, MAX_REPORTED_UNMATCHED) }
+        );
+      }
+      if (unmatchedIntervals.length > 0) {
+        report.warn(
+          'no_ridership',
+          `${unmatchedIntervals.length} 個站間區段沒有運量資料，使用最小權重 ${WEIGHT_VALUES[0]}`,
+          {
+            count: unmatchedIntervals.length,
+            intervals: unmatchedIntervals.slice(0, MAX_REPORTED_UNMATCHED),
+          }
+        );
+      }
+      report.mark('ridership');
     }
 
-    taipei4_1Layer.spaceNetworkGridJsonData = dataGrouped;
-    console.log(`✅ 資料已傳給 taipei_4_1 圖層`);
-
-    console.log('🚀 Step D: 繪製三視圖...');
-    // 這裡因為 Single 和 Filled 的區別在「站間單一權重」的邏輯下可能不明顯，
-    // 我們維持三圖結構，但在 Fill 模式下我們畫一樣的東西，或者未來可以改成畫密度。
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    drawWeightedView(null, dataGrouped, '1. Clean (Original Layout)', 'clean');
-    drawWeightedView(null, dataGrouped, '2. Weighted (Station-to-Station)', 'single');
-    // 暫時讓第三張圖與第二張相同，因為沒有「更密」的填滿方式了 (一段只有一個權重)
-    drawWeightedView(null, dataGrouped, '3. Weighted (Same for Check)', 'fill');
-
-    // 自動開啟 taipei_4_1 圖層以便查看結果
-    if (!taipei4_1Layer.visible) {
-      taipei4_1Layer.visible = true;
-      dataStore.saveLayerState('taipei_4_1', { visible: true });
+    // 沒有任何站間區段的線段 (例如兩端都不是車站) 不會有權重
+    const segments = dataGrouped.flatMap((route) => route.segments || []);
+    const unweighted = segments.filter((seg) => !seg.station_weights?.length).length;
+    if (unweighted > 0) {
+      report.warn('unweighted_segments', `${unweighted} 條線段沒有站間區段，未生成權重`, {
+        count: unweighted,
+      });
     }
 
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      processedSegmentCount: count,
-      routeCount: dataGrouped.length,
-    };
-
-    taipei4_1Layer.dashboardData = dashboardData;
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        routes: dataGrouped.length,
+        segments: segments.length,
+        weightedIntervals: count,
+        ...(ridershipResult && {
+          ridershipRows: RIDERSHIP.length,
+          matchedIntervals: ridershipResult.matchedIntervals,
+          unmatchedIntervals: ridershipResult.unmatchedIntervals.length,
+          unmatchedRidership: ridershipResult.unmatchedRows.length,
+        }),
+      },
+      values: {
+        seed: SEED,
+        weightSource: ridershipResult ? 'ridership' : 'random',
+        ...(ridershipResult && {
+          ridershipScale: RIDERSHIP_SCALE,
+          minVolume: ridershipResult.minVolume,
+          maxVolume: ridershipResult.maxVolume,
+        }),
+      },
+    });
+
+    return { data: dataGrouped, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ 執行錯誤：${error.message}`);
     if (error.stack) {
@@ -382,3 +394,34 @@ export function execute_3_1_to_4_1(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 3_1 圖層，執行 run_3_1_to_4_1 後寫入 4_1 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_3_1_to_4_1)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_3_1_to_4_1(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '3_1',
+    '4_1',
+    options.project
+  );
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ 找不到輸入檔案: ${inputLayerId}`);
+    throw new Error(`找不到輸入檔案: ${inputLayerId}`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_3_1_to_4_1(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, { stepId: '3_1_to_4_1', params: options });
+
+  return result;
+}
@@ -10,11 +10,12 @@
 // 4. 執行「梯度刪除 (Gradient Pruning)」：
 //    - 階段 1 (Diff <= 1): 若相鄰路段權重差 |w1 - w2| <= 1，則刪除中間點。
 //    - 階段 2 (Diff <= 2): 若相鄰路段權重差 |w1 - w2| <= 2，則刪除中間點。
-// 5. 視覺化驗證：繪製 Before/After 比較圖 (由前端 d3jsmap 組件處理)。
+// 5. 視覺化驗證：繪製 Before/After 比較圖 (由 CompareTab 步驟對照分頁處理)。
 // ==============================================================================
 /* eslint-disable no-console */
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
 
 // ==========================================
 // 1. 檔案路徑與全域設定
@@ -22,6 +23,37 @@ import { useDataStore } from '@/stores/dataStore.js';
 // 輸入：Step 4 產生的權重化資料
 // 輸出：Step 6 壓縮後的資料 (已直接傳給下一個圖層)
 
+// [參數] 兩階段梯度刪除的權重差閾值預設值 (可由 options 覆寫)
+const DEFAULT_PHASE2_DIFF_THRESHOLD = 1;
+const DEFAULT_PHASE3_DIFF_THRESHOLD = 2;
+
+/**
+ * 步驟參數定義 (ControlTab 依此產生表單，管線執行時以 options 帶入)
+ * @type {Array<Object>}
+ */
+export const schema_4_1_to_6_1 = [
+  {
+    key: 'phase2DiffThreshold',
+    label: '第一階段權重差閾值',
+    type: 'integer',
+    default: DEFAULT_PHASE2_DIFF_THRESHOLD,
+    min: 0,
+    max: 9,
+    step: 1,
+    description: '相鄰區間權重差 |w1-w2| 不超過此值時刪除中間點',
+  },
+  {
+    key: 'phase3DiffThreshold',
+    label: '第二階段權重差閾值',
+    type: 'integer',
+    default: DEFAULT_PHASE3_DIFF_THRESHOLD,
+    min: 0,
+    max: 9,
+    step: 1,
+    description: '第一階段完成後，再以此閾值進行一次梯度刪除',
+  },
+];
+
 // ==========================================
 // 2. 幾何運算與輔助函式
 // ==========================================
@@ -85,21 +117,6 @@ function getPointAlongPath(polyline, targetDist) {
   return polyline[polyline.length - 1];
 }
 
-/**
- * 取得路線顏色
- * @param {Object} seg - 線段物件
- * @returns {string} 顏色字串
- */
-// eslint-disable-next-line no-unused-vars
-function getRouteColor(seg) {
-  const p = seg.way_properties?.tags || {};
-  if (!p || Object.keys(p).length === 0) {
-    const props = seg.properties || {};
-    return props.colour || props.color || '#555555';
-  }
-  return p.colour || p.color || '#555555';
-}
-
 /**
  * 取得路線名稱
  * @param {Object} item - 項目物件
@@ -110,6 +127,21 @@ function getRouteName(item) {
   return p.route_name || p.name || item.properties?.route_name || 'Unknown';
 }
 
+/**
+ * 計算所有線段的站間權重區間總數
+ * @param {Array} data - Grouped 路線資料
+ * @returns {number} 區間數
+ */
+function countWeightIntervals(data) {
+  let count = 0;
+  for (const route of data) {
+    for (const seg of route.segments || []) {
+      count += (seg.station_weights || []).length;
+    }
+  }
+  return count;
+}
+
 // ==========================================
 // 3. 核心：計算邊緣極值 (Station-to-Station)
 // ==========================================
@@ -208,7 +240,6 @@ function compressMapData(data) {
   }
 
   if (activeXs.size === 0) {
-    console.log('⚠️ 警告：無法收集到任何有效座標，跳過壓縮步驟。');
     return {
       data: JSON.parse(JSON.stringify(data)),
       rowMaxValues: {},
@@ -301,7 +332,6 @@ function compressMapData(data) {
  */
 function pruneRedundantStations(data) {
   const newData = JSON.parse(JSON.stringify(data));
-  let totalMerged = 0;
 
   for (const route of newData) {
     for (const seg of route.segments || []) {
@@ -340,7 +370,6 @@ function pruneRedundantStations(data) {
         if (weightsSame && !isConnectNode) {
           // 合併：延伸 current_w 的結束點
           currentW.end_idx = nextW.end_idx;
-          totalMerged++;
         } else {
           // 不能合併，推入 current，換下一個
           newWeights.push(currentW);
@@ -353,7 +382,6 @@ function pruneRedundantStations(data) {
     }
   }
 
-  console.log(`✂️  已合併 ${totalMerged} 個冗餘權重區間。`);
   return newData;
 }
 
@@ -363,19 +391,15 @@ function pruneRedundantStations(data) {
 /**
  * 混合刪除 (Diff <= diffThreshold)
  * @param {Array} inputData - 輸入資料
- * @param {number} diffThreshold - 權重差值閾值 (1 或 2)
+ * @param {number} diffThreshold - 權重差值閾值 (預設為 1 或 2)
  * @returns {Object} {data, totalRemoved}
  */
 function pruneGradientNodes(inputData, diffThreshold) {
   const currentData = JSON.parse(JSON.stringify(inputData));
-  let iteration = 0;
   let totalRemoved = 0;
 
-  console.log(`🔄 開始混合權重刪除程序 (|w1-w2| <= ${diffThreshold})...`);
-
   // eslint-disable-next-line no-constant-condition
   while (true) {
-    iteration++;
     let removedInThisPass = 0;
 
     for (const route of currentData) {
@@ -445,62 +469,15 @@ function pruneGradientNodes(inputData, diffThreshold) {
 
     totalRemoved += removedInThisPass;
     if (removedInThisPass === 0) {
-      console.log(`✅ [迭代結束] 第 ${iteration} 輪掃描後已無符合條件的區段。`);
       break;
-    } else {
-      console.log(`   ➡ 第 ${iteration} 輪：合併了 ${removedInThisPass} 個區段。`);
     }
   }
 
-  console.log(`🎉 簡化完成！共合併 ${totalRemoved} 個區段。`);
   return { data: currentData, totalRemoved };
 }
 
 // ==========================================
-// 7. 繪圖核心
-// ==========================================
-/**
- * 迭代所有 segments
- * @param {Array} dataList - 資料列表
- * @yields {Object} 線段物件
- */
-// eslint-disable-next-line no-unused-vars
-function* iterSegments(dataList) {
-  if (!dataList) return;
-  const isGrouped = dataList[0] && typeof dataList[0] === 'object' && 'segments' in dataList[0];
-  if (isGrouped) {
-    for (const route of dataList) {
-      for (const seg of route.segments || []) {
-        yield seg;
-      }
-    }
-  } else {
-    for (const seg of dataList) {
-      yield seg;
-    }
-  }
-}
-
-/**
- * 繪製地圖 (在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理)
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {string} title - 標題
- * @param {Array} data - 資料列表
- */
-// eslint-disable-next-line no-unused-vars
-function drawBaseMapOnAxis(ax, title, data) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  // 繪圖邏輯：
-  // 1. 計算邊界
-  // 2. 繪製邊緣數值 (row_maxs, col_maxs)
-  // 3. 繪製路線
-  // 4. 繪製權重
-  // 5. 繪製站點
-  console.log(`[視覺化] ${title}`);
-}
-
-// ==========================================
-// 8. 主執行流程
+// 7. 主執行流程
 // ==========================================
 /**
  * 確保資料是 Grouped 結構
@@ -510,7 +487,6 @@ function drawBaseMapOnAxis(ax, title, data) {
 function ensureGroupedStructure(data) {
   if (!data || data.length === 0) return [];
   if (data[0] && typeof data[0] === 'object' && 'segments' in data[0]) return data;
-  console.log('⚠️ 格式不符，嘗試簡單分組...');
   const grouped = new Map();
   for (const seg of data) {
     const rName = getRouteName(seg);
@@ -527,99 +503,86 @@ function ensureGroupedStructure(data) {
 }
 
 // ==========================================
-// 9. 主程式
+// 8. 主程式
 // ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_4_1_to_6_1(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei4_1Layer = dataStore.findLayerById('taipei_4_1');
-  const taipei6_1Layer = dataStore.findLayerById('taipei_6_1');
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_4_1 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_6_1 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei4_1Layer || !taipei4_1Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ [錯誤] 找不到輸入檔案: taipei_4_1`);
-    throw new Error(`找不到輸入檔案: taipei_4_1`);
-  }
+/**
+ * 純函式版本：權重簡化與座標壓縮
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 4.1 的加權路線資料 (Grouped)
+ * @param {Object} [options] - 執行選項
+ * @param {number} [options.phase2DiffThreshold=1] - 第一階段梯度刪除的權重差閾值
+ * @param {number} [options.phase3DiffThreshold=2] - 第二階段梯度刪除的權重差閾值
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
+ */
+export function run_4_1_to_6_1(inputData, options = {}) {
+  // [參數] 梯度刪除閾值
+  const PHASE2_DIFF = options.phase2DiffThreshold ?? DEFAULT_PHASE2_DIFF_THRESHOLD;
+  const PHASE3_DIFF = options.phase3DiffThreshold ?? DEFAULT_PHASE3_DIFF_THRESHOLD;
+
+  const report = createStepReport('4_1_to_6_1');
 
   try {
     // Step A: 讀取
-    console.log('🚀 Step A: 讀取資料...');
-    const rawData = JSON.parse(JSON.stringify(taipei4_1Layer.spaceNetworkGridJsonData));
+    const rawData = JSON.parse(JSON.stringify(inputData));
 
     // 確保格式 (雖然 Step 4 輸出應該已經是 Grouped)
     let initialData = ensureGroupedStructure(rawData);
+    const inputIntervalCount = countWeightIntervals(initialData);
+    report.mark('parse');
 
     // Step B: 執行權重簡化 (Pruning - Diff <= 0)
-    console.log('🔄 Step B: 執行權重簡化 (Pruning)...');
     // 多次執行直到無法再合併
     for (let round = 0; round < 5; round++) {
       const beforeJson = JSON.stringify(initialData);
       initialData = pruneRedundantStations(initialData);
       if (JSON.stringify(initialData) === beforeJson) break;
     }
+    report.mark('pruneRedundant');
 
     // Step C: 座標壓縮
-    console.log('📐 Step C: 執行座標壓縮...');
     let compressedData = compressMapData(initialData);
     let currentData = compressedData.data;
-    console.log(`✅ 壓縮後資料 (Grid: ${compressedData.width}x${compressedData.height})`);
+    report.mark('compress');
 
-    // Step D: 梯度刪除 (Diff <= 1)
-    console.log('🔄 Step D: 執行梯度刪除 (Gradient Pruning, Diff <= 1)...');
-    const phase2Result = pruneGradientNodes(currentData, 1);
+    // Step D: 梯度刪除 (預設 Diff <= 1)
+    const phase2Result = pruneGradientNodes(currentData, PHASE2_DIFF);
     currentData = phase2Result.data;
     const phase2TotalRemoved = phase2Result.totalRemoved;
 
-    // Step E: 梯度刪除 (Diff <= 2)
-    console.log('🔄 Step E: 執行梯度刪除 (Gradient Pruning, Diff <= 2)...');
-    const phase3Result = pruneGradientNodes(currentData, 2);
+    // Step E: 梯度刪除 (預設 Diff <= 2)
+    const phase3Result = pruneGradientNodes(currentData, PHASE3_DIFF);
     currentData = phase3Result.data;
     const phase3TotalRemoved = phase3Result.totalRemoved;
+    report.mark('pruneGradient');
 
     // Step F: 最終座標壓縮
-    console.log('📐 Step F: 執行最終座標壓縮...');
     compressedData = compressMapData(currentData);
-
-    // Step G: 儲存檔案
-    console.log('💾 Step G: 儲存檔案...');
-    if (!taipei6_1Layer) {
-      throw new Error('找不到 taipei_6_1 圖層');
+    report.mark('finalCompress');
+    if (compressedData.width === 0) {
+      report.warn('empty_grid', '無法收集到任何有效座標，已跳過座標壓縮');
     }
 
-    taipei6_1Layer.spaceNetworkGridJsonData = compressedData.data;
-    taipei6_1Layer.layoutGridJsonData = compressedData.data;
-    console.log(
-      `✅ 壓縮後資料已傳給 taipei_6_1 圖層 (Grid: ${compressedData.width}x${compressedData.height})`
-    );
-
-    // Step H: 繪製對比圖 (由前端 d3jsmap 組件處理)
-    console.log('🎨 Step H: 繪製對比圖 (由前端 d3jsmap 組件處理)...');
-    // Note: 在 JavaScript 環境中，繪圖功能由前端 d3jsmap 組件處理
-    drawBaseMapOnAxis(null, 'Before: 原始 (Raw)', initialData);
-    drawBaseMapOnAxis(null, 'After: 簡化與壓縮 (Pruned & Compressed)', compressedData.data);
-
-    // 產生摘要並存到 dashboardData
-    const dashboardData = {
-      routeCount: compressedData.data.length,
-      phase2Removed: phase2TotalRemoved,
-      phase3Removed: phase3TotalRemoved,
-      totalRemoved: phase2TotalRemoved + phase3TotalRemoved,
-      gridWidth: compressedData.width,
-      gridHeight: compressedData.height,
-    };
-
-    taipei6_1Layer.dashboardData = dashboardData;
-
-    // 自動開啟 taipei_6_1 圖層以便查看結果
-    if (!taipei6_1Layer.visible) {
-      taipei6_1Layer.visible = true;
-      dataStore.saveLayerState('taipei_6_1', { visible: true });
-    }
+    // 產生結構化報告並存到 dashboardData
+    const dashboardData = report.finish({
+      counts: {
+        routes: compressedData.data.length,
+        inputIntervals: inputIntervalCount,
+        outputIntervals: countWeightIntervals(compressedData.data),
+        phase2Removed: phase2TotalRemoved,
+        phase3Removed: phase3TotalRemoved,
+        totalRemoved: phase2TotalRemoved + phase3TotalRemoved,
+      },
+      values: {
+        phase2DiffThreshold: PHASE2_DIFF,
+        phase3DiffThreshold: PHASE3_DIFF,
+        gridSize: {
+          width: compressedData.width,
+          height: compressedData.height,
+        },
+      },
+    });
+
+    return { data: compressedData.data, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ [例外狀況] 執行錯誤：${error.message}`);
     if (error.stack) {
@@ -628,3 +591,38 @@ export function execute_4_1_to_6_1(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 4_1 圖層，執行 run_4_1_to_6_1 後寫入 6_1 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_4_1_to_6_1)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_4_1_to_6_1(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '4_1',
+    '6_1',
+    options.project
+  );
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ [錯誤] 找不到輸入檔案: ${inputLayerId}`);
+    throw new Error(`找不到輸入檔案: ${inputLayerId}`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_4_1_to_6_1(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, {
+    layoutGrid: true,
+    stepId: '4_1_to_6_1',
+    params: options,
+  });
+
+  return result;
+}
@@ -7,13 +7,109 @@
 //    - 權重 0 -> 寬 1
 //    - 權重 3 -> 寬 8
 //    - 權重 5 -> 寬 32
+// 4. [Feature] 縮放函式：可改用線性、冪次、對數、平方根、分位數分級或自訂分段 (cellScaling.js)。
+// 5. [Feature] 尺寸預算：指定目標寬高時，整張圖等比例縮放到目標範圍內。
 // ==============================================================================
 /* eslint-disable no-console */
 
-import { useDataStore } from '@/stores/dataStore.js';
+import { resolveStepLayers, writeStepOutput } from './projectLayers.js';
+import { createStepReport } from './stepReport.js';
+import {
+  CELL_SCALINGS,
+  createCellScaler,
+  DEFAULT_CELL_SCALING,
+  DEFAULT_PIECEWISE_BREAKPOINTS,
+  DEFAULT_SCALING_CLASSES,
+  DEFAULT_SCALING_EXPONENT,
+  DEFAULT_SCALING_MULTIPLIER,
+  parsePiecewiseBreakpoints,
+} from './cellScaling.js';
 
 // --- 參數設定 ---
-const MAX_EXPONENT_CAP = 8;
+// 指數上限預設值 (可由 options.maxExponentCap 覆寫)，Cell Width 最大為 2 ^ 上限
+const DEFAULT_MAX_EXPONENT_CAP = 8;
+
+/**
+ * 步驟參數定義 (ControlTab 依此產生表單，管線執行時以 options 帶入)
+ * @type {Array<Object>}
+ */
+export const schema_6_1_to_7_1 = [
+  {
+    key: 'maxExponentCap',
+    label: '指數上限',
+    type: 'integer',
+    default: DEFAULT_MAX_EXPONENT_CAP,
+    min: 0,
+    max: 16,
+    step: 1,
+    description: '權重超過上限時以上限計算 (指數縮放時網格寬度 = 2 ^ min(權重, 上限))',
+  },
+  {
+    key: 'cellScaling',
+    label: '縮放函式',
+    type: 'select',
+    default: DEFAULT_CELL_SCALING,
+    options: CELL_SCALINGS,
+    description: '權重換算為網格寬度的方式',
+  },
+  {
+    key: 'scalingMultiplier',
+    label: '縮放倍數',
+    type: 'number',
+    default: DEFAULT_SCALING_MULTIPLIER,
+    min: 0,
+    max: 100,
+    step: 0.5,
+    description: '線性、冪次、對數、平方根與分位數分級使用',
+  },
+  {
+    key: 'scalingExponent',
+    label: '冪次指數',
+    type: 'number',
+    default: DEFAULT_SCALING_EXPONENT,
+    min: 0.1,
+    max: 5,
+    step: 0.1,
+    description: '冪次縮放使用：值越大，權重高低的寬度差異越大',
+  },
+  {
+    key: 'scalingClasses',
+    label: '分位數級數',
+    type: 'integer',
+    default: DEFAULT_SCALING_CLASSES,
+    min: 2,
+    max: 10,
+    step: 1,
+    description: '分位數分級使用：依所有行列權重的分位數分成幾級',
+  },
+  {
+    key: 'scalingBreakpoints',
+    label: '自訂分段斷點',
+    type: 'text',
+    default: DEFAULT_PIECEWISE_BREAKPOINTS,
+    description: '自訂分段使用：「權重:寬度」以逗號分隔，斷點之間線性內插',
+  },
+  {
+    key: 'targetWidth',
+    label: '目標寬度',
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100000,
+    step: 10,
+    description: '0 表示不限制；指定目標寬高時整張圖等比例縮放到範圍內',
+  },
+  {
+    key: 'targetHeight',
+    label: '目標高度',
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100000,
+    step: 10,
+    description: '0 表示不限制',
+  },
+];
 
 // ==========================================
 // 1. 基礎幾何與輔助函式
@@ -67,10 +163,10 @@ function getBounds(dataInput, buffer = 2) {
 }
 
 // ==========================================
-// 2. 核心：計算邊緣極值 (加強偵錯版)
+// 2. 核心：計算邊緣極值
 // ==========================================
 /**
- * 計算每一行與每一列的最大權重 (加強偵錯版)
+ * 計算每一行與每一列的最大權重
  * @param {Object|Array} dataInput - 資料輸入
  * @returns {Object} {rowMaxValues, colMaxValues}
  */
@@ -78,10 +174,6 @@ function calculateMarginalMax(dataInput) {
   const rowMaxValues = {};
   const colMaxValues = {};
 
-  // 統計用
-  const weightCounter = new Map();
-  let totalSegmentsWithWeights = 0;
-
   /**
    * 更新最大值
    * @param {Object} dic - 字典
@@ -100,7 +192,6 @@ function calculateMarginalMax(dataInput) {
       if (pts.length < 2) continue;
 
       const stationWeights = seg.station_weights || [];
-      if (stationWeights.length > 0) totalSegmentsWithWeights++;
 
       for (const wInfo of stationWeights) {
         const sIdx = wInfo.start_idx;
@@ -114,8 +205,6 @@ function calculateMarginalMax(dataInput) {
           w = 0;
         }
 
-        weightCounter.set(w, (weightCounter.get(w) || 0) + 1);
-
         if (sIdx >= pts.length || eIdx >= pts.length) continue;
 
         const subPath = pts.slice(sIdx, eIdx + 1);
@@ -141,45 +230,28 @@ function calculateMarginalMax(dataInput) {
     }
   }
 
-  // --- DEBUG INFO ---
-  console.log('-'.repeat(50));
-  console.log('🔍 [DEBUG] 權重資料診斷報告');
-  console.log(`   - 含有權重資料的線段數: ${totalSegmentsWithWeights}`);
-  const weightCounterObj = {};
-  for (const [w, count] of weightCounter.entries()) {
-    weightCounterObj[w] = count;
-  }
-  console.log(`   - 權重數值分佈: ${JSON.stringify(weightCounterObj)}`);
-
-  if (Object.keys(rowMaxValues).length === 0) {
-    console.log('❌ 警告：沒有計算到任何行權重 (Row Max 為空)！');
-  } else {
-    const maxR = Math.max(...Object.values(rowMaxValues));
-    console.log(`   - Row Max 最大值: ${maxR} (預期寬度: ${2 ** Math.min(maxR, MAX_EXPONENT_CAP)})`);
-  }
-
-  if (Object.keys(colMaxValues).length === 0) {
-    console.log('❌ 警告：沒有計算到任何列權重 (Col Max 為空)！');
-  } else {
-    const maxC = Math.max(...Object.values(colMaxValues));
-    console.log(`   - Col Max 最大值: ${maxC} (預期寬度: ${2 ** Math.min(maxC, MAX_EXPONENT_CAP)})`);
-  }
-  console.log('-'.repeat(50));
-
   return { rowMaxValues, colMaxValues };
 }
 
 // ==========================================
-// 3. 變動網格計算
+// 3. 變動網格計算 (焦點放大 fisheye.js 共用)
 // ==========================================
 /**
  * 取得變動網格映射
  * @param {Object} rowMaxs - 行最大值
  * @param {Object} colMaxs - 列最大值
  * @param {Array<number>} rawBounds - 原始邊界 [minX, maxX, minY, maxY]
+ * @param {number} maxExponentCap - 指數上限
+ * @param {Function} [cellSize] - 權重 → 格子大小 (預設 2 ^ 權重，見 cellScaling.js)
  * @returns {Object} {xBoundaries, yBoundaries, newBounds}
  */
-function getVariableGridMappings(rowMaxs, colMaxs, rawBounds) {
+export function getVariableGridMappings(
+  rowMaxs,
+  colMaxs,
+  rawBounds,
+  maxExponentCap,
+  cellSize = (w) => Math.pow(2, w)
+) {
   const [rawMinX, rawMaxX, rawMinY, rawMaxY] = rawBounds;
 
   // X 軸
@@ -191,9 +263,9 @@ function getVariableGridMappings(rowMaxs, colMaxs, rawBounds) {
   for (let xIdx = startX; xIdx <= endX; xIdx++) {
     xBoundaries[xIdx] = currentNewX;
     const val = colMaxs[xIdx] || 0;
-    const effectiveVal = Math.min(val, MAX_EXPONENT_CAP);
-    // [Formula] 2 ^ weight
-    const cellWidth = Math.pow(2, effectiveVal);
+    const effectiveVal = Math.min(val, maxExponentCap);
+    // [Formula] 預設 2 ^ weight
+    const cellWidth = cellSize(effectiveVal);
     currentNewX += cellWidth;
   }
   xBoundaries[endX + 1] = currentNewX;
@@ -208,9 +280,9 @@ function getVariableGridMappings(rowMaxs, colMaxs, rawBounds) {
   for (let yIdx = startY; yIdx <= endY; yIdx++) {
     yBoundaries[yIdx] = currentNewY;
     const val = rowMaxs[yIdx] || 0;
-    const effectiveVal = Math.min(val, MAX_EXPONENT_CAP);
-    // [Formula] 2 ^ weight
-    const cellHeight = Math.pow(2, effectiveVal);
+    const effectiveVal = Math.min(val, maxExponentCap);
+    // [Formula] 預設 2 ^ weight
+    const cellHeight = cellSize(effectiveVal);
     currentNewY += cellHeight;
   }
   yBoundaries[endY + 1] = currentNewY;
@@ -227,7 +299,7 @@ function getVariableGridMappings(rowMaxs, colMaxs, rawBounds) {
  * @param {Object} yBounds - Y 軸邊界映射
  * @returns {Array<number>} [newX, newY]
  */
-function transformPoint(x, y, xBounds, yBounds) {
+export function transformPoint(x, y, xBounds, yBounds) {
   // X transform
   const xIdx = Math.floor(x);
   const xRatio = x - xIdx;
@@ -276,75 +348,98 @@ function transformPoint(x, y, xBounds, yBounds) {
   return [nx, ny];
 }
 
-// ==========================================
-// 4. 繪圖核心
-// ==========================================
 /**
- * 通用繪圖層，可繪製均勻或變形網格。
- * 若傳入 x_bounds, y_bounds 則進行座標變換。
- * (在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理)
- * @param {Object} ax - 繪圖軸物件 (前端組件中處理)
- * @param {Object|Array} dataInput - 資料輸入
- * @param {Object} xBounds - X 軸邊界映射 (可選)
- * @param {Object} yBounds - Y 軸邊界映射 (可選)
+ * 尺寸預算：整張圖等比例縮放到目標寬高內 (只指定其中一邊時以該邊為準)
+ * @param {Object} mappings - getVariableGridMappings 的結果
+ * @param {number} targetWidth - 目標寬度 (0 表示不限制)
+ * @param {number} targetHeight - 目標高度 (0 表示不限制)
+ * @returns {Object} {xBoundaries, yBoundaries, newBounds, budgetScale}
  */
-// eslint-disable-next-line no-unused-vars
-function drawMapLayer(ax, dataInput, xBounds = null, yBounds = null) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  // 繪圖邏輯：
-  // 1. Routes - 繪製路線
-  // 2. Weights - 繪製權重（白底方框黑字）
-  // 3. Nodes - 繪製站點（嚴格過濾，只畫真實車站）
-  const isVariable = xBounds !== null && yBounds !== null;
-  console.log(`[視覺化] Draw Map Layer (${isVariable ? 'Variable' : 'Uniform'} Grid)`);
+function fitGridToBudget(mappings, targetWidth, targetHeight) {
+  const [, width, , height] = mappings.newBounds;
+  const factors = [];
+  if (targetWidth > 0 && width > 0) factors.push(targetWidth / width);
+  if (targetHeight > 0 && height > 0) factors.push(targetHeight / height);
+  if (factors.length === 0) return { ...mappings, budgetScale: 1 };
+
+  const budgetScale = Math.min(...factors);
+  const scaleBoundaries = (boundaries) =>
+    Object.fromEntries(Object.entries(boundaries).map(([idx, v]) => [idx, v * budgetScale]));
+  return {
+    xBoundaries: scaleBoundaries(mappings.xBoundaries),
+    yBoundaries: scaleBoundaries(mappings.yBoundaries),
+    newBounds: mappings.newBounds.map((v) => v * budgetScale),
+    budgetScale,
+  };
 }
 
-// ==========================================
-// 5. 畫布設置與執行
-// ==========================================
 /**
- * 繪製對比圖 (在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理)
- * @param {Object|Array} dataInput - 資料輸入
- * @param {string} outputPath - 輸出路徑 (可選)
+ * 計算縮放後的變動網格：行列權重 → 縮放函式 → 邊界映射 → 尺寸預算
+ * 步驟與 CompareTab 的網格線共用，確保畫面與輸出使用相同的縮放函式
+ * @param {Object|Array} dataInput - 資料輸入 (routes 結構或陣列)
+ * @param {Object} [options] - 與 run_6_1_to_7_1 相同的選項
+ * @returns {Object} {rowMaxs, colMaxs, rawBounds, xBoundaries, yBoundaries, newBounds, budgetScale, scaler}
  */
-// eslint-disable-next-line no-unused-vars
-function drawComparison(dataInput, outputPath) {
-  // 在 JavaScript 環境中，此功能由前端 d3jsmap 組件處理
-  // 繪圖邏輯：
-  // 1. 計算邊緣極值
-  // 2. 計算變動網格映射
-  // 3. 繪製左圖：Uniform Grid (Original)
-  //    - 格線與刻度
-  //    - 標註權重
-  // 4. 繪製右圖：Exponential Grid (Width = 2^Weight)
-  //    - 變形格線與刻度
-  //    - 標註權重
-  console.log('[視覺化] Draw Comparison (Uniform vs Exponential Grid)');
+export function computeScaledGrid(dataInput, options = {}) {
+  const maxExponentCap = options.maxExponentCap ?? DEFAULT_MAX_EXPONENT_CAP;
+  const data = Array.isArray(dataInput) ? { routes: dataInput } : dataInput;
+
+  const { rowMaxValues, colMaxValues } = calculateMarginalMax(data);
+  const weights = [...Object.values(rowMaxValues), ...Object.values(colMaxValues)].map((w) =>
+    Math.min(w, maxExponentCap)
+  );
+  const scaler = createCellScaler(
+    options.cellScaling ?? DEFAULT_CELL_SCALING,
+    {
+      multiplier: options.scalingMultiplier,
+      exponent: options.scalingExponent,
+      classes: options.scalingClasses,
+      breakpoints: options.scalingBreakpoints,
+    },
+    weights
+  );
+
+  const rawBounds = getBounds(data);
+  const mappings = getVariableGridMappings(
+    rowMaxValues,
+    colMaxValues,
+    rawBounds,
+    maxExponentCap,
+    scaler
+  );
+  const fitted = fitGridToBudget(mappings, options.targetWidth || 0, options.targetHeight || 0);
+
+  return { rowMaxs: rowMaxValues, colMaxs: colMaxValues, rawBounds, ...fitted, scaler };
 }
 
 // ==========================================
-// 6. 主程式
+// 4. 主程式
 // ==========================================
-// eslint-disable-next-line no-unused-vars
-export function execute_6_1_to_7_1(_jsonData) {
-  const dataStore = useDataStore();
-  const taipei6_1Layer = dataStore.findLayerById('taipei_6_1');
-  const taipei7_1Layer = dataStore.findLayerById('taipei_7_1');
-
-  console.log('='.repeat(60));
-  console.log('📂 [設定] 檔案路徑配置');
-  console.log(`   - 輸入檔案: 從 taipei_6_1 圖層讀取`);
-  console.log(`   - 輸出資料: 已直接傳給 taipei_7_1 圖層`);
-  console.log('='.repeat(60));
-
-  if (!taipei6_1Layer || !taipei6_1Layer.spaceNetworkGridJsonData) {
-    console.error(`❌ 錯誤: 找不到輸入檔案 taipei_6_1`);
-    throw new Error(`找不到輸入檔案 taipei_6_1`);
-  }
+/**
+ * 純函式版本：依權重縮放地圖網格
+ * 不依賴任何圖層，輸入網絡 + 選項 → 輸出網絡 + 摘要報告。
+ * @param {Array} inputData - Step 6.1 的簡化後路線資料
+ * @param {Object} [options] - 執行選項
+ * @param {number} [options.maxExponentCap=8] - 指數上限
+ * @param {string} [options.cellScaling='exponential'] - 縮放函式 (見 cellScaling.js)
+ * @param {number} [options.scalingMultiplier=5] - 縮放倍數
+ * @param {number} [options.scalingExponent=2] - 冪次指數
+ * @param {number} [options.scalingClasses=5] - 分位數級數
+ * @param {string} [options.scalingBreakpoints] - 自訂分段斷點 "權重:寬度, ..."
+ * @param {number} [options.targetWidth=0] - 目標寬度 (0 表示不限制)
+ * @param {number} [options.targetHeight=0] - 目標高度 (0 表示不限制)
+ * @returns {Object} {data: 輸出網絡資料, report: 摘要 (即 dashboardData)}
+ */
+export function run_6_1_to_7_1(inputData, options = {}) {
+  // [參數] 指數上限
+  const MAX_EXPONENT_CAP = options.maxExponentCap ?? DEFAULT_MAX_EXPONENT_CAP;
+  // [參數] 縮放函式
+  const CELL_SCALING = options.cellScaling ?? DEFAULT_CELL_SCALING;
+
+  const report = createStepReport('6_1_to_7_1');
 
   try {
-    console.log(`📂 讀取資料: 從 taipei_6_1 圖層`);
-    const rawData = JSON.parse(JSON.stringify(taipei6_1Layer.spaceNetworkGridJsonData));
+    const rawData = JSON.parse(JSON.stringify(inputData));
 
     // 確保資料格式 (可能是 routes 結構或直接陣列)
     const isInputArray = Array.isArray(rawData);
@@ -356,18 +451,25 @@ export function execute_6_1_to_7_1(_jsonData) {
       data = { routes: data };
     }
 
-    console.log('🚀 繪製對比圖...');
-    const { rowMaxValues, colMaxValues } = calculateMarginalMax(data);
-    const rowMaxs = rowMaxValues;
-    const colMaxs = colMaxValues;
-
-    const rawBounds = getBounds(data);
-    const { xBoundaries, yBoundaries, newBounds } = getVariableGridMappings(rowMaxs, colMaxs, rawBounds);
+    if (
+      CELL_SCALING === 'piecewise' &&
+      parsePiecewiseBreakpoints(options.scalingBreakpoints ?? DEFAULT_PIECEWISE_BREAKPOINTS)
+        .length === 0
+    ) {
+      report.warn('invalid_breakpoints', '自訂分段沒有可用的斷點，所有格子將使用最小寬度 1');
+    }
+    const { rowMaxs, colMaxs, xBoundaries, yBoundaries, newBounds, budgetScale } =
+      computeScaledGrid(data, { ...options, maxExponentCap: MAX_EXPONENT_CAP });
+    if (Object.keys(rowMaxs).length === 0 || Object.keys(colMaxs).length === 0) {
+      report.warn('missing_weights', '沒有計算到任何行/列權重，所有格子將使用最小寬度 1');
+    }
 
     // 計算網格長寬
     const gridWidth = newBounds[1] - newBounds[0];
     const gridHeight = newBounds[3] - newBounds[2];
 
+    report.mark('gridMapping');
+
     // 轉換座標到新網格（保持原始結構）
     const transformedData = JSON.parse(JSON.stringify(rawData));
 
@@ -395,6 +497,8 @@ export function execute_6_1_to_7_1(_jsonData) {
       }
     }
 
+    report.mark('transform');
+
     // 將網格長寬添加到資料中
     if (isInputArray) {
       // 如果是陣列，添加 meta 物件
@@ -412,14 +516,6 @@ export function execute_6_1_to_7_1(_jsonData) {
       transformedData.meta.gridHeight = gridHeight;
     }
 
-    // 繪製對比圖 (由前端 d3jsmap 組件處理)
-    drawComparison(data, null);
-
-    // 儲存檔案
-    if (!taipei7_1Layer) {
-      throw new Error('找不到 taipei_7_1 圖層');
-    }
-
     // 確保每個 route 都有 original_props（用於顏色）
     for (const route of routesToProcess) {
       if (!route.original_props) {
@@ -431,30 +527,26 @@ export function execute_6_1_to_7_1(_jsonData) {
       }
     }
 
-    // 輸出時保持原始結構（如果輸入是陣列，輸出也是陣列；如果輸入是物件，輸出也是物件）
-    taipei7_1Layer.spaceNetworkGridJsonData = transformedData;
-    taipei7_1Layer.layoutGridJsonData = transformedData;
-    console.log(`✅ 對比圖已處理 (由前端 d3jsmap 組件顯示)`);
-    console.log(`✅ 網格尺寸: ${gridWidth.toFixed(2)} x ${gridHeight.toFixed(2)}`);
-
-    // 產生摘要並存到 dashboardData
+    // 產生結構化報告並存到 dashboardData
     const routeCount = isInputArray ? transformedData.length : transformedData.routes?.length || 0;
-    const dashboardData = {
-      routeCount: routeCount,
-      gridWidth: gridWidth,
-      gridHeight: gridHeight,
-      rowMaxCount: Object.keys(rowMaxs).length,
-      colMaxCount: Object.keys(colMaxs).length,
-      maxExponentCap: MAX_EXPONENT_CAP,
-    };
-
-    taipei7_1Layer.dashboardData = dashboardData;
-
-    // 自動開啟 taipei_7_1 圖層以便查看結果
-    if (!taipei7_1Layer.visible) {
-      taipei7_1Layer.visible = true;
-      dataStore.saveLayerState('taipei_7_1', { visible: true });
-    }
+    const dashboardData = report.finish({
+      counts: {
+        routes: routeCount,
+        rows: Object.keys(rowMaxs).length,
+        cols: Object.keys(colMaxs).length,
+      },
+      values: {
+        maxExponentCap: MAX_EXPONENT_CAP,
+        cellScaling: CELL_SCALING,
+        budgetScale,
+        gridSize: {
+          width: gridWidth,
+          height: gridHeight,
+        },
+      },
+    });
+
+    return { data: transformedData, report: dashboardData };
   } catch (error) {
     console.error(`\n❌ [例外狀況] 執行錯誤：${error.message}`);
     if (error.stack) {
@@ -463,3 +555,38 @@ export function execute_6_1_to_7_1(_jsonData) {
     throw error;
   }
 }
+
+/**
+ * 圖層版本：讀取專案的 6_1 圖層，執行 run_6_1_to_7_1 後寫入 7_1 圖層
+ * @param {*} _jsonData - 保留參數 (未使用)
+ * @param {Object} [options] - 執行選項 (會一併傳給 run_6_1_to_7_1)
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {data, report}
+ */
+// eslint-disable-next-line no-unused-vars
+export function execute_6_1_to_7_1(_jsonData, options = {}) {
+  const { inputLayerId, outputLayerId, inputLayer, outputLayer } = resolveStepLayers(
+    '6_1',
+    '7_1',
+    options.project
+  );
+
+  if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+    console.error(`❌ 錯誤: 找不到輸入檔案 ${inputLayerId}`);
+    throw new Error(`找不到輸入檔案 ${inputLayerId}`);
+  }
+
+  if (!outputLayer) {
+    throw new Error(`找不到 ${outputLayerId} 圖層`);
+  }
+
+  const result = run_6_1_to_7_1(inputLayer.spaceNetworkGridJsonData, options);
+
+  writeStepOutput(outputLayer, result, {
+    layoutGrid: true,
+    stepId: '6_1_to_7_1',
+    params: options,
+  });
+
+  return result;
+}
@@ -0,0 +1,102 @@
+/**
+ * 無介面管線執行模組 (Headless Pipeline Module)
+ *
+ * 直接串接各步驟的純函式 (run_*)，前一步的輸出即為下一步的輸入，
+ * 不建立 Pinia 實例、不讀寫任何圖層，也不需要 DOM。
+ * 供命令列工具 (scripts/run-pipeline.js) 與批次作業使用。
+ *
+ * @file headlessPipeline.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { getPipelineRange, createStepError } from './stepRegistry.js';
+import { normalizeStepParams } from './stepParams.js';
+import { validateTopology } from './topologyValidator.js';
+import { DEFAULT_LAYOUT_MODE, isOctilinearMode } from './octilinear.js';
+
+/**
+ * 依序執行 from → to 的純函式步驟
+ *
+ * - 第一個步驟的輸入：from 為 1_0_to_1_1 時是 GeoJSON，否則是前一階段的網絡 JSON
+ * - 任何步驟失敗即停止，拋出的錯誤帶有 stepId，已完成步驟會先透過 onStepComplete 回報
+ * - validate 為 true 時，每個步驟的輸出都會與其輸入做拓撲檢查 (違規只記錄不中斷)
+ *
+ * @param {*} inputData - 起始步驟的輸入資料
+ * @param {Object} [options] - 執行選項
+ * @param {string} [options.from] - 起始步驟 ID
+ * @param {string} [options.to] - 結束步驟 ID
+ * @param {Object} [options.stepOptions] - 各步驟的額外選項，以步驟 ID 為鍵 (schema 參數會經過驗證並補齊預設值)
+ * @param {string} [options.layoutMode='orthogonal'] - 版面模式，帶入示意化之後的步驟 ('orthogonal' | 'octilinear')
+ * @param {Function} [options.onStepStart] - 步驟開始回調 (step, index, total)
+ * @param {Function} [options.onStepComplete] - 步驟完成回調 (step, result, duration, validation)
+ * @param {boolean} [options.validate=false] - 是否在每個步驟完成後執行拓撲檢查
+ * @returns {Object} {data: 最後一步的輸出, steps: [{id, title, outputStage, duration, report, validation}], duration}
+ */
+export function runStepsHeadless(inputData, options = {}) {
+  const {
+    from,
+    to,
+    stepOptions = {},
+    layoutMode = DEFAULT_LAYOUT_MODE,
+    onStepStart = null,
+    onStepComplete = null,
+    validate = false,
+  } = options;
+  const stepsToRun = getPipelineRange(from, to);
+
+  if (inputData === null || inputData === undefined) {
+    throw new Error(`步驟 ${stepsToRun[0].id} 沒有輸入資料`);
+  }
+
+  const pipelineStart = performance.now();
+  const completedSteps = [];
+  let currentData = inputData;
+
+  for (let i = 0; i < stepsToRun.length; i++) {
+    const step = stepsToRun[i];
+    if (onStepStart) onStepStart(step, i, stepsToRun.length);
+
+    const stepStart = performance.now();
+    const overrides = stepOptions[step.id] || {};
+    const runOptions = {
+      ...(step.orthogonal && { layoutMode }),
+      ...overrides,
+      ...normalizeStepParams(step.params, overrides),
+    };
+    let result;
+    try {
+      result = step.run(currentData, runOptions);
+    } catch (error) {
+      throw createStepError(step, error);
+    }
+    const duration = (performance.now() - stepStart) / 1000;
+
+    // 第一步的輸入是 GeoJSON，無法與網絡資料比對
+    const validation = validate
+      ? validateTopology(result.data, {
+          reference: step.inputStage ? currentData : null,
+          orthogonal: step.orthogonal,
+          octilinear: step.orthogonal && isOctilinearMode(runOptions),
+        })
+      : null;
+
+    completedSteps.push({
+      id: step.id,
+      title: step.title,
+      outputStage: step.outputStage,
+      duration: parseFloat(duration.toFixed(2)),
+      report: result.report,
+      validation,
+    });
+    if (onStepComplete) onStepComplete(step, result, duration, validation);
+
+    currentData = result.data;
+  }
+
+  return {
+    data: currentData,
+    steps: completedSteps,
+    duration: (performance.now() - pipelineStart) / 1000,
+  };
+}
@@ -53,3 +53,16 @@ export function findNearestTwoPoints(points) {
   };
 }
 
+/**
+ * 判斷節點是否為真實車站 (需要繪製 / 保留的黑點與紅點)
+ * 只有轉乘點 (node_type='connect') 或帶有站名 (station_name) 的節點才算；
+ * 幾何運算產生的 node_type='line' 轉折點與空物件都不是車站。
+ * 各步驟與拓撲檢查 (topologyValidator.js) 共用此定義，車站數才能互相比對。
+ * @param {Object} node - 節點屬性物件
+ * @returns {boolean} 是否為真實車站
+ */
+export function isRealStation(node) {
+  if (!node) return false;
+  if (node.node_type === 'connect') return true;
+  return !!(node.station_name || node.tags?.station_name);
+}
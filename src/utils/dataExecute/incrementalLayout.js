@@ -0,0 +1,316 @@
+/**
+ * 增量重新配置模組 (Incremental Layout Module)
+ *
+ * 輸入 GeoJSON 只新增一個車站或延伸一段路線時，重新執行整條管線會得到完全不同的版面。
+ * 增量模式以「前一次執行同一步驟的結果」為基準，只重新配置有變動的部分：
+ * - 以路線名稱與沿線車站序列 (station_id / id / 站名) 比對本次與前次的路段 (Link)
+ * - 以兩次都存在的端點建立各軸的座標對應 (網格壓縮因新車站多出一列時，其餘座標跟著平移)
+ * - 端點對應後與本次完全一致的路段沿用前次幾何並固定，其餘路段 (受影響區域) 才重新求解
+ * - 縮減步驟 (2_6_to_2_7、2_7_to_2_8) 重播前次的移動後，幾何與前次相同的路段視為固定
+ *
+ * @file incrementalLayout.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { isDiagonalSegment } from './octilinear.js';
+
+// 座標比較容差
+const EPSILON = 1e-6;
+
+// 縮減步驟比較幾何時的容差 (與 2_7_to_2_8 的座標整數化精度一致)
+const GEOMETRY_TOLERANCE = 1e-4;
+
+// ==========================================
+// 1. 路段識別 (Link Signature)
+// ==========================================
+/**
+ * 取得節點的車站識別值 (沒有識別值的幾何點回傳 null)
+ * @param {Object} node - 節點屬性
+ * @returns {string|null} 識別值
+ */
+export function getStationKey(node) {
+  if (!node || typeof node !== 'object') return null;
+  const tags = node.tags || {};
+  const key = node.station_id ?? node.id ?? tags.station_id ?? tags.name ?? node.station_name;
+  return key === undefined || key === null || String(key) === '' ? null : String(key);
+}
+
+/**
+ * 將扁平結構的路段 (name / points / nodes) 整理為比對用的描述
+ * @param {Object} item - 路段物件
+ * @returns {Object} {route, nodes, start, end}
+ */
+export function describeLink(item) {
+  const points = item.points || [];
+  return {
+    route: item.name ?? item.route_name ?? '',
+    nodes: item.nodes || [],
+    start: points[0],
+    end: points[points.length - 1],
+  };
+}
+
+/**
+ * 路段簽章：路線名稱 + 依序排列的車站識別值
+ * @param {string} route - 路線名稱
+ * @param {Array<Object>} nodes - 節點屬性陣列
+ * @param {Function} [isStation] - 哪些節點算車站 (預設為有識別值的節點)
+ * @returns {string} 簽章
+ */
+function getSignature(route, nodes, isStation = () => true) {
+  const keys = nodes
+    .filter((node) => node && isStation(node))
+    .map(getStationKey)
+    .filter((key) => key !== null);
+  return [route ?? '', ...keys].join('\u0000');
+}
+
+/**
+ * 兩點是否相同
+ * @param {Array<number>} p1 - 點1座標
+ * @param {Array<number>} p2 - 點2座標
+ * @param {number} [tolerance=EPSILON] - 容差
+ * @returns {boolean} 是否相同
+ */
+function isSamePoint(p1, p2, tolerance = EPSILON) {
+  return Math.abs(p1[0] - p2[0]) <= tolerance && Math.abs(p1[1] - p2[1]) <= tolerance;
+}
+
+/**
+ * 以簽章建立前次路段的索引 (同時登記反向簽章，反向比對時需翻轉點序)
+ * @param {Array} previousData - 前次結果 (扁平路段陣列)
+ * @param {Function} [isStation] - 哪些節點算車站 (同 getSignature)
+ * @returns {Map<string, Array<Object>>} 簽章 → [{entry: {item, used}, reversed}]
+ */
+function indexPreviousLinks(previousData, isStation) {
+  const index = new Map();
+  const add = (signature, entry) => {
+    if (!index.has(signature)) index.set(signature, []);
+    index.get(signature).push(entry);
+  };
+  for (const item of previousData || []) {
+    if (!item || !Array.isArray(item.points) || item.points.length < 2) continue;
+    const { route, nodes } = describeLink(item);
+    const entry = { item, used: false };
+    add(getSignature(route, nodes, isStation), { entry, reversed: false });
+    add(getSignature(route, [...nodes].reverse(), isStation), { entry, reversed: true });
+  }
+  return index;
+}
+
+// ==========================================
+// 2. 座標對應 (Frame Mapping)
+// ==========================================
+/**
+ * 由 (前次座標, 本次座標) 配對建立單一軸的對應函式
+ *
+ * 同一個前次座標對到不同本次座標、或破壞遞增順序的配對會被捨棄；
+ * 配對之間以線性內插，超出範圍時沿用最近配對的平移量，沒有配對時為恆等對應。
+ *
+ * @param {Array<Array<number>>} pairs - [[前次座標, 本次座標], ...]
+ * @returns {Object} {map: (value) => number, shifted: 是否有任何座標改變}
+ */
+function createAxisMapping(pairs) {
+  const byValue = new Map();
+  for (const [from, to] of pairs) {
+    const key = Math.round(from / EPSILON);
+    const existing = byValue.get(key);
+    if (!existing) byValue.set(key, { from, to, consistent: true });
+    else if (Math.abs(existing.to - to) > EPSILON) existing.consistent = false;
+  }
+
+  const anchors = [];
+  const sorted = Array.from(byValue.values())
+    .filter((anchor) => anchor.consistent)
+    .sort((a, b) => a.from - b.from);
+  for (const anchor of sorted) {
+    if (anchors.length === 0 || anchor.to > anchors[anchors.length - 1].to + EPSILON) {
+      anchors.push(anchor);
+    }
+  }
+
+  const map = (value) => {
+    if (anchors.length === 0) return value;
+    if (value <= anchors[0].from) return value + anchors[0].to - anchors[0].from;
+    for (let i = 1; i < anchors.length; i++) {
+      const lo = anchors[i - 1];
+      const hi = anchors[i];
+      if (value <= hi.from) {
+        const ratio = (value - lo.from) / (hi.from - lo.from);
+        return lo.to + (hi.to - lo.to) * ratio;
+      }
+    }
+    const last = anchors[anchors.length - 1];
+    return value + last.to - last.from;
+  };
+
+  return { map, shifted: anchors.some((anchor) => Math.abs(anchor.to - anchor.from) > EPSILON) };
+}
+
+/**
+ * 路徑是否仍符合版面模式 (水平 / 垂直，八方向模式另允許 45° 斜線)
+ * @param {Array<Array<number>>} points - 路徑點
+ * @param {boolean} octilinear - 八方向模式
+ * @returns {boolean} 是否符合
+ */
+function isSchematicPath(points, octilinear) {
+  for (let i = 0; i < points.length - 1; i++) {
+    const [p1, p2] = [points[i], points[i + 1]];
+    if (Math.abs(p1[0] - p2[0]) < EPSILON || Math.abs(p1[1] - p2[1]) < EPSILON) continue;
+    if (octilinear && isDiagonalSegment(p1, p2)) continue;
+    return false;
+  }
+  return true;
+}
+
+// ==========================================
+// 3. 路段比對 (Link Matching)
+// ==========================================
+/**
+ * 比對本次路段與前次結果，找出可以沿用前次幾何的路段
+ *
+ * 可沿用的條件：路線名稱與沿線車站序列相同，且前次路徑經座標對應後
+ * 兩端與本次端點重合、仍符合版面模式。沿用的路徑以本次的節點屬性取代前次的車站屬性。
+ *
+ * @param {Array<Object>} links - 本次路段描述 [{route, nodes, start, end}] (nodes 含兩端)
+ * @param {Array} previousData - 前次同一步驟的輸出 (扁平路段陣列)
+ * @param {Object} [options] - 比對選項
+ * @param {boolean} [options.octilinear=false] - 八方向模式
+ * @param {Function} [options.isStation] - 簽章中哪些節點算車站；步驟會捨棄部分節點時 (例如 2_3_to_2_4
+ *   只保留轉乘站與有站名的車站)，需以同樣的判定比對，否則被捨棄過車站的路段永遠比對不到
+ * @returns {Object} {matches: 與 links 對應的 {points, nodes} 或 null, stats: {previousLinks, keptLinks, relayoutLinks, frameShifted}}
+ */
+export function matchPreviousLinks(links, previousData, options = {}) {
+  const { octilinear = false, isStation } = options;
+  const index = indexPreviousLinks(previousData, isStation);
+  const candidates = links.map(
+    (link) => index.get(getSignature(link.route, link.nodes, isStation)) || []
+  );
+
+  // 1. 只有唯一候選的路段提供端點配對，建立座標對應
+  const pairsX = [];
+  const pairsY = [];
+  candidates.forEach((list, i) => {
+    if (list.length !== 1) return;
+    const { entry, reversed } = list[0];
+    const points = entry.item.points;
+    const prevStart = reversed ? points[points.length - 1] : points[0];
+    const prevEnd = reversed ? points[0] : points[points.length - 1];
+    pairsX.push([prevStart[0], links[i].start[0]], [prevEnd[0], links[i].end[0]]);
+    pairsY.push([prevStart[1], links[i].start[1]], [prevEnd[1], links[i].end[1]]);
+  });
+  const mappingX = createAxisMapping(pairsX);
+  const mappingY = createAxisMapping(pairsY);
+
+  // 2. 逐一檢查候選：對應後兩端重合且仍為示意化路徑才沿用
+  const matches = links.map((link, i) => {
+    for (const { entry, reversed } of candidates[i]) {
+      if (entry.used) continue;
+      const sourcePoints = reversed ? [...entry.item.points].reverse() : entry.item.points;
+      const sourceNodes = reversed
+        ? [...(entry.item.nodes || [])].reverse()
+        : entry.item.nodes || [];
+      const points = sourcePoints.map((p) => [mappingX.map(p[0]), mappingY.map(p[1])]);
+      if (
+        !isSamePoint(points[0], link.start) ||
+        !isSamePoint(points[points.length - 1], link.end)
+      ) {
+        continue;
+      }
+      if (!isSchematicPath(points, octilinear)) continue;
+
+      // 端點座標直接使用本次的值，避免內插誤差；車站屬性換成本次的屬性
+      points[0] = [link.start[0], link.start[1]];
+      points[points.length - 1] = [link.end[0], link.end[1]];
+      const currentNodes = new Map();
+      for (const node of link.nodes) {
+        const key = getStationKey(node);
+        if (key !== null && !currentNodes.has(key)) currentNodes.set(key, node);
+      }
+      const nodes = points.map((_, k) => {
+        if (k === 0) return link.nodes[0] || {};
+        if (k === points.length - 1) return link.nodes[link.nodes.length - 1] || {};
+        const node = sourceNodes[k] || {};
+        const key = getStationKey(node);
+        return key !== null && currentNodes.has(key)
+          ? currentNodes.get(key)
+          : JSON.parse(JSON.stringify(node));
+      });
+
+      entry.used = true;
+      return { points, nodes };
+    }
+    return null;
+  });
+
+  const keptLinks = matches.filter(Boolean).length;
+  return {
+    matches,
+    stats: {
+      previousLinks: (previousData || []).length,
+      keptLinks,
+      relayoutLinks: links.length - keptLinks,
+      frameShifted: mappingX.shifted || mappingY.shifted,
+    },
+  };
+}
+
+/**
+ * 取出路徑的轉折點 (移除共線的中間點，例如路段中的車站)
+ * @param {Array<Array<number>>} points - 路徑點
+ * @returns {Array<Array<number>>} 轉折點路徑 (含兩端)
+ */
+export function getPathCorners(points) {
+  const corners = [points[0].slice(0, 2)];
+  for (let i = 1; i < points.length - 1; i++) {
+    const prev = corners[corners.length - 1];
+    const curr = points[i];
+    const next = points[i + 1];
+    if (isSamePoint(prev, curr)) continue;
+    const cross =
+      (curr[0] - prev[0]) * (next[1] - curr[1]) - (curr[1] - prev[1]) * (next[0] - curr[0]);
+    const dot =
+      (curr[0] - prev[0]) * (next[0] - curr[0]) + (curr[1] - prev[1]) * (next[1] - curr[1]);
+    if (Math.abs(cross) > EPSILON || dot < 0) corners.push(curr.slice(0, 2));
+  }
+  corners.push(points[points.length - 1].slice(0, 2));
+  return corners;
+}
+
+// ==========================================
+// 4. 縮減步驟的固定點 (Fixed Points)
+// ==========================================
+/**
+ * 找出幾何與前次結果完全相同的路段，回傳其所有點作為縮減步驟的固定點
+ *
+ * 縮減步驟先重播前次的移動，再呼叫此函式：重播後仍與前次相同的路段不受這次變動影響，
+ * 之後的新移動不得牽動這些點。
+ *
+ * @param {Array} flatData - 本次資料 (扁平路段陣列)
+ * @param {Array} previousData - 前次同一步驟的輸出 (扁平路段陣列)
+ * @returns {Object} {points: 固定點座標陣列, keptSegments, relayoutSegments}
+ */
+export function collectFixedPoints(flatData, previousData) {
+  const index = indexPreviousLinks(previousData);
+  const points = [];
+  let keptSegments = 0;
+
+  for (const item of flatData) {
+    const pts = item.points || [];
+    if (pts.length < 2) continue;
+    const { route, nodes } = describeLink(item);
+    const candidates = index.get(getSignature(route, nodes)) || [];
+    const match = candidates.find(({ entry, reversed }) => {
+      if (entry.used || entry.item.points.length !== pts.length) return false;
+      const prevPoints = reversed ? [...entry.item.points].reverse() : entry.item.points;
+      return prevPoints.every((p, k) => isSamePoint(p, pts[k], GEOMETRY_TOLERANCE));
+    });
+    if (!match) continue;
+    match.entry.used = true;
+    keptSegments++;
+    for (const p of pts) points.push([p[0], p[1]]);
+  }
+
+  return { points, keptSegments, relayoutSegments: flatData.length - keptSegments };
+}
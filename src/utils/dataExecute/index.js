@@ -1,16 +1,128 @@
-export { execute_1_0_to_1_1 } from './execute_1_0_to_1_1.js';
-export { execute_1_1_to_1_2 } from './execute_1_1_to_1_2.js';
-export { execute_1_2_to_2_1 } from './execute_1_2_to_2_1.js';
-export { execute_2_1_to_2_2 } from './execute_2_1_to_2_2.js';
-export { execute_2_2_to_2_3 } from './execute_2_2_to_2_3.js';
-export { execute_2_3_to_2_4 } from './execute_2_3_to_2_4.js';
-export { execute_2_4_to_2_5 } from './execute_2_4_to_2_5.js';
-export { execute_2_5_to_2_6 } from './execute_2_5_to_2_6.js';
-export { execute_2_6_to_2_7 } from './execute_2_6_to_2_7.js';
-export { execute_2_7_to_2_8 } from './execute_2_7_to_2_8.js';
-export { execute_2_8_to_2_9 } from './execute_2_8_to_2_9.js';
-export { execute_2_9_to_2_10 } from './execute_2_9_to_2_10.js';
-export { execute_2_10_to_3_1 } from './execute_2_10_to_3_1.js';
-export { execute_3_1_to_4_1 } from './execute_3_1_to_4_1.js';
-export { execute_4_1_to_6_1 } from './execute_4_1_to_6_1.js';
-export { execute_6_1_to_7_1 } from './execute_6_1_to_7_1.js';
+export { execute_1_0_to_1_1, run_1_0_to_1_1, schema_1_0_to_1_1 } from './execute_1_0_to_1_1.js';
+export { execute_1_1_to_1_2, run_1_1_to_1_2 } from './execute_1_1_to_1_2.js';
+export { execute_1_2_to_2_1, run_1_2_to_2_1 } from './execute_1_2_to_2_1.js';
+export { execute_2_1_to_2_2, run_2_1_to_2_2, schema_2_1_to_2_2 } from './execute_2_1_to_2_2.js';
+export {
+  LAYOUT_OPTIMIZERS,
+  execute_2_2_to_2_3,
+  run_2_2_to_2_3,
+  schema_2_2_to_2_3,
+} from './execute_2_2_to_2_3.js';
+export { execute_2_3_to_2_4, run_2_3_to_2_4, schema_2_3_to_2_4 } from './execute_2_3_to_2_4.js';
+export { execute_2_4_to_2_5, run_2_4_to_2_5 } from './execute_2_4_to_2_5.js';
+export { execute_2_5_to_2_6, run_2_5_to_2_6 } from './execute_2_5_to_2_6.js';
+export { execute_2_6_to_2_7, run_2_6_to_2_7, schema_2_6_to_2_7 } from './execute_2_6_to_2_7.js';
+export { execute_2_7_to_2_8, run_2_7_to_2_8 } from './execute_2_7_to_2_8.js';
+export { execute_2_8_to_2_9, run_2_8_to_2_9 } from './execute_2_8_to_2_9.js';
+export { execute_2_9_to_2_10, run_2_9_to_2_10 } from './execute_2_9_to_2_10.js';
+export { execute_2_10_to_3_1, run_2_10_to_3_1, schema_2_10_to_3_1 } from './execute_2_10_to_3_1.js';
+export { execute_3_1_to_4_1, run_3_1_to_4_1, schema_3_1_to_4_1 } from './execute_3_1_to_4_1.js';
+export { execute_4_1_to_6_1, run_4_1_to_6_1, schema_4_1_to_6_1 } from './execute_4_1_to_6_1.js';
+export {
+  computeScaledGrid,
+  execute_6_1_to_7_1,
+  run_6_1_to_7_1,
+  schema_6_1_to_7_1,
+} from './execute_6_1_to_7_1.js';
+export {
+  PIPELINE_STEPS,
+  getPipelineStep,
+  getPipelineRange,
+  getStepLayerIds,
+  getPipelineStages,
+  getPipelineState,
+  runPipeline,
+  resumePipeline,
+  cancelPipeline,
+  validateStepOutput,
+} from './pipeline.js';
+export { runStepInWorker } from './stepWorkerClient.js';
+export { runStepsHeadless } from './headlessPipeline.js';
+export { getStepParamDefaults, normalizeStepParam, normalizeStepParams } from './stepParams.js';
+export { createStepReport, isStepReport } from './stepReport.js';
+export { validateTopology } from './topologyValidator.js';
+export {
+  COST_TERM_KEYS,
+  DEFAULT_COST_WEIGHTS,
+  combineCostTerms,
+  getPathCostTerms,
+} from './layoutCost.js';
+export {
+  DEFAULT_LAYOUT_MODE,
+  LAYOUT_MODES,
+  generateOctilinearCandidates,
+  isLayoutMode,
+  isOctilinearMode,
+} from './octilinear.js';
+export {
+  DEFAULT_RIDERSHIP_SCALE,
+  RIDERSHIP_SCALES,
+  applyRidershipWeights,
+  parseRidership,
+} from './ridership.js';
+export {
+  collectFixedPoints,
+  describeLink,
+  getPathCorners,
+  getStationKey,
+  matchPreviousLinks,
+} from './incrementalLayout.js';
+export {
+  LOCK_TYPES,
+  checkLayoutConstraints,
+  collectConstrainedPoints,
+  findConstrainedSegments,
+  hasLayoutConstraints,
+  isLockSatisfied,
+  normalizeLayoutConstraints,
+  reportLayoutConstraints,
+  resolveLockScope,
+} from './layoutConstraints.js';
+export {
+  LAYOUT_EDIT_PATCH_VERSION,
+  applyLayoutEdits,
+  createLayoutEditPatch,
+  isEditableLayoutData,
+  snapToGrid,
+  tryLayoutEdit,
+} from './layoutEdits.js';
+export {
+  findLoopRoutes,
+  getSegmentRouteName,
+  isLoopSegments,
+  orderLoopSegments,
+} from './loopRoutes.js';
+export {
+  STRUCTURE_TYPES,
+  classifyNetworkStructure,
+  findStationSections,
+  getSegmentSection,
+  getStructurePriority,
+  getStructureType,
+} from './networkStructure.js';
+export {
+  CELL_SCALINGS,
+  DEFAULT_CELL_SCALING,
+  createCellScaler,
+  getCellScaling,
+  parsePiecewiseBreakpoints,
+  registerCellScaling,
+  sampleCellScaler,
+} from './cellScaling.js';
+export {
+  DEFAULT_TRANSIT_MODE,
+  TRANSIT_MODES,
+  buildTransferLinks,
+  getModePriority,
+  getRouteMode,
+  getSegmentMode,
+  getStationMode,
+  getTransitMode,
+} from './transitModes.js';
+export {
+  DEFAULT_PROJECT,
+  getProjectLayerId,
+  resolveProject,
+  resolveStepLayers,
+  writeStepOutput,
+} from './projectLayers.js';
@@ -0,0 +1,478 @@
+/**
+ * 版面限制模組 (Layout Constraints Module)
+ *
+ * 使用者可為專案設定兩種版面限制，配置與縮減步驟 (2_3、2_4、2_7、2_8、2_10) 視為硬限制：
+ * - 固定點 (pins)：{station, x, y}，車站固定在指定的網格座標 (2_2 ~ 2_8 共用的網格座標)
+ * - 鎖定 (locks)：{type, route, from, to}，路線 (或 from → to 之間的區段) 保持直線、水平或垂直
+ *
+ * 車站以 station_id / id / 站名表示，路線以路線名稱表示。
+ * 無法滿足的限制不會中斷步驟，而是列在步驟報告的警告中 (pin_unsatisfied、lock_unsatisfied)。
+ *
+ * @file layoutConstraints.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// 座標比較容差
+const EPSILON = 1e-4;
+
+/**
+ * 可選的鎖定類型
+ * @type {Array<Object>}
+ */
+export const LOCK_TYPES = [
+  { value: 'straight', label: '保持直線' },
+  { value: 'horizontal', label: '水平' },
+  { value: 'vertical', label: '垂直' },
+];
+
+// ==========================================
+// 1. 讀取限制 (Parsing)
+// ==========================================
+
+/**
+ * 判斷值是否為非空白的識別值 (字串或數字)
+ * @param {*} value - 值
+ * @returns {boolean} 是否可用
+ */
+function isReference(value) {
+  return (typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '';
+}
+
+/**
+ * 整理版面限制，並檢查每一筆設定是否完整
+ *
+ * 可傳入物件或 JSON 字串，格式為 {pins: [{station, x, y}], locks: [{type, route, from, to}]}；
+ * 鎖定的 from / to 需同時提供 (只鎖定兩站之間的區段) 或同時省略 (鎖定整條路線)。
+ *
+ * @param {Object|string|null} raw - 版面限制
+ * @returns {Object} {pins: [{station, x, y}], locks: [{type, route, from, to}]} (from / to 未指定時為 null)
+ * @throws {Error} 格式錯誤或設定不完整
+ */
+export function normalizeLayoutConstraints(raw) {
+  if (raw === null || raw === undefined || raw === '') return { pins: [], locks: [] };
+
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`版面限制不是有效的 JSON：${error.message}`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('版面限制必須是 {pins: [...], locks: [...]}');
+  }
+  const rawPins = parsed.pins ?? [];
+  const rawLocks = parsed.locks ?? [];
+  if (!Array.isArray(rawPins) || !Array.isArray(rawLocks)) {
+    throw new Error('版面限制的 pins 與 locks 必須是陣列');
+  }
+
+  const pins = rawPins.map((pin, index) => {
+    if (!pin || !isReference(pin.station)) {
+      throw new Error(`第 ${index + 1} 個固定點缺少車站 (station)`);
+    }
+    const x = Number(pin.x);
+    const y = Number(pin.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new Error(`第 ${index + 1} 個固定點 (${pin.station}) 的 x、y 必須是數字`);
+    }
+    return { station: String(pin.station).trim(), x, y };
+  });
+
+  const locks = rawLocks.map((lock, index) => {
+    if (!lock || !LOCK_TYPES.some((item) => item.value === lock.type)) {
+      const types = LOCK_TYPES.map((item) => item.value).join('、');
+      throw new Error(`第 ${index + 1} 個鎖定的類型 (type) 必須是 ${types}`);
+    }
+    if (!isReference(lock.route)) {
+      throw new Error(`第 ${index + 1} 個鎖定缺少路線 (route)`);
+    }
+    const hasFrom = isReference(lock.from);
+    const hasTo = isReference(lock.to);
+    if (hasFrom !== hasTo) {
+      throw new Error(`第 ${index + 1} 個鎖定的 from 與 to 需同時提供或同時省略`);
+    }
+    return {
+      type: lock.type,
+      route: String(lock.route).trim(),
+      from: hasFrom ? String(lock.from).trim() : null,
+      to: hasTo ? String(lock.to).trim() : null,
+    };
+  });
+
+  return { pins, locks };
+}
+
+/**
+ * 是否有任何版面限制
+ * @param {Object|null} constraints - normalizeLayoutConstraints 的結果
+ * @returns {boolean} 是否有限制
+ */
+export function hasLayoutConstraints(constraints) {
+  return !!constraints && (constraints.pins.length > 0 || constraints.locks.length > 0);
+}
+
+/**
+ * 取得限制中提到的所有車站 (固定點的車站與鎖定區段的兩端)
+ * @param {Object} constraints - normalizeLayoutConstraints 的結果
+ * @returns {Array<string>} 車站識別值
+ */
+export function getConstraintStations(constraints) {
+  const stations = constraints.pins.map((pin) => pin.station);
+  for (const lock of constraints.locks) {
+    if (lock.from !== null) stations.push(lock.from, lock.to);
+  }
+  return Array.from(new Set(stations));
+}
+
+// ==========================================
+// 2. 比對車站與路線 (Matching)
+// ==========================================
+
+/**
+ * 座標鍵值 (四捨五入到 1e-4，與 2_6_to_2_7 保護點的格式一致)
+ * @param {Array<number>} pt - 座標
+ * @returns {string} 鍵值
+ */
+export function pointKey(pt) {
+  return JSON.stringify([Math.round(pt[0] * 10000) / 10000, Math.round(pt[1] * 10000) / 10000]);
+}
+
+/**
+ * 節點是否為指定的車站 (依 station_id / id / 站名比對)
+ * @param {Object|null} node - 節點屬性
+ * @param {string} station - 車站識別值
+ * @returns {boolean} 是否相符
+ */
+export function matchesStation(node, station) {
+  if (!node || typeof node !== 'object') return false;
+  const tags = node.tags || {};
+  return [
+    node.station_id,
+    tags.station_id,
+    node.id,
+    node.station_name,
+    tags.station_name,
+    tags.name,
+  ].some((value) => value !== undefined && value !== null && String(value).trim() === station);
+}
+
+/**
+ * 路段是否屬於指定的路線
+ * @param {Object} item - 路段物件 (扁平結構)
+ * @param {string} route - 路線名稱
+ * @returns {boolean} 是否相符
+ */
+function matchesRoute(item, route) {
+  const tags = item.way_properties?.tags || {};
+  return [item.name, item.route_name, tags.route_name, tags.name].some(
+    (value) => value !== undefined && value !== null && String(value).trim() === route
+  );
+}
+
+/**
+ * 找出車站在網絡中的座標 (同一車站出現在多個路段時去重)
+ * @param {Array} flatData - 扁平結構的路段陣列
+ * @param {string} station - 車站識別值
+ * @returns {Array<Array<number>>} 座標
+ */
+function findStationPoints(flatData, station) {
+  const found = new Map();
+  for (const item of flatData) {
+    const points = item.points || [];
+    const nodes = item.nodes || [];
+    for (let i = 0; i < points.length; i++) {
+      if (points[i] && matchesStation(nodes[i], station)) {
+        found.set(pointKey(points[i]), [points[i][0], points[i][1]]);
+      }
+    }
+  }
+  return Array.from(found.values());
+}
+
+/**
+ * 找出鎖定涵蓋的點與路段
+ *
+ * 未指定 from / to 時涵蓋整條路線；否則沿路線的點連線圖找出 from → to 的最短路徑。
+ *
+ * @param {Array} flatData - 扁平結構的路段陣列
+ * @param {Object} lock - 鎖定 {type, route, from, to}
+ * @returns {Object} {found, reason, points: 涵蓋的點, segments: 完全落在範圍內的路段索引}
+ */
+export function resolveLockScope(flatData, lock) {
+  const routeIndices = [];
+  flatData.forEach((item, index) => {
+    if (matchesRoute(item, lock.route)) routeIndices.push(index);
+  });
+  if (routeIndices.length === 0) {
+    return { found: false, reason: `找不到路線 ${lock.route}`, points: [], segments: [] };
+  }
+
+  // 路線的點連線圖
+  const coords = new Map();
+  const adjacency = new Map();
+  const link = (a, b) => {
+    if (!adjacency.has(a)) adjacency.set(a, new Set());
+    adjacency.get(a).add(b);
+  };
+  for (const index of routeIndices) {
+    const points = flatData[index].points || [];
+    for (let i = 0; i < points.length; i++) {
+      const key = pointKey(points[i]);
+      coords.set(key, [points[i][0], points[i][1]]);
+      if (i > 0) {
+        const prev = pointKey(points[i - 1]);
+        if (prev !== key) {
+          link(prev, key);
+          link(key, prev);
+        }
+      }
+    }
+  }
+
+  if (lock.from === null) {
+    return {
+      found: true,
+      reason: null,
+      points: Array.from(coords.values()),
+      segments: routeIndices,
+    };
+  }
+
+  const routeData = routeIndices.map((index) => flatData[index]);
+  const starts = findStationPoints(routeData, lock.from).map(pointKey);
+  const targets = new Set(findStationPoints(routeData, lock.to).map(pointKey));
+  const missing = starts.length === 0 ? lock.from : targets.size === 0 ? lock.to : null;
+  if (missing !== null) {
+    return {
+      found: false,
+      reason: `路線 ${lock.route} 上找不到車站 ${missing}`,
+      points: [],
+      segments: [],
+    };
+  }
+
+  // 廣度優先搜尋 from → to 的最短路徑
+  const parent = new Map(starts.map((key) => [key, null]));
+  const queue = [...starts];
+  let reached = null;
+  while (queue.length > 0 && reached === null) {
+    const current = queue.shift();
+    if (targets.has(current)) {
+      reached = current;
+      break;
+    }
+    for (const next of adjacency.get(current) || []) {
+      if (parent.has(next)) continue;
+      parent.set(next, current);
+      queue.push(next);
+    }
+  }
+  if (reached === null) {
+    return {
+      found: false,
+      reason: `路線 ${lock.route} 上的 ${lock.from} 與 ${lock.to} 不相連`,
+      points: [],
+      segments: [],
+    };
+  }
+
+  const pathKeys = [];
+  for (let key = reached; key !== null; key = parent.get(key)) pathKeys.push(key);
+  pathKeys.reverse();
+  const edges = new Set();
+  for (let i = 1; i < pathKeys.length; i++) {
+    edges.add(`${pathKeys[i - 1]}|${pathKeys[i]}`);
+    edges.add(`${pathKeys[i]}|${pathKeys[i - 1]}`);
+  }
+
+  // 每一段相鄰點都在路徑上的路段
+  const segments = routeIndices.filter((index) => {
+    const keys = (flatData[index].points || []).map(pointKey);
+    let hasEdge = false;
+    for (let i = 1; i < keys.length; i++) {
+      if (keys[i] === keys[i - 1]) continue;
+      if (!edges.has(`${keys[i - 1]}|${keys[i]}`)) return false;
+      hasEdge = true;
+    }
+    return hasEdge;
+  });
+
+  return {
+    found: true,
+    reason: null,
+    points: pathKeys.map((key) => coords.get(key)),
+    segments,
+  };
+}
+
+// ==========================================
+// 3. 限制檢查 (Checking)
+// ==========================================
+
+/**
+ * 一組點是否滿足鎖定類型：所有點共線，且方向符合 (水平 / 垂直；保持直線時為版面允許的方向)
+ * @param {Array<Array<number>>} points - 點座標
+ * @param {string} type - 'straight' | 'horizontal' | 'vertical'
+ * @param {boolean} [octilinear=false] - 八方向模式 (保持直線時允許 45° 斜線)
+ * @returns {boolean} 是否滿足
+ */
+export function isLockSatisfied(points, type, octilinear = false) {
+  if (points.length < 2) return true;
+  const origin = points[0];
+  // 以離起點最遠的點決定方向
+  let far = origin;
+  let farDist = 0;
+  for (const pt of points) {
+    const d = Math.hypot(pt[0] - origin[0], pt[1] - origin[1]);
+    if (d > farDist) {
+      far = pt;
+      farDist = d;
+    }
+  }
+  if (farDist < EPSILON) return true;
+
+  const dx = far[0] - origin[0];
+  const dy = far[1] - origin[1];
+  const collinear = points.every(
+    (pt) => Math.abs((pt[0] - origin[0]) * dy - (pt[1] - origin[1]) * dx) <= EPSILON * farDist
+  );
+  if (!collinear) return false;
+
+  const horizontal = Math.abs(dy) < EPSILON;
+  const vertical = Math.abs(dx) < EPSILON;
+  if (type === 'horizontal') return horizontal;
+  if (type === 'vertical') return vertical;
+  return horizontal || vertical || (octilinear && Math.abs(Math.abs(dx) - Math.abs(dy)) < EPSILON);
+}
+
+/**
+ * 找出受限制的路段：鎖定範圍內的路段 (對應鎖定類型) 與含有固定點車站的路段
+ * @param {Array} flatData - 扁平結構的路段陣列
+ * @param {Object} constraints - normalizeLayoutConstraints 的結果
+ * @returns {Object} {locked: Map<路段索引, 鎖定類型>, pinned: Set<路段索引>}
+ */
+export function findConstrainedSegments(flatData, constraints) {
+  const locked = new Map();
+  for (const lock of constraints.locks) {
+    for (const index of resolveLockScope(flatData, lock).segments) {
+      // 同一路段有多個鎖定時，水平 / 垂直比保持直線嚴格
+      if (!locked.has(index) || locked.get(index) === 'straight') locked.set(index, lock.type);
+    }
+  }
+  const pinned = new Set();
+  flatData.forEach((item, index) => {
+    const nodes = item.nodes || [];
+    if (constraints.pins.some((pin) => nodes.some((node) => matchesStation(node, pin.station)))) {
+      pinned.add(index);
+    }
+  });
+  return { locked, pinned };
+}
+
+/**
+ * 收集不可移動的點：固定點車站與鎖定範圍內的所有點 (鍵值格式同 pointKey)
+ * @param {Array} flatData - 扁平結構的路段陣列
+ * @param {Object} constraints - normalizeLayoutConstraints 的結果
+ * @returns {Set<string>} 座標鍵值集合
+ */
+export function collectConstrainedPoints(flatData, constraints) {
+  const keys = new Set();
+  for (const pin of constraints.pins) {
+    for (const pt of findStationPoints(flatData, pin.station)) keys.add(pointKey(pt));
+  }
+  for (const lock of constraints.locks) {
+    for (const pt of resolveLockScope(flatData, lock).points) keys.add(pointKey(pt));
+  }
+  return keys;
+}
+
+/**
+ * 鎖定的說明文字 (報告用)
+ * @param {Object} lock - 鎖定
+ * @returns {string} 說明
+ */
+function describeLock(lock) {
+  const label = LOCK_TYPES.find((item) => item.value === lock.type).label;
+  const scope = lock.from === null ? lock.route : `${lock.route} (${lock.from} → ${lock.to})`;
+  return `${scope} ${label}`;
+}
+
+/**
+ * 檢查網絡是否滿足所有版面限制
+ * @param {Array} flatData - 扁平結構的路段陣列
+ * @param {Object} constraints - normalizeLayoutConstraints 的結果
+ * @param {Object} [options]
+ * @param {boolean} [options.octilinear=false] - 八方向模式
+ * @param {boolean} [options.checkPins=true] - 是否檢查固定點座標 (座標系已變換的步驟只檢查車站是否存在)
+ * @returns {Array<Object>} 未滿足的限制 [{code, message, ...details}]
+ *   code 為 constraint_not_found、pin_unsatisfied 或 lock_unsatisfied
+ */
+export function checkLayoutConstraints(flatData, constraints, options = {}) {
+  const { octilinear = false, checkPins = true } = options;
+  const violations = [];
+
+  for (const pin of constraints.pins) {
+    const points = findStationPoints(flatData, pin.station);
+    if (points.length === 0) {
+      violations.push({
+        code: 'constraint_not_found',
+        message: `找不到固定點的車站 ${pin.station}`,
+        station: pin.station,
+      });
+    } else if (
+      checkPins &&
+      points.some((pt) => Math.abs(pt[0] - pin.x) > EPSILON || Math.abs(pt[1] - pin.y) > EPSILON)
+    ) {
+      violations.push({
+        code: 'pin_unsatisfied',
+        message: `車站 ${pin.station} 無法固定在 (${pin.x}, ${pin.y})`,
+        station: pin.station,
+        target: [pin.x, pin.y],
+        coords: points,
+      });
+    }
+  }
+
+  for (const lock of constraints.locks) {
+    const scope = resolveLockScope(flatData, lock);
+    if (!scope.found) {
+      violations.push({
+        code: 'constraint_not_found',
+        message: `鎖定 ${describeLock(lock)}：${scope.reason}`,
+        lock,
+      });
+    } else if (!isLockSatisfied(scope.points, lock.type, octilinear)) {
+      violations.push({
+        code: 'lock_unsatisfied',
+        message: `無法滿足鎖定：${describeLock(lock)}`,
+        lock,
+        coords: scope.points,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * 檢查步驟輸出的版面限制，未滿足的限制寫入報告警告
+ * @param {Object} report - createStepReport 建立的報告
+ * @param {Array} flatData - 步驟輸出 (扁平結構的路段陣列)
+ * @param {Object} constraints - normalizeLayoutConstraints 的結果
+ * @param {Object} [options] - 同 checkLayoutConstraints
+ * @returns {Object} 報告用的數量 {pins, locks, unsatisfiedConstraints}
+ */
+export function reportLayoutConstraints(report, flatData, constraints, options = {}) {
+  const violations = checkLayoutConstraints(flatData, constraints, options);
+  for (const { code, message, ...details } of violations) {
+    report.warn(code, message, details);
+  }
+  return {
+    pins: constraints.pins.length,
+    locks: constraints.locks.length,
+    unsatisfiedConstraints: violations.length,
+  };
+}
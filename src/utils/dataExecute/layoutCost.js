@@ -0,0 +1,148 @@
+/**
+ * 版面成本模組 (Layout Cost Module)
+ *
+ * 2_2→2_3 的 Z-Layout 最佳化以加權成本評估整個版面，成本越低越好：
+ * - crossings：不同路段之間的交叉數
+ * - bends：轉折次數 (每條路段的轉折點數量)
+ * - length：路段總長度 (八方向模式的斜線較短)
+ * - direction：偏離原始地理方向的程度 (轉折點到原始起訖直線的平均距離，以起訖距離正規化)
+ * - spacing：車站間距過近的次數 (車站與相鄰車站 / 轉折點的距離小於平均站距的一半)
+ *
+ * 權重由步驟參數 (weightCrossings 等) 設定，隨機重啟與模擬退火共用同一個成本，方便比較兩者的結果。
+ *
+ * @file layoutCost.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// ==========================================
+// 1. 成本項目與權重 (Cost Terms & Weights)
+// ==========================================
+
+/**
+ * 成本項目 (依顯示順序)
+ * @type {Array<string>}
+ */
+export const COST_TERM_KEYS = ['crossings', 'bends', 'length', 'direction', 'spacing'];
+
+/**
+ * 預設權重：交叉遠比其他項目嚴重，其餘項目只用於在交叉數相同的版面之間取捨
+ * @type {Object}
+ */
+export const DEFAULT_COST_WEIGHTS = {
+  crossings: 100,
+  bends: 1,
+  length: 0.1,
+  direction: 1,
+  spacing: 0.5,
+};
+
+// 車站與相鄰點的距離小於平均站距的此比例時，視為間距過近
+const MIN_SPACING_RATIO = 0.5;
+
+/**
+ * 建立全部為 0 的成本項目
+ * @returns {Object} {crossings, bends, length, direction, spacing}
+ */
+export function createEmptyCostTerms() {
+  return Object.fromEntries(COST_TERM_KEYS.map((key) => [key, 0]));
+}
+
+/**
+ * 依權重計算總成本
+ * @param {Object} terms - 成本項目
+ * @param {Object} [weights=DEFAULT_COST_WEIGHTS] - 各項目權重
+ * @returns {number} 總成本
+ */
+export function combineCostTerms(terms, weights = DEFAULT_COST_WEIGHTS) {
+  let total = 0;
+  for (const key of COST_TERM_KEYS) {
+    total += (weights[key] ?? 0) * (terms[key] ?? 0);
+  }
+  return total;
+}
+
+/**
+ * 將成本項目累加到 target (回傳 target)
+ * @param {Object} target - 累加目標
+ * @param {Object} terms - 要加入的成本項目
+ * @param {number} [sign=1] - 1 為加入，-1 為扣除
+ * @returns {Object} target
+ */
+export function addCostTerms(target, terms, sign = 1) {
+  for (const key of COST_TERM_KEYS) {
+    target[key] += sign * (terms[key] ?? 0);
+  }
+  return target;
+}
+
+// ==========================================
+// 2. 單一路段成本 (Path Cost)
+// ==========================================
+
+/**
+ * 計算點到直線 (起訖連線) 的垂直距離
+ * @param {Array<number>} p - 點座標
+ * @param {Array<number>} a - 直線起點
+ * @param {Array<number>} b - 直線終點
+ * @returns {number} 距離
+ */
+function distanceToChord(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len = Math.hypot(dx, dy);
+  if (len < 1e-9) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  return Math.abs((p[0] - a[0]) * dy - (p[1] - a[1]) * dx) / len;
+}
+
+/**
+ * 計算單一路段候選路徑的成本項目 (不含交叉，交叉需與其他路段比對)
+ *
+ * @param {Array<Array<number>>} path - 候選路徑的轉折點 (含起訖點，不含中間車站)
+ * @param {Array<Object>} [stations=[]] - 中間車站 [{ratio}]，ratio 為沿路徑的累積距離比例
+ * @returns {Object} {crossings: 0, bends, length, direction, spacing}
+ */
+export function getPathCostTerms(path, stations = []) {
+  const terms = createEmptyCostTerms();
+  if (!path || path.length < 2) return terms;
+
+  const start = path[0];
+  const end = path[path.length - 1];
+  const chord = Math.hypot(end[0] - start[0], end[1] - start[1]);
+
+  // 轉折與長度
+  const cornerArcs = [];
+  let length = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    if (i > 0) cornerArcs.push(length);
+    length += Math.hypot(path[i + 1][0] - path[i][0], path[i + 1][1] - path[i][1]);
+  }
+  terms.bends = path.length - 2;
+  terms.length = length;
+
+  // 方向偏差：轉折點離原始起訖直線越遠，越偏離原本的地理走向
+  if (path.length > 2 && chord > 1e-9) {
+    let offset = 0;
+    for (let i = 1; i < path.length - 1; i++) {
+      offset += distanceToChord(path[i], start, end);
+    }
+    terms.direction = offset / (path.length - 2) / chord;
+  }
+
+  // 車站間距：車站依比例注入，與轉折點或相鄰車站過近時不易辨識
+  if (stations.length > 0 && length > 1e-9) {
+    const minGap = (MIN_SPACING_RATIO * length) / (stations.length + 1);
+    const marks = [
+      { arc: 0, station: false },
+      ...cornerArcs.map((arc) => ({ arc, station: false })),
+      ...stations.map((st) => ({ arc: st.ratio * length, station: true })),
+      { arc: length, station: false },
+    ].sort((a, b) => a.arc - b.arc);
+    for (let i = 0; i < marks.length - 1; i++) {
+      if (!marks[i].station && !marks[i + 1].station) continue;
+      if (marks[i + 1].arc - marks[i].arc < minGap) terms.spacing++;
+    }
+  }
+
+  return terms;
+}
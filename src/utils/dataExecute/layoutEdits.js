@@ -0,0 +1,365 @@
+/**
+ * 手動編輯模組 (Manual Layout Edit Module)
+ *
+ * 管線完成後直接在示意圖上拖曳車站或轉折點做最後修正，不必再到外部繪圖工具調整：
+ * - 每筆編輯為 {from: [x, y], to: [x, y], label}，同一座標上的所有點 (轉乘站、共用走廊) 一起移動
+ * - 目標位置對齊網格 (四捨五入到整數格)
+ * - 相連的線段若不再是水平或垂直，在相鄰點與新位置之間補上 L 型轉折點，
+ *   優先保留相鄰點那一側原本的方向 (八方向模式下原本的 45° 斜線仍為 45° 時不補轉折)
+ * - 以 2_7_to_2_8 的碰撞檢測 (checkNodeCollisionStrict、checkSegmentOverlap) 拒絕會撞到
+ *   其他車站、轉折點或線段的移動；新線段與其他線段交叉 (對照圖的紅色 X) 同樣拒絕
+ * - 編輯以 patch 保存在管線輸出之上，管線輸出本身不變；重新執行步驟後依序重播，
+ *   找不到原位置或已不合法的編輯列在結果中
+ *
+ * @file layoutEdits.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import {
+  checkNodeCollisionStrict,
+  checkSegmentOverlap,
+  isPointOnSegment,
+} from './execute_2_7_to_2_8.js';
+import { isDiagonalSegment } from './octilinear.js';
+import { pointKey } from './layoutConstraints.js';
+
+// ==========================================
+// 1. 網格與資料 (Grid & Data)
+// ==========================================
+
+// patch 檔案格式版本
+export const LAYOUT_EDIT_PATCH_VERSION = 1;
+
+// 判斷水平 / 垂直的容差
+const AXIS_EPS = 1e-6;
+
+// checkNodeCollisionStrict 回傳訊息對應的說明
+const COLLISION_MESSAGES = {
+  'Hit Node': '會與其他車站或轉折點重疊',
+  'Cut Thru': '線段會穿過其他車站或轉折點',
+};
+
+/**
+ * 將座標對齊網格 (四捨五入到整數格)
+ * @param {Array<number>} pt - 座標 [x, y]
+ * @returns {Array<number>} 對齊後的座標
+ */
+export function snapToGrid(pt) {
+  return [Math.round(pt[0]), Math.round(pt[1])];
+}
+
+/**
+ * 資料是否可以手動編輯：扁平的路段陣列 (2_x 配置階段與 3_1)
+ * 4_1 之後為加上站間權重的 Grouped 結構，補上轉折點會打亂 station_weights 的索引，因此不開放編輯
+ * @param {*} data - 網絡資料 (spaceNetworkGridJsonData)
+ * @returns {boolean} 是否可編輯
+ */
+export function isEditableLayoutData(data) {
+  return Array.isArray(data) && data.length > 0 && data.every((seg) => Array.isArray(seg?.points));
+}
+
+/**
+ * 取得點的站名 (轉折點沒有站名)
+ * @param {Object} seg - 路段物件
+ * @param {number} idx - 點索引
+ * @returns {string|null} 站名
+ */
+function getPointLabel(seg, idx) {
+  let node = null;
+  if (Array.isArray(seg.nodes) && seg.nodes.length === seg.points.length) node = seg.nodes[idx];
+  else if (idx === 0) node = seg.properties_start;
+  else if (idx === seg.points.length - 1) node = seg.properties_end;
+  const tags = node?.tags || {};
+  return node?.station_name || tags.station_name || tags.name || null;
+}
+
+/**
+ * 找出指定座標上的所有點 (同一座標可能出現在多條路段)
+ * @param {Array} data - 扁平路段陣列
+ * @param {string} key - pointKey 座標鍵值
+ * @returns {Array<Object>} [{seg, idx}]
+ */
+function findPointLocations(data, key) {
+  const locations = [];
+  for (const seg of data) {
+    seg.points.forEach((pt, idx) => {
+      if (pt && pointKey(pt) === key) locations.push({ seg, idx });
+    });
+  }
+  return locations;
+}
+
+// ==========================================
+// 2. 碰撞檢測 (Collision Checks)
+// ==========================================
+
+/**
+ * 收集障礙物：所有點 (車站與轉折點) 與不經過移動點的線段
+ * @param {Array} data - 扁平路段陣列
+ * @param {string} originKey - 移動點的座標鍵值
+ * @returns {Object} {points, edges}
+ */
+function collectObstacles(data, originKey) {
+  const points = [];
+  const edges = [];
+  const seen = new Set();
+  for (const seg of data) {
+    const pts = seg.points;
+    for (const pt of pts) {
+      const key = pointKey(pt);
+      if (!seen.has(key)) {
+        seen.add(key);
+        points.push(pt);
+      }
+    }
+    for (let i = 0; i < pts.length - 1; i++) {
+      if (pointKey(pts[i]) === originKey || pointKey(pts[i + 1]) === originKey) continue;
+      edges.push([pts[i], pts[i + 1]]);
+    }
+  }
+  return { points, edges };
+}
+
+/**
+ * 相鄰點到新位置的候選路徑：可直接相連時只有一條，否則為兩種 L 型轉折
+ * (優先保留相鄰點那一側原本的方向)
+ * @param {Array<number>} neighbor - 相鄰點
+ * @param {Array<number>} origin - 移動點原位置
+ * @param {Array<number>} target - 移動點新位置
+ * @param {boolean} octilinear - 八方向模式
+ * @returns {Array<Array>} 候選路徑 [[neighbor, (轉折點), target]]
+ */
+function getCandidatePaths(neighbor, origin, target, octilinear) {
+  const dx = Math.abs(target[0] - neighbor[0]);
+  const dy = Math.abs(target[1] - neighbor[1]);
+  if (dx <= AXIS_EPS || dy <= AXIS_EPS) return [[neighbor, target]];
+  if (octilinear && isDiagonalSegment(neighbor, origin) && isDiagonalSegment(neighbor, target)) {
+    return [[neighbor, target]];
+  }
+
+  const keepHorizontal = [neighbor, [target[0], neighbor[1]], target];
+  const keepVertical = [neighbor, [neighbor[0], target[1]], target];
+  return Math.abs(origin[0] - neighbor[0]) <= AXIS_EPS
+    ? [keepVertical, keepHorizontal]
+    : [keepHorizontal, keepVertical];
+}
+
+/**
+ * 兩條線段是否在內部交叉 (端點相接、T 字相接與共線都不算，分別由其他檢查處理)
+ * @param {Array<number>} p1 - 線段1起點
+ * @param {Array<number>} p2 - 線段1終點
+ * @param {Array<number>} p3 - 線段2起點
+ * @param {Array<number>} p4 - 線段2終點
+ * @returns {boolean} 是否交叉
+ */
+function segmentsCross(p1, p2, p3, p4) {
+  const side = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return side(p3, p4, p1) * side(p3, p4, p2) < 0 && side(p1, p2, p3) * side(p1, p2, p4) < 0;
+}
+
+/**
+ * 檢查一條新路徑是否撞到障礙物
+ * @param {Array<Array<number>>} path - [相鄰點, (轉折點), 新位置]
+ * @param {Array<number>} origin - 移動點原位置 (移動後空出，不算障礙物)
+ * @param {Object} obstacles - collectObstacles 的結果
+ * @returns {string|null} 拒絕原因 (沒有碰撞時為 null)
+ */
+function checkPathCollision(path, origin, obstacles) {
+  for (let i = 0; i < path.length - 1; i++) {
+    const [hit, message] = checkNodeCollisionStrict(path[i], path[i + 1], obstacles.points, origin);
+    if (hit) return COLLISION_MESSAGES[message] || message;
+    if (obstacles.edges.some(([s, e]) => checkSegmentOverlap(path[i], path[i + 1], s, e))) {
+      return '線段會與其他路線重疊';
+    }
+    if (obstacles.edges.some(([s, e]) => segmentsCross(path[i], path[i + 1], s, e))) {
+      return '線段會與其他路線交叉';
+    }
+  }
+  // 新位置與轉折點不可落在其他線段的中間
+  const onEdge = path
+    .slice(1)
+    .some((pt) => obstacles.edges.some(([s, e]) => isPointOnSegment(pt, s, e)));
+  return onEdge ? '會落在其他路線的線段上' : null;
+}
+
+/**
+ * 兩條新路徑是否互相重疊或交叉 (路線折返，或不同路線擠進同一段線)
+ * @param {Array<Array<number>>} a - 路徑
+ * @param {Array<Array<number>>} b - 路徑
+ * @returns {boolean} 是否重疊
+ */
+function pathsConflict(a, b) {
+  for (let i = 0; i < a.length - 1; i++) {
+    for (let j = 0; j < b.length - 1; j++) {
+      if (checkSegmentOverlap(a[i], a[i + 1], b[j], b[j + 1])) return true;
+      if (segmentsCross(a[i], a[i + 1], b[j], b[j + 1])) return true;
+    }
+  }
+  const elbowOnPath = (p, q) =>
+    p.slice(1, -1).some((pt) => q.slice(1).some((end, j) => isPointOnSegment(pt, q[j], end)));
+  return elbowOnPath(a, b) || elbowOnPath(b, a);
+}
+
+// ==========================================
+// 3. 規劃與套用 (Plan & Apply)
+// ==========================================
+
+/**
+ * 規劃一筆移動：找出每個相鄰點的連接路徑 (必要時補轉折點) 並做碰撞檢測
+ * 每個相鄰點最多兩條候選路徑，依序回溯找出彼此不重疊的組合
+ * @param {Array} data - 扁平路段陣列
+ * @param {Array<number>} from - 移動點原位置
+ * @param {Array<number>} to - 移動點新位置 (會對齊網格)
+ * @param {boolean} octilinear - 八方向模式
+ * @returns {Object} {ok, reason, origin, target, label, locations, elbows: Map(相鄰點鍵值 → 轉折點)}
+ */
+function planLayoutEdit(data, from, to, octilinear) {
+  const originKey = pointKey(from);
+  const locations = findPointLocations(data, originKey);
+  if (locations.length === 0) return { ok: false, reason: '找不到要移動的點' };
+
+  const origin = locations[0].seg.points[locations[0].idx];
+  const target = snapToGrid(to);
+  if (pointKey(target) === originKey) return { ok: false, reason: '位置沒有改變' };
+
+  // 相鄰點 (共用走廊的多條路段只算一次)
+  const neighbors = new Map();
+  for (const { seg, idx } of locations) {
+    for (const pt of [seg.points[idx - 1], seg.points[idx + 1]]) {
+      if (!pt) continue;
+      const key = pointKey(pt);
+      if (key !== originKey && !neighbors.has(key)) neighbors.set(key, [pt[0], pt[1]]);
+    }
+  }
+
+  // 先以障礙物篩選各相鄰點的候選路徑
+  const obstacles = collectObstacles(data, originKey);
+  const options = [];
+  for (const [key, neighbor] of neighbors) {
+    let reason = null;
+    const paths = getCandidatePaths(neighbor, origin, target, octilinear).filter((path) => {
+      const collision = checkPathCollision(path, origin, obstacles);
+      reason = reason || collision;
+      return !collision;
+    });
+    if (paths.length === 0) return { ok: false, reason };
+    options.push({ key, paths });
+  }
+
+  // 再選出彼此不重疊的組合
+  const chosen = [];
+  const search = (i) => {
+    if (i === options.length) return true;
+    for (const path of options[i].paths) {
+      if (chosen.some((other) => pathsConflict(path, other))) continue;
+      chosen.push(path);
+      if (search(i + 1)) return true;
+      chosen.pop();
+    }
+    return false;
+  };
+  if (!search(0)) return { ok: false, reason: '相連的線段會互相重疊' };
+
+  const elbows = new Map(
+    options.map((option, i) => [option.key, chosen[i].length === 3 ? chosen[i][1] : null])
+  );
+  const labelled = locations.find(({ seg, idx }) => getPointLabel(seg, idx));
+  return {
+    ok: true,
+    reason: null,
+    origin,
+    target,
+    label: labelled ? getPointLabel(labelled.seg, labelled.idx) : '轉折點',
+    locations,
+    elbows,
+  };
+}
+
+/**
+ * 依規劃結果移動點並補上轉折點 (直接修改資料)
+ * 同一路段上的點由後往前處理，插入轉折點不會影響尚未處理的索引
+ * @param {Object} plan - planLayoutEdit 的結果
+ */
+function applyPlan(plan) {
+  const indicesBySeg = new Map();
+  for (const { seg, idx } of plan.locations) {
+    if (!indicesBySeg.has(seg)) indicesBySeg.set(seg, []);
+    indicesBySeg.get(seg).push(idx);
+  }
+
+  for (const [seg, indices] of indicesBySeg) {
+    const aligned = Array.isArray(seg.nodes) && seg.nodes.length === seg.points.length;
+    const insertBend = (at, pt) => {
+      seg.points.splice(at, 0, [pt[0], pt[1]]);
+      if (aligned) seg.nodes.splice(at, 0, { node_type: 'line' });
+    };
+
+    for (const idx of indices.sort((a, b) => b - a)) {
+      const prev = seg.points[idx - 1];
+      const next = seg.points[idx + 1];
+      const prevElbow = prev ? plan.elbows.get(pointKey(prev)) : null;
+      const nextElbow = next ? plan.elbows.get(pointKey(next)) : null;
+      seg.points[idx] = [plan.target[0], plan.target[1], ...seg.points[idx].slice(2)];
+      if (nextElbow) insertBend(idx + 1, nextElbow);
+      if (prevElbow) insertBend(idx, prevElbow);
+    }
+  }
+}
+
+/**
+ * 檢查一筆移動是否可行 (不修改資料)
+ * @param {Array} data - 扁平路段陣列 (已套用先前的編輯)
+ * @param {Array<number>} from - 拖曳的點
+ * @param {Array<number>} to - 放開的位置 (會對齊網格)
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.octilinear=false] - 八方向模式
+ * @returns {Object} {ok, reason, edit}，edit 為可加入 patch 的 {from, to, label}
+ */
+export function tryLayoutEdit(data, from, to, options = {}) {
+  const plan = planLayoutEdit(data, from, to, options.octilinear === true);
+  if (!plan.ok) return { ok: false, reason: plan.reason, edit: null };
+  return {
+    ok: true,
+    reason: null,
+    edit: { from: [plan.origin[0], plan.origin[1]], to: plan.target, label: plan.label },
+  };
+}
+
+/**
+ * 在管線輸出上依序套用 patch 中的編輯，回傳新的資料 (不修改管線輸出)
+ * @param {Array} data - 扁平路段陣列 (管線輸出)
+ * @param {Array<Object>} edits - [{from, to, label}]
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.octilinear=false] - 八方向模式
+ * @returns {Object} {data, applied, skipped: [{index, edit, reason}]}
+ */
+export function applyLayoutEdits(data, edits, options = {}) {
+  const result = JSON.parse(JSON.stringify(data));
+  const skipped = [];
+  let applied = 0;
+  (edits || []).forEach((edit, index) => {
+    const plan = planLayoutEdit(result, edit.from, edit.to, options.octilinear === true);
+    if (plan.ok) {
+      applyPlan(plan);
+      applied++;
+    } else {
+      skipped.push({ index, edit, reason: plan.reason });
+    }
+  });
+  return { data: result, applied, skipped };
+}
+
+/**
+ * 建立可下載保存的 patch
+ * @param {string} layerId - 編輯的圖層 ID
+ * @param {Array<Object>} edits - [{from, to, label}]
+ * @returns {Object} {version, layer, edits}
+ */
+export function createLayoutEditPatch(layerId, edits) {
+  return {
+    version: LAYOUT_EDIT_PATCH_VERSION,
+    layer: layerId,
+    edits: edits.map(({ from, to, label }) => ({ from, to, label })),
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * 環狀路線模組 (Loop Routes Module)
+ *
+ * 環狀線 (例如環狀線、山手線) 沒有兩個端點，整條路線首尾相接。
+ * 管線中假設「路線是一條有兩端的路徑」的步驟改用這裡的工具，讓環狀路線維持封閉：
+ * - 1_2→2_1：環狀路線在極值車站加入拓撲點，拉直後成為多邊形而不是重疊的直線
+ * - 2_5→2_6：環狀路線沒有末端，不做末端裁切
+ * - 2_6→2_7、2_7→2_8：封閉的邏輯長線從轉折點開始，並分析跨過接點的轉折
+ * - 2_9→2_10：環狀路線依環狀順序排列 segments，接點的轉折同樣鎖定
+ *
+ * @file loopRoutes.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { pointKey } from './layoutConstraints.js';
+
+// 座標比較容差
+const EPSILON = 1e-4;
+
+// ==========================================
+// 1. 偵測環狀路線 (Detection)
+// ==========================================
+
+/**
+ * 取得路段所屬的路線名稱
+ * @param {Object} seg - 路段物件
+ * @returns {string} 路線名稱
+ */
+export function getSegmentRouteName(seg) {
+  const tags = seg.way_properties?.tags || {};
+  return tags.route_name || tags.name || seg.properties?.route_name || seg.name || 'Unknown';
+}
+
+/**
+ * 判斷一組路段是否構成環狀 (每個端點都恰好連接兩個路段端點，且全部相連)
+ * @param {Array} segments - 同一條路線的路段
+ * @returns {boolean} 是否為環狀
+ */
+export function isLoopSegments(segments) {
+  const valid = (segments || []).filter((seg) => seg.points && seg.points.length >= 2);
+  if (valid.length === 0) return false;
+
+  const degree = new Map();
+  const parent = new Map();
+  const find = (key) => {
+    while (parent.get(key) !== key) key = parent.get(key);
+    return key;
+  };
+  for (const seg of valid) {
+    const a = pointKey(seg.points[0]);
+    const b = pointKey(seg.points[seg.points.length - 1]);
+    for (const key of [a, b]) {
+      degree.set(key, (degree.get(key) || 0) + 1);
+      if (!parent.has(key)) parent.set(key, key);
+    }
+    parent.set(find(a), find(b));
+  }
+
+  if (Array.from(degree.values()).some((count) => count !== 2)) return false;
+  const roots = new Set(Array.from(parent.keys()).map(find));
+  return roots.size === 1;
+}
+
+/**
+ * 找出扁平資料中所有環狀路線
+ * @param {Array} flatData - 扁平結構的路段陣列
+ * @returns {Set<string>} 環狀路線名稱
+ */
+export function findLoopRoutes(flatData) {
+  const grouped = new Map();
+  for (const seg of flatData || []) {
+    const name = getSegmentRouteName(seg);
+    if (!grouped.has(name)) grouped.set(name, []);
+    grouped.get(name).push(seg);
+  }
+  const loops = new Set();
+  for (const [name, segments] of grouped.entries()) {
+    if (isLoopSegments(segments)) loops.add(name);
+  }
+  return loops;
+}
+
+/**
+ * 找出環狀路線上作為拓撲點的極值車站
+ *
+ * 環狀路線在 1_2→2_1 只有轉乘站是拓撲點時，兩段弧線會被拉成重疊的直線；
+ * 取八個方向 (x、y、x+y、x-y 的最大與最小值) 的極值車站一併作為拓撲點，拉直後保留多邊形的輪廓。
+ *
+ * @param {Array} segments - 環狀路線的路段
+ * @returns {Array<Array<number>>} 極值車站座標 (不重複)
+ */
+export function getLoopAnchorPoints(segments) {
+  const projections = [
+    (p) => p[0],
+    (p) => -p[0],
+    (p) => p[1],
+    (p) => -p[1],
+    (p) => p[0] + p[1],
+    (p) => -p[0] - p[1],
+    (p) => p[0] - p[1],
+    (p) => p[1] - p[0],
+  ];
+  const anchors = new Map();
+  for (const project of projections) {
+    let best = null;
+    for (const seg of segments) {
+      for (const p of [seg.points[0], seg.points[seg.points.length - 1]]) {
+        if (!best || project(p) > project(best) + EPSILON) best = p;
+      }
+    }
+    if (best) anchors.set(pointKey(best), best);
+  }
+  return Array.from(anchors.values());
+}
+
+// ==========================================
+// 2. 環狀順序 (Ordering)
+// ==========================================
+
+/**
+ * 翻轉路段方向 (points、nodes、original_points 一併翻轉)
+ * @param {Object} seg - 路段物件 (直接修改)
+ */
+function reverseSegment(seg) {
+  seg.points = seg.points.slice().reverse();
+  if (seg.nodes) seg.nodes = seg.nodes.slice().reverse();
+  if (seg.original_points) seg.original_points = seg.original_points.slice().reverse();
+}
+
+/**
+ * 依環狀順序排列路段，並翻轉反向的路段，讓每一段的終點接到下一段的起點，最後一段接回第一段
+ * @param {Array} segments - 環狀路線的路段
+ * @returns {Array} 排序後的路段 (深層複製)
+ */
+export function orderLoopSegments(segments) {
+  const pool = JSON.parse(JSON.stringify(segments || [])).filter(
+    (seg) => seg.points && seg.points.length >= 2
+  );
+  if (pool.length === 0) return [];
+
+  const ordered = [pool.shift()];
+  let currKey = pointKey(ordered[0].points[ordered[0].points.length - 1]);
+  while (pool.length > 0) {
+    const idx = pool.findIndex(
+      (seg) =>
+        pointKey(seg.points[0]) === currKey ||
+        pointKey(seg.points[seg.points.length - 1]) === currKey
+    );
+    if (idx === -1) break;
+    const seg = pool.splice(idx, 1)[0];
+    if (pointKey(seg.points[0]) !== currKey) reverseSegment(seg);
+    ordered.push(seg);
+    currKey = pointKey(seg.points[seg.points.length - 1]);
+  }
+  // 不相連的剩餘路段 (正常的環狀路線不會發生) 依原順序接在後面
+  return ordered.concat(pool);
+}
+
+// ==========================================
+// 3. 封閉路徑 (Closed Paths)
+// ==========================================
+
+/**
+ * 判斷路徑是否首尾相接
+ * @param {Array<Array<number>>} points - 點座標陣列
+ * @returns {boolean} 是否封閉
+ */
+export function isClosedPath(points) {
+  if (!points || points.length < 4) return false;
+  const first = points[0];
+  const last = points[points.length - 1];
+  return Math.abs(first[0] - last[0]) < EPSILON && Math.abs(first[1] - last[1]) < EPSILON;
+}
+
+/**
+ * 找出封閉路徑上第一個轉折點的索引 (前後方向不同的點，包含首尾接點)
+ * @param {Array<Array<number>>} points - 封閉路徑的點座標陣列
+ * @returns {number} 索引 (整圈共線時為 -1)
+ */
+export function findClosedPathTurnIndex(points) {
+  const n = points.length - 1; // 最後一點與第一點相同
+  const differs = (a, b) => Math.abs(a[0] - b[0]) > EPSILON || Math.abs(a[1] - b[1]) > EPSILON;
+  for (let i = 0; i < n; i++) {
+    const curr = points[i];
+    // 略過重複點，找出前後不同的點
+    let prevIdx = (i - 1 + n) % n;
+    while (prevIdx !== i && !differs(points[prevIdx], curr)) prevIdx = (prevIdx - 1 + n) % n;
+    let nextIdx = (i + 1) % n;
+    while (nextIdx !== i && !differs(points[nextIdx], curr)) nextIdx = (nextIdx + 1) % n;
+    if (prevIdx === i || nextIdx === i) continue;
+
+    const prev = points[prevIdx];
+    const next = points[nextIdx];
+    const v1 = [curr[0] - prev[0], curr[1] - prev[1]];
+    const v2 = [next[0] - curr[0], next[1] - curr[1]];
+    const cross = v1[0] * v2[1] - v1[1] * v2[0];
+    const dot = v1[0] * v2[0] + v1[1] * v2[1];
+    if (Math.abs(cross) > EPSILON || dot < 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * 將封閉路徑改為從指定索引開始 (仍首尾相接)
+ * @param {Array<Array<number>>} points - 封閉路徑的點座標陣列
+ * @param {number} startIdx - 新的起點索引
+ * @returns {Array<Array<number>>} 旋轉後的封閉路徑
+ */
+export function rotateClosedPath(points, startIdx) {
+  const n = points.length - 1;
+  if (startIdx <= 0 || startIdx >= n) return points.slice();
+  const rotated = points.slice(startIdx, n).concat(points.slice(0, startIdx));
+  rotated.push(points[startIdx]);
+  return rotated;
+}
+
+/**
+ * 封閉路徑改為從第一個轉折點開始 (非封閉或整圈共線時原樣回傳)
+ * @param {Array<Array<number>>} points - 點座標陣列
+ * @returns {Array<Array<number>>} 點座標陣列
+ */
+export function startClosedPathAtTurn(points) {
+  if (!isClosedPath(points)) return points;
+  const turnIdx = findClosedPathTurnIndex(points);
+  return turnIdx > 0 ? rotateClosedPath(points, turnIdx) : points;
+}
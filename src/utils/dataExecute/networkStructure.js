@@ -0,0 +1,327 @@
+/**
+ * 路網結構分類模組 (Network Structure Module)
+ *
+ * 依點的鄰接關係 (buildAdjacency) 將路網切成「區段」：兩個交會點 (連接數不為 2 的點) 之間的連續路徑。
+ * 每個區段標記為以下其中一種結構：
+ * - trunk 幹線：兩端都接到交叉點 (連接數 > 2)
+ * - branch 支線：一端接到交叉點、另一端是終點
+ * - spur 短支線：同支線，但不含交叉點的車站數不超過 spurMaxStations
+ * - loop 環線：首尾回到同一點 (自成一圈)，或只屬於環狀路線 (見 loopRoutes.js)
+ * - shuttle 接駁線：兩端都是終點，不與其他路線相接
+ *
+ * 2_10→3_1 以此標記每個 segment 的 structure_type / structure_section；LayerInfoTab 顯示分類結果與車站查詢。
+ * 之後的版面步驟要讓幹線優先時，以 getStructurePriority(seg.structure_type) 排序或加權，
+ * 不要直接比對類型字串，優先順序只定義在 STRUCTURE_TYPES 一處。
+ *
+ * @file networkStructure.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { findLoopRoutes, getSegmentRouteName } from './loopRoutes.js';
+
+// 短支線的預設車站數上限 (不含交叉點)
+export const DEFAULT_SPUR_MAX_STATIONS = 2;
+
+/**
+ * 結構類型 (依優先順序排列，幹線最優先)
+ * @type {Array<Object>}
+ */
+export const STRUCTURE_TYPES = [
+  { value: 'trunk', label: '幹線', color: '#D50000' },
+  { value: 'loop', label: '環線', color: '#2E7D32' },
+  { value: 'branch', label: '支線', color: '#0046E3' },
+  { value: 'spur', label: '短支線', color: '#00A0E9' },
+  { value: 'shuttle', label: '接駁線', color: '#8E24AA' },
+];
+
+// ==========================================
+// 1. 鄰接表 (Adjacency)
+// ==========================================
+
+/**
+ * 統一迭代 Segments (支援 Grouped 或 Flat 格式)
+ * @param {Array} dataList - 資料列表
+ * @yields {Object} 線段物件
+ */
+export function* iterSegments(dataList) {
+  if (!dataList || dataList.length === 0) return;
+  const isGrouped = dataList[0] && typeof dataList[0] === 'object' && 'segments' in dataList[0];
+  if (isGrouped) {
+    for (const route of dataList) {
+      for (const seg of route.segments || []) {
+        yield seg;
+      }
+    }
+  } else {
+    for (const seg of dataList) {
+      yield seg;
+    }
+  }
+}
+
+/**
+ * 座標鍵值 (四捨五入到 1e-4)
+ * @param {Array<number>} pt - 座標
+ * @returns {string} 鍵值
+ */
+function toKey(pt) {
+  return JSON.stringify([Math.round(pt[0] * 10000) / 10000, Math.round(pt[1] * 10000) / 10000]);
+}
+
+/**
+ * 不分方向的邊鍵值
+ * @param {string} a - 點鍵值
+ * @param {string} b - 點鍵值
+ * @returns {string} 鍵值
+ */
+function edgeKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * 建立鄰接表
+ * @param {Array} dataList - 資料列表
+ * @returns {Map} 鄰接表
+ */
+export function buildAdjacency(dataList) {
+  const adj = new Map();
+  for (const seg of iterSegments(dataList)) {
+    const pts = seg.points || [];
+    if (pts.length < 2) continue;
+    for (let i = 0; i < pts.length - 1; i++) {
+      const uStr = toKey(pts[i]);
+      const vStr = toKey(pts[i + 1]);
+      if (uStr !== vStr) {
+        if (!adj.has(uStr)) adj.set(uStr, new Set());
+        if (!adj.has(vStr)) adj.set(vStr, new Set());
+        adj.get(uStr).add(vStr);
+        adj.get(vStr).add(uStr);
+      }
+    }
+  }
+  return adj;
+}
+
+// ==========================================
+// 2. 區段分類 (Classification)
+// ==========================================
+
+/**
+ * 取得節點的車站資訊 (轉折點等非車站節點回傳 null)
+ * @param {Object|null} node - 節點屬性
+ * @returns {Object|null} {id, name}
+ */
+function getStationInfo(node) {
+  if (!node || typeof node !== 'object' || node.node_type === 'line') return null;
+  const tags = node.tags || {};
+  const id = node.station_id ?? tags.station_id ?? node.id;
+  const name = node.station_name || tags.station_name || tags.name;
+  if ((id === undefined || id === null) && !name) return null;
+  return {
+    id: id === undefined || id === null ? null : String(id),
+    name: name ? String(name) : null,
+  };
+}
+
+/**
+ * 沿著連接數為 2 的點走，直到遇到交會點或回到起點
+ * @param {Map} adj - 鄰接表
+ * @param {string} start - 起點鍵值
+ * @param {string} next - 第一步的鍵值
+ * @param {Set<string>} visitedEdges - 已走過的邊 (直接修改)
+ * @returns {Array<string>} 經過的點鍵值 (含兩端)
+ */
+function walkSection(adj, start, next, visitedEdges) {
+  const path = [start, next];
+  visitedEdges.add(edgeKey(start, next));
+  let prev = start;
+  let curr = next;
+  while (curr !== start && adj.get(curr).size === 2) {
+    const nxt = Array.from(adj.get(curr)).find((key) => key !== prev);
+    if (nxt === undefined || visitedEdges.has(edgeKey(curr, nxt))) break;
+    visitedEdges.add(edgeKey(curr, nxt));
+    path.push(nxt);
+    prev = curr;
+    curr = nxt;
+  }
+  return path;
+}
+
+/**
+ * 依兩端連接數判斷區段的結構類型
+ * @param {Object} section - 區段 {closed, endDegrees, stations}
+ * @param {number} spurMaxStations - 短支線的車站數上限
+ * @returns {string} 結構類型
+ */
+function classifySection(section, spurMaxStations) {
+  const [degStart, degEnd] = section.endDegrees;
+  if (section.closed) return 'loop';
+  if (degStart > 2 && degEnd > 2) return 'trunk';
+  if (degStart <= 1 && degEnd <= 1) return 'shuttle';
+
+  // 一端是終點：不含交叉點的車站數決定是支線或短支線
+  const junctionKey = degStart > 2 ? section.keys[0] : section.keys[section.keys.length - 1];
+  const stationCount = section.stations.filter((st) => st.key !== junctionKey).length;
+  return stationCount <= spurMaxStations ? 'spur' : 'branch';
+}
+
+/**
+ * 分類路網結構
+ *
+ * 回傳的結構可直接存入 JSON：
+ * - sections：[{id, type, routes, stations: [{key, id, name}], keys, endDegrees, closed, length}]
+ * - counts：各結構類型的區段數
+ * - edgeSections：{邊鍵值: 區段 id}，供 getSegmentSection 查詢
+ *
+ * @param {Array} dataList - 資料列表 (Grouped 或 Flat)
+ * @param {Object} [options] - 分類選項
+ * @param {number} [options.spurMaxStations=2] - 短支線的車站數上限 (不含交叉點)
+ * @returns {Object} {sections, counts, edgeSections}
+ */
+export function classifyNetworkStructure(dataList, options = {}) {
+  const spurMaxStations = options.spurMaxStations ?? DEFAULT_SPUR_MAX_STATIONS;
+  const segments = Array.from(iterSegments(dataList));
+  const adj = buildAdjacency(dataList);
+
+  // 每條邊經過的路線與每個點的車站資訊
+  const edgeRoutes = new Map();
+  const stationAt = new Map();
+  for (const seg of segments) {
+    const pts = seg.points || [];
+    const nodes = seg.nodes || [];
+    const routeName = getSegmentRouteName(seg);
+    for (let i = 0; i < pts.length; i++) {
+      const key = toKey(pts[i]);
+      const station = nodes.length === pts.length ? getStationInfo(nodes[i]) : null;
+      if (station && !stationAt.has(key)) stationAt.set(key, station);
+      if (i === 0) continue;
+      const prevKey = toKey(pts[i - 1]);
+      if (prevKey === key) continue;
+      const ek = edgeKey(prevKey, key);
+      if (!edgeRoutes.has(ek)) edgeRoutes.set(ek, new Set());
+      edgeRoutes.get(ek).add(routeName);
+    }
+  }
+
+  // 從交會點出發切出區段，剩下沒走過的邊屬於自成一圈的環
+  const visitedEdges = new Set();
+  const paths = [];
+  for (const [key, neighbors] of adj.entries()) {
+    if (neighbors.size === 2) continue;
+    for (const next of neighbors) {
+      if (visitedEdges.has(edgeKey(key, next))) continue;
+      paths.push(walkSection(adj, key, next, visitedEdges));
+    }
+  }
+  for (const [key, neighbors] of adj.entries()) {
+    for (const next of neighbors) {
+      if (visitedEdges.has(edgeKey(key, next))) continue;
+      paths.push(walkSection(adj, key, next, visitedEdges));
+    }
+  }
+
+  const loopRoutes = findLoopRoutes(segments);
+  const edgeSections = {};
+  const counts = Object.fromEntries(STRUCTURE_TYPES.map((t) => [t.value, 0]));
+  const sections = paths.map((keys, idx) => {
+    const id = `S${idx + 1}`;
+    const points = keys.map((key) => JSON.parse(key));
+    const routes = new Set();
+    let length = 0;
+    for (let i = 1; i < keys.length; i++) {
+      const ek = edgeKey(keys[i - 1], keys[i]);
+      edgeSections[ek] = id;
+      (edgeRoutes.get(ek) || []).forEach((name) => routes.add(name));
+      length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    const stations = [];
+    for (const key of keys) {
+      const station = stationAt.get(key);
+      if (station && !stations.some((st) => st.key === key)) stations.push({ key, ...station });
+    }
+
+    const section = {
+      id,
+      type: null,
+      routes: Array.from(routes).sort(),
+      stations,
+      keys,
+      endDegrees: [adj.get(keys[0]).size, adj.get(keys[keys.length - 1]).size],
+      closed: keys[0] === keys[keys.length - 1],
+      length,
+    };
+    section.type = classifySection(section, spurMaxStations);
+    // 只屬於環狀路線的區段 (環線上兩個轉乘站之間) 視為環線
+    if (
+      section.type === 'trunk' &&
+      section.routes.length > 0 &&
+      section.routes.every((name) => loopRoutes.has(name))
+    ) {
+      section.type = 'loop';
+    }
+    counts[section.type]++;
+    return section;
+  });
+
+  return { sections, counts, edgeSections };
+}
+
+// ==========================================
+// 3. 查詢 (Queries)
+// ==========================================
+
+/**
+ * 取得結構類型的設定 {value, label, color}
+ * @param {string} type - 結構類型
+ * @returns {Object|null} 設定 (未知類型為 null)
+ */
+export function getStructureType(type) {
+  return STRUCTURE_TYPES.find((t) => t.value === type) || null;
+}
+
+/**
+ * 結構類型的優先順序 (數字越小越優先，幹線為 0；未知或尚未分類的類型排在最後)
+ * 這是版面步驟使用分類結果的介面：依 segment 的 structure_type 排序，讓幹線先放置 / 先保留
+ * @param {string} type - 結構類型 (segment 的 structure_type)
+ * @returns {number} 優先順序
+ *
+ * @example
+ * segments.sort((a, b) => getStructurePriority(a.structure_type) - getStructurePriority(b.structure_type));
+ */
+export function getStructurePriority(type) {
+  const idx = STRUCTURE_TYPES.findIndex((t) => t.value === type);
+  return idx === -1 ? STRUCTURE_TYPES.length : idx;
+}
+
+/**
+ * 找出 segment 所在的區段 (依第一條非零長度的邊)
+ * @param {Object} structure - classifyNetworkStructure 的結果
+ * @param {Object} seg - 線段物件
+ * @returns {Object|null} 區段
+ */
+export function getSegmentSection(structure, seg) {
+  const pts = seg.points || [];
+  for (let i = 1; i < pts.length; i++) {
+    const a = toKey(pts[i - 1]);
+    const b = toKey(pts[i]);
+    if (a === b) continue;
+    const id = structure.edgeSections[edgeKey(a, b)];
+    return structure.sections.find((section) => section.id === id) || null;
+  }
+  return null;
+}
+
+/**
+ * 找出車站所在的區段 (依 station_id / id / 站名比對；轉乘站會位於多個區段)
+ * @param {Object} structure - classifyNetworkStructure 的結果
+ * @param {string} station - 車站識別值
+ * @returns {Array<Object>} 區段
+ */
+export function findStationSections(structure, station) {
+  const target = String(station ?? '').trim();
+  if (!target) return [];
+  return structure.sections.filter((section) =>
+    section.stations.some((st) => st.id === target || st.name === target)
+  );
+}
@@ -0,0 +1,238 @@
+/**
+ * 八方向版面模組 (Octilinear Layout Module)
+ *
+ * 示意化步驟預設只產生水平 / 垂直線段 (orthogonal)。版面模式設為 octilinear 時，
+ * 線段也可以是 45° 斜線 (多數公開的捷運路線圖採用此風格)，各步驟共用本模組的判定與工具：
+ * - 2_2→2_3、2_3→2_4：在 L / Z 型之外加入含 45° 斜線的候選路徑，重疊檢查支援斜線共線
+ * - 2_6→2_7：ㄈ型塌陷時允許移動後的線段為 45° 斜線
+ * - 2_7→2_8：L 型縮減的位移不可讓 45° 斜線變成其他角度
+ * - 2_8→2_9、2_9→2_10：座標壓縮時保留斜線跨越的間距，使斜線維持 45°
+ *
+ * 版面模式由 runPipeline / runStepsHeadless 以 options.layoutMode 帶入示意化之後的每個步驟。
+ *
+ * @file octilinear.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// ==========================================
+// 1. 版面模式 (Layout Modes)
+// ==========================================
+
+/**
+ * 可選的版面模式
+ * @type {Array<Object>}
+ */
+export const LAYOUT_MODES = [
+  { value: 'orthogonal', label: '正交 (水平 / 垂直)' },
+  { value: 'octilinear', label: '八方向 (含 45° 斜線)' },
+];
+
+// 預設版面模式 (與加入八方向模式之前的行為相同)
+export const DEFAULT_LAYOUT_MODE = 'orthogonal';
+
+/**
+ * 判斷是否為合法的版面模式
+ * @param {string} mode - 版面模式
+ * @returns {boolean} 是否合法
+ */
+export function isLayoutMode(mode) {
+  return LAYOUT_MODES.some((item) => item.value === mode);
+}
+
+/**
+ * 判斷步驟選項是否為八方向模式
+ * @param {Object} [options={}] - 步驟選項
+ * @returns {boolean} 是否為八方向模式
+ */
+export function isOctilinearMode(options = {}) {
+  return options?.layoutMode === 'octilinear';
+}
+
+// ==========================================
+// 2. 線段判定 (Segment Checks)
+// ==========================================
+
+/**
+ * 判斷線段是否為 45° 斜線 (不含水平 / 垂直)
+ * @param {Array<number>} p1 - 起點 [x, y]
+ * @param {Array<number>} p2 - 終點 [x, y]
+ * @param {number} [tolerance=1e-6] - 容差
+ * @returns {boolean} 是否為 45° 斜線
+ */
+export function isDiagonalSegment(p1, p2, tolerance = 1e-6) {
+  const dx = Math.abs(p2[0] - p1[0]);
+  const dy = Math.abs(p2[1] - p1[1]);
+  return dx > tolerance && dy > tolerance && Math.abs(dx - dy) <= tolerance;
+}
+
+/**
+ * 判斷線段是否符合八方向 (水平、垂直或 45° 斜線)
+ * @param {Array<number>} p1 - 起點 [x, y]
+ * @param {Array<number>} p2 - 終點 [x, y]
+ * @param {number} [tolerance=1e-6] - 容差
+ * @returns {boolean} 是否符合八方向
+ */
+export function isOctilinearSegment(p1, p2, tolerance = 1e-6) {
+  const dx = Math.abs(p2[0] - p1[0]);
+  const dy = Math.abs(p2[1] - p1[1]);
+  return dx <= tolerance || dy <= tolerance || Math.abs(dx - dy) <= tolerance;
+}
+
+/**
+ * 計算兩條共線線段的重疊長度 (任意方向，不共線時為 0)
+ * @param {Array} s1 - 線段1 [[x1, y1], [x2, y2]]
+ * @param {Array} s2 - 線段2 [[x3, y3], [x4, y4]]
+ * @returns {number} 重疊長度
+ */
+export function getCollinearOverlapLength(s1, s2) {
+  const [ax, ay] = s1[0];
+  const [bx, by] = s1[1];
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len = Math.hypot(dx, dy);
+  if (len < 1e-9) return 0;
+
+  // 線段2 的兩端到線段1 所在直線的距離都必須為 0
+  const offset3 = ((s2[0][0] - ax) * dy - (s2[0][1] - ay) * dx) / len;
+  const offset4 = ((s2[1][0] - ax) * dy - (s2[1][1] - ay) * dx) / len;
+  if (Math.abs(offset3) > 1e-6 || Math.abs(offset4) > 1e-6) return 0;
+
+  // 投影到線段1 上取交集
+  const t3 = ((s2[0][0] - ax) * dx + (s2[0][1] - ay) * dy) / len;
+  const t4 = ((s2[1][0] - ax) * dx + (s2[1][1] - ay) * dy) / len;
+  const start = Math.max(0, Math.min(t3, t4));
+  const end = Math.min(len, Math.max(t3, t4));
+  return Math.max(0, end - start);
+}
+
+// ==========================================
+// 3. 候選路徑 (Path Candidates)
+// ==========================================
+
+/**
+ * 產生兩點之間含 45° 斜線的候選路徑
+ *
+ * 兩點的 x、y 差距中較短的一邊走斜線，其餘以水平或垂直補足：
+ * - 斜線 + 直線、直線 + 斜線 (各一條)
+ * - 直線 - 斜線 - 直線、斜線 - 直線 - 斜線 (隨機切分，切分長度取整數以維持網格對齊)
+ * 兩點本身已水平、垂直或 45° 時只回傳直線。
+ *
+ * @param {Array<number>} pStart - 起點座標
+ * @param {Array<number>} pEnd - 終點座標
+ * @param {number} [numSamples=10] - 每種隨機切分的樣本數量
+ * @param {Function} [random=Math.random] - 隨機數產生器 (回傳 [0, 1))
+ * @returns {Array} 候選路徑陣列，每個元素為 [points, type]
+ */
+export function generateOctilinearCandidates(pStart, pEnd, numSamples = 10, random = Math.random) {
+  const startPt = [pStart[0], pStart[1]];
+  const endPt = [pEnd[0], pEnd[1]];
+  if (isOctilinearSegment(startPt, endPt)) {
+    return [[[startPt, endPt], isDiagonalSegment(startPt, endPt) ? 'Diagonal' : 'Straight']];
+  }
+
+  const dx = endPt[0] - startPt[0];
+  const dy = endPt[1] - startPt[1];
+  const sx = Math.sign(dx);
+  const sy = Math.sign(dy);
+  // 斜線長度 (每軸) 與剩下的水平 / 垂直長度
+  const diag = Math.min(Math.abs(dx), Math.abs(dy));
+  const rest = Math.abs(Math.abs(dx) - Math.abs(dy));
+  const [restX, restY] = Math.abs(dx) > Math.abs(dy) ? [sx, 0] : [0, sy];
+
+  const moveDiag = (pt, d) => [pt[0] + sx * d, pt[1] + sy * d];
+  const moveRest = (pt, d) => [pt[0] + restX * d, pt[1] + restY * d];
+
+  const candidates = [];
+  candidates.push([[startPt, moveDiag(startPt, diag), endPt], 'Octi-Bend']);
+  candidates.push([[startPt, moveRest(startPt, rest), endPt], 'Octi-Bend']);
+
+  // 隨機切分 (長度取整數；太短無法切分時略過)
+  const randomSplit = (total) => {
+    if (total < 2) return null;
+    return Math.min(total - 1, Math.max(1, Math.round(total * (random() * 0.8 + 0.1))));
+  };
+  for (let i = 0; i < numSamples; i++) {
+    // 直線 - 斜線 - 直線
+    const r = randomSplit(rest);
+    if (r !== null) {
+      const c1 = moveRest(startPt, r);
+      candidates.push([[startPt, c1, moveDiag(c1, diag), endPt], 'Octi-Z']);
+    }
+    // 斜線 - 直線 - 斜線
+    const d = randomSplit(diag);
+    if (d !== null) {
+      const c1 = moveDiag(startPt, d);
+      candidates.push([[startPt, c1, moveRest(c1, rest), endPt], 'Octi-Z']);
+    }
+  }
+
+  return candidates;
+}
+
+// ==========================================
+// 4. 座標壓縮 (Axis Collapsing)
+// ==========================================
+
+/**
+ * 建立單一軸的壓縮映射：一般間距壓縮為 1，被斜線跨越的間距保留原長度
+ * @param {Array<number>} values - 該軸出現過的座標值
+ * @param {Array<Array<number>>} coveredSpans - 斜線在該軸的範圍 [[min, max], ...]
+ * @returns {Function} 映射函式 (座標值 → 新座標值，介於已知值之間時線性內插)
+ */
+function createAxisMap(values, coveredSpans) {
+  const sorted = Array.from(new Set(values)).sort((a, b) => a - b);
+  if (sorted.length === 0) return (v) => v;
+
+  const mapped = [0];
+  for (let i = 1; i < sorted.length; i++) {
+    const lo = sorted[i - 1];
+    const hi = sorted[i];
+    const covered = coveredSpans.some(([min, max]) => min <= lo + 1e-6 && hi <= max + 1e-6);
+    mapped.push(Math.round((mapped[i - 1] + (covered ? hi - lo : 1)) * 100) / 100);
+  }
+
+  return (v) => {
+    if (v <= sorted[0]) return mapped[0];
+    const last = sorted.length - 1;
+    if (v >= sorted[last]) return mapped[last];
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= v) lo = mid;
+      else hi = mid;
+    }
+    const ratio = (v - sorted[lo]) / (sorted[hi] - sorted[lo]);
+    return Math.round((mapped[lo] + (mapped[hi] - mapped[lo]) * ratio) * 100) / 100;
+  };
+}
+
+/**
+ * 建立保留 45° 斜線的 x / y 座標壓縮映射
+ *
+ * 與正交模式的排序映射 (座標 → 0, 1, 2...) 相同，只是斜線跨越的間距保留原長度，
+ * 使每條斜線在兩軸的位移仍然相等；水平 / 垂直線段在任何單調映射下都維持水平 / 垂直。
+ *
+ * @param {Array<Array<Array<number>>>} polylines - 所有折線 (用於找出斜線)
+ * @param {Array<number>} xValues - x 軸出現過的座標值
+ * @param {Array<number>} yValues - y 軸出現過的座標值
+ * @returns {Object} {mapX, mapY} 映射函式
+ */
+export function createOctilinearAxisMaps(polylines, xValues, yValues) {
+  const spansX = [];
+  const spansY = [];
+  for (const pts of polylines) {
+    for (let i = 0; i < pts.length - 1; i++) {
+      const p1 = pts[i];
+      const p2 = pts[i + 1];
+      if (!isDiagonalSegment(p1, p2, 1e-2)) continue;
+      spansX.push([Math.min(p1[0], p2[0]), Math.max(p1[0], p2[0])]);
+      spansY.push([Math.min(p1[1], p2[1]), Math.max(p1[1], p2[1])]);
+    }
+  }
+  return {
+    mapX: createAxisMap(xValues, spansX),
+    mapY: createAxisMap(yValues, spansY),
+  };
+}
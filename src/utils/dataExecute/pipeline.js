@@ -0,0 +1,343 @@
+/**
+ * 管線執行模組 (Pipeline Runner Module)
+ *
+ * 依 stepRegistry 的步驟清單執行 execute_* 示意化流程 (1.0 → 7.1)，
+ * 並提供 runPipeline 依序執行、在第一個失敗步驟停止，以及從失敗步驟續跑的功能。
+ * 設定 useWorker 時，各步驟改在 Web Worker 中執行，並可透過 cancelPipeline 取消。
+ *
+ * @file pipeline.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { useDataStore } from '@/stores/dataStore.js';
+import { getProjectLayerId, resolveProject, writeStepOutput } from './projectLayers.js';
+import { runStepInWorker } from './stepWorkerClient.js';
+import { normalizeStepParams } from './stepParams.js';
+import { validateTopology } from './topologyValidator.js';
+import { isOctilinearMode } from './octilinear.js';
+import { getSharedSeed } from '@/utils/seededRandom.js';
+import {
+  PIPELINE_STEPS,
+  createStepError,
+  getPipelineRange,
+  getPipelineStages,
+  getPipelineStep,
+  resolveStepIndex,
+} from './stepRegistry.js';
+
+// 步驟清單與查詢函式定義在 stepRegistry.js (不引用 store)，這裡一併匯出以維持既有的引用方式
+export { PIPELINE_STEPS, createStepError, getPipelineRange, getPipelineStages, getPipelineStep };
+
+// ==========================================
+// 1. 執行狀態 (Pipeline State)
+// ==========================================
+/**
+ * 各專案上一次執行的狀態 (供續跑使用)，以專案名稱為鍵
+ * - lastCompletedStepId: 最後一個成功完成的步驟
+ * - failedStepId: 失敗的步驟 (成功跑完後會清除)
+ * - targetStepId: 上一次執行的終點步驟
+ * - activeTask: 目前在 Web Worker 中執行的任務 {stepId, cancel} (僅 useWorker 時)
+ */
+const pipelineStates = {};
+
+// ==========================================
+// 2. 輔助函式
+// ==========================================
+/**
+ * 取得 (必要時建立) 專案的管線狀態
+ * @param {string} project - 專案名稱
+ * @returns {Object} 管線狀態物件
+ */
+function getStateForProject(project) {
+  if (!pipelineStates[project]) {
+    pipelineStates[project] = {
+      lastCompletedStepId: null,
+      failedStepId: null,
+      failedMessage: null,
+      targetStepId: null,
+      activeTask: null,
+    };
+  }
+  return pipelineStates[project];
+}
+
+/**
+ * 取得步驟在指定專案下的輸入/輸出圖層 ID
+ * @param {Object} step - 步驟定義
+ * @param {string} project - 專案名稱
+ * @returns {Object} {inputLayerId, outputLayerId}
+ */
+export function getStepLayerIds(step, project) {
+  return {
+    inputLayerId: step.inputStage ? getProjectLayerId(project, step.inputStage) : null,
+    outputLayerId: getProjectLayerId(project, step.outputStage),
+  };
+}
+
+/**
+ * 取得專案上一次執行的狀態快照
+ * @param {string} [project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} {lastCompletedStepId, failedStepId, failedMessage, targetStepId, runningStepId}
+ */
+export function getPipelineState(project) {
+  const { activeTask, ...state } = getStateForProject(resolveProject(project));
+  return { ...state, runningStepId: activeTask ? activeTask.stepId : null };
+}
+
+/**
+ * 取得步驟輸出圖層目前的結果 (增量模式的比對基準)；圖層尚無資料時回傳 null
+ * @param {Object} step - 步驟定義
+ * @param {string} project - 專案名稱
+ * @returns {Object|null} {data, report}
+ */
+function getPreviousStepResult(step, project) {
+  const dataStore = useDataStore();
+  const { outputLayerId } = getStepLayerIds(step, project);
+  const outputLayer = dataStore.findLayerById(outputLayerId);
+  if (!outputLayer || !outputLayer.spaceNetworkGridJsonData) return null;
+  return { data: outputLayer.spaceNetworkGridJsonData, report: outputLayer.dashboardData || null };
+}
+
+/**
+ * 組出步驟實際執行的選項：專案已保存的參數 < 呼叫端傳入的選項，
+ * schema 宣告的參數一律經過驗證並以預設值補齊，其他選項 (例如回調) 原樣保留。
+ * 示意化之後的步驟 (orthogonal) 另外帶入專案的版面模式 layoutMode，
+ * 使用運量的步驟 (ridership) 帶入專案已上傳的運量資料，
+ * 專案開啟增量模式時，支援的步驟 (incremental) 帶入輸出圖層目前的結果 previous，
+ * 配置與縮減步驟 (constraints) 帶入專案的版面限制 constraints (皆可由呼叫端覆寫)
+ * @param {Object} step - 步驟定義
+ * @param {string} project - 專案名稱
+ * @param {Object} [overrides={}] - 呼叫端傳入的選項 (runPipeline 的 stepOptions[step.id])
+ * @returns {Object} 步驟選項
+ */
+function resolveStepOptions(step, project, overrides = {}) {
+  const dataStore = useDataStore();
+  const stored = dataStore.getStepParams(project, step.id);
+  const ridership = step.ridership ? dataStore.getRidership(project) : null;
+  const previous =
+    step.incremental && dataStore.getIncrementalLayout(project)
+      ? getPreviousStepResult(step, project)
+      : null;
+  const constraints = step.constraints ? dataStore.getLayoutConstraints(project) : null;
+  return {
+    ...(step.orthogonal && { layoutMode: dataStore.getLayoutMode(project) }),
+    ...(ridership && { ridership: ridership.rows }),
+    ...(previous && { previous }),
+    ...(constraints && { constraints }),
+    ...overrides,
+    ...normalizeStepParams(step.params, { ...stored, ...overrides }),
+  };
+}
+
+/**
+ * 在 Web Worker 中執行單一步驟，完成後寫回輸出圖層
+ * @param {Object} step - 步驟定義
+ * @param {Object} pipelineState - 專案的管線狀態 (記錄 activeTask 供取消)
+ * @param {Object} context - {inputData, outputLayer, stepOptions, onProgress}
+ * @returns {Promise<Object>} {data, report}
+ */
+async function executeStepInWorker(step, pipelineState, context) {
+  const { inputData, outputLayer, onProgress, stepOptions } = context;
+  const task = runStepInWorker(step, inputData, { stepOptions, onProgress });
+  pipelineState.activeTask = { stepId: step.id, cancel: task.cancel };
+
+  try {
+    const result = await task.promise;
+    writeStepOutput(outputLayer, result, {
+      layoutGrid: step.layoutGrid,
+      stepId: step.id,
+      params: stepOptions,
+    });
+    return result;
+  } finally {
+    pipelineState.activeTask = null;
+  }
+}
+
+/**
+ * 檢查步驟輸出的拓撲不變量，結果記錄在輸出圖層的 topologyValidation
+ * - 有輸入階段時，與輸入圖層比對車站數量與轉乘路線
+ * - 示意化之後的步驟 (orthogonal) 另外要求所有線段水平或垂直；
+ *   輸出以八方向模式產生時 (依快照記錄的 layoutMode，沒有快照時依專案設定) 允許 45° 斜線
+ * @param {string} stepId - 步驟 ID
+ * @param {string} [project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {Object} validateTopology 的結果 {valid, counts, violations}
+ */
+export function validateStepOutput(stepId, project) {
+  const dataStore = useDataStore();
+  const step = getPipelineStep(stepId);
+  const projectName = resolveProject(project);
+  const { inputLayerId, outputLayerId } = getStepLayerIds(step, projectName);
+
+  const outputLayer = dataStore.findLayerById(outputLayerId);
+  if (!outputLayer || !outputLayer.spaceNetworkGridJsonData) {
+    throw new Error(`輸出圖層 ${outputLayerId} 尚無資料，請先執行步驟 ${step.id}`);
+  }
+  // 第一步的輸入是 GeoJSON，無法與網絡資料比對
+  const inputLayer = inputLayerId ? dataStore.findLayerById(inputLayerId) : null;
+  const snapshot = dataStore.getLayerSnapshot(outputLayerId, outputLayer.currentSnapshotVersion);
+  const runOptions = snapshot?.params ?? { layoutMode: dataStore.getLayoutMode(projectName) };
+
+  const validation = validateTopology(outputLayer.spaceNetworkGridJsonData, {
+    reference: inputLayer ? inputLayer.spaceNetworkGridJsonData : null,
+    orthogonal: step.orthogonal,
+    octilinear: step.orthogonal && isOctilinearMode(runOptions),
+  });
+  outputLayer.topologyValidation = { stepId: step.id, ...validation };
+  return outputLayer.topologyValidation;
+}
+
+// ==========================================
+// 3. 主程式執行
+// ==========================================
+/**
+ * 依序執行示意化管線
+ *
+ * - from / to 皆包含在內，省略時分別代表第一步與最後一步
+ * - 任何步驟失敗即停止，拋出的錯誤帶有 stepId，並記錄於管線狀態
+ * - resume 為 true 時，從上一次失敗的步驟開始 (若無失敗則從最後完成的下一步)
+ * - 每個專案各自記錄續跑狀態，可同時存在多個城市的管線結果
+ * - useWorker 為 true 時在 Web Worker 中執行，UI 不會凍結；取消視同在該步驟失敗，可再續跑
+ * - validate 為 true 時，每個步驟完成後執行拓撲檢查 (validateStepOutput)；違規只記錄不中斷
+ * - 不輸出到 console：各步驟的耗時與拓撲檢查結果由 onStepComplete 與回傳的 steps 提供
+ *
+ * @param {Object} [options] - 執行選項
+ * @param {string} [options.project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @param {string} [options.from] - 起始步驟 ID
+ * @param {string} [options.to] - 結束步驟 ID
+ * @param {boolean} [options.resume=false] - 是否從上次失敗的步驟續跑
+ * @param {Object} [options.jsonData] - 第一步 (1_0_to_1_1) 所需的 GeoJSON 資料
+ * @param {Object} [options.stepOptions] - 各步驟的額外選項，以步驟 ID 為鍵 (覆寫專案已保存的步驟參數)
+ * @param {Function} [options.onStepStart] - 步驟開始回調 (step, index, total)
+ * @param {Function} [options.onStepComplete] - 步驟完成回調 (step, index, total, duration, validation)
+ * @param {boolean} [options.useWorker=false] - 是否在 Web Worker 中執行各步驟
+ * @param {Function} [options.onStepProgress] - 步驟進度回調 (step, progress)，僅 useWorker 時有效
+ * @param {boolean} [options.validate=false] - 是否在每個步驟完成後執行拓撲檢查
+ * @returns {Promise<Object>} {project, completedSteps, steps: [{id, title, duration, validation}], duration}
+ *   (validation 為 validateStepOutput 的結果，未開啟拓撲檢查時為 null)
+ */
+export async function runPipeline(options = {}) {
+  const {
+    resume = false,
+    jsonData = null,
+    stepOptions = {},
+    onStepStart = null,
+    onStepComplete = null,
+    useWorker = false,
+    onStepProgress = null,
+    validate = false,
+  } = options;
+  const dataStore = useDataStore();
+  const project = resolveProject(options.project);
+  const pipelineState = getStateForProject(project);
+
+  // 確保此專案的各階段圖層都已建立
+  dataStore.ensureProjectLayers(project, getPipelineStages());
+
+  let from = options.from;
+  let to = options.to;
+
+  if (resume) {
+    if (pipelineState.failedStepId) {
+      from = pipelineState.failedStepId;
+    } else if (pipelineState.lastCompletedStepId) {
+      const nextIndex = resolveStepIndex(pipelineState.lastCompletedStepId) + 1;
+      if (nextIndex >= PIPELINE_STEPS.length) {
+        throw new Error('管線已全部執行完成，沒有可續跑的步驟');
+      }
+      from = PIPELINE_STEPS[nextIndex].id;
+    } else {
+      throw new Error(`專案 ${project} 沒有可續跑的管線紀錄`);
+    }
+    to = to || pipelineState.targetStepId;
+  }
+
+  const stepsToRun = getPipelineRange(from, to);
+  pipelineState.targetStepId = stepsToRun[stepsToRun.length - 1].id;
+
+  const pipelineStart = performance.now();
+  const completedSteps = [];
+  const stepSummaries = [];
+  // 整次執行使用同一個種子，主執行緒與 Worker 都明確帶入 (Worker 有自己的模組實例，
+  // 不帶入會使用 Worker 內的種子)，快照也因此記錄到實際使用的種子
+  const seed = getSharedSeed();
+
+  for (let i = 0; i < stepsToRun.length; i++) {
+    const step = stepsToRun[i];
+    const { inputLayerId, outputLayerId } = getStepLayerIds(step, project);
+
+    if (onStepStart) onStepStart(step, i, stepsToRun.length);
+
+    const stepStart = performance.now();
+    try {
+      // 前置檢查：輸入圖層必須已有資料，避免步驟在空資料上默默執行
+      const inputLayer = inputLayerId ? dataStore.findLayerById(inputLayerId) : null;
+      if (inputLayerId) {
+        if (!inputLayer || !inputLayer.spaceNetworkGridJsonData) {
+          throw new Error(`輸入圖層 ${inputLayerId} 尚無資料，請先執行前一個步驟`);
+        }
+      } else if (!jsonData) {
+        throw new Error('第一個步驟需要透過 jsonData 傳入 GeoJSON 資料');
+      }
+      const outputLayer = dataStore.findLayerById(outputLayerId);
+      if (!outputLayer) {
+        throw new Error(`找不到輸出圖層 ${outputLayerId}`);
+      }
+      const runOptions = { seed, ...resolveStepOptions(step, project, stepOptions[step.id]) };
+
+      if (useWorker) {
+        await executeStepInWorker(step, pipelineState, {
+          inputData: inputLayer ? inputLayer.spaceNetworkGridJsonData : jsonData,
+          outputLayer,
+          stepOptions: runOptions,
+          onProgress: onStepProgress ? (progress) => onStepProgress(step, progress) : null,
+        });
+      } else {
+        await step.execute(inputLayerId ? null : jsonData, { ...runOptions, project });
+      }
+    } catch (error) {
+      pipelineState.failedStepId = step.id;
+      pipelineState.failedMessage = error.message;
+      throw createStepError(step, error);
+    }
+
+    const stepDuration = (performance.now() - stepStart) / 1000;
+    pipelineState.lastCompletedStepId = step.id;
+    const validation = validate ? validateStepOutput(step.id, project) : null;
+    completedSteps.push(step.id);
+    stepSummaries.push({ id: step.id, title: step.title, duration: stepDuration, validation });
+
+    if (onStepComplete) onStepComplete(step, i, stepsToRun.length, stepDuration, validation);
+  }
+
+  pipelineState.failedStepId = null;
+  pipelineState.failedMessage = null;
+
+  const duration = (performance.now() - pipelineStart) / 1000;
+  return { project, completedSteps, steps: stepSummaries, duration };
+}
+
+/**
+ * 從上一次失敗的步驟續跑管線
+ * @param {Object} [options] - 同 runPipeline 的選項 (from 會被忽略)
+ * @returns {Promise<Object>} {project, completedSteps, steps, duration}
+ */
+export function resumePipeline(options = {}) {
+  return runPipeline({ ...options, resume: true });
+}
+
+/**
+ * 取消專案目前在 Web Worker 中執行的步驟
+ * 取消後 runPipeline 會以 cancelled 錯誤結束，並將該步驟記為失敗，之後可用 resumePipeline 續跑
+ * @param {string} [project] - 專案名稱 (預設使用 store 的 currentProject)
+ * @returns {boolean} 是否有任務被取消
+ */
+export function cancelPipeline(project) {
+  const pipelineState = getStateForProject(resolveProject(project));
+  if (!pipelineState.activeTask) {
+    return false;
+  }
+  pipelineState.activeTask.cancel();
+  return true;
+}
@@ -0,0 +1,139 @@
+/**
+ * 專案圖層對應模組 (Project Layer Wiring Module)
+ *
+ * execute_* 步驟不再寫死 taipei_* 圖層，而是透過「專案名稱 (namespace)」
+ * 組出輸入/輸出圖層 ID，例如 kaohsiung_2_3、tokyo_6_1。
+ * 純函式版本 (run_*) 不依賴任何圖層；本模組只負責把結果接回 Pinia store。
+ * store 由 dataStore 載入時透過 registerLayerStore 註冊 (不直接引用)，
+ * 讓 Web Worker 與命令列工具載入步驟模組時不會連帶載入 store、Pinia 與 Vue。
+ *
+ * @file projectLayers.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { getSharedSeed, normalizeSeed } from '@/utils/seededRandom.js';
+
+/**
+ * 預設專案名稱 (維持既有 taipei_* 圖層相容)
+ * @type {string}
+ */
+export const DEFAULT_PROJECT = 'taipei';
+
+// 取得 dataStore 的函式 (useDataStore)，由 dataStore 模組註冊
+let useLayerStore = null;
+
+/**
+ * 註冊取得圖層 store 的函式 (dataStore 模組載入時呼叫)
+ * @param {Function} useStore - useDataStore
+ */
+export function registerLayerStore(useStore) {
+  useLayerStore = useStore;
+}
+
+/**
+ * 取得圖層 store (尚未註冊時拋出錯誤)
+ * @returns {Object} dataStore
+ */
+function getLayerStore() {
+  if (!useLayerStore) {
+    throw new Error('尚未載入圖層 store，execute_* 步驟只能在應用程式中執行');
+  }
+  return useLayerStore();
+}
+
+/**
+ * 組出專案圖層 ID
+ * @param {string} project - 專案名稱，例如 'taipei'
+ * @param {string} stage - 階段代碼，例如 '2_3'
+ * @returns {string} 圖層 ID，例如 'taipei_2_3'
+ */
+export function getProjectLayerId(project, stage) {
+  return `${project || DEFAULT_PROJECT}_${stage}`;
+}
+
+/**
+ * 決定本次執行使用的專案名稱
+ * 優先順序：參數 > store 的 currentProject > 預設值
+ * @param {string} [project] - 指定的專案名稱
+ * @returns {string} 專案名稱
+ */
+export function resolveProject(project) {
+  if (project) return project;
+  const dataStore = getLayerStore();
+  return dataStore.currentProject || DEFAULT_PROJECT;
+}
+
+/**
+ * 解析步驟的輸入/輸出圖層
+ * @param {string|null} inputStage - 輸入階段代碼 (null 表示資料由參數傳入)
+ * @param {string} outputStage - 輸出階段代碼
+ * @param {string} [project] - 專案名稱
+ * @returns {Object} {project, inputLayerId, outputLayerId, inputLayer, outputLayer}
+ */
+export function resolveStepLayers(inputStage, outputStage, project) {
+  const dataStore = getLayerStore();
+  const resolvedProject = resolveProject(project);
+  const inputLayerId = inputStage ? getProjectLayerId(resolvedProject, inputStage) : null;
+  const outputLayerId = getProjectLayerId(resolvedProject, outputStage);
+
+  return {
+    project: resolvedProject,
+    inputLayerId,
+    outputLayerId,
+    inputLayer: inputLayerId ? dataStore.findLayerById(inputLayerId) : null,
+    outputLayer: dataStore.findLayerById(outputLayerId),
+  };
+}
+
+/**
+ * 整理要記錄在快照中的步驟參數：移除回調函式、專案名稱與增量模式的前次結果
+ * 並一律記錄隨機種子 (選項沒有指定時，步驟使用的就是共用種子)，
+ * 不論步驟在主執行緒或 Web Worker 中執行，快照都能重現相同的結果
+ * @param {Object} [params] - 步驟選項
+ * @returns {Object} 可序列化的參數
+ */
+function toSnapshotParams(params = {}) {
+  return {
+    ...Object.fromEntries(
+      Object.entries(params).filter(
+        ([key, value]) => key !== 'project' && key !== 'previous' && typeof value !== 'function'
+      )
+    ),
+    seed: normalizeSeed(params.seed ?? getSharedSeed()),
+  };
+}
+
+/**
+ * 將純函式的執行結果寫回輸出圖層，記錄一份快照，並自動開啟圖層以便查看
+ * @param {Object} outputLayer - 輸出圖層物件
+ * @param {Object} result - 純函式回傳值 {data, report}
+ * @param {Object} [options] - 寫入選項
+ * @param {boolean} [options.layoutGrid=false] - 是否同時寫入 layoutGridJsonData
+ * @param {string} [options.stepId] - 產生此結果的步驟 ID (記錄於快照)
+ * @param {Object} [options.params] - 本次執行的步驟參數 (記錄於快照)
+ */
+export function writeStepOutput(outputLayer, result, options = {}) {
+  const dataStore = getLayerStore();
+
+  outputLayer.spaceNetworkGridJsonData = result.data;
+  if (options.layoutGrid) {
+    outputLayer.layoutGridJsonData = result.data;
+  }
+  outputLayer.dashboardData = result.report;
+  // 舊的拓撲檢查結果已不適用於新資料
+  outputLayer.topologyValidation = null;
+
+  dataStore.addLayerSnapshot(outputLayer.layerId, {
+    stepId: options.stepId,
+    params: toSnapshotParams(options.params),
+    data: result.data,
+    report: result.report,
+    layoutGrid: options.layoutGrid,
+  });
+
+  if (!outputLayer.visible) {
+    outputLayer.visible = true;
+    dataStore.saveLayerState(outputLayer.layerId, { visible: true });
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * 運量資料模組 (Ridership Data Module)
+ *
+ * 3_1→4_1 預設以 WEIGHT_VALUES / WEIGHT_PROBS 隨機產生站間權重 (station_weights)。
+ * 提供實際的站間運量 (或班次) 時，改以運量換算權重，讓 6_1→7_1 的網格縮放呈現真實需求：
+ * - 讀取 CSV 或 JSON，每一列為 {from, to, value}，車站以 station_id 或站名表示
+ * - 同一對車站的雙向資料相加，比對到每條路線上相鄰的兩個車站 (站間區段)
+ * - 比對到的運量依線性或對數比例換算到權重範圍 (最小運量 → 最小權重，最大運量 → 最大權重)；
+ *   所有運量都相同時沒有高低之分，一律使用權重範圍的中間值
+ * - 沒有運量資料的站間區段使用最小權重；無法比對的資料列列在報告中
+ *
+ * @file ridership.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { csvParse } from 'd3';
+
+// ==========================================
+// 1. 讀取運量資料 (Parsing)
+// ==========================================
+
+// 各欄位可接受的欄名 (不分大小寫)
+const FROM_COLUMNS = ['from', 'from_id', 'from_station', 'origin', 'start', '起站', '起點'];
+const TO_COLUMNS = ['to', 'to_id', 'to_station', 'destination', 'end', '迄站', '終點'];
+const VALUE_COLUMNS = [
+  'value',
+  'volume',
+  'passengers',
+  'ridership',
+  'frequency',
+  'count',
+  'flow',
+  '運量',
+  '人次',
+  '班次',
+];
+
+/**
+ * 可選的運量換算方式
+ * @type {Array<Object>}
+ */
+export const RIDERSHIP_SCALES = [
+  { value: 'linear', label: '線性' },
+  { value: 'log', label: '對數 (運量差距大時使用)' },
+];
+
+// 預設換算方式
+export const DEFAULT_RIDERSHIP_SCALE = 'linear';
+
+/**
+ * 在物件中找出第一個符合候選欄名的欄位值
+ * @param {Object} row - 資料列
+ * @param {Array<string>} candidates - 候選欄名
+ * @returns {*} 欄位值 (找不到時為 undefined)
+ */
+function pickColumn(row, candidates) {
+  for (const key of Object.keys(row)) {
+    if (candidates.includes(key.trim().toLowerCase())) return row[key];
+  }
+  return undefined;
+}
+
+/**
+ * 將單一資料列整理為 {from, to, value} (無法辨識時回傳 null)
+ * @param {Object|Array} row - 物件 (依欄名) 或陣列 [from, to, value]
+ * @returns {Object|null} 整理後的資料列
+ */
+function normalizeRow(row) {
+  const [from, to, value] = Array.isArray(row)
+    ? row
+    : [pickColumn(row, FROM_COLUMNS), pickColumn(row, TO_COLUMNS), pickColumn(row, VALUE_COLUMNS)];
+  const amount = Number(value);
+  if (from === undefined || from === null || to === undefined || to === null) return null;
+  if (String(from).trim() === '' || String(to).trim() === '') return null;
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  return { from: String(from).trim(), to: String(to).trim(), value: amount };
+}
+
+/**
+ * 解析運量資料 (CSV 或 JSON，依內容自動判斷)
+ *
+ * CSV 需有標題列，欄名例如 from,to,volume；JSON 可為物件陣列 (欄名同 CSV)、
+ * [from, to, value] 陣列，或 {rows: [...]}。
+ *
+ * @param {string} text - 檔案內容
+ * @returns {Object} {rows: [{from, to, value}], skipped: 無法辨識的列數}
+ * @throws {Error} 格式錯誤或沒有任何可用的資料列
+ */
+export function parseRidership(text) {
+  const content = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .trim();
+  if (!content) throw new Error('運量資料是空的');
+
+  let rawRows;
+  if (content.startsWith('[') || content.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`運量資料不是有效的 JSON：${error.message}`);
+    }
+    rawRows = Array.isArray(parsed) ? parsed : parsed.rows;
+    if (!Array.isArray(rawRows)) throw new Error('運量 JSON 必須是陣列或 {rows: [...]}');
+  } else {
+    rawRows = csvParse(content);
+  }
+
+  const rows = [];
+  let skipped = 0;
+  for (const raw of rawRows) {
+    const row = raw && typeof raw === 'object' ? normalizeRow(raw) : null;
+    if (row) rows.push(row);
+    else skipped++;
+  }
+  if (rows.length === 0) {
+    throw new Error('運量資料沒有可用的資料列 (需要 from、to 與運量欄位，例如 from,to,volume)');
+  }
+  return { rows, skipped };
+}
+
+// ==========================================
+// 2. 比對站間區段 (Matching)
+// ==========================================
+
+/**
+ * 取得 segment 中某個點的節點屬性
+ * @param {Object} seg - 線段物件
+ * @param {number} idx - 點索引
+ * @returns {Object|null} 節點屬性
+ */
+function getNodeAt(seg, idx) {
+  const pts = seg.points || [];
+  const nodes = seg.nodes || [];
+  if (nodes.length === pts.length && nodes[idx]) return nodes[idx];
+  if (idx === 0 && seg.properties_start) return seg.properties_start;
+  if (idx === pts.length - 1 && seg.properties_end) return seg.properties_end;
+  const p = pts[idx];
+  if (p && p.length >= 3 && typeof p[2] === 'object') return p[2];
+  return null;
+}
+
+/**
+ * 取得節點可用於比對的識別值：先 station_id / id，再站名
+ * @param {Object|null} node - 節點屬性
+ * @returns {Array<string>} 識別值 (不重複)
+ */
+function getStationKeys(node) {
+  if (!node) return [];
+  const tags = node.tags || {};
+  const keys = [
+    node.station_id,
+    tags.station_id,
+    node.id,
+    node.station_name,
+    tags.station_name,
+    tags.name,
+  ]
+    .filter((value) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map((value) => String(value).trim());
+  return Array.from(new Set(keys));
+}
+
+/**
+ * 取得節點的顯示名稱 (報告用)
+ * @param {Object|null} node - 節點屬性
+ * @returns {string} 名稱
+ */
+function getStationLabel(node) {
+  if (!node) return '?';
+  const tags = node.tags || {};
+  return String(
+    node.station_name || tags.station_name || tags.name || node.station_id || node.id || '?'
+  );
+}
+
+/**
+ * 不分方向的車站配對鍵值
+ * @param {string} a - 車站識別值
+ * @param {string} b - 車站識別值
+ * @returns {string} 鍵值
+ */
+function pairKey(a, b) {
+  return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+}
+
+/**
+ * 權重範圍的中間值 (運量全部相同時使用)
+ * @param {Array<number>} weightValues - 權重範圍 (由小到大)
+ * @returns {number} 中間權重
+ */
+function getMiddleWeight(weightValues) {
+  return weightValues[Math.round((weightValues.length - 1) / 2)];
+}
+
+/**
+ * 將運量換算為權重 (最大與最小運量相同時回傳中間權重，而不是最小權重)
+ * @param {number} value - 運量
+ * @param {number} min - 最小運量
+ * @param {number} max - 最大運量
+ * @param {Array<number>} weightValues - 權重範圍 (由小到大)
+ * @param {string} scale - 'linear' | 'log'
+ * @returns {number} 權重
+ */
+function toWeight(value, min, max, weightValues, scale) {
+  const transform = scale === 'log' ? Math.log1p : (v) => v;
+  const lo = transform(min);
+  const hi = transform(max);
+  if (hi <= lo) return getMiddleWeight(weightValues);
+  const ratio = (transform(value) - lo) / (hi - lo);
+  return weightValues[Math.round(ratio * (weightValues.length - 1))];
+}
+
+/**
+ * 以運量資料改寫所有 segment 的 station_weights
+ *
+ * 每個站間區段 (start_idx → end_idx) 以兩端車站的識別值查詢運量，雙向資料相加；
+ * 比對成功的區段另外記錄原始運量 volume。
+ *
+ * @param {Array} dataList - Grouped 結構的資料 (已由 processWeightsStationToStation 建立站間區段)
+ * @param {Array<Object>} rows - parseRidership 的資料列 [{from, to, value}]
+ * @param {Object} options - 換算選項
+ * @param {Array<number>} options.weightValues - 權重範圍 (由小到大)
+ * @param {string} [options.scale='linear'] - 換算方式 ('linear' | 'log')
+ * @returns {Object} {matchedIntervals, unmatchedIntervals, unmatchedRows, minVolume, maxVolume, uniformWeight}
+ *   unmatchedIntervals 為 [{route, from, to}]，unmatchedRows 為 [{from, to, value}] (雙向合併後)；
+ *   uniformWeight 為運量全部相同時使用的中間權重 (其餘情況為 null)
+ */
+export function applyRidershipWeights(dataList, rows, options) {
+  const { weightValues, scale = DEFAULT_RIDERSHIP_SCALE } = options;
+
+  // 同一對車站的雙向資料相加
+  const volumes = new Map();
+  for (const row of rows) {
+    const key = pairKey(row.from, row.to);
+    if (!volumes.has(key)) volumes.set(key, { from: row.from, to: row.to, value: 0, used: false });
+    volumes.get(key).value += row.value;
+  }
+
+  // 比對每個站間區段 (識別值依優先順序嘗試，取第一個找到的配對)
+  const matched = [];
+  const unmatchedIntervals = [];
+  for (const route of dataList) {
+    for (const seg of route.segments || []) {
+      for (const interval of seg.station_weights || []) {
+        const startNode = getNodeAt(seg, interval.start_idx);
+        const endNode = getNodeAt(seg, interval.end_idx);
+        const startKeys = getStationKeys(startNode);
+        const endKeys = getStationKeys(endNode);
+        let entry = null;
+        for (const a of startKeys) {
+          for (const b of endKeys) {
+            entry = volumes.get(pairKey(a, b));
+            if (entry) break;
+          }
+          if (entry) break;
+        }
+        if (entry) {
+          entry.used = true;
+          matched.push({ interval, volume: entry.value });
+        } else {
+          interval.weight = weightValues[0];
+          unmatchedIntervals.push({
+            route: route.route_name || seg.name || '',
+            from: getStationLabel(startNode),
+            to: getStationLabel(endNode),
+          });
+        }
+      }
+    }
+  }
+
+  // 以比對到的運量範圍換算權重
+  let minVolume = Infinity;
+  let maxVolume = -Infinity;
+  for (const { volume } of matched) {
+    minVolume = Math.min(minVolume, volume);
+    maxVolume = Math.max(maxVolume, volume);
+  }
+  for (const { interval, volume } of matched) {
+    interval.weight = toWeight(volume, minVolume, maxVolume, weightValues, scale);
+    interval.volume = volume;
+  }
+
+  return {
+    matchedIntervals: matched.length,
+    unmatchedIntervals,
+    unmatchedRows: Array.from(volumes.values())
+      .filter((entry) => !entry.used)
+      .map(({ from, to, value }) => ({ from, to, value })),
+    minVolume: matched.length > 0 ? minVolume : null,
+    maxVolume: matched.length > 0 ? maxVolume : null,
+    uniformWeight:
+      matched.length > 0 && minVolume === maxVolume ? getMiddleWeight(weightValues) : null,
+  };
+}
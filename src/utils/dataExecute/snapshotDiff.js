@@ -0,0 +1,224 @@
+/**
+ * 步驟快照比對模組 (Snapshot Diff Module)
+ *
+ * 比較兩份 spaceNetworkGridJsonData (同一圖層的兩個快照)，找出：
+ * - 站點移動 (同一站點的網格座標改變)
+ * - 線段新增 / 移除 (以路線名稱 + 兩端站點識別)
+ * - 權重變更 (station_weights 中同一站間區間的 weight 改變)
+ * 支援扁平 Segments 與依路線分組 ({route_name, segments}) 兩種格式。
+ *
+ * @file snapshotDiff.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// ==========================================
+// 1. 資料迭代與識別
+// ==========================================
+/**
+ * 統一迭代 Segments (支援 Grouped 或 Flat 格式)
+ * @param {Array} dataList - 資料列表
+ * @yields {Object} 線段物件
+ */
+function* iterSegments(dataList) {
+  if (!Array.isArray(dataList) || dataList.length === 0) return;
+  const isGrouped = dataList[0] && typeof dataList[0] === 'object' && 'segments' in dataList[0];
+  if (isGrouped) {
+    for (const route of dataList) {
+      for (const seg of route.segments || []) {
+        yield { seg, routeName: route.route_name };
+      }
+    }
+  } else {
+    for (const seg of dataList) {
+      yield { seg, routeName: null };
+    }
+  }
+}
+
+/**
+ * 取得線段所屬路線名稱
+ * @param {Object} seg - 線段物件
+ * @param {string|null} groupRouteName - 分組格式的路線名稱
+ * @returns {string} 路線名稱
+ */
+function getRouteName(seg, groupRouteName) {
+  return groupRouteName || seg.way_properties?.tags?.route_name || seg.name || 'unknown';
+}
+
+/**
+ * 取得站點識別鍵 (id > station_name > tags.name)，純轉折點回傳 null
+ * @param {Object} props - 節點屬性
+ * @returns {string|null} 站點識別鍵
+ */
+function getStationKey(props) {
+  if (!props || typeof props !== 'object') return null;
+  const key = props.id ?? props.station_id ?? props.station_name ?? props.tags?.name;
+  return key === undefined || key === null || key === '' ? null : String(key);
+}
+
+/**
+ * 取得站點顯示名稱
+ * @param {Object} props - 節點屬性
+ * @returns {string} 站點名稱
+ */
+function getStationName(props) {
+  return props.station_name || props.tags?.name || props.name || String(getStationKey(props));
+}
+
+/**
+ * 取得線段第 i 個點對應的節點屬性 (nodes 優先，端點退回 properties_start/end)
+ * @param {Object} seg - 線段物件
+ * @param {number} index - 點索引
+ * @returns {Object|null} 節點屬性
+ */
+function getNodeProps(seg, index) {
+  const pts = seg.points || [];
+  const node = Array.isArray(seg.nodes) ? seg.nodes[index] : null;
+  if (getStationKey(node)) return node;
+  if (index === 0) return seg.properties_start || null;
+  if (index === pts.length - 1) return seg.properties_end || null;
+  return null;
+}
+
+/**
+ * 取得點的識別鍵：站點使用站點鍵，否則使用座標
+ * @param {Object} seg - 線段物件
+ * @param {number} index - 點索引
+ * @returns {string} 點識別鍵
+ */
+function getPointKey(seg, index) {
+  const stationKey = getStationKey(getNodeProps(seg, index));
+  if (stationKey) return `#${stationKey}`;
+  const p = seg.points[index] || [];
+  return `(${p[0]},${p[1]})`;
+}
+
+// ==========================================
+// 2. 建立索引
+// ==========================================
+/**
+ * 建立網絡索引：站點位置、線段集合與區間權重
+ * @param {Array} dataList - spaceNetworkGridJsonData
+ * @returns {Object} {stations: Map, segments: Map, weights: Map}
+ */
+function indexNetwork(dataList) {
+  const stations = new Map();
+  const segments = new Map();
+  const weights = new Map();
+
+  for (const { seg, routeName: groupRouteName } of iterSegments(dataList)) {
+    const pts = seg.points || [];
+    if (pts.length === 0) continue;
+    const routeName = getRouteName(seg, groupRouteName);
+
+    // 站點位置 (同一站點出現在多條線段時取第一次出現的座標)
+    for (let i = 0; i < pts.length; i++) {
+      const props = getNodeProps(seg, i);
+      const key = getStationKey(props);
+      if (key && !stations.has(key)) {
+        stations.set(key, { key, name: getStationName(props), coord: [pts[i][0], pts[i][1]] });
+      }
+    }
+
+    // 線段：路線 + 兩端點 (不分方向)
+    const ends = [getPointKey(seg, 0), getPointKey(seg, pts.length - 1)].sort();
+    const segKey = `${routeName}|${ends[0]}|${ends[1]}`;
+    const entry = segments.get(segKey) || { key: segKey, routeName, ends, count: 0 };
+    entry.count += 1;
+    segments.set(segKey, entry);
+
+    // 權重：路線 + 區間兩端站點
+    for (const w of seg.station_weights || []) {
+      const from = getPointKey(seg, w.start_idx);
+      const to = getPointKey(seg, w.end_idx);
+      const weightKey = `${routeName}|${[from, to].sort().join('|')}`;
+      weights.set(weightKey, { key: weightKey, routeName, from, to, weight: w.weight });
+    }
+  }
+
+  return { stations, segments, weights };
+}
+
+// ==========================================
+// 3. 比對
+// ==========================================
+/**
+ * 比對兩份網絡資料
+ * @param {Array} beforeData - 較早的快照資料
+ * @param {Array} afterData - 較新的快照資料
+ * @returns {Object} {stationsMoved, stationsAdded, stationsRemoved, segmentsAdded, segmentsRemoved, weightsChanged, summary}
+ */
+export function diffNetworkData(beforeData, afterData) {
+  const before = indexNetwork(beforeData);
+  const after = indexNetwork(afterData);
+
+  // --- 站點 ---
+  const stationsMoved = [];
+  const stationsRemoved = [];
+  for (const [key, b] of before.stations) {
+    const a = after.stations.get(key);
+    if (!a) {
+      stationsRemoved.push(b);
+    } else if (a.coord[0] !== b.coord[0] || a.coord[1] !== b.coord[1]) {
+      stationsMoved.push({
+        key,
+        name: b.name,
+        from: b.coord,
+        to: a.coord,
+        distance: Math.hypot(a.coord[0] - b.coord[0], a.coord[1] - b.coord[1]),
+      });
+    }
+  }
+  const stationsAdded = [...after.stations.values()].filter((a) => !before.stations.has(a.key));
+
+  // --- 線段 (以數量比對，允許同一路線在同兩站間有多段) ---
+  const segmentsAdded = [];
+  const segmentsRemoved = [];
+  for (const [key, a] of after.segments) {
+    const diff = a.count - (before.segments.get(key)?.count || 0);
+    if (diff > 0) segmentsAdded.push({ ...a, count: diff });
+  }
+  for (const [key, b] of before.segments) {
+    const diff = b.count - (after.segments.get(key)?.count || 0);
+    if (diff > 0) segmentsRemoved.push({ ...b, count: diff });
+  }
+
+  // --- 權重 ---
+  const weightsChanged = [];
+  const weightKeys = new Set([...before.weights.keys(), ...after.weights.keys()]);
+  for (const key of weightKeys) {
+    const b = before.weights.get(key);
+    const a = after.weights.get(key);
+    const beforeWeight = b ? b.weight : null;
+    const afterWeight = a ? a.weight : null;
+    if (beforeWeight !== afterWeight) {
+      const ref = a || b;
+      weightsChanged.push({
+        key,
+        routeName: ref.routeName,
+        from: ref.from,
+        to: ref.to,
+        before: beforeWeight,
+        after: afterWeight,
+      });
+    }
+  }
+
+  return {
+    stationsMoved,
+    stationsAdded,
+    stationsRemoved,
+    segmentsAdded,
+    segmentsRemoved,
+    weightsChanged,
+    summary: {
+      stationsMoved: stationsMoved.length,
+      stationsAdded: stationsAdded.length,
+      stationsRemoved: stationsRemoved.length,
+      segmentsAdded: segmentsAdded.reduce((sum, s) => sum + s.count, 0),
+      segmentsRemoved: segmentsRemoved.reduce((sum, s) => sum + s.count, 0),
+      weightsChanged: weightsChanged.length,
+    },
+  };
+}
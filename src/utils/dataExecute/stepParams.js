@@ -0,0 +1,70 @@
+/**
+ * 步驟參數模組 (Step Parameters Module)
+ *
+ * 各 execute_* 步驟以 schema_X_to_Y 宣告可調整的參數 (預設值與範圍)，
+ * 本模組負責由 schema 取出預設值，並將使用者輸入的值驗證、夾限到合法範圍，
+ * 供 ControlTab 表單、dataStore 的專案參數與 runPipeline 共用。
+ *
+ * 參數欄位格式：
+ * - key: 對應 run_* 的 options 名稱
+ * - label: 表單顯示名稱
+ * - type: 'integer' | 'number' | 'select' | 'text'
+ * - default / min / max / step: 預設值與範圍 (integer / number)
+ * - options: 可選值 [{value, label}] (select)
+ * - description: 說明文字 (選填)
+ *
+ * @file stepParams.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+/**
+ * 取得 schema 的預設參數值
+ * @param {Array<Object>} [schema=[]] - 步驟參數定義
+ * @returns {Object} 以 key 為鍵的預設值
+ */
+export function getStepParamDefaults(schema = []) {
+  const defaults = {};
+  for (const field of schema) {
+    defaults[field.key] = field.default;
+  }
+  return defaults;
+}
+
+/**
+ * 驗證並夾限單一參數值；無法解析為數值 (或不在 select 的可選值中) 時回傳預設值
+ * text 只去除前後空白，內容由步驟自行解析
+ * @param {Object} field - 參數欄位定義
+ * @param {*} value - 輸入值 (可為字串)
+ * @returns {number|string} 合法的參數值
+ */
+export function normalizeStepParam(field, value) {
+  if (value === null || value === undefined || value === '') return field.default;
+  if (field.type === 'text') {
+    const text = String(value).trim();
+    return text === '' ? field.default : text;
+  }
+  if (field.type === 'select') {
+    return field.options.some((option) => option.value === value) ? value : field.default;
+  }
+  let num = Number(value);
+  if (!Number.isFinite(num)) return field.default;
+  if (field.type === 'integer') num = Math.round(num);
+  if (field.min !== undefined) num = Math.max(field.min, num);
+  if (field.max !== undefined) num = Math.min(field.max, num);
+  return num;
+}
+
+/**
+ * 驗證整組參數：只保留 schema 中宣告的 key，缺少的以預設值補齊
+ * @param {Array<Object>} [schema=[]] - 步驟參數定義
+ * @param {Object} [values={}] - 輸入的參數值
+ * @returns {Object} 合法的參數值
+ */
+export function normalizeStepParams(schema = [], values = {}) {
+  const params = {};
+  for (const field of schema) {
+    params[field.key] = normalizeStepParam(field, values?.[field.key]);
+  }
+  return params;
+}
@@ -0,0 +1,280 @@
+/**
+ * 管線步驟註冊表 (Pipeline Step Registry)
+ *
+ * 示意化流程 (1.0 → 7.1) 的步驟清單：各步驟的純函式 (run_*)、參數定義 (schema_*)
+ * 與輸入 / 輸出階段，以及依步驟 ID 查詢的函式。
+ * 本模組不引用 Pinia store，Web Worker (stepWorker) 與命令列工具 (headlessPipeline)
+ * 只載入這裡；讀寫圖層、續跑狀態等需要 store 的部分在 pipeline.js。
+ *
+ * @file stepRegistry.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { execute_1_0_to_1_1, run_1_0_to_1_1, schema_1_0_to_1_1 } from './execute_1_0_to_1_1.js';
+import { execute_1_1_to_1_2, run_1_1_to_1_2 } from './execute_1_1_to_1_2.js';
+import { execute_1_2_to_2_1, run_1_2_to_2_1 } from './execute_1_2_to_2_1.js';
+import { execute_2_1_to_2_2, run_2_1_to_2_2, schema_2_1_to_2_2 } from './execute_2_1_to_2_2.js';
+import { execute_2_2_to_2_3, run_2_2_to_2_3, schema_2_2_to_2_3 } from './execute_2_2_to_2_3.js';
+import { execute_2_3_to_2_4, run_2_3_to_2_4, schema_2_3_to_2_4 } from './execute_2_3_to_2_4.js';
+import { execute_2_4_to_2_5, run_2_4_to_2_5 } from './execute_2_4_to_2_5.js';
+import { execute_2_5_to_2_6, run_2_5_to_2_6 } from './execute_2_5_to_2_6.js';
+import { execute_2_6_to_2_7, run_2_6_to_2_7, schema_2_6_to_2_7 } from './execute_2_6_to_2_7.js';
+import { execute_2_7_to_2_8, run_2_7_to_2_8 } from './execute_2_7_to_2_8.js';
+import { execute_2_8_to_2_9, run_2_8_to_2_9 } from './execute_2_8_to_2_9.js';
+import { execute_2_9_to_2_10, run_2_9_to_2_10 } from './execute_2_9_to_2_10.js';
+import { execute_2_10_to_3_1, run_2_10_to_3_1, schema_2_10_to_3_1 } from './execute_2_10_to_3_1.js';
+import { execute_3_1_to_4_1, run_3_1_to_4_1, schema_3_1_to_4_1 } from './execute_3_1_to_4_1.js';
+import { execute_4_1_to_6_1, run_4_1_to_6_1, schema_4_1_to_6_1 } from './execute_4_1_to_6_1.js';
+import { execute_6_1_to_7_1, run_6_1_to_7_1, schema_6_1_to_7_1 } from './execute_6_1_to_7_1.js';
+
+// ==========================================
+// 1. 步驟清單 (Steps)
+// ==========================================
+/**
+ * 示意化流程的步驟清單，依執行順序排列。
+ * - id: 步驟識別碼 (與 execute_* 函式名稱後綴一致)
+ * - title: 步驟名稱 (對應 Colab 標題)
+ * - inputStage: 讀取資料的階段 (null 表示由參數傳入 GeoJSON)
+ * - outputStage: 寫入結果的階段
+ * - run: 純函式版本 (輸入網絡 + 選項 → {data, report})
+ * - execute: 圖層版本 (依專案名稱讀寫 `${project}_${stage}` 圖層，需要 dataStore，只在主執行緒使用)
+ * - layoutGrid: 結果是否同時寫入 layoutGridJsonData (背景執行時使用)
+ * - orthogonal: 輸出是否已示意化 (拓撲檢查時要求所有線段水平或垂直；八方向模式另允許 45° 斜線)，
+ *   這些步驟會收到專案的版面模式 options.layoutMode
+ * - ridership: 是否使用專案的運量資料 (收到 options.ridership，沒有運量資料時不帶入)
+ * - incremental: 是否支援增量重新配置 (專案開啟增量模式時，收到輸出圖層目前的結果 options.previous)
+ * - constraints: 是否遵守專案的版面限制 (收到 options.constraints，沒有設定限制時不帶入)
+ * - params: 可調整的參數定義 (schema_X_to_Y)，沒有參數的步驟為空陣列
+ * 實際圖層 ID 由 pipeline.js 的 getStepLayerIds(step, project) 組出。
+ * @type {Array<Object>}
+ */
+export const PIPELINE_STEPS = [
+  {
+    id: '1_0_to_1_1',
+    title: '路線直線化',
+    inputStage: null,
+    outputStage: '1_1',
+    run: run_1_0_to_1_1,
+    execute: execute_1_0_to_1_1,
+    params: schema_1_0_to_1_1,
+  },
+  {
+    id: '1_1_to_1_2',
+    title: '網格壓縮',
+    inputStage: '1_1',
+    outputStage: '1_2',
+    run: run_1_1_to_1_2,
+    execute: execute_1_1_to_1_2,
+  },
+  {
+    id: '1_2_to_2_1',
+    title: '交叉點路線直線化',
+    inputStage: '1_2',
+    outputStage: '2_1',
+    run: run_1_2_to_2_1,
+    execute: execute_1_2_to_2_1,
+  },
+  {
+    id: '2_1_to_2_2',
+    title: '示意化網格運算',
+    inputStage: '2_1',
+    outputStage: '2_2',
+    run: run_2_1_to_2_2,
+    execute: execute_2_1_to_2_2,
+    params: schema_2_1_to_2_2,
+  },
+  {
+    id: '2_2_to_2_3',
+    title: '隨機L與Z型配置',
+    inputStage: '2_2',
+    outputStage: '2_3',
+    run: run_2_2_to_2_3,
+    execute: execute_2_2_to_2_3,
+    orthogonal: true,
+    incremental: true,
+    constraints: true,
+    params: schema_2_2_to_2_3,
+  },
+  {
+    id: '2_3_to_2_4',
+    title: 'flip優化',
+    inputStage: '2_3',
+    outputStage: '2_4',
+    run: run_2_3_to_2_4,
+    execute: execute_2_3_to_2_4,
+    orthogonal: true,
+    incremental: true,
+    constraints: true,
+    params: schema_2_3_to_2_4,
+  },
+  {
+    id: '2_4_to_2_5',
+    title: '路線串接',
+    inputStage: '2_4',
+    outputStage: '2_5',
+    run: run_2_4_to_2_5,
+    execute: execute_2_4_to_2_5,
+    orthogonal: true,
+  },
+  {
+    id: '2_5_to_2_6',
+    title: '末端簡化',
+    inputStage: '2_5',
+    outputStage: '2_6',
+    run: run_2_5_to_2_6,
+    execute: execute_2_5_to_2_6,
+    orthogonal: true,
+  },
+  {
+    id: '2_6_to_2_7',
+    title: 'ㄈ型縮減',
+    inputStage: '2_6',
+    outputStage: '2_7',
+    run: run_2_6_to_2_7,
+    execute: execute_2_6_to_2_7,
+    orthogonal: true,
+    incremental: true,
+    constraints: true,
+    params: schema_2_6_to_2_7,
+  },
+  {
+    id: '2_7_to_2_8',
+    title: 'L型縮減',
+    inputStage: '2_7',
+    outputStage: '2_8',
+    run: run_2_7_to_2_8,
+    execute: execute_2_7_to_2_8,
+    orthogonal: true,
+    incremental: true,
+    constraints: true,
+  },
+  {
+    id: '2_8_to_2_9',
+    title: '網格正規化',
+    inputStage: '2_8',
+    outputStage: '2_9',
+    run: run_2_8_to_2_9,
+    execute: execute_2_8_to_2_9,
+    orthogonal: true,
+  },
+  {
+    id: '2_9_to_2_10',
+    title: '站點往中心聚集',
+    inputStage: '2_9',
+    outputStage: '2_10',
+    run: run_2_9_to_2_10,
+    execute: execute_2_9_to_2_10,
+    orthogonal: true,
+    constraints: true,
+  },
+  {
+    id: '2_10_to_3_1',
+    title: '區分影響結構部分',
+    inputStage: '2_10',
+    outputStage: '3_1',
+    run: run_2_10_to_3_1,
+    execute: execute_2_10_to_3_1,
+    orthogonal: true,
+    params: schema_2_10_to_3_1,
+  },
+  {
+    id: '3_1_to_4_1',
+    title: '隨機加入權重',
+    inputStage: '3_1',
+    outputStage: '4_1',
+    run: run_3_1_to_4_1,
+    execute: execute_3_1_to_4_1,
+    orthogonal: true,
+    ridership: true,
+    params: schema_3_1_to_4_1,
+  },
+  {
+    id: '4_1_to_6_1',
+    title: '權重簡化',
+    inputStage: '4_1',
+    outputStage: '6_1',
+    run: run_4_1_to_6_1,
+    execute: execute_4_1_to_6_1,
+    orthogonal: true,
+    params: schema_4_1_to_6_1,
+    layoutGrid: true,
+  },
+  {
+    id: '6_1_to_7_1',
+    title: '縮放地圖',
+    inputStage: '6_1',
+    outputStage: '7_1',
+    run: run_6_1_to_7_1,
+    execute: execute_6_1_to_7_1,
+    orthogonal: true,
+    params: schema_6_1_to_7_1,
+    layoutGrid: true,
+  },
+].map((step, index) => ({ ...step, params: step.params || [], order: index + 1 }));
+
+// ==========================================
+// 2. 查詢 (Lookup)
+// ==========================================
+/**
+ * 依步驟 ID 取得在註冊表中的索引
+ * 接受 '2_3_to_2_4' 或 'execute_2_3_to_2_4' 兩種寫法
+ * @param {string} stepId - 步驟識別碼
+ * @returns {number} 步驟索引
+ */
+export function resolveStepIndex(stepId) {
+  const normalized = String(stepId).replace(/^(execute|run)_/, '');
+  const index = PIPELINE_STEPS.findIndex((step) => step.id === normalized);
+  if (index === -1) {
+    throw new Error(`找不到管線步驟: ${stepId}`);
+  }
+  return index;
+}
+
+/**
+ * 依步驟 ID 取得步驟定義
+ * @param {string} stepId - 步驟識別碼
+ * @returns {Object} 步驟定義
+ */
+export function getPipelineStep(stepId) {
+  return PIPELINE_STEPS[resolveStepIndex(stepId)];
+}
+
+/**
+ * 取得 from → to (皆包含) 之間的步驟清單
+ * @param {string} [from] - 起始步驟 ID (省略時為第一步)
+ * @param {string} [to] - 結束步驟 ID (省略時為最後一步)
+ * @returns {Array<Object>} 依執行順序排列的步驟定義
+ */
+export function getPipelineRange(from, to) {
+  const fromIndex = from ? resolveStepIndex(from) : 0;
+  const toIndex = to ? resolveStepIndex(to) : PIPELINE_STEPS.length - 1;
+  if (fromIndex > toIndex) {
+    throw new Error(`起始步驟 ${from} 位於結束步驟 ${to} 之後`);
+  }
+  return PIPELINE_STEPS.slice(fromIndex, toIndex + 1);
+}
+
+/**
+ * 取得管線涵蓋的所有輸出階段 (用於建立專案圖層)
+ * @returns {Array<{stage: string, title: string}>} 階段清單
+ */
+export function getPipelineStages() {
+  return PIPELINE_STEPS.map((step) => ({ stage: step.outputStage, title: step.title }));
+}
+
+/**
+ * 管線步驟錯誤：保留失敗的步驟資訊與原始錯誤
+ * @param {Object} step - 失敗的步驟定義
+ * @param {Error} cause - 原始錯誤
+ * @returns {Error} 附帶 stepId / cause 的錯誤物件
+ */
+export function createStepError(step, cause) {
+  const error = new Error(
+    `管線步驟 ${step.id} (${step.title}) 執行失敗：${cause?.message || cause}`
+  );
+  error.stepId = step.id;
+  error.cause = cause;
+  if (cause?.cancelled) error.cancelled = true;
+  return error;
+}
@@ -0,0 +1,78 @@
+/**
+ * 步驟報告模組 (Step Report Module)
+ *
+ * 各 run_* 步驟以 createStepReport 建立結構化的摘要報告，取代只寫在 console 的說明文字。
+ * 報告會作為 {data, report} 的 report 回傳，寫入圖層的 dashboardData 並隨快照保存，
+ * 命令列工具則寫入 summary.json。
+ *
+ * 報告格式：
+ * - stepId: 步驟 ID
+ * - counts: 輸入 / 輸出數量 (例如 inputSegments、outputSegments)
+ * - values: 關鍵推導數值 (例如 gridUnit、gridSize、bestAttempt)
+ * - timings: 各階段耗時 (秒)，total 為整個步驟
+ * - warnings: [{code, message, ...details}]，例如被捨棄的節點、未解決的交叉
+ *
+ * @file stepReport.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+/**
+ * 將毫秒差轉為秒 (保留 3 位小數)
+ * @param {number} ms - 毫秒
+ * @returns {number} 秒
+ */
+function toSeconds(ms) {
+  return parseFloat((ms / 1000).toFixed(3));
+}
+
+/**
+ * 建立步驟報告
+ *
+ * @param {string} stepId - 步驟 ID
+ * @returns {Object} {mark, warn, finish}
+ *   - mark(phase): 記錄自上一個 mark (或建立報告) 以來的耗時
+ *   - warn(code, message, details): 加入一筆警告 (只記錄在報告中，不輸出到 console)
+ *   - finish({counts, values}): 記錄總耗時並回傳報告物件
+ *
+ * @example
+ * const report = createStepReport('2_1_to_2_2');
+ * report.mark('snapping');
+ * report.warn('frozen_nodes', '3 個節點發生網格碰撞，已鎖定位置', { count: 3 });
+ * return { data, report: report.finish({ counts: { inputSegments: 10 }, values: { gridSize: 5 } }) };
+ */
+export function createStepReport(stepId) {
+  const startTime = performance.now();
+  let lastMark = startTime;
+  const timings = {};
+  const warnings = [];
+
+  return {
+    mark(phase) {
+      const now = performance.now();
+      timings[phase] = toSeconds(now - lastMark);
+      lastMark = now;
+    },
+    warn(code, message, details = {}) {
+      warnings.push({ code, message, ...details });
+    },
+    finish({ counts = {}, values = {} } = {}) {
+      timings.total = toSeconds(performance.now() - startTime);
+      return { stepId, counts, values, timings, warnings };
+    },
+  };
+}
+
+/**
+ * 判斷物件是否為結構化步驟報告 (舊版 dashboardData 為扁平物件)
+ * @param {*} report - 報告物件
+ * @returns {boolean} 是否為結構化報告
+ */
+export function isStepReport(report) {
+  return (
+    !!report &&
+    typeof report === 'object' &&
+    typeof report.stepId === 'string' &&
+    Array.isArray(report.warnings)
+  );
+}
@@ -0,0 +1,109 @@
+/* eslint-env worker */
+/**
+ * 管線步驟 Web Worker (Pipeline Step Worker)
+ *
+ * 在背景執行緒執行 run_* 純函式，避免 solveLayoutLive (2.2 → 2.3) 的數百次隨機嘗試
+ * 與 optimizationGenerator (2.3 → 2.4) 的多輪迭代卡住主執行緒。
+ * 本檔案只載入不引用 store 的步驟註冊表 (stepRegistry)，呼叫純函式版本，不會讀寫 Pinia store 或 DOM。
+ *
+ * 訊息格式：
+ * - 主執行緒 → Worker：{ type: 'run', stepId, inputData, options }
+ * - Worker → 主執行緒：
+ *   - { type: 'progress', stepId, progress }
+ *   - { type: 'result', stepId, result }
+ *   - { type: 'error', stepId, message, stack }
+ *
+ * 取消由主執行緒直接 terminate() 此 Worker，不需額外訊息。
+ *
+ * @file stepWorker.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { getPipelineStep } from './stepRegistry.js';
+
+// ==========================================
+// 1. 進度回調 (Progress Callbacks)
+// ==========================================
+/**
+ * 依步驟建立進度回調，將既有的 liveCallback / onIteration 轉成 progress 訊息
+ * @param {string} stepId - 步驟識別碼
+ * @param {Object} options - 步驟選項
+ * @returns {Object} 要合併進步驟選項的回調
+ */
+function createProgressCallbacks(stepId, options) {
+  const postProgress = (progress) => {
+    self.postMessage({ type: 'progress', stepId, progress });
+  };
+
+  if (stepId === '2_2_to_2_3') {
+    // 模擬退火以迭代次數為上限，隨機重啟以嘗試次數為上限
+    const maxAttempts =
+      options.optimizer === 'random' ? options.maxAttempts : options.annealingIterations;
+    return {
+      liveCallback: (
+        attempt,
+        currRed,
+        bestRed,
+        elapsed,
+        isNewBest,
+        bestSol,
+        bestRedsCoords,
+        cost
+      ) => {
+        postProgress({
+          attempt,
+          maxAttempts: maxAttempts ?? null,
+          currentRedCount: currRed,
+          bestRedCount: bestRed,
+          bestCost: cost?.best ?? null,
+          elapsed,
+          isNewBest,
+          // 只在出現新最佳解時傳送完整解，避免每次嘗試都複製大量資料
+          bestSolution: isNewBest ? bestSol : null,
+          bestRedCoords: isNewBest ? bestRedsCoords : null,
+        });
+      },
+    };
+  }
+
+  if (stepId === '2_3_to_2_4') {
+    return {
+      onIteration: (iteration, flips, totalFlips, elapsed) => {
+        postProgress({
+          iteration,
+          maxEpochs: options.maxEpochs ?? null,
+          flips,
+          totalFlips,
+          elapsed,
+        });
+      },
+    };
+  }
+
+  return {};
+}
+
+// ==========================================
+// 2. 訊息處理 (Message Handling)
+// ==========================================
+self.onmessage = (event) => {
+  const { type, stepId, inputData, options = {} } = event.data || {};
+  if (type !== 'run') return;
+
+  try {
+    const step = getPipelineStep(stepId);
+    const result = step.run(inputData, {
+      ...options,
+      ...createProgressCallbacks(step.id, options),
+    });
+    self.postMessage({ type: 'result', stepId: step.id, result });
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      stepId,
+      message: error?.message || String(error),
+      stack: error?.stack || null,
+    });
+  }
+};
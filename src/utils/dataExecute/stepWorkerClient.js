@@ -0,0 +1,123 @@
+/**
+ * 管線步驟背景執行模組 (Step Worker Client Module)
+ *
+ * 在主執行緒建立 stepWorker，把步驟的輸入資料送進 Worker 執行，
+ * 並將 Worker 回傳的進度轉給 UI；支援隨時取消 (直接終止 Worker)。
+ * 瀏覽器不支援 Worker 時 (例如 Node 環境) 自動改在主執行緒同步執行，並在步驟報告加入 worker_unavailable 警告。
+ * 本模組不輸出到 console：取消以 cancelled 錯誤結束 promise，其餘狀態都經由回調或步驟報告回傳。
+ *
+ * @file stepWorkerClient.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+/**
+ * 移除無法透過 postMessage 傳送的函式欄位 (例如 liveCallback)
+ * 其餘選項 (例如運量資料、增量模式的前次結果) 可能來自 store 的響應式 Proxy，轉成純 JSON
+ * @param {Object} options - 步驟選項
+ * @returns {Object} 可序列化的步驟選項
+ */
+function toTransferableOptions(options = {}) {
+  return JSON.parse(
+    JSON.stringify(
+      Object.fromEntries(Object.entries(options).filter(([, value]) => typeof value !== 'function'))
+    )
+  );
+}
+
+/**
+ * 建立「已取消」錯誤，讓呼叫端可以和一般執行錯誤區分
+ * @param {string} stepId - 步驟識別碼
+ * @returns {Error} 附帶 cancelled = true 的錯誤物件
+ */
+function createCancelError(stepId) {
+  const error = new Error(`步驟 ${stepId} 已取消`);
+  error.cancelled = true;
+  error.stepId = stepId;
+  return error;
+}
+
+/**
+ * 在 Web Worker 中執行單一步驟的純函式 (run_*)
+ *
+ * @param {Object} step - 步驟定義 (PIPELINE_STEPS 中的項目，見 getPipelineStep)
+ * @param {*} inputData - 步驟輸入資料 (前一階段的 spaceNetworkGridJsonData 或 GeoJSON)
+ * @param {Object} [options] - 執行選項
+ * @param {Object} [options.stepOptions] - 傳給 run_* 的選項 (函式欄位會被忽略)
+ * @param {Function} [options.onProgress] - 進度回調 (progress)
+ * @returns {Object} {promise: Promise<{data, report}>, cancel: Function}
+ */
+export function runStepInWorker(step, inputData, options = {}) {
+  const { stepOptions = {}, onProgress = null } = options;
+  const transferableOptions = toTransferableOptions(stepOptions);
+
+  // 不支援 Worker 的環境：直接在主執行緒執行 (無法取消)，改在步驟報告中記錄
+  if (typeof Worker === 'undefined') {
+    const promise = new Promise((resolve) => {
+      const result = step.run(inputData, transferableOptions);
+      if (Array.isArray(result?.report?.warnings)) {
+        result.report.warnings.push({
+          code: 'worker_unavailable',
+          message: `此環境不支援 Web Worker，步驟 ${step.id} 改在主執行緒執行`,
+        });
+      }
+      resolve(result);
+    });
+    return { promise, cancel: () => {} };
+  }
+
+  const worker = new Worker(new URL('./stepWorker.js', import.meta.url));
+  let settled = false;
+  let rejectPromise = null;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+
+    worker.onmessage = (event) => {
+      const message = event.data || {};
+
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.progress);
+        return;
+      }
+
+      settled = true;
+      worker.terminate();
+
+      if (message.type === 'result') {
+        resolve(message.result);
+      } else {
+        const error = new Error(message.message || `步驟 ${step.id} 執行失敗`);
+        error.stepId = step.id;
+        if (message.stack) error.workerStack = message.stack;
+        reject(error);
+      }
+    };
+
+    worker.onerror = (event) => {
+      settled = true;
+      worker.terminate();
+      reject(new Error(`背景執行緒發生錯誤：${event.message || '未知錯誤'}`));
+    };
+  });
+
+  worker.postMessage({
+    type: 'run',
+    stepId: step.id,
+    // 圖層資料可能是 Vue 響應式 Proxy，無法直接 structured clone，先轉成純 JSON
+    inputData: JSON.parse(JSON.stringify(inputData)),
+    options: transferableOptions,
+  });
+
+  /**
+   * 取消執行：終止 Worker 並以 cancelled 錯誤結束 promise
+   */
+  const cancel = () => {
+    if (settled) return;
+    settled = true;
+    worker.terminate();
+    rejectPromise(createCancelError(step.id));
+  };
+
+  return { promise, cancel };
+}
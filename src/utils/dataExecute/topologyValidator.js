@@ -0,0 +1,398 @@
+/**
+ * 拓撲檢查模組 (Topology Validator Module)
+ *
+ * 檢查任一步驟輸出的網絡是否維持拓撲不變量，避免移點類的步驟
+ * (straightenDeadEnds、autoFixTopology、2_7→2_8 的 ghost 移動、2_9→2_10 的向量縮減)
+ * 在沒有人察覺的情況下遺失車站或破壞轉乘關係。
+ *
+ * 檢查項目：
+ * 1. 真實車站數量與輸入 (reference) 相同，列出遺失 / 新增的車站
+ *    (車站的定義與各步驟共用 helpers.js 的 isRealStation：轉乘點或帶有站名的節點)
+ * 2. 轉乘點 (connect) 在每條經過的路線上都位於同一座標，且輸入中經過它的路線都還在
+ * 3. 每條路線仍是一條連通的路徑
+ * 4. 示意化之後 (orthogonal) 每一段都必須是水平或垂直 (八方向模式另允許 45° 斜線)
+ *
+ * 每個違規的格式與步驟報告的警告相同：{code, message, coords, ...details}
+ *
+ * @file topologyValidator.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { isRealStation } from './helpers.js';
+import { isOctilinearSegment } from './octilinear.js';
+
+// ==========================================
+// 1. 輔助函式
+// ==========================================
+
+/**
+ * 取得站名
+ * @param {Object} node - 節點屬性物件
+ * @returns {string} 站名 (沒有時為空字串)
+ */
+function getStationName(node) {
+  return node.station_name || node.tags?.station_name || node.tags?.name || '';
+}
+
+/**
+ * 取得車站的穩定識別鍵 (座標會被各步驟移動，因此不使用座標)
+ * 優先順序：node.id → station_id → connect_number → 站名
+ * @param {Object} node - 節點屬性物件
+ * @returns {string|null} 識別鍵
+ */
+function getStationKey(node) {
+  if (Number.isFinite(node.id)) return `id:${node.id}`;
+  const stationId = node.station_id || node.tags?.station_id;
+  if (stationId) return `station_id:${stationId}`;
+  const connect = getConnectKey(node);
+  if (connect) return `connect:${connect}`;
+  const name = getStationName(node);
+  return name ? `name:${name}` : null;
+}
+
+/**
+ * 取得轉乘點編號
+ * @param {Object} node - 節點屬性物件
+ * @returns {string|null} 轉乘點編號
+ */
+function getConnectKey(node) {
+  const val = node.connect_number ?? node.tags?.connect_number;
+  if (val !== null && val !== undefined) return String(val);
+  return null;
+}
+
+/**
+ * 提取路線名稱
+ * @param {Object} seg - 路段物件
+ * @returns {string} 路線名稱
+ */
+function getRouteName(seg) {
+  const p = seg.way_properties?.tags || {};
+  return p.route_name || p.name || seg.properties?.route_name || seg.name || 'Unknown';
+}
+
+/**
+ * 座標鍵值
+ * @param {Array<number>} pt - 座標 [x, y]
+ * @returns {string} "x,y"
+ */
+function coordKey(pt) {
+  return `${pt[0]},${pt[1]}`;
+}
+
+/**
+ * 將任一階段的資料攤平成 [{routeName, seg}]
+ * 4_1 之後的資料依路線分組 ({route_name, segments})，之前為路段陣列
+ * @param {Array} data - 網絡資料
+ * @returns {Array<Object>} 攤平後的路段
+ */
+function flattenSegments(data) {
+  const flat = [];
+  for (const item of data) {
+    if (Array.isArray(item?.segments)) {
+      for (const seg of item.segments) {
+        flat.push({ routeName: item.route_name || getRouteName(seg), seg });
+      }
+    } else if (Array.isArray(item?.points)) {
+      flat.push({ routeName: getRouteName(item), seg: item });
+    }
+  }
+  return flat;
+}
+
+/**
+ * 列出路段上的車站及其座標
+ * 2_1 之後 nodes[i] 對應 points[i]；之前只有 properties_start / properties_end
+ * @param {Object} seg - 路段物件
+ * @returns {Array<{node: Object, coord: Array<number>}>} 車站清單
+ */
+function getSegmentStations(seg) {
+  const pts = seg.points || [];
+  if (pts.length === 0) return [];
+
+  const entries = [];
+  if (Array.isArray(seg.nodes) && seg.nodes.length === pts.length) {
+    seg.nodes.forEach((node, i) => entries.push({ node, coord: pts[i] }));
+  } else {
+    entries.push({ node: seg.properties_start, coord: pts[0] });
+    entries.push({ node: seg.properties_end, coord: pts[pts.length - 1] });
+  }
+  return entries.filter((entry) => isRealStation(entry.node));
+}
+
+/**
+ * 資料是否已有逐點的節點屬性 (2_1 之後的 nodes)
+ * @param {Array} data - 網絡資料
+ * @returns {boolean} 是否有 nodes
+ */
+function hasStationNodes(data) {
+  return flattenSegments(data).some(({ seg }) => Array.isArray(seg.nodes));
+}
+
+/**
+ * 收集網絡中的車站與轉乘點
+ * @param {Array<Object>} flat - 攤平後的路段
+ * @returns {Object} {stations: Map<key, {name, coord}>, connects: Map<connect, Map<route, Set<coordKey>>>}
+ */
+function collectStations(flat) {
+  const stations = new Map();
+  const connects = new Map();
+
+  for (const { routeName, seg } of flat) {
+    for (const { node, coord } of getSegmentStations(seg)) {
+      const key = getStationKey(node);
+      if (key && !stations.has(key)) {
+        stations.set(key, { name: getStationName(node), coord: [coord[0], coord[1]] });
+      }
+
+      const connect = getConnectKey(node);
+      if (connect === null) continue;
+      if (!connects.has(connect)) connects.set(connect, new Map());
+      const routes = connects.get(connect);
+      if (!routes.has(routeName)) routes.set(routeName, new Set());
+      routes.get(routeName).add(coordKey(coord));
+    }
+  }
+  return { stations, connects };
+}
+
+/**
+ * 將 "x,y" 轉回座標
+ * @param {string} key - 座標鍵值
+ * @returns {Array<number>} [x, y]
+ */
+function parseCoordKey(key) {
+  return key.split(',').map(Number);
+}
+
+/**
+ * 合併轉乘點在各路線上的座標
+ * @param {Map<string, Set<string>>} routes - 路線 → 座標鍵值集合
+ * @returns {Set<string>} 所有座標鍵值
+ */
+function collectRouteCoords(routes) {
+  const coordSet = new Set();
+  for (const coords of routes.values()) {
+    coords.forEach((c) => coordSet.add(c));
+  }
+  return coordSet;
+}
+
+// ==========================================
+// 2. 各項檢查
+// ==========================================
+
+/**
+ * 檢查 1：真實車站數量與輸入相同
+ * @param {Map} stations - 本階段的車站
+ * @param {Map} referenceStations - 輸入的車站
+ * @param {Array<Object>} violations - 違規清單 (直接寫入)
+ */
+function checkStationCount(stations, referenceStations, violations) {
+  if (stations.size !== referenceStations.size) {
+    violations.push({
+      code: 'station_count_changed',
+      message: `真實車站數量由 ${referenceStations.size} 變為 ${stations.size}`,
+      before: referenceStations.size,
+      after: stations.size,
+    });
+  }
+
+  // 數量相同仍可能是一增一減，因此逐一比對
+  for (const [key, station] of referenceStations) {
+    if (stations.has(key)) continue;
+    violations.push({
+      code: 'station_missing',
+      message: `車站 ${station.name || key} 遺失`,
+      station: station.name || key,
+      coords: [station.coord],
+    });
+  }
+  for (const [key, station] of stations) {
+    if (referenceStations.has(key)) continue;
+    violations.push({
+      code: 'station_added',
+      message: `多出車站 ${station.name || key}`,
+      station: station.name || key,
+      coords: [station.coord],
+    });
+  }
+}
+
+/**
+ * 檢查 2：轉乘點在所有路線上位於同一座標，且輸入中經過它的路線都還在
+ * @param {Map} connects - 本階段的轉乘點
+ * @param {Map|null} referenceConnects - 輸入的轉乘點 (沒有輸入時只檢查座標)
+ * @param {Array<Object>} violations - 違規清單 (直接寫入)
+ */
+function checkConnectNodes(connects, referenceConnects, violations) {
+  for (const [connect, routes] of connects) {
+    const coordSet = collectRouteCoords(routes);
+    if (coordSet.size > 1) {
+      violations.push({
+        code: 'connect_split',
+        message: `轉乘點 ${connect} 在不同路線上位於 ${coordSet.size} 個不同座標`,
+        connect,
+        routes: Array.from(routes.keys()),
+        coords: Array.from(coordSet).map(parseCoordKey),
+      });
+    }
+  }
+
+  if (!referenceConnects) return;
+  for (const [connect, referenceRoutes] of referenceConnects) {
+    const routes = connects.get(connect);
+    const lostRoutes = Array.from(referenceRoutes.keys()).filter(
+      (route) => !routes || !routes.has(route)
+    );
+    if (lostRoutes.length === 0) continue;
+    violations.push({
+      code: 'connect_route_lost',
+      message: `轉乘點 ${connect} 不再經過路線 ${lostRoutes.join('、')}`,
+      connect,
+      routes: lostRoutes,
+      coords: Array.from(collectRouteCoords(routes || referenceRoutes)).map(parseCoordKey),
+    });
+  }
+}
+
+/**
+ * 檢查 3：每條路線仍是一條連通的路徑 (以 union-find 合併路段上的相鄰點)
+ * @param {Array<Object>} flat - 攤平後的路段
+ * @param {Array<Object>} violations - 違規清單 (直接寫入)
+ */
+function checkRouteConnectivity(flat, violations) {
+  const routeSegments = new Map();
+  for (const { routeName, seg } of flat) {
+    if (!routeSegments.has(routeName)) routeSegments.set(routeName, []);
+    routeSegments.get(routeName).push(seg);
+  }
+
+  for (const [routeName, segments] of routeSegments) {
+    const parent = new Map();
+    const find = (k) => {
+      while (parent.get(k) !== k) {
+        parent.set(k, parent.get(parent.get(k)));
+        k = parent.get(k);
+      }
+      return k;
+    };
+    const union = (a, b) => {
+      parent.set(find(a), find(b));
+    };
+
+    for (const seg of segments) {
+      const pts = seg.points || [];
+      for (const pt of pts) {
+        const k = coordKey(pt);
+        if (!parent.has(k)) parent.set(k, k);
+      }
+      for (let i = 1; i < pts.length; i++) {
+        union(coordKey(pts[i - 1]), coordKey(pts[i]));
+      }
+    }
+
+    // 每個連通塊取第一個出現的點作為代表座標
+    const components = new Map();
+    for (const k of parent.keys()) {
+      const root = find(k);
+      if (!components.has(root)) components.set(root, k);
+    }
+    if (components.size > 1) {
+      violations.push({
+        code: 'route_disconnected',
+        message: `路線 ${routeName} 斷成 ${components.size} 段`,
+        route: routeName,
+        coords: Array.from(components.values()).map(parseCoordKey),
+      });
+    }
+  }
+}
+
+/**
+ * 檢查 4：示意化之後每一段都必須是水平或垂直 (八方向模式另允許 45° 斜線)
+ * @param {Array<Object>} flat - 攤平後的路段
+ * @param {Array<Object>} violations - 違規清單 (直接寫入)
+ * @param {boolean} [octilinear=false] - 是否允許 45° 斜線
+ */
+function checkOrthogonal(flat, violations, octilinear = false) {
+  for (const { routeName, seg } of flat) {
+    const pts = seg.points || [];
+    for (let i = 1; i < pts.length; i++) {
+      const [x1, y1] = pts[i - 1];
+      const [x2, y2] = pts[i];
+      if (x1 === x2 || y1 === y2) continue;
+      if (octilinear && isOctilinearSegment([x1, y1], [x2, y2])) continue;
+      violations.push({
+        code: 'diagonal_segment',
+        message: octilinear
+          ? `路線 ${routeName} 有非 45° 的斜線段 (${x1}, ${y1}) → (${x2}, ${y2})`
+          : `路線 ${routeName} 有斜線段 (${x1}, ${y1}) → (${x2}, ${y2})`,
+        route: routeName,
+        coords: [
+          [x1, y1],
+          [x2, y2],
+        ],
+      });
+    }
+  }
+}
+
+// ==========================================
+// 3. 主程式
+// ==========================================
+
+/**
+ * 檢查網絡的拓撲不變量
+ *
+ * @param {Array} data - 步驟輸出的網絡資料 (路段陣列，或 4_1 之後依路線分組的資料)
+ * @param {Object} [options] - 檢查選項
+ * @param {Array} [options.reference] - 步驟的輸入網絡；提供時才比對車站數量與轉乘路線
+ * @param {boolean} [options.orthogonal=false] - 是否要求所有線段水平或垂直 (示意化之後)
+ * @param {boolean} [options.octilinear=false] - 八方向模式：orthogonal 檢查另允許 45° 斜線
+ * @returns {Object} {valid, counts: {stations, referenceStations, connectNodes, routes, segments}, violations}
+ *
+ * @example
+ * const result = validateTopology(output, { reference: input, orthogonal: true });
+ * if (!result.valid) console.table(result.violations);
+ */
+export function validateTopology(data, options = {}) {
+  const { reference = null, orthogonal = false, octilinear = false } = options;
+  if (!Array.isArray(data)) {
+    throw new Error('拓撲檢查的資料必須是路段陣列');
+  }
+
+  const flat = flattenSegments(data);
+  const { stations, connects } = collectStations(flat);
+  const violations = [];
+
+  let referenceStations = null;
+  if (Array.isArray(reference)) {
+    const referenceCollected = collectStations(flattenSegments(reference));
+    referenceStations = referenceCollected.stations;
+    // 1_x 階段只有端點屬性 (properties_start / end)，1_2→2_1 才標記轉乘點，之前沒有可比對的車站
+    if (hasStationNodes(reference)) {
+      checkStationCount(stations, referenceStations, violations);
+    }
+    checkConnectNodes(connects, referenceCollected.connects, violations);
+  } else {
+    checkConnectNodes(connects, null, violations);
+  }
+  checkRouteConnectivity(flat, violations);
+  if (orthogonal) {
+    checkOrthogonal(flat, violations, octilinear);
+  }
+
+  return {
+    valid: violations.length === 0,
+    counts: {
+      stations: stations.size,
+      referenceStations: referenceStations ? referenceStations.size : null,
+      connectNodes: connects.size,
+      routes: new Set(flat.map((item) => item.routeName)).size,
+      segments: flat.length,
+    },
+    violations,
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * 運具模組 (Transit Modes Module)
+ *
+ * 路網可同時包含捷運、輕軌、鐵路與公車幹線。1_0→1_1 依 GeoJSON 的標籤為每條路線
+ * 記錄 way_properties.transit_mode，為每個車站記錄經過的運具 transit_modes，
+ * 並建立明確的轉乘連結 transfer_links (記錄在車站節點，隨節點屬性傳到後續各階段)：
+ * - interchange 站內轉乘：同一個車站有不同運具的路線經過
+ * - walking 步行轉乘：兩個不同的車站距離在步行範圍內 (且沒有路線直接相連)
+ *
+ * 運具的設定 (TRANSIT_MODES) 同時決定：
+ * - 繪圖樣式：線寬、虛線與車站符號 (networkPlot)
+ * - 版面優先順序：2_2→2_3 依 priority 先放置 (先選到交叉最少的路徑)，
+ *   bendWeight 加重轉折成本，straightest 的運具 (鐵路) 放置時優先選轉折最少的路徑
+ *
+ * @file transitModes.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// 沒有運具標籤時的預設運具 (與加入運具之前的繪圖樣式與版面相同)
+export const DEFAULT_TRANSIT_MODE = 'metro';
+
+// 預設的步行轉乘距離 (公尺，0 表示不建立步行轉乘)
+export const DEFAULT_WALKING_TRANSFER_DISTANCE = 300;
+
+/**
+ * 運具設定 (依版面優先順序排列，重軌鐵路最優先)
+ * - style：線寬 width、虛線 dash、車站符號 symbol ('circle' | 'square') 與大小 stationSize
+ * - bendWeight：轉折成本的倍數；straightest：放置時優先選轉折最少的路徑
+ * @type {Array<Object>}
+ */
+export const TRANSIT_MODES = [
+  {
+    value: 'rail',
+    label: '鐵路',
+    style: { width: 3.5, dash: null, symbol: 'square', stationSize: 7 },
+    bendWeight: 4,
+    straightest: true,
+  },
+  {
+    value: 'metro',
+    label: '捷運',
+    style: { width: 2, dash: null, symbol: 'circle', stationSize: 6 },
+    bendWeight: 1,
+    straightest: false,
+  },
+  {
+    value: 'light_rail',
+    label: '輕軌',
+    style: { width: 1.5, dash: null, symbol: 'circle', stationSize: 4 },
+    bendWeight: 0.75,
+    straightest: false,
+  },
+  {
+    value: 'bus',
+    label: '公車幹線',
+    style: { width: 1.5, dash: '5,3', symbol: 'square', stationSize: 4 },
+    bendWeight: 0.5,
+    straightest: false,
+  },
+];
+
+// 標籤值 → 運具 (OSM 的 route / railway 等標籤與常見寫法)
+const MODE_ALIASES = {
+  rail: 'rail',
+  railway: 'rail',
+  train: 'rail',
+  narrow_gauge: 'rail',
+  high_speed: 'rail',
+  hsr: 'rail',
+  metro: 'metro',
+  subway: 'metro',
+  mrt: 'metro',
+  monorail: 'metro',
+  light_rail: 'light_rail',
+  lrt: 'light_rail',
+  tram: 'light_rail',
+  bus: 'bus',
+  bus_trunk: 'bus',
+  brt: 'bus',
+  trolleybus: 'bus',
+};
+
+// 依序檢查的標籤 (越前面越優先)
+const MODE_TAG_KEYS = ['transit_mode', 'mode', 'route', 'railway'];
+
+// 地球半徑 (公尺)
+const EARTH_RADIUS = 6371000;
+
+// ==========================================
+// 1. 運具判斷 (Mode Detection)
+// ==========================================
+
+/**
+ * 取得運具設定
+ * @param {string} mode - 運具
+ * @returns {Object} 設定 (未知運具使用預設運具的設定)
+ */
+export function getTransitMode(mode) {
+  return (
+    TRANSIT_MODES.find((item) => item.value === mode) ||
+    TRANSIT_MODES.find((item) => item.value === DEFAULT_TRANSIT_MODE)
+  );
+}
+
+/**
+ * 運具的版面優先順序 (數字越小越先放置，鐵路為 0)
+ * @param {string} mode - 運具
+ * @returns {number} 優先順序
+ */
+export function getModePriority(mode) {
+  return TRANSIT_MODES.indexOf(getTransitMode(mode));
+}
+
+/**
+ * 依路線標籤判斷運具 (transit_mode、mode、route、railway 依序檢查)
+ * @param {Object} [tags] - 路線標籤
+ * @returns {string} 運具
+ */
+export function getRouteMode(tags = {}) {
+  for (const key of MODE_TAG_KEYS) {
+    const value = String(tags[key] ?? '')
+      .trim()
+      .toLowerCase();
+    if (MODE_ALIASES[value]) return MODE_ALIASES[value];
+  }
+  return DEFAULT_TRANSIT_MODE;
+}
+
+/**
+ * 取得路段的運具 (1_0→1_1 記錄的 transit_mode，沒有時依標籤判斷)
+ * @param {Object} seg - 路段物件
+ * @returns {string} 運具
+ */
+export function getSegmentMode(seg) {
+  const wayProps = seg?.way_properties || {};
+  return wayProps.transit_mode || getRouteMode(wayProps.tags || seg?.properties || {});
+}
+
+/**
+ * 取得車站節點的主要運具 (經過的運具中優先順序最高者)
+ * @param {Object} node - 節點屬性
+ * @returns {string|null} 運具 (沒有記錄時為 null)
+ */
+export function getStationMode(node) {
+  const modes = node?.transit_modes;
+  return Array.isArray(modes) && modes.length > 0 ? modes[0] : null;
+}
+
+// ==========================================
+// 2. 轉乘連結 (Transfer Links)
+// ==========================================
+
+/**
+ * 兩個經緯度之間的大圓距離
+ * @param {Array<number>} a - [lon, lat]
+ * @param {Array<number>} b - [lon, lat]
+ * @returns {number} 距離 (公尺)
+ */
+export function haversineDistance(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLon = toRad(b[0] - a[0]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * 建立轉乘連結
+ *
+ * stations 為 [{id, name, lon, lat, modes}]，modes 依優先順序排列；
+ * adjacent 為有路線直接相連的車站對 (`${id}|${id}`，兩個方向都要有)，這些車站之間不建立步行轉乘。
+ *
+ * @param {Array<Object>} stations - 車站
+ * @param {Set<string>} adjacent - 直接相連的車站對
+ * @param {Object} [options] - 選項
+ * @param {number} [options.walkingDistance=300] - 步行轉乘距離 (公尺，0 表示不建立步行轉乘)
+ * @returns {Array<Object>} [{type, from, to, modes, distance}]
+ *   interchange 的 from 與 to 相同，modes 為該站的兩種運具；walking 的 distance 為公尺
+ */
+export function buildTransferLinks(stations, adjacent, options = {}) {
+  const walkingDistance = options.walkingDistance ?? DEFAULT_WALKING_TRANSFER_DISTANCE;
+  const links = [];
+
+  // 站內轉乘：每一對不同的運具
+  for (const station of stations) {
+    for (let i = 0; i < station.modes.length; i++) {
+      for (let j = i + 1; j < station.modes.length; j++) {
+        links.push({
+          type: 'interchange',
+          from: station.id,
+          to: station.id,
+          modes: [station.modes[i], station.modes[j]],
+          distance: 0,
+        });
+      }
+    }
+  }
+
+  // 步行轉乘：距離在範圍內、沒有直接相連的兩個車站
+  if (walkingDistance > 0) {
+    for (let i = 0; i < stations.length; i++) {
+      for (let j = i + 1; j < stations.length; j++) {
+        const a = stations[i];
+        const b = stations[j];
+        if (adjacent.has(`${a.id}|${b.id}`)) continue;
+        const distance = haversineDistance([a.lon, a.lat], [b.lon, b.lat]);
+        if (distance > walkingDistance) continue;
+        links.push({
+          type: 'walking',
+          from: a.id,
+          to: b.id,
+          modes: [a.modes[0] || DEFAULT_TRANSIT_MODE, b.modes[0] || DEFAULT_TRANSIT_MODE],
+          distance: Math.round(distance),
+        });
+      }
+    }
+  }
+  return links;
+}
@@ -78,6 +78,9 @@
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise} Promise 文檔
  */
 
+import { createSeededRandom, getSharedSeed } from './seededRandom.js';
+import { getRouteMode } from './dataExecute/transitModes.js';
+
 // ==================== ⚙️ 配置常數 (Configuration Constants) ====================
 
 /**
@@ -407,6 +410,7 @@ export async function loadGeoJsonForRoutes(layer) {
           color: tags.color || '#666666',
           railway: tags.railway || '-',
           ...tags, // 包含所有 tags
+          transit_mode: getRouteMode(tags), // 運具 (依 transit_mode / route / railway 等標籤判斷)
         });
       }
     });
@@ -591,7 +595,7 @@ export async function loadGridSchematicJson(layer) {
  * - 外層迴圈：遍歷 Y 方向（行）
  * - 內層迴圈：遍歷 X 方向（列）
  * - 節點座標：直接使用迴圈索引作為座標
- * - 節點數值：使用 Math.random() 生成 1-5 的隨機數
+ * - 節點數值：使用共用種子的隨機數產生器生成隨機數 (見 seededRandom.js)
  * - 節點類型：預設為 1（可擴展支援多種類型）
  *
  * 🚀 使用範例 (Usage Examples):
@@ -660,7 +664,7 @@ export async function loadGridSchematicJson(layer) {
  *
  * ⚠️ 注意事項 (Important Notes):
  * - 網格尺寸參數會自動設定預設值（10x10）
- * - 節點數值是隨機生成的，每次調用結果不同
+ * - 節點數值是隨機生成的，由共用隨機種子決定，相同種子會得到相同結果
  * - 大型網格可能需要較長的生成時間
  * - 生成的節點陣列是扁平化的，不保持二維結構
  *
@@ -683,21 +687,23 @@ export async function loadGridSchematicJson(layer) {
  * 根據指定的權重比例生成隨機數，實現非均勻分布
  * 權重比例：9:8:7:6:5:4:3:2:1:1 (對應數值 0:1:2:3:4:5:6:7:8:9)
  * 數值越高機率越低，數值越低機率越高
+ * 隨機數由共用種子的產生器提供 (見 seededRandom.js)，相同種子會產生相同的數值
  *
+ * @param {Function} random - 隨機數產生器 (回傳 [0, 1))
  * @returns {number} 0-9 之間的整數，符合指定機率分布
  */
-function generateWeightedRandomValue() {
+function generateWeightedRandomValue(random) {
   // 定義權重：9:8:7:6:5:4:3:2:1:1 (總權重 = 46)
   const weights = [9, 8, 7, 6, 5, 4, 3, 2, 1, 1]; // 對應數值 0, 1, 2, 3, 4, 5, 6, 7, 8, 9
   const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
 
   // 生成 0 到總權重之間的隨機數
-  let random = Math.random() * totalWeight;
+  let r = random() * totalWeight;
 
   // 根據權重分配確定返回的數值
   for (let i = 0; i < weights.length; i++) {
-    random -= weights[i];
-    if (random <= 0) {
+    r -= weights[i];
+    if (r <= 0) {
       return i; // 返回對應的數值 (0, 1, 2, 3, 4, 5, 6, 7, 8, 9)
     }
   }
@@ -711,6 +717,9 @@ async function processGridSchematicJson(jsonData) {
   const gridX = parseInt(jsonData.x) || 10;
   const gridY = parseInt(jsonData.y) || 10;
 
+  // 以共用種子建立隨機數產生器，讓網格數值可依種子重現
+  const random = createSeededRandom(getSharedSeed(), 'processGridSchematicJson');
+
   // 生成網格節點數據
   const gridNodes = [];
   for (let y = 0; y < gridY; y++) {
@@ -718,7 +727,7 @@ async function processGridSchematicJson(jsonData) {
       gridNodes.push({
         x: x,
         y: y,
-        value: generateWeightedRandomValue(), // 使用權重隨機生成 1-5 的數值
+        value: generateWeightedRandomValue(random), // 使用權重隨機生成 1-5 的數值
         type: 1, // 預設節點類型
         coord: { x: x, y: y },
       });
@@ -989,12 +998,13 @@ async function processDataLayerJson(jsonData) {
   if (Array.isArray(jsonData) && jsonData.length > 0 && jsonData[0].nodes) {
     // 這是示意圖節點格式，不需要處理為地圖圖層
 
-    // 為每個路線的節點隨機分配 1-5 的數值
+    // 為每個路線的節點隨機分配 1-5 的數值 (依共用種子可重現)
+    const random = createSeededRandom(getSharedSeed(), 'processDataLayerJson');
     const processedJsonData = jsonData.map((line) => ({
       ...line,
       nodes: line.nodes.map((node) => ({
         ...node,
-        value: generateWeightedRandomValue(),
+        value: generateWeightedRandomValue(random),
       })),
     }));
 
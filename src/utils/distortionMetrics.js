@@ -0,0 +1,420 @@
+/**
+ * 地理失真指標模組 (Geographic Distortion Metrics Module)
+ *
+ * 比較車站在原始 GeoJSON 的經緯度 (1_0_to_1_1 保留在節點的 lon / lat) 與任一階段的網格位置，
+ * 量化示意圖偏離實際地理的程度：
+ * - 相對方位：任兩站的東西 / 南北順序在版面中顛倒的比例
+ * - 角度偏差：每個站間連線 (同一路線上相鄰的兩站) 的方向與實際方向的夾角
+ * - 鄰近保留：每個車站在地理上最近的 k 個車站，在版面中仍是最近 k 個的比例
+ * - 尺度失真：站間連線的版面長度 / 地理長度，以全圖中位數正規化後依地理區域彙整
+ *
+ * 結果供 DashboardTab 顯示、匯出各站指標 CSV，以及命令列工具 (scripts/run-pipeline.js --metrics) 共用。
+ *
+ * @file distortionMetrics.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { csvFormat } from 'd3';
+import { flattenSegments, isConnectNode } from './labelPlacement.js';
+
+// 預設的鄰近車站數 (k)
+const DEFAULT_NEIGHBOURS = 5;
+
+// 尺度失真的地理分區數 (每個方向)
+const DEFAULT_AREA_DIVISIONS = 3;
+
+// 座標比較容差
+const EPSILON = 1e-9;
+
+// ==========================================
+// 1. 車站與站間連線 (Stations & Links)
+// ==========================================
+
+/**
+ * 取得節點的經緯度 (沒有時回傳 null)
+ * @param {Object} node - 節點屬性物件
+ * @returns {Array<number>|null} [lon, lat]
+ */
+function getLonLat(node) {
+  if (!node) return null;
+  const lon = Number(node.lon);
+  const lat = Number(node.lat);
+  if (node.lon === undefined || node.lat === undefined) return null;
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return null;
+  return [lon, lat];
+}
+
+/**
+ * 取得車站的識別鍵：id → station_id → 站名
+ * @param {Object} node - 節點屬性物件
+ * @returns {string|null} 識別鍵
+ */
+function getStationKey(node) {
+  const tags = node.tags || {};
+  const key = node.id ?? node.station_id ?? tags.station_id ?? node.station_name ?? tags.name;
+  return key === undefined || key === null || String(key) === '' ? null : String(key);
+}
+
+/**
+ * 整理有經緯度的車站與站間連線
+ *
+ * 同一車站出現在多個路段時以第一次出現的網格座標為準；
+ * 站間連線為同一路段上相鄰的兩個車站，不分方向、不分路線只計一次。
+ *
+ * @param {Array} data - 網絡資料 (spaceNetworkGridJsonData)
+ * @returns {Object} {stations: [{key, name, connect, routes, lonLat, point}], links: [{route, a, b}]}
+ */
+export function collectGeoStations(data) {
+  const stations = new Map();
+  const links = new Map();
+
+  for (const { seg, routeName } of flattenSegments(data)) {
+    const pts = seg.points || [];
+    const entries =
+      Array.isArray(seg.nodes) && seg.nodes.length === pts.length
+        ? seg.nodes.map((node, i) => [node, pts[i]])
+        : [
+            [seg.properties_start, pts[0]],
+            [seg.properties_end, pts[pts.length - 1]],
+          ];
+
+    let previousKey = null;
+    for (const [node, pt] of entries) {
+      const lonLat = getLonLat(node);
+      if (!pt || !lonLat) continue;
+      const key = getStationKey(node);
+      if (key === null) continue;
+
+      if (!stations.has(key)) {
+        const tags = node.tags || {};
+        stations.set(key, {
+          key,
+          name: String(node.station_name || tags.station_name || tags.name || key),
+          connect: false,
+          routes: [],
+          lonLat,
+          point: [pt[0], pt[1]],
+        });
+      }
+      const station = stations.get(key);
+      station.connect = station.connect || isConnectNode(node);
+      if (routeName && !station.routes.includes(routeName)) station.routes.push(routeName);
+
+      if (previousKey !== null && previousKey !== key) {
+        const linkKey = previousKey < key ? `${previousKey}|${key}` : `${key}|${previousKey}`;
+        if (!links.has(linkKey)) links.set(linkKey, { route: routeName, a: previousKey, b: key });
+      }
+      previousKey = key;
+    }
+  }
+
+  return { stations: Array.from(stations.values()), links: Array.from(links.values()) };
+}
+
+// ==========================================
+// 2. 幾何工具 (Geometry Helpers)
+// ==========================================
+
+/**
+ * 經緯度投影為平面座標 (等距圓柱投影，以平均緯度修正經度長度)
+ * @param {Array<number>} lonLat - [lon, lat]
+ * @param {number} cosLat - 平均緯度的餘弦值
+ * @returns {Array<number>} 平面座標
+ */
+function project(lonLat, cosLat) {
+  return [lonLat[0] * cosLat, lonLat[1]];
+}
+
+/**
+ * 兩個角度 (度) 的最小夾角，範圍 0 ~ 180
+ * @param {number} a - 角度
+ * @param {number} b - 角度
+ * @returns {number} 夾角
+ */
+function angleDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * 中位數
+ * @param {Array<number>} values - 數值陣列
+ * @returns {number|null} 中位數 (空陣列時為 null)
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 四捨五入到小數點後 3 位 (null 原樣回傳)
+ * @param {number|null} value - 數值
+ * @returns {number|null} 數值
+ */
+function round(value) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(3));
+}
+
+/**
+ * 依距離排序，找出每個點最近的 k 個點 (距離相同時依索引，結果固定)
+ * @param {Array<Array<number>>} points - 點座標
+ * @param {number} k - 鄰近點數
+ * @returns {Array<Set<number>>} 每個點的鄰近點索引
+ */
+function nearestNeighbours(points, k) {
+  return points.map((p, i) => {
+    const others = [];
+    points.forEach((q, j) => {
+      if (j !== i) others.push({ j, dist: Math.hypot(p[0] - q[0], p[1] - q[1]) });
+    });
+    others.sort((a, b) => a.dist - b.dist || a.j - b.j);
+    return new Set(others.slice(0, k).map((item) => item.j));
+  });
+}
+
+// ==========================================
+// 3. 失真指標 (Distortion Metrics)
+// ==========================================
+
+/**
+ * 計算網絡資料相對原始地理位置的失真指標
+ *
+ * @param {Array} data - 網絡資料 (任一階段的 spaceNetworkGridJsonData)
+ * @param {Object} [options] - 計算選項
+ * @param {number} [options.neighbours=5] - 鄰近保留比較的鄰近車站數 k
+ * @param {number} [options.areaDivisions=3] - 尺度失真將地理範圍切成 n × n 個區域
+ * @returns {Object|null} 有經緯度的車站少於 2 個時為 null，否則為
+ *   {summary, stations, links, areas}：
+ *   - summary：stations、links、orderViolations {x, y, pairs}、orderViolationRate、
+ *     meanAngleDeviation、maxAngleDeviation、neighbours、neighbourhoodPreservation、meanScaleDistortion
+ *   - stations：各站 {key, name, connect, routes, lon, lat, x, y, orderViolations, angleDeviation, neighbourhood, scale}
+ *   - links：各站間連線 {route, from, to, geoAngle, layoutAngle, angleDeviation, scale}
+ *   - areas：各地理區域 {row, col, bounds, links, scale, distortion} (row 0 為最北)
+ */
+export function computeDistortionMetrics(data, options = {}) {
+  const { neighbours = DEFAULT_NEIGHBOURS, areaDivisions = DEFAULT_AREA_DIVISIONS } = options;
+  const { stations, links } = collectGeoStations(data);
+  if (stations.length < 2) return null;
+
+  const meanLat = stations.reduce((sum, s) => sum + s.lonLat[1], 0) / stations.length;
+  const cosLat = Math.cos((meanLat * Math.PI) / 180);
+  const geo = stations.map((s) => project(s.lonLat, cosLat));
+  const layout = stations.map((s) => s.point);
+  const indexByKey = new Map(stations.map((s, i) => [s.key, i]));
+
+  // 1. 相對方位：地理上有先後的兩站，在版面中順序顛倒 (版面同一欄 / 列不算顛倒)
+  const stationViolations = new Array(stations.length).fill(0);
+  let violationsX = 0;
+  let violationsY = 0;
+  let pairs = 0;
+  for (let i = 0; i < stations.length; i++) {
+    for (let j = i + 1; j < stations.length; j++) {
+      pairs++;
+      let violated = false;
+      for (const axis of [0, 1]) {
+        const geoDelta = geo[j][axis] - geo[i][axis];
+        const layoutDelta = layout[j][axis] - layout[i][axis];
+        if (Math.abs(geoDelta) < EPSILON || Math.abs(layoutDelta) < EPSILON) continue;
+        if (geoDelta > 0 === layoutDelta > 0) continue;
+        if (axis === 0) violationsX++;
+        else violationsY++;
+        violated = true;
+      }
+      if (violated) {
+        stationViolations[i]++;
+        stationViolations[j]++;
+      }
+    }
+  }
+
+  // 2. 角度偏差與 4. 尺度：每個站間連線的方向與長度比
+  const linkResults = [];
+  for (const link of links) {
+    const a = indexByKey.get(link.a);
+    const b = indexByKey.get(link.b);
+    const geoLength = Math.hypot(geo[b][0] - geo[a][0], geo[b][1] - geo[a][1]);
+    const layoutLength = Math.hypot(layout[b][0] - layout[a][0], layout[b][1] - layout[a][1]);
+    if (geoLength < EPSILON || layoutLength < EPSILON) continue;
+    const geoAngle = (Math.atan2(geo[b][1] - geo[a][1], geo[b][0] - geo[a][0]) * 180) / Math.PI;
+    const layoutAngle =
+      (Math.atan2(layout[b][1] - layout[a][1], layout[b][0] - layout[a][0]) * 180) / Math.PI;
+    linkResults.push({
+      route: link.route,
+      a,
+      b,
+      geoAngle,
+      layoutAngle,
+      angleDeviation: angleDifference(geoAngle, layoutAngle),
+      ratio: layoutLength / geoLength,
+      midpoint: [
+        (stations[a].lonLat[0] + stations[b].lonLat[0]) / 2,
+        (stations[a].lonLat[1] + stations[b].lonLat[1]) / 2,
+      ],
+    });
+  }
+  // 以全圖中位數正規化：1 表示與整張圖的平均縮放相同，> 1 為放大、< 1 為壓縮
+  const medianRatio = median(linkResults.map((link) => link.ratio));
+  for (const link of linkResults) {
+    link.scale = link.ratio / medianRatio;
+  }
+
+  // 3. 鄰近保留：地理最近 k 站在版面中仍為最近 k 站的比例
+  const k = Math.max(1, Math.min(neighbours, stations.length - 1));
+  const geoNeighbours = nearestNeighbours(geo, k);
+  const layoutNeighbours = nearestNeighbours(layout, k);
+  const preservation = geoNeighbours.map((set, i) => {
+    let kept = 0;
+    for (const j of set) if (layoutNeighbours[i].has(j)) kept++;
+    return kept / k;
+  });
+
+  // 4. 尺度失真：依連線中點所在的地理區域彙整
+  const lons = stations.map((s) => s.lonLat[0]);
+  const lats = stations.map((s) => s.lonLat[1]);
+  const bounds = {
+    minLon: Math.min(...lons),
+    maxLon: Math.max(...lons),
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+  };
+  const cellWidth = (bounds.maxLon - bounds.minLon) / areaDivisions || 1;
+  const cellHeight = (bounds.maxLat - bounds.minLat) / areaDivisions || 1;
+  const areaScales = Array.from({ length: areaDivisions * areaDivisions }, () => []);
+  for (const link of linkResults) {
+    const col = Math.min(
+      areaDivisions - 1,
+      Math.floor((link.midpoint[0] - bounds.minLon) / cellWidth)
+    );
+    const row = Math.min(
+      areaDivisions - 1,
+      Math.floor((bounds.maxLat - link.midpoint[1]) / cellHeight)
+    );
+    areaScales[row * areaDivisions + col].push(link.scale);
+  }
+  const areas = areaScales.map((scales, index) => {
+    const row = Math.floor(index / areaDivisions);
+    const col = index % areaDivisions;
+    const scale = median(scales);
+    return {
+      row,
+      col,
+      bounds: {
+        minLon: round(bounds.minLon + col * cellWidth),
+        maxLon: round(bounds.minLon + (col + 1) * cellWidth),
+        minLat: round(bounds.maxLat - (row + 1) * cellHeight),
+        maxLat: round(bounds.maxLat - row * cellHeight),
+      },
+      links: scales.length,
+      scale: round(scale),
+      distortion: scale === null ? null : round(Math.abs(Math.log2(scale))),
+    };
+  });
+
+  // 各站彙整：相接連線的平均角度偏差與幾何平均尺度
+  const incident = stations.map(() => []);
+  for (const link of linkResults) {
+    incident[link.a].push(link);
+    incident[link.b].push(link);
+  }
+  const stationResults = stations.map((station, i) => {
+    const own = incident[i];
+    const angle =
+      own.length > 0 ? own.reduce((sum, link) => sum + link.angleDeviation, 0) / own.length : null;
+    const scale =
+      own.length > 0
+        ? Math.pow(2, own.reduce((sum, link) => sum + Math.log2(link.scale), 0) / own.length)
+        : null;
+    return {
+      key: station.key,
+      name: station.name,
+      connect: station.connect,
+      routes: station.routes,
+      lon: station.lonLat[0],
+      lat: station.lonLat[1],
+      x: station.point[0],
+      y: station.point[1],
+      orderViolations: stationViolations[i],
+      angleDeviation: round(angle),
+      neighbourhood: round(preservation[i]),
+      scale: round(scale),
+    };
+  });
+
+  const angles = linkResults.map((link) => link.angleDeviation);
+  return {
+    summary: {
+      stations: stations.length,
+      links: linkResults.length,
+      orderViolations: { x: violationsX, y: violationsY, pairs },
+      orderViolationRate: round((violationsX + violationsY) / (2 * pairs)),
+      meanAngleDeviation: round(
+        angles.length > 0 ? angles.reduce((sum, v) => sum + v, 0) / angles.length : null
+      ),
+      maxAngleDeviation: round(angles.length > 0 ? Math.max(...angles) : null),
+      neighbours: k,
+      neighbourhoodPreservation: round(
+        preservation.reduce((sum, v) => sum + v, 0) / preservation.length
+      ),
+      meanScaleDistortion: round(
+        linkResults.length > 0
+          ? linkResults.reduce((sum, link) => sum + Math.abs(Math.log2(link.scale)), 0) /
+              linkResults.length
+          : null
+      ),
+    },
+    stations: stationResults,
+    links: linkResults.map((link) => ({
+      route: link.route,
+      from: stations[link.a].name,
+      to: stations[link.b].name,
+      geoAngle: round(link.geoAngle),
+      layoutAngle: round(link.layoutAngle),
+      angleDeviation: round(link.angleDeviation),
+      scale: round(link.scale),
+    })),
+    areas,
+  };
+}
+
+// ==========================================
+// 4. 匯出 (Export)
+// ==========================================
+
+/**
+ * 將各站指標轉為 CSV 文字
+ * @param {Object} metrics - computeDistortionMetrics 的結果
+ * @returns {string} CSV (含標題列)
+ */
+export function formatStationMetricsCsv(metrics) {
+  const rows = (metrics?.stations || []).map((station) => ({
+    station: station.key,
+    name: station.name,
+    connect: station.connect ? 1 : 0,
+    routes: station.routes.join(' '),
+    lon: station.lon,
+    lat: station.lat,
+    x: station.x,
+    y: station.y,
+    order_violations: station.orderViolations,
+    angle_deviation: station.angleDeviation ?? '',
+    neighbourhood: station.neighbourhood ?? '',
+    scale: station.scale ?? '',
+  }));
+  return csvFormat(rows, [
+    'station',
+    'name',
+    'connect',
+    'routes',
+    'lon',
+    'lat',
+    'x',
+    'y',
+    'order_violations',
+    'angle_deviation',
+    'neighbourhood',
+    'scale',
+  ]);
+}
@@ -0,0 +1,187 @@
+/**
+ * 焦點放大模組 (Fisheye Focus+Context Module)
+ *
+ * 沿用 6_1→7_1 的變動網格 (getVariableGridMappings / transformPoint)：每一行、每一列有自己的寬度，
+ * 但寬度不是由權重決定，而是由與焦點 (一個車站，或數個車站圍成的矩形區域) 的距離決定：
+ *   指數 = strength × exp(-(距離 / radius)²)，格子寬度 = 2 ^ 指數
+ * 焦點附近的行列放大、遠處的行列接近最小寬度 1，轉換後再縮放回原本的範圍，
+ * 因此整張圖的大小不變，只有焦點附近被撐開。每個軸各自單調，線段的前後與交叉關係不變。
+ *
+ * 網格資料 (2_1 之後) 以 1 個網格單位為一格；範圍太小的資料 (例如經緯度) 改為把範圍切成 DEFAULT_CELL_COUNT 格。
+ * CompareTab 的「焦點放大」以此即時變形輸出圖：點選車站切換焦點、調整放大強度。
+ *
+ * @file fisheye.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { flattenSegments } from '@/utils/labelPlacement.js';
+import { getVariableGridMappings, transformPoint } from '@/utils/dataExecute/execute_6_1_to_7_1.js';
+
+// 預設與最大的放大強度 (焦點所在行列的指數，格子寬度為 2 ^ strength)
+export const DEFAULT_FISHEYE_STRENGTH = 3;
+export const MAX_FISHEYE_STRENGTH = 6;
+
+// 範圍小於此值 (網格單位) 的資料不以 1 個單位為一格，改為切成 DEFAULT_CELL_COUNT 格
+const MIN_GRID_EXTENT = 8;
+const DEFAULT_CELL_COUNT = 32;
+
+// 預設的影響半徑：較長邊格數的 1/8，至少 MIN_RADIUS 格
+const RADIUS_DIVISIONS = 8;
+const MIN_RADIUS = 2;
+
+// ==========================================
+// 1. 範圍 (Bounds)
+// ==========================================
+
+/**
+ * 取得資料中所有點的範圍
+ * @param {Array} data - 網絡資料 (Grouped 或 Flat)
+ * @returns {Array<number>|null} [minX, maxX, minY, maxY] (沒有點時為 null)
+ */
+function getDataBounds(data) {
+  let bounds = null;
+  for (const { seg } of flattenSegments(data)) {
+    for (const p of seg.points || []) {
+      if (!bounds) {
+        bounds = [p[0], p[0], p[1], p[1]];
+        continue;
+      }
+      bounds[0] = Math.min(bounds[0], p[0]);
+      bounds[1] = Math.max(bounds[1], p[0]);
+      bounds[2] = Math.min(bounds[2], p[1]);
+      bounds[3] = Math.max(bounds[3], p[1]);
+    }
+  }
+  return bounds;
+}
+
+/**
+ * 焦點的範圍：一個點為車站焦點，多個點時取外接矩形作為區域焦點
+ * @param {Array<Array<number>>} focus - 焦點座標
+ * @returns {Array<number>} [minX, maxX, minY, maxY]
+ */
+export function getFocusBounds(focus) {
+  const xs = focus.map((p) => p[0]);
+  const ys = focus.map((p) => p[1]);
+  return [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+}
+
+// ==========================================
+// 2. 焦點網格 (Focus Grid)
+// ==========================================
+
+/**
+ * 依與焦點的距離計算每一格的指數
+ * @param {number} start - 第一格的索引
+ * @param {number} end - 最後一格的索引
+ * @param {number} focusMin - 焦點範圍的最小值 (格座標)
+ * @param {number} focusMax - 焦點範圍的最大值 (格座標)
+ * @param {number} strength - 放大強度
+ * @param {number} radius - 影響半徑 (格數)
+ * @returns {Object} {索引: 指數}
+ */
+function getFocusExponents(start, end, focusMin, focusMax, strength, radius) {
+  const exponents = {};
+  for (let idx = start; idx <= end; idx++) {
+    // 以格子中心計算距離，焦點範圍內距離為 0
+    const center = idx + 0.5;
+    const dist = Math.max(0, focusMin - center, center - focusMax);
+    exponents[idx] = strength * Math.exp(-Math.pow(dist / radius, 2));
+  }
+  return exponents;
+}
+
+/**
+ * 變形後的座標換回變動網格前的格座標 (transformPoint 單一軸的反函式)
+ * @param {number} value - 變動網格座標
+ * @param {Object} boundaries - 軸邊界映射 {索引: 變動網格座標}
+ * @returns {number} 格座標
+ */
+function invertAxis(value, boundaries) {
+  const keys = Object.keys(boundaries)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const first = keys[0];
+  const last = keys[keys.length - 1];
+  if (value <= boundaries[first]) return first - (boundaries[first] - value);
+  if (value >= boundaries[last]) return last + (value - boundaries[last]);
+  for (let i = 0; i < keys.length - 1; i++) {
+    const lo = boundaries[keys[i]];
+    const hi = boundaries[keys[i + 1]];
+    if (value <= hi) return keys[i] + (hi > lo ? (value - lo) / (hi - lo) : 0);
+  }
+  return last;
+}
+
+/**
+ * 建立焦點放大的座標轉換
+ *
+ * 格座標 = 座標 / cellSize；每個軸的格子從 floor(最小值) 到 ceil(最大值)，
+ * 以 getVariableGridMappings 計算邊界後，再線性縮放回原本的格範圍 (strength 為 0 時即為恆等轉換)。
+ *
+ * @param {Array} data - 網絡資料 (Grouped 或 Flat)
+ * @param {Array<Array<number>>} focus - 焦點座標 (一個車站，或多個車站圍成的區域)
+ * @param {Object} [options] - 轉換選項
+ * @param {number} [options.strength=3] - 放大強度 (焦點所在行列的格子寬度為 2 ^ strength)
+ * @param {number} [options.radius] - 影響半徑 (格數，預設為較長邊格數的 1/8)
+ * @param {number} [options.cellSize] - 一格的大小 (預設網格資料為 1)
+ * @returns {Object|null} {transform(p), invert(p), focusBounds, strength, radius, cellSize}
+ *   (沒有資料或焦點時為 null)
+ */
+export function createFisheye(data, focus, options = {}) {
+  const bounds = getDataBounds(data);
+  if (!bounds || !focus || focus.length === 0) return null;
+
+  const strength = Math.max(0, options.strength ?? DEFAULT_FISHEYE_STRENGTH);
+  const extent = Math.max(bounds[1] - bounds[0], bounds[3] - bounds[2]);
+  const cellSize =
+    options.cellSize ?? (extent >= MIN_GRID_EXTENT ? 1 : (extent || 1) / DEFAULT_CELL_COUNT);
+  const radius = options.radius ?? Math.max(MIN_RADIUS, extent / cellSize / RADIUS_DIVISIONS);
+
+  const rawBounds = bounds.map((v) => v / cellSize);
+  const focusBounds = getFocusBounds(focus);
+  const [fMinX, fMaxX, fMinY, fMaxY] = focusBounds.map((v) => v / cellSize);
+
+  const startX = Math.floor(rawBounds[0]);
+  const endX = Math.ceil(rawBounds[1]);
+  const startY = Math.floor(rawBounds[2]);
+  const endY = Math.ceil(rawBounds[3]);
+  const colMaxs = getFocusExponents(startX, endX, fMinX, fMaxX, strength, radius);
+  const rowMaxs = getFocusExponents(startY, endY, fMinY, fMaxY, strength, radius);
+  const { xBoundaries, yBoundaries, newBounds } = getVariableGridMappings(
+    rowMaxs,
+    colMaxs,
+    rawBounds,
+    strength
+  );
+
+  // 變動網格從 0 開始，縮放回原本的格範圍 [start, end + 1]
+  const scaleX = (endX + 1 - startX) / newBounds[1];
+  const scaleY = (endY + 1 - startY) / newBounds[3];
+
+  const transform = (p) => {
+    const [nx, ny] = transformPoint(p[0] / cellSize, p[1] / cellSize, xBoundaries, yBoundaries);
+    return [(startX + nx * scaleX) * cellSize, (startY + ny * scaleY) * cellSize];
+  };
+  const invert = (p) => [
+    invertAxis((p[0] / cellSize - startX) / scaleX, xBoundaries) * cellSize,
+    invertAxis((p[1] / cellSize - startY) / scaleY, yBoundaries) * cellSize,
+  ];
+
+  return { transform, invert, focusBounds, strength, radius, cellSize };
+}
+
+/**
+ * 套用焦點放大：轉換所有路段的 points (保留第三個以後的座標值)
+ * @param {Array} data - 網絡資料 (Grouped 或 Flat)
+ * @param {Object} fisheye - createFisheye 的結果
+ * @returns {Array} 變形後的網絡資料 (深層複製)
+ */
+export function applyFisheye(data, fisheye) {
+  const warped = JSON.parse(JSON.stringify(data || []));
+  for (const { seg } of flattenSegments(warped)) {
+    seg.points = (seg.points || []).map((p) => [...fisheye.transform(p), ...p.slice(2)]);
+  }
+  return warped;
+}
@@ -0,0 +1,490 @@
+/**
+ * 站名標籤配置模組 (Station Label Placement Module)
+ *
+ * 為示意化路線圖的每個車站決定站名位置，取代只能開關的 showStationNames：
+ * - 每個車站嘗試周圍 8 個標準位置 (依 Imhof 偏好：右上、右下、左上、左下、右、上、左、下)
+ * - 同一條路線的站名盡量放在路線的同一側 (水平路線放上 / 下側，垂直路線放左 / 右側)
+ * - 避開路線線段、車站點與已放置的站名
+ * - 8 個位置都有重疊時，改放到較遠處並以引線 (leader line) 連回車站
+ *
+ * 輸出的標籤位置使用與網絡資料相同的座標系統，供 CompareTab 的繪圖 (networkPlot)
+ * 與命令列工具 (scripts/run-pipeline.js --labels) 共用。
+ *
+ * @file labelPlacement.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// ==========================================
+// 1. 車站與路線資料 (Stations & Routes)
+// ==========================================
+
+/**
+ * 判斷節點是否為轉乘站 / 端點 (紅點)
+ * @param {Object} node - 節點屬性物件
+ * @returns {boolean} 是否為轉乘站
+ */
+export function isConnectNode(node) {
+  if (!node) return false;
+  if (node.node_type === 'connect') return true;
+  return node.connect_number !== null && node.connect_number !== undefined;
+}
+
+/**
+ * 判斷節點是否為一般車站 (黑點)
+ * @param {Object} node - 節點屬性物件
+ * @returns {boolean} 是否為一般車站
+ */
+export function isStationNode(node) {
+  if (!node) return false;
+  return !!(node.station_name || node.tags?.station_name || node.tags?.name || node.station_id);
+}
+
+/**
+ * 取得節點的站名 (沒有站名時回傳空字串)
+ * @param {Object} node - 節點屬性物件
+ * @returns {string} 站名
+ */
+function getStationName(node) {
+  if (!node) return '';
+  return String(node.station_name || node.tags?.station_name || node.tags?.name || '');
+}
+
+/**
+ * 將任一階段的資料攤平成路段陣列 (4_1 之後的資料依路線分組)
+ * 每個路段附上所屬路線名稱 routeName
+ * @param {Array} data - 網絡資料
+ * @returns {Array<Object>} 路段陣列
+ */
+export function flattenSegments(data) {
+  const segments = [];
+  for (const item of data || []) {
+    if (Array.isArray(item?.segments)) {
+      for (const seg of item.segments) {
+        segments.push({ seg, routeName: seg.name || seg.route_name || item.route_name || '' });
+      }
+    } else if (Array.isArray(item?.points)) {
+      segments.push({ seg: item, routeName: item.name || item.route_name || '' });
+    }
+  }
+  return segments;
+}
+
+/**
+ * 整理標籤配置所需的資料：有站名的車站 (同一座標合併) 與所有線段
+ * 2_1 之後 nodes[i] 對應 points[i]；之前只有 properties_start / properties_end
+ *
+ * @param {Array} data - 網絡資料 (spaceNetworkGridJsonData)
+ * @returns {Object} {stations: [{key, name, point, connect, routes}], lines: [{route, p1, p2}]}
+ */
+export function collectLabelInput(data) {
+  const stations = new Map();
+  const lines = [];
+
+  for (const { seg, routeName } of flattenSegments(data)) {
+    const pts = (seg.points || []).map((p) => [p[0], p[1]]);
+    for (let i = 0; i < pts.length - 1; i++) {
+      lines.push({ route: routeName, p1: pts[i], p2: pts[i + 1] });
+    }
+
+    const entries =
+      Array.isArray(seg.nodes) && seg.nodes.length === pts.length
+        ? seg.nodes.map((node, i) => [node, pts[i]])
+        : [
+            [seg.properties_start, pts[0]],
+            [seg.properties_end, pts[pts.length - 1]],
+          ];
+    for (const [node, pt] of entries) {
+      if (!pt) continue;
+      const name = getStationName(node);
+      if (!name) continue;
+      const key = `${pt[0]},${pt[1]}`;
+      if (!stations.has(key)) {
+        stations.set(key, { key, name, point: pt, connect: false, routes: [] });
+      }
+      const station = stations.get(key);
+      station.connect = station.connect || isConnectNode(node);
+      if (routeName && !station.routes.includes(routeName)) station.routes.push(routeName);
+    }
+  }
+
+  return { stations: Array.from(stations.values()), lines };
+}
+
+// ==========================================
+// 2. 幾何工具 (Geometry Helpers)
+// ==========================================
+
+/**
+ * 周圍 8 個標準位置 (dx / dy 為相對車站的方向，y 軸向上)
+ * 陣列順序即偏好順序 (Imhof)：右上最佳，其次右下、左上、左下，再來正右、正上、正左、正下
+ * @type {Array<Object>}
+ */
+export const LABEL_POSITIONS = [
+  { name: 'NE', dx: 1, dy: 1 },
+  { name: 'SE', dx: 1, dy: -1 },
+  { name: 'NW', dx: -1, dy: 1 },
+  { name: 'SW', dx: -1, dy: -1 },
+  { name: 'E', dx: 1, dy: 0 },
+  { name: 'N', dx: 0, dy: 1 },
+  { name: 'W', dx: -1, dy: 0 },
+  { name: 'S', dx: 0, dy: -1 },
+];
+
+/**
+ * 估計文字寬度 (中日韓文字為一個字高，其餘約 0.6 個字高)
+ * @param {string} text - 文字
+ * @param {number} fontSize - 字高
+ * @returns {number} 寬度
+ */
+export function estimateTextWidth(text, fontSize) {
+  let width = 0;
+  for (const ch of text) {
+    width += ch.codePointAt(0) >= 0x2e80 ? fontSize : fontSize * 0.6;
+  }
+  return width;
+}
+
+/**
+ * 計算標籤外框 [x0, y0, x1, y1]
+ * @param {Array<number>} point - 車站座標
+ * @param {Object} position - 標準位置 {dx, dy}
+ * @param {number} width - 標籤寬度
+ * @param {number} height - 標籤高度
+ * @param {number} distance - 與車站的距離
+ * @returns {Array<number>} 外框
+ */
+function getLabelBox(point, position, width, height, distance) {
+  const [sx, sy] = point;
+  let x0;
+  if (position.dx > 0) x0 = sx + distance;
+  else if (position.dx < 0) x0 = sx - distance - width;
+  else x0 = sx - width / 2;
+  let y0;
+  if (position.dy > 0) y0 = sy + distance;
+  else if (position.dy < 0) y0 = sy - distance - height;
+  else y0 = sy - height / 2;
+  return [x0, y0, x0 + width, y0 + height];
+}
+
+/**
+ * 外框上離指定點最近的點 (引線終點)
+ * @param {Array<number>} point - 點座標
+ * @param {Array<number>} box - 外框 [x0, y0, x1, y1]
+ * @returns {Array<number>} 外框上的點
+ */
+function nearestPointOnBox(point, box) {
+  return [
+    Math.min(Math.max(point[0], box[0]), box[2]),
+    Math.min(Math.max(point[1], box[1]), box[3]),
+  ];
+}
+
+/**
+ * 判斷兩個外框是否重疊
+ * @param {Array<number>} a - 外框 [x0, y0, x1, y1]
+ * @param {Array<number>} b - 外框 [x0, y0, x1, y1]
+ * @returns {boolean} 是否重疊
+ */
+function boxesOverlap(a, b) {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+/**
+ * 判斷線段是否穿過外框 (Liang-Barsky 裁切)
+ * @param {Array<number>} p1 - 線段起點
+ * @param {Array<number>} p2 - 線段終點
+ * @param {Array<number>} box - 外框 [x0, y0, x1, y1]
+ * @returns {boolean} 是否穿過
+ */
+function segmentHitsBox(p1, p2, box) {
+  const dx = p2[0] - p1[0];
+  const dy = p2[1] - p1[1];
+  let t0 = 0;
+  let t1 = 1;
+  const checks = [
+    [-dx, p1[0] - box[0]],
+    [dx, box[2] - p1[0]],
+    [-dy, p1[1] - box[1]],
+    [dy, box[3] - p1[1]],
+  ];
+  for (const [p, q] of checks) {
+    if (Math.abs(p) < 1e-12) {
+      if (q <= 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) t0 = Math.max(t0, t);
+    else t1 = Math.min(t1, t);
+    if (t0 >= t1) return false;
+  }
+  return true;
+}
+
+/**
+ * 建立均勻網格空間索引，加速外框查詢
+ * @param {number} cellSize - 網格大小
+ * @returns {Object} {insert(box, item), query(box)}
+ */
+function createSpatialIndex(cellSize) {
+  const cells = new Map();
+  const forEachCell = (box, callback) => {
+    const cx0 = Math.floor(box[0] / cellSize);
+    const cx1 = Math.floor(box[2] / cellSize);
+    const cy0 = Math.floor(box[1] / cellSize);
+    const cy1 = Math.floor(box[3] / cellSize);
+    for (let cx = cx0; cx <= cx1; cx++) {
+      for (let cy = cy0; cy <= cy1; cy++) {
+        callback(`${cx},${cy}`);
+      }
+    }
+  };
+  return {
+    insert(box, item) {
+      forEachCell(box, (key) => {
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(item);
+      });
+    },
+    query(box) {
+      const found = new Set();
+      forEachCell(box, (key) => {
+        for (const item of cells.get(key) || []) found.add(item);
+      });
+      return found;
+    },
+  };
+}
+
+// ==========================================
+// 3. 標籤配置 (Label Placement)
+// ==========================================
+
+// 成本：偏好順序每差一位 +1，不在路線同一側 +4，每個重疊 +20 (線段 / 車站) 或 +40 (其他站名)
+const RANK_COST = 1;
+const SIDE_COST = 4;
+const LINE_OVERLAP_COST = 20;
+const LABEL_OVERLAP_COST = 40;
+
+/**
+ * 依路線線段的主要方向決定可放站名的兩側
+ * 水平為主的路線放上 / 下側 (dy)，垂直為主的路線放左 / 右側 (dx)
+ * @param {Array<Object>} routeLines - 路線的線段 [{p1, p2}]
+ * @returns {string} 'dy' | 'dx'
+ */
+function getRouteSideAxis(routeLines) {
+  let horizontal = 0;
+  let vertical = 0;
+  for (const { p1, p2 } of routeLines) {
+    horizontal += Math.abs(p2[0] - p1[0]);
+    vertical += Math.abs(p2[1] - p1[1]);
+  }
+  return horizontal >= vertical ? 'dy' : 'dx';
+}
+
+/**
+ * 配置所有車站的站名
+ *
+ * 依路線處理 (車站多的路線優先)：每條路線試放兩側，取總成本較低的一側，
+ * 轉乘站由第一條經過的路線決定位置。8 個位置都有重疊時，
+ * 以 leaderSteps 個較遠的距離重新嘗試，找到不重疊的位置即以引線連回車站。
+ *
+ * @param {Array|Object} data - 網絡資料，或 collectLabelInput 的結果
+ * @param {Object} [options] - 配置選項 (長度單位與網絡座標相同)
+ * @param {number} [options.fontSize=0.4] - 字高
+ * @param {number} [options.offset=0.2] - 標籤與車站的距離
+ * @param {number} [options.leaderSteps=3] - 引線位置的嘗試層數 (每層再遠一個字高)
+ * @returns {Object} {labels, stats}
+ *   - labels: [{key, name, station, routes, position, x, y, textAnchor, box, leader, overlaps}]
+ *     x / y 為文字錨點 (垂直置中)，textAnchor 為 'start' | 'middle' | 'end'，
+ *     leader 為引線 [[x, y], [x, y]] (沒有引線時為 null)
+ *   - stats: {stations, leaders, overlapping}
+ */
+export function placeStationLabels(data, options = {}) {
+  const { fontSize = 0.4, offset = 0.2, leaderSteps = 3 } = options;
+  const input = Array.isArray(data) ? collectLabelInput(data) : data;
+  const { stations, lines } = input;
+
+  // 障礙物索引：線段、車站點、已放置的站名
+  // 網格大小至少為資料範圍的 1/256，避免字高相對資料範圍很小時網格數量爆增
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const { p1, p2 } of lines) {
+    for (const [x, y] of [p1, p2]) {
+      bounds[0] = Math.min(bounds[0], x);
+      bounds[1] = Math.min(bounds[1], y);
+      bounds[2] = Math.max(bounds[2], x);
+      bounds[3] = Math.max(bounds[3], y);
+    }
+  }
+  const span = lines.length > 0 ? Math.max(bounds[2] - bounds[0], bounds[3] - bounds[1]) : 0;
+  const index = createSpatialIndex(Math.max(fontSize * 4, span / 256, 1e-6));
+  for (const line of lines) {
+    const box = [
+      Math.min(line.p1[0], line.p2[0]),
+      Math.min(line.p1[1], line.p2[1]),
+      Math.max(line.p1[0], line.p2[0]),
+      Math.max(line.p1[1], line.p2[1]),
+    ];
+    index.insert(box, { type: 'line', p1: line.p1, p2: line.p2 });
+  }
+  const dotRadius = fontSize / 4;
+  for (const station of stations) {
+    const [x, y] = station.point;
+    const box = [x - dotRadius, y - dotRadius, x + dotRadius, y + dotRadius];
+    index.insert(box, { type: 'station', box });
+  }
+
+  // 計算標籤外框的重疊成本
+  const getOverlapCost = (box, leader) => {
+    let cost = 0;
+    for (const item of index.query(box)) {
+      if (item.type === 'line') {
+        if (segmentHitsBox(item.p1, item.p2, box)) cost += LINE_OVERLAP_COST;
+      } else if (item.type === 'station') {
+        if (boxesOverlap(item.box, box)) cost += LINE_OVERLAP_COST;
+      } else if (boxesOverlap(item.box, box)) {
+        cost += LABEL_OVERLAP_COST;
+      }
+    }
+    // 引線不可穿過其他站名
+    if (leader) {
+      const leaderBox = [
+        Math.min(leader[0][0], leader[1][0]),
+        Math.min(leader[0][1], leader[1][1]),
+        Math.max(leader[0][0], leader[1][0]),
+        Math.max(leader[0][1], leader[1][1]),
+      ];
+      for (const item of index.query(leaderBox)) {
+        if (item.type === 'label' && segmentHitsBox(leader[0], leader[1], item.box)) {
+          cost += LABEL_OVERLAP_COST;
+        }
+      }
+    }
+    return cost;
+  };
+
+  // 建立單一候選位置
+  const createCandidate = (station, position, rank, side, distance) => {
+    const width = estimateTextWidth(station.name, fontSize);
+    const box = getLabelBox(station.point, position, width, fontSize, distance);
+    const leader =
+      distance > offset ? [station.point, nearestPointOnBox(station.point, box)] : null;
+    const onSide = !side || position[side.axis] === side.sign;
+    const overlapCost = getOverlapCost(box, leader);
+    return {
+      position,
+      box,
+      leader,
+      overlapCost,
+      cost: rank * RANK_COST + (onSide ? 0 : SIDE_COST) + overlapCost,
+    };
+  };
+
+  // 找出車站的最佳位置 (必要時使用引線)
+  const findBestCandidate = (station, side) => {
+    let best = null;
+    LABEL_POSITIONS.forEach((position, rank) => {
+      const candidate = createCandidate(station, position, rank, side, offset);
+      if (!best || candidate.cost < best.cost) best = candidate;
+    });
+    if (best.overlapCost === 0) return best;
+
+    for (let step = 1; step <= leaderSteps; step++) {
+      const distance = offset + step * fontSize;
+      for (let rank = 0; rank < LABEL_POSITIONS.length; rank++) {
+        const candidate = createCandidate(station, LABEL_POSITIONS[rank], rank, side, distance);
+        if (candidate.overlapCost === 0) return candidate;
+      }
+    }
+    return best;
+  };
+
+  // 依路線分組，車站多的路線優先
+  const routeLines = new Map();
+  for (const line of lines) {
+    if (!routeLines.has(line.route)) routeLines.set(line.route, []);
+    routeLines.get(line.route).push(line);
+  }
+  const routeStations = new Map();
+  for (const station of stations) {
+    for (const name of station.routes.length > 0 ? station.routes : ['']) {
+      if (!routeStations.has(name)) routeStations.set(name, []);
+      routeStations.get(name).push(station);
+    }
+  }
+  const routeOrder = Array.from(routeStations.keys()).sort(
+    (a, b) => routeStations.get(b).length - routeStations.get(a).length
+  );
+
+  const placed = new Map();
+  const commit = (station, candidate) => {
+    placed.set(station.key, candidate);
+    index.insert(candidate.box, { type: 'label', box: candidate.box });
+  };
+
+  for (const route of routeOrder) {
+    // 轉乘站優先放置 (限制最多)
+    const pending = routeStations
+      .get(route)
+      .filter((station) => !placed.has(station.key))
+      .sort((a, b) => Number(b.connect) - Number(a.connect));
+    if (pending.length === 0) continue;
+
+    // 試放兩側：先不寫入索引，只比較總成本 (同一路線站名之間的重疊以外框直接比對)
+    const axis = getRouteSideAxis(routeLines.get(route) || []);
+    let bestTrial = null;
+    for (const sign of [1, -1]) {
+      const side = { axis, sign };
+      const trial = [];
+      let total = 0;
+      for (const station of pending) {
+        const candidate = findBestCandidate(station, side);
+        const selfOverlaps = trial.filter((other) => boxesOverlap(other.box, candidate.box));
+        total += candidate.cost + selfOverlaps.length * LABEL_OVERLAP_COST;
+        trial.push(candidate);
+      }
+      if (!bestTrial || total < bestTrial.total) bestTrial = { side, total };
+    }
+
+    // 以選定的一側依序放置 (此時已放置的同路線站名也會被避開)
+    for (const station of pending) {
+      commit(station, findBestCandidate(station, bestTrial.side));
+    }
+  }
+
+  const labels = stations.map((station) => {
+    const candidate = placed.get(station.key);
+    const { position, box } = candidate;
+    let x = (box[0] + box[2]) / 2;
+    let textAnchor = 'middle';
+    if (position.dx > 0) {
+      x = box[0];
+      textAnchor = 'start';
+    } else if (position.dx < 0) {
+      x = box[2];
+      textAnchor = 'end';
+    }
+    return {
+      key: station.key,
+      name: station.name,
+      station: station.point,
+      routes: station.routes,
+      position: position.name,
+      x,
+      y: (box[1] + box[3]) / 2,
+      textAnchor,
+      box,
+      leader: candidate.leader,
+      overlaps: candidate.overlapCost > 0,
+    };
+  });
+
+  return {
+    labels,
+    stats: {
+      stations: labels.length,
+      leaders: labels.filter((label) => label.leader).length,
+      overlapping: labels.filter((label) => label.overlaps).length,
+    },
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * 網格合併歷程模組 (Grid Merge History Module)
+ *
+ * gridMergeReduce 的合併-H (mergeRoutesHorizontal)、合併-V (mergeRoutesVertical) 與
+ * 縮減網格 (reduceGrid) 會直接修改傳入的版面資料。這裡把每次操作包成一筆命令：
+ * 在複本上執行，記錄操作、gap 參數與執行前 / 後的版面，原本的資料不受影響。
+ *
+ * 歷程為線性的命令列表加上目前位置 position (已套用的命令數)：
+ * - position 0 為第一筆命令之前的原始版面，position k 為第 k 筆命令之後的版面
+ * - 復原 / 重做即 position 減一 / 加一，也可以直接跳到任一位置
+ * - 復原後執行新的命令時，捨棄原本可重做的命令
+ * dataStore 以此保存各圖層 layoutGridJsonData_Test4 的歷程，ControlTab 顯示列表與復原 / 重做按鈕。
+ *
+ * @file mergeHistory.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { mergeRoutesHorizontal, mergeRoutesVertical, reduceGrid } from '@/utils/gridMergeReduce.js';
+
+// 預設的 gap (允許的權重差)
+export const DEFAULT_MERGE_GAP = 0;
+
+// 每個圖層最多保留的命令數 (超過時丟棄最舊的命令，最舊命令執行前的版面成為新的起點)
+export const MAX_MERGE_HISTORY = 30;
+
+/**
+ * 可執行的合併操作 (usesGap 表示操作使用 gap 參數)
+ * run(layoutData, gap) 直接修改 layoutData，回傳 {modified, layoutData}
+ * @type {Array<Object>}
+ */
+export const MERGE_OPERATIONS = [
+  {
+    value: 'mergeHorizontal',
+    label: '合併-H',
+    usesGap: true,
+    run: (layoutData, gap) => mergeRoutesHorizontal(layoutData, gap),
+  },
+  {
+    value: 'mergeVertical',
+    label: '合併-V',
+    usesGap: true,
+    run: (layoutData, gap) => mergeRoutesVertical(layoutData, gap),
+  },
+  {
+    value: 'reduceGrid',
+    label: '縮減網格',
+    usesGap: false,
+    run: (layoutData) => reduceGrid(layoutData),
+  },
+];
+
+/**
+ * 深層複製版面資料
+ * @param {Array|Object} layoutData - 版面資料
+ * @returns {Array|Object} 複本
+ */
+function cloneLayout(layoutData) {
+  return JSON.parse(JSON.stringify(layoutData ?? null));
+}
+
+// ==========================================
+// 1. 命令 (Commands)
+// ==========================================
+
+/**
+ * 取得合併操作的定義
+ * @param {string} operation - 操作名稱
+ * @returns {Object|null} 定義 (未知操作為 null)
+ */
+export function getMergeOperation(operation) {
+  return MERGE_OPERATIONS.find((item) => item.value === operation) || null;
+}
+
+/**
+ * 在版面資料的複本上執行合併操作，回傳命令記錄 (傳入的資料不會被修改)
+ * @param {Array|Object} layoutData - 版面資料
+ * @param {string} operation - 操作名稱 (MERGE_OPERATIONS 的 value)
+ * @param {number} [gap=0] - 允許的權重差 (縮減網格不使用)
+ * @returns {Object} {operation, label, gap, modified, before, after, timestamp}
+ *   gap 在不使用 gap 的操作為 null；modified 為 false 時 after 與 before 相同
+ */
+export function runMergeCommand(layoutData, operation, gap = DEFAULT_MERGE_GAP) {
+  const definition = getMergeOperation(operation);
+  if (!definition) {
+    throw new Error(`不支援的合併操作: ${operation}`);
+  }
+  if (!layoutData) {
+    throw new Error('沒有可合併的版面資料');
+  }
+
+  const before = cloneLayout(layoutData);
+  const usedGap = definition.usesGap ? Math.max(0, Number(gap) || 0) : null;
+  const result = definition.run(cloneLayout(layoutData), usedGap);
+  return {
+    operation,
+    label: definition.label,
+    gap: usedGap,
+    modified: !!result.modified,
+    before,
+    after: cloneLayout(result.layoutData),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * 命令的顯示名稱 (例如「合併-H (gap ≤ 1)」)
+ * @param {Object} entry - 命令記錄
+ * @returns {string} 名稱
+ */
+export function describeMergeCommand(entry) {
+  return entry.gap === null ? entry.label : `${entry.label} (gap ≤ ${entry.gap})`;
+}
+
+// ==========================================
+// 2. 歷程 (History)
+// ==========================================
+
+/**
+ * 建立空的歷程
+ * @returns {Object} {entries: [], position: 0}
+ */
+export function createMergeHistory() {
+  return { entries: [], position: 0 };
+}
+
+/**
+ * 加入一筆命令：捨棄目前位置之後 (可重做) 的命令，超過上限時丟棄最舊的命令
+ * @param {Object} history - 歷程 {entries, position}
+ * @param {Object} entry - runMergeCommand 的結果
+ * @param {number} [maxEntries=30] - 最多保留的命令數
+ * @returns {Object} 新的歷程 (位置在新命令之後)
+ */
+export function pushMergeCommand(history, entry, maxEntries = MAX_MERGE_HISTORY) {
+  const entries = [...history.entries.slice(0, history.position), entry].slice(-maxEntries);
+  return { entries, position: entries.length };
+}
+
+/**
+ * 取得歷程中指定位置的版面 (複本)
+ * @param {Object} history - 歷程 {entries, position}
+ * @param {number} position - 位置 (0 為原始版面)
+ * @returns {Array|Object} 版面資料
+ */
+export function getMergeHistoryLayout(history, position) {
+  if (!Number.isInteger(position) || position < 0 || position > history.entries.length) {
+    throw new Error(`合併歷程沒有位置 ${position}`);
+  }
+  if (history.entries.length === 0) {
+    throw new Error('合併歷程是空的');
+  }
+  return cloneLayout(
+    position === 0 ? history.entries[0].before : history.entries[position - 1].after
+  );
+}
@@ -0,0 +1,579 @@
+/**
+ * 網絡對照圖繪製模組 (Network Comparison Plot Module)
+ *
+ * 以 D3 繪製管線各階段的網絡，取代 Colab 中 plotComparison、plotTwoStages、
+ * drawMapStep6 等 matplotlib 對照圖 (在 JavaScript 版本中這些函式只輸出 log)。
+ * 與 Colab 相同的圖例：
+ * - 路線依路線顏色繪製
+ * - 黑點：一般車站
+ * - 紅點：轉乘站 / 端點 (connect)
+ * - 紅色 X：非法交叉點 (兩條線段交叉但沒有共用節點)
+ *
+ * 供 CompareTab 左右並排顯示步驟的輸入與輸出，兩張圖共用同一個縮放 / 平移狀態。
+ * 開啟站名時以 labelPlacement 配置站名位置 (避開線段與其他站名，必要時加上引線)。
+ * 開啟平行路線時以 routeOffsets 把共用走廊的路線畫成並排的平行線，車站標記橫跨所有平行線。
+ * 編輯模式時車站與轉折點顯示拖曳控制點，放開時對齊網格並交由呼叫端 (layoutEdits) 檢查是否接受。
+ * 焦點放大 (fisheye) 時車站可點選，焦點以橘色圓圈標示。
+ * 傳入 gridLines 時在路線下方畫出網格線 (6_1→7_1 的均勻網格與縮放後的變動網格)。
+ * 多運具時路線的線寬、虛線與車站符號依運具 (transitModes) 而定，步行轉乘以灰色點線連接兩個車站。
+ *
+ * @file networkPlot.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import * as d3 from 'd3';
+import { findIllegalIntersections } from '@/utils/dataExecute/execute_2_2_to_2_3.js';
+import {
+  collectLabelInput,
+  flattenSegments,
+  isConnectNode,
+  isStationNode,
+  placeStationLabels,
+} from '@/utils/labelPlacement.js';
+import { computeRouteOffsets, offsetPolyline } from '@/utils/routeOffsets.js';
+import { snapToGrid } from '@/utils/dataExecute/layoutEdits.js';
+import {
+  getModePriority,
+  getSegmentMode,
+  getStationMode,
+  getTransitMode,
+} from '@/utils/dataExecute/transitModes.js';
+
+// ==========================================
+// 1. 資料整理 (Plot Data)
+// ==========================================
+
+// 沒有路線顏色時使用的預設顏色 (與 Colab 相同)
+const DEFAULT_ROUTE_COLOR = '#555555';
+
+/**
+ * 取得路線顏色
+ * @param {Object} seg - 路段物件
+ * @returns {string} 顏色字串
+ */
+function getRouteColor(seg) {
+  const p = seg.way_properties?.tags || seg.properties || {};
+  return p.colour || p.color || DEFAULT_ROUTE_COLOR;
+}
+
+/**
+ * 整理繪圖所需的資料
+ * 2_1 之後 nodes[i] 對應 points[i]；之前只有 properties_start / properties_end
+ *
+ * @param {Array} data - 網絡資料 (spaceNetworkGridJsonData)
+ * @returns {Object} {lines: [{color, points, parallel, mode, width, dash}], stations, stationModes,
+ *   connects, vertices, transfers, modes, intersections, labelInput, spans, maxParallel}
+ *   parallel 為 routeOffsets 的路段 {points, slots}，spans 為車站標記的橫跨範圍，
+ *   vertices 為所有不重複的點 (車站與轉折點，編輯模式的控制點)，
+ *   stationModes 為 {座標鍵值: 運具}，transfers 為步行轉乘 [{from, to, distance}]，modes 為資料中的運具
+ */
+export function extractPlotData(data) {
+  const segments = flattenSegments(data).map(({ seg }) => seg);
+  const offsets = computeRouteOffsets(data);
+  const lines = [];
+  const stations = new Map();
+  const stationModes = new Map();
+  const connects = new Map();
+  const vertices = new Map();
+  const modes = new Set();
+  const stationPoints = new Map();
+  const walkingLinks = new Map();
+
+  // 同一個車站有多種運具時，使用優先順序最高的運具的符號
+  const setStationMode = (key, mode) => {
+    const current = stationModes.get(key);
+    if (!current || getModePriority(mode) < getModePriority(current)) stationModes.set(key, mode);
+  };
+
+  segments.forEach((seg, i) => {
+    const pts = (seg.points || []).map((p) => [p[0], p[1]]);
+    if (pts.length === 0) return;
+    const mode = getSegmentMode(seg);
+    const { width, dash } = getTransitMode(mode).style;
+    modes.add(mode);
+    lines.push({
+      color: getRouteColor(seg),
+      points: pts,
+      parallel: offsets.pieces[i],
+      mode,
+      width,
+      dash,
+    });
+    pts.forEach((pt) => vertices.set(`${pt[0]},${pt[1]}`, pt));
+
+    const entries =
+      Array.isArray(seg.nodes) && seg.nodes.length === pts.length
+        ? seg.nodes.map((node, i) => [node, pts[i]])
+        : [
+            [seg.properties_start, pts[0]],
+            [seg.properties_end, pts[pts.length - 1]],
+          ];
+    for (const [node, pt] of entries) {
+      const key = `${pt[0]},${pt[1]}`;
+      if (isConnectNode(node)) {
+        connects.set(key, pt);
+      } else if (isStationNode(node)) {
+        stations.set(key, pt);
+        setStationMode(key, getStationMode(node) || mode);
+      }
+      if (node?.id !== undefined && node?.id !== null) stationPoints.set(String(node.id), pt);
+      for (const link of node?.transfer_links || []) {
+        if (link.type === 'walking') walkingLinks.set(`${link.from}|${link.to}`, link);
+      }
+    }
+  });
+
+  // 步行轉乘：以車站 id 找出兩端在目前階段的座標 (被合併或刪除的車站略過)
+  const transfers = [];
+  for (const link of walkingLinks.values()) {
+    const from = stationPoints.get(String(link.from));
+    const to = stationPoints.get(String(link.to));
+    if (from && to) transfers.push({ from, to, distance: link.distance });
+  }
+
+  // 同一座標若同時是轉乘站，只畫紅點
+  for (const key of connects.keys()) {
+    stations.delete(key);
+  }
+
+  return {
+    lines,
+    stations: Array.from(stations.values()),
+    stationModes,
+    connects: Array.from(connects.values()),
+    vertices: Array.from(vertices.values()),
+    transfers,
+    modes: Array.from(modes).sort((a, b) => getModePriority(a) - getModePriority(b)),
+    intersections: findIllegalIntersections(segments),
+    labelInput: collectLabelInput(data),
+    spans: offsets.spans,
+    maxParallel: offsets.stats.maxParallel,
+  };
+}
+
+// ==========================================
+// 2. 繪圖 (Drawing)
+// ==========================================
+
+// 紅色 X 的半徑 (像素)
+const CROSS_SIZE = 5;
+
+// 站名字高與站名到車站的距離 (像素)
+const LABEL_FONT_SIZE = 11;
+const LABEL_OFFSET = 4;
+
+// 平行路線的線距 (像素)
+const ROUTE_SPACING = 3;
+
+// 編輯模式控制點的半徑與顏色 (拖曳中改為橘色)
+const HANDLE_RADIUS = 6;
+const HANDLE_COLOR = '#0d6efd';
+const HANDLE_ACTIVE_COLOR = '#fd7e14';
+
+// 焦點放大的焦點標記 (像素)
+const FOCUS_RADIUS = 10;
+
+// 網格線顏色
+const GRID_LINE_COLOR = '#dee2e6';
+
+// 步行轉乘的點線樣式
+const TRANSFER_COLOR = '#888888';
+const TRANSFER_DASH = '2,3';
+
+/**
+ * 依資料範圍建立等比例的座標軸 (y 軸向上，與 Colab 的 matplotlib 相同)
+ * @param {Object} plotData - extractPlotData 的結果
+ * @param {number} width - 畫布寬度
+ * @param {number} height - 畫布高度
+ * @param {number} margin - 邊距
+ * @returns {Object} {x, y} D3 線性比例尺
+ */
+function createScales(plotData, width, height, margin) {
+  const allPoints = plotData.lines.flatMap((line) => line.points);
+  const [minX, maxX] = d3.extent(allPoints, (p) => p[0]);
+  const [minY, maxY] = d3.extent(allPoints, (p) => p[1]);
+  const spanX = maxX - minX || 1;
+  const spanY = maxY - minY || 1;
+
+  // 等比例：取兩軸中較小的縮放倍率，並將圖置中
+  const k = Math.min((width - 2 * margin) / spanX, (height - 2 * margin) / spanY);
+  const offsetX = (width - spanX * k) / 2;
+  const offsetY = (height - spanY * k) / 2;
+
+  return {
+    x: d3
+      .scaleLinear()
+      .domain([minX, minX + spanX])
+      .range([offsetX, offsetX + spanX * k]),
+    y: d3
+      .scaleLinear()
+      .domain([minY, minY + spanY])
+      .range([height - offsetY, height - offsetY - spanY * k]),
+  };
+}
+
+/**
+ * 在 SVG 中繪製一個階段的網絡
+ *
+ * 縮放時只重新計算座標，不縮放圖形本身，因此線寬、站點與站名大小維持不變。
+ * 站名以初始比例尺配置 (字高換算為資料單位)，縮放時維持與車站的像素距離，
+ * 放大只會讓線段分得更開，不會產生新的重疊。
+ * 平行路線的線距同樣固定為像素，每次縮放依目前比例換算為資料單位後重新平移。
+ *
+ * @param {SVGElement} svgElement - 目標 SVG 元素
+ * @param {Object} plotData - extractPlotData 的結果
+ * @param {Object} options - 繪圖選項
+ * @param {number} options.width - 畫布寬度
+ * @param {number} options.height - 畫布高度
+ * @param {string} [options.title=''] - 圖表標題
+ * @param {number} [options.margin=24] - 邊距
+ * @param {boolean} [options.showLabels=false] - 是否顯示站名
+ * @param {boolean} [options.parallelRoutes=false] - 是否把共用走廊的路線畫成平行線
+ * @param {Function} [options.onMovePoint] - 提供時開啟編輯模式：拖曳車站或轉折點並放開後呼叫
+ *   onMovePoint(from, to)，to 已對齊網格；回傳 false 表示拒絕，控制點回到原位
+ * @param {Function} [options.onSelectPoint] - 提供時車站與轉乘站可點選，點選後呼叫 onSelectPoint(point, event)
+ * @param {Array<Array<number>>} [options.focusPoints=[]] - 以圓圈標示的焦點 (焦點放大)
+ * @param {Object} [options.gridLines] - 網格線位置 {x: [...], y: [...]} (資料座標)
+ * @returns {Object} {update(transform)} 依縮放狀態重新定位圖形
+ */
+export function drawNetworkPlot(svgElement, plotData, options) {
+  const {
+    width,
+    height,
+    title = '',
+    margin = 24,
+    showLabels = false,
+    parallelRoutes = false,
+    onMovePoint = null,
+    onSelectPoint = null,
+    focusPoints = [],
+    gridLines = null,
+  } = options;
+  const svg = d3.select(svgElement).attr('width', width).attr('height', height);
+  svg.selectAll('*').remove();
+
+  if (plotData.lines.length === 0) {
+    svg
+      .append('text')
+      .attr('x', width / 2)
+      .attr('y', height / 2)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#999')
+      .text('沒有資料');
+    return { update: () => {} };
+  }
+
+  const { x, y } = createScales(plotData, width, height, margin);
+  const content = svg.append('g');
+
+  // 網格線畫在最下層，橫跨所有網格線的範圍
+  const gridX = gridLines?.x || [];
+  const gridY = gridLines?.y || [];
+  const gridExtentX = d3.extent(gridX);
+  const gridExtentY = d3.extent(gridY);
+  const verticalGridLines = content
+    .selectAll('line.grid-x')
+    .data(gridY.length > 0 ? gridX : [])
+    .join('line')
+    .attr('class', 'grid-x')
+    .attr('stroke', GRID_LINE_COLOR)
+    .attr('stroke-width', 1);
+  const horizontalGridLines = content
+    .selectAll('line.grid-y')
+    .data(gridX.length > 0 ? gridY : [])
+    .join('line')
+    .attr('class', 'grid-y')
+    .attr('stroke', GRID_LINE_COLOR)
+    .attr('stroke-width', 1);
+
+  const routePaths = content
+    .selectAll('path.route')
+    .data(plotData.lines)
+    .join('path')
+    .attr('class', 'route')
+    .attr('fill', 'none')
+    .attr('stroke', (d) => d.color)
+    .attr('stroke-width', (d) => d.width ?? 2)
+    .attr('stroke-dasharray', (d) => d.dash || null)
+    .attr('stroke-linejoin', 'round')
+    .attr('opacity', 0.8);
+
+  const transferLines = content
+    .selectAll('line.transfer')
+    .data(plotData.transfers || [])
+    .join('line')
+    .attr('class', 'transfer')
+    .attr('stroke', TRANSFER_COLOR)
+    .attr('stroke-width', 1.5)
+    .attr('stroke-dasharray', TRANSFER_DASH);
+
+  // 車站以圓頭 (或方頭) 線段繪製：沒有平行路線時為圓點 (或方塊)，有平行路線時橫跨所有平行線
+  const stationStyle = (p) => getTransitMode(plotData.stationModes?.get(`${p[0]},${p[1]}`)).style;
+  const stationDots = content
+    .selectAll('line.station')
+    .data(plotData.stations)
+    .join('line')
+    .attr('class', 'station')
+    .attr('stroke', 'black')
+    .attr('stroke-width', (p) => stationStyle(p).stationSize)
+    .attr('stroke-linecap', (p) => (stationStyle(p).symbol === 'square' ? 'square' : 'round'));
+
+  const connectOutlines = content
+    .selectAll('line.connect-outline')
+    .data(plotData.connects)
+    .join('line')
+    .attr('class', 'connect-outline')
+    .attr('stroke', 'white')
+    .attr('stroke-width', 10)
+    .attr('stroke-linecap', 'round');
+
+  const connectDots = content
+    .selectAll('line.connect')
+    .data(plotData.connects)
+    .join('line')
+    .attr('class', 'connect')
+    .attr('stroke', 'red')
+    .attr('stroke-width', 8)
+    .attr('stroke-linecap', 'round');
+
+  const crossMarks = content
+    .selectAll('path.intersection')
+    .data(plotData.intersections)
+    .join('path')
+    .attr('class', 'intersection')
+    .attr(
+      'd',
+      `M${-CROSS_SIZE},${-CROSS_SIZE}L${CROSS_SIZE},${CROSS_SIZE}` +
+        `M${-CROSS_SIZE},${CROSS_SIZE}L${CROSS_SIZE},${-CROSS_SIZE}`
+    )
+    .attr('stroke', 'red')
+    .attr('stroke-width', 2.5);
+
+  if (onSelectPoint) {
+    [stationDots, connectOutlines, connectDots].forEach((marks) =>
+      marks.attr('cursor', 'pointer').on('click', (event, d) => onSelectPoint(d, event))
+    );
+  }
+
+  const focusRings = content
+    .selectAll('circle.focus')
+    .data(focusPoints)
+    .join('circle')
+    .attr('class', 'focus')
+    .attr('r', FOCUS_RADIUS)
+    .attr('fill', 'none')
+    .attr('stroke', HANDLE_ACTIVE_COLOR)
+    .attr('stroke-width', 2.5)
+    .attr('pointer-events', 'none');
+
+  // 站名位置以資料單位配置，繪製時換算為相對車站的像素位移
+  // 平行路線時站名再往外移，避開最寬的走廊
+  const pixelsPerUnit = Math.abs(x(1) - x(0));
+  const labelOffset = parallelRoutes
+    ? LABEL_OFFSET + (((plotData.maxParallel || 1) - 1) / 2) * ROUTE_SPACING
+    : LABEL_OFFSET;
+  const labels = showLabels
+    ? placeStationLabels(plotData.labelInput, {
+        fontSize: LABEL_FONT_SIZE / pixelsPerUnit,
+        offset: labelOffset / pixelsPerUnit,
+      }).labels
+    : [];
+  const toPixelOffset = (point, station) => [
+    (point[0] - station[0]) * pixelsPerUnit,
+    -(point[1] - station[1]) * pixelsPerUnit,
+  ];
+
+  const leaderLines = content
+    .selectAll('line.label-leader')
+    .data(labels.filter((label) => label.leader))
+    .join('line')
+    .attr('class', 'label-leader')
+    .attr('stroke', '#888')
+    .attr('stroke-width', 0.8);
+
+  const labelTexts = content
+    .selectAll('text.station-label')
+    .data(labels)
+    .join('text')
+    .attr('class', 'station-label')
+    .attr('font-size', LABEL_FONT_SIZE)
+    .attr('dominant-baseline', 'middle')
+    .attr('text-anchor', (d) => d.textAnchor)
+    .attr('paint-order', 'stroke')
+    .attr('stroke', 'white')
+    .attr('stroke-width', 2)
+    .attr('fill', (d) => (d.overlaps ? '#c00' : '#222'))
+    .text((d) => d.name);
+
+  // 編輯模式的控制點 (畫在最上層)；拖曳時依目前的縮放比例換算並對齊網格
+  let currentScales = { zx: x, zy: y };
+  const toGridPoint = (event) =>
+    snapToGrid([currentScales.zx.invert(event.x), currentScales.zy.invert(event.y)]);
+  const placeHandle = (handle, p) =>
+    handle.attr('cx', currentScales.zx(p[0])).attr('cy', currentScales.zy(p[1]));
+
+  const handles = content
+    .selectAll('circle.edit-handle')
+    .data(onMovePoint ? plotData.vertices : [])
+    .join('circle')
+    .attr('class', 'edit-handle')
+    .attr('r', HANDLE_RADIUS)
+    .attr('fill', 'transparent')
+    .attr('stroke', HANDLE_COLOR)
+    .attr('stroke-width', 1.5)
+    .attr('cursor', 'move');
+
+  if (onMovePoint) {
+    handles.call(
+      d3
+        .drag()
+        .subject((event) => ({ x: event.x, y: event.y, dragged: false }))
+        .on('drag', function (event) {
+          event.subject.dragged = true;
+          placeHandle(d3.select(this), toGridPoint(event)).attr('stroke', HANDLE_ACTIVE_COLOR);
+        })
+        .on('end', function (event, d) {
+          const handle = d3.select(this).attr('stroke', HANDLE_COLOR);
+          const to = toGridPoint(event);
+          // 只點一下 (沒有拖曳) 不算移動，避免非整數座標的點被點一下就對齊網格
+          const moved = event.subject.dragged && (to[0] !== d[0] || to[1] !== d[1]);
+          if (!moved || onMovePoint(d, to) === false) placeHandle(handle, d);
+        })
+    );
+  }
+
+  if (title) {
+    svg
+      .append('text')
+      .attr('x', width / 2)
+      .attr('y', 16)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', 13)
+      .attr('font-weight', 'bold')
+      .text(title);
+  }
+
+  const update = (transform = d3.zoomIdentity) => {
+    const zx = transform.rescaleX(x);
+    const zy = transform.rescaleY(y);
+    currentScales = { zx, zy };
+    const line = d3
+      .line()
+      .x((p) => zx(p[0]))
+      .y((p) => zy(p[1]));
+
+    verticalGridLines
+      .attr('x1', (v) => zx(v))
+      .attr('x2', (v) => zx(v))
+      .attr('y1', zy(gridExtentY[0]))
+      .attr('y2', zy(gridExtentY[1]));
+    horizontalGridLines
+      .attr('x1', zx(gridExtentX[0]))
+      .attr('x2', zx(gridExtentX[1]))
+      .attr('y1', (v) => zy(v))
+      .attr('y2', (v) => zy(v));
+
+    // 一道平行線在目前縮放下的資料單位長度
+    const slotUnit = ROUTE_SPACING / (pixelsPerUnit * transform.k);
+    routePaths.attr('d', (d) =>
+      parallelRoutes && d.parallel
+        ? line(
+            offsetPolyline(
+              d.parallel.points,
+              d.parallel.slots.map((slot) => slot * slotUnit)
+            )
+          )
+        : line(d.points)
+    );
+
+    const placeMark = function (p) {
+      const span = parallelRoutes ? plotData.spans?.get(`${p[0]},${p[1]}`) : null;
+      const [nx, ny] = span ? span.normal : [0, 0];
+      const [min, max] = span ? [span.min * slotUnit, span.max * slotUnit] : [0, 0];
+      d3.select(this)
+        .attr('x1', zx(p[0] + nx * min))
+        .attr('y1', zy(p[1] + ny * min))
+        .attr('x2', zx(p[0] + nx * max))
+        .attr('y2', zy(p[1] + ny * max));
+    };
+    transferLines
+      .attr('x1', (d) => zx(d.from[0]))
+      .attr('y1', (d) => zy(d.from[1]))
+      .attr('x2', (d) => zx(d.to[0]))
+      .attr('y2', (d) => zy(d.to[1]));
+    stationDots.each(placeMark);
+    connectOutlines.each(placeMark);
+    connectDots.each(placeMark);
+    crossMarks.attr('transform', (p) => `translate(${zx(p[0])},${zy(p[1])})`);
+    labelTexts.attr('transform', (d) => {
+      const [ox, oy] = toPixelOffset([d.x, d.y], d.station);
+      return `translate(${zx(d.station[0]) + ox},${zy(d.station[1]) + oy})`;
+    });
+    leaderLines.each(function (d) {
+      const [ox, oy] = toPixelOffset(d.leader[1], d.station);
+      const sx = zx(d.station[0]);
+      const sy = zy(d.station[1]);
+      d3.select(this)
+        .attr('x1', sx)
+        .attr('y1', sy)
+        .attr('x2', sx + ox)
+        .attr('y2', sy + oy);
+    });
+    handles.attr('cx', (p) => zx(p[0])).attr('cy', (p) => zy(p[1]));
+    focusRings.attr('cx', (p) => zx(p[0])).attr('cy', (p) => zy(p[1]));
+  };
+
+  update();
+  return { update };
+}
+
+// ==========================================
+// 3. 同步縮放 (Synchronized Zoom)
+// ==========================================
+
+/**
+ * 讓多張圖共用同一個縮放 / 平移狀態：在任一張圖上操作時，其他圖跟著移動
+ * 重新繪製後沿用 SVG 上既有的縮放狀態 (例如編輯後重畫時維持目前的視角)
+ *
+ * @param {Array<SVGElement>} svgElements - 各圖的 SVG 元素
+ * @param {Array<Object>} plots - 對應的 drawNetworkPlot 回傳值
+ * @param {Object} [options] - 縮放選項
+ * @param {Array<number>} [options.scaleExtent=[0.5, 40]] - 縮放倍率範圍
+ * @returns {Object} {reset()} 回到初始視角
+ */
+export function syncZoom(svgElements, plots, options = {}) {
+  const { scaleExtent = [0.5, 40] } = options;
+  let syncing = false;
+
+  const zoom = d3
+    .zoom()
+    .scaleExtent(scaleExtent)
+    .on('zoom', (event) => {
+      if (syncing) return;
+      const { transform } = event;
+      plots.forEach((plot) => plot.update(transform));
+
+      // 把同一個 transform 記錄到其他圖 (設定期間忽略它們觸發的 zoom 事件)
+      syncing = true;
+      svgElements.forEach((el) => {
+        const current = d3.zoomTransform(el);
+        if (current.k !== transform.k || current.x !== transform.x || current.y !== transform.y) {
+          d3.select(el).call(zoom.transform, transform);
+        }
+      });
+      syncing = false;
+    });
+
+  svgElements.forEach((el) => d3.select(el).call(zoom));
+  if (svgElements.length > 0) {
+    const transform = d3.zoomTransform(svgElements[0]);
+    plots.forEach((plot) => plot.update(transform));
+  }
+
+  return {
+    reset() {
+      svgElements.forEach((el) => d3.select(el).call(zoom.transform, d3.zoomIdentity));
+    },
+  };
+}
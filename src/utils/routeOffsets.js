@@ -0,0 +1,386 @@
+/**
+ * 平行路線模組 (Parallel Route Offset Module)
+ *
+ * 多條路線共用同一段軌道 (例如兩條捷運路線共線的主幹) 時，線段完全重疊，只看得到最後畫的顏色。
+ * 本模組找出共用的走廊 (corridor) 並決定走廊內各路線由左到右的順序，
+ * 繪圖時把每條路線往旁邊平移，畫成並排的平行線：
+ * - 共用以線段為單位判定：2_9→2_10 的 buildRouteOverlapMap 只記錄經過每個點的路線，
+ *   這裡另外把線段在中間的點切開，記錄經過每一小段的路線
+ * - 走廊為中間沒有分岔、經過路線都相同的連續線段，整條走廊使用同一個順序
+ * - 順序依路線離開走廊時的轉向決定 (往左轉的放左側)；兩條路線一起離開時沿路線繼續比對到分開為止，
+ *   讓相鄰走廊的順序一致，減少在交會處交換位置
+ * - 車站標記橫跨所有經過的平行線 (轉乘站成為跨越各路線的合併符號)
+ *
+ * 偏移量以「道」(slot) 為單位，繪圖時再乘上線距，因此縮放時線距維持固定的像素寬度。
+ *
+ * @file routeOffsets.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+import { flattenSegments } from '@/utils/labelPlacement.js';
+
+// ==========================================
+// 1. 線段切分 (Edge Splitting)
+// ==========================================
+
+// 共線與重合判定的容差 (相對線段長度)
+const EPSILON = 1e-6;
+
+/**
+ * 座標轉為節點鍵值
+ * @param {Array<number>} p - 座標
+ * @returns {string} 鍵值
+ */
+const toKey = (p) => `${p[0]},${p[1]}`;
+
+/**
+ * 建立點的網格索引 (找出落在線段中間的點)
+ * @param {Array<Array<number>>} points - 點座標 (不重複)
+ * @param {number} cellSize - 網格大小
+ * @returns {Object} {query(box)}
+ */
+function createPointIndex(points, cellSize) {
+  const cells = new Map();
+  for (const p of points) {
+    const key = `${Math.floor(p[0] / cellSize)},${Math.floor(p[1] / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(p);
+  }
+  return {
+    query(box) {
+      const result = [];
+      for (let cx = Math.floor(box[0] / cellSize); cx <= Math.floor(box[2] / cellSize); cx++) {
+        for (let cy = Math.floor(box[1] / cellSize); cy <= Math.floor(box[3] / cellSize); cy++) {
+          const items = cells.get(`${cx},${cy}`);
+          if (items) result.push(...items);
+        }
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * 在其他路線的點落在線段中間時切開線段，並去除連續的重複點
+ * 切開後不同路線經過同一段軌道時，會得到完全相同的小段
+ *
+ * @param {Array<Array<number>>} points - 折線座標
+ * @param {Object} index - createPointIndex 的結果
+ * @returns {Array<Array<number>>} 切分後的折線座標
+ */
+function splitPolyline(points, index) {
+  const result = [];
+  const pushPoint = (p) => {
+    if (result.length === 0 || toKey(result[result.length - 1]) !== toKey(p)) result.push(p);
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (i > 0) {
+      const a = points[i - 1];
+      const dx = p[0] - a[0];
+      const dy = p[1] - a[1];
+      const len2 = dx * dx + dy * dy;
+      if (len2 > 0) {
+        const box = [
+          Math.min(a[0], p[0]),
+          Math.min(a[1], p[1]),
+          Math.max(a[0], p[0]),
+          Math.max(a[1], p[1]),
+        ];
+        const inner = [];
+        for (const q of index.query(box)) {
+          const t = ((q[0] - a[0]) * dx + (q[1] - a[1]) * dy) / len2;
+          if (t <= EPSILON || t >= 1 - EPSILON) continue;
+          const cross = (q[0] - a[0]) * dy - (q[1] - a[1]) * dx;
+          if (Math.abs(cross) > EPSILON * len2) continue;
+          inner.push({ t, q });
+        }
+        inner.sort((m, n) => m.t - n.t).forEach(({ q }) => pushPoint(q));
+      }
+    }
+    pushPoint(p);
+  }
+  return result;
+}
+
+// ==========================================
+// 2. 走廊與路線順序 (Corridors & Route Order)
+// ==========================================
+
+/**
+ * 計算所有路段的平行偏移
+ *
+ * @param {Array} data - 網絡資料 (spaceNetworkGridJsonData)
+ * @returns {Object} {pieces, spans, stats}
+ *   - pieces：與 flattenSegments 同順序，[{route, points, slots}]，points 為切分後的折線，
+ *     slots[i] 為第 i 小段的偏移道數 (前進方向左側為正，沒有共用時為 0)
+ *   - spans：Map(節點鍵值 → {normal, min, max})，車站標記沿 normal 從 min 道延伸到 max 道
+ *   - stats：{sharedEdges, corridors, maxParallel, swaps} (swaps 為路線在交會處交換左右的次數)
+ */
+export function computeRouteOffsets(data) {
+  const items = flattenSegments(data);
+
+  // 所有頂點 (同一座標只記一次)
+  const vertices = new Map();
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const { seg } of items) {
+    for (const p of seg.points || []) {
+      vertices.set(toKey(p), [p[0], p[1]]);
+      bounds[0] = Math.min(bounds[0], p[0]);
+      bounds[1] = Math.min(bounds[1], p[1]);
+      bounds[2] = Math.max(bounds[2], p[0]);
+      bounds[3] = Math.max(bounds[3], p[1]);
+    }
+  }
+  const span = vertices.size > 0 ? Math.max(bounds[2] - bounds[0], bounds[3] - bounds[1]) : 0;
+  const index = createPointIndex(Array.from(vertices.values()), Math.max(span / 256, EPSILON));
+
+  // 切分路段，記錄每一小段經過的路線與每條路線的鄰接關係
+  const edges = new Map();
+  const nodeEdges = new Map();
+  const routeAdjacency = new Map();
+  const routeRank = new Map();
+  const link = (route, from, to) => {
+    if (!routeAdjacency.has(route)) routeAdjacency.set(route, new Map());
+    const adjacency = routeAdjacency.get(route);
+    if (!adjacency.has(from)) adjacency.set(from, new Set());
+    adjacency.get(from).add(to);
+  };
+
+  const pieces = items.map(({ seg, routeName }) => {
+    if (!routeRank.has(routeName)) routeRank.set(routeName, routeRank.size);
+    const points = splitPolyline(
+      (seg.points || []).map((p) => [p[0], p[1]]),
+      index
+    );
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = toKey(points[i]);
+      const b = toKey(points[i + 1]);
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+      if (!edges.has(key)) edges.set(key, { key, a, b, routes: new Set() });
+      edges.get(key).routes.add(routeName);
+      for (const node of [a, b]) {
+        if (!nodeEdges.has(node)) nodeEdges.set(node, new Set());
+        nodeEdges.get(node).add(key);
+      }
+      link(routeName, a, b);
+      link(routeName, b, a);
+    }
+    return { route: routeName, points };
+  });
+
+  // 走廊：由共用線段往兩端延伸，經過的節點只連接兩段且兩段的路線相同時繼續延伸
+  const sameRoutes = (e1, e2) =>
+    e1.routes.size === e2.routes.size && [...e1.routes].every((r) => e2.routes.has(r));
+  const otherEnd = (edge, node) => (edge.a === node ? edge.b : edge.a);
+  const assigned = new Set();
+  const extend = (nodes, edge, node, append) => {
+    let current = edge;
+    let end = node;
+    for (;;) {
+      const incident = nodeEdges.get(end);
+      if (incident.size !== 2) return;
+      const nextKey = [...incident].find((key) => key !== current.key);
+      const next = edges.get(nextKey);
+      if (assigned.has(next.key) || !sameRoutes(current, next)) return;
+      assigned.add(next.key);
+      end = otherEnd(next, end);
+      if (append) nodes.push(end);
+      else nodes.unshift(end);
+      current = next;
+    }
+  };
+
+  const corridors = [];
+  for (const edge of edges.values()) {
+    if (edge.routes.size < 2 || assigned.has(edge.key)) continue;
+    assigned.add(edge.key);
+    const nodes = [edge.a, edge.b];
+    extend(nodes, edge, edge.b, true);
+    extend(nodes, edge, edge.a, false);
+
+    // 走廊方向統一為往右 (垂直時往上)，讓不同走廊的左右定義一致
+    const first = vertices.get(nodes[0]);
+    const last = vertices.get(nodes[nodes.length - 1]);
+    const dx = last[0] - first[0];
+    const dy = last[1] - first[1];
+    if (dx < -EPSILON || (Math.abs(dx) <= EPSILON && dy < 0)) nodes.reverse();
+    corridors.push({ nodes, routes: [...edge.routes] });
+  }
+
+  // 路線在 node 繼續前進的下一個節點 (終點或分岔時回傳 null)
+  const continueRoute = (route, node, prev) => {
+    const neighbors = routeAdjacency.get(route).get(node);
+    let next = null;
+    for (const n of neighbors || []) {
+      if (n === prev) continue;
+      if (next !== null) return null;
+      next = n;
+    }
+    return next;
+  };
+  // 由 prev→node 轉向 node→next 的角度 (逆時針為正)
+  const turnAngle = (prev, node, next) => {
+    const [px, py] = vertices.get(prev);
+    const [cx, cy] = vertices.get(node);
+    const [nx, ny] = vertices.get(next);
+    const d1 = [cx - px, cy - py];
+    const d2 = [nx - cx, ny - cy];
+    return Math.atan2(d1[0] * d2[1] - d1[1] * d2[0], d1[0] * d2[0] + d1[1] * d2[1]);
+  };
+  // 從走廊的一端沿兩條路線前進到分開為止：> 0 表示 a 較靠左 (以前進方向為準)，0 表示無法判斷
+  const compareBeyond = (a, b, node, prev) => {
+    let current = node;
+    let from = prev;
+    for (let step = 0; step < vertices.size; step++) {
+      const nextA = continueRoute(a, current, from);
+      const nextB = continueRoute(b, current, from);
+      if (nextA === null || nextB === null) return 0;
+      if (nextA !== nextB) {
+        return Math.sign(turnAngle(from, current, nextA) - turnAngle(from, current, nextB));
+      }
+      from = current;
+      current = nextA;
+    }
+    return 0;
+  };
+
+  // 依順序指定每一小段的偏移道數 (以走廊方向為準)
+  const edgeSlots = new Map();
+  for (const { nodes, routes } of corridors) {
+    const n = nodes.length;
+    routes.sort((a, b) => {
+      const forward = compareBeyond(a, b, nodes[n - 1], nodes[n - 2]);
+      if (forward !== 0) return -forward;
+      // 往走廊起點前進時的左側是走廊的右側
+      const backward = compareBeyond(a, b, nodes[0], nodes[1]);
+      if (backward !== 0) return backward;
+      return routeRank.get(a) - routeRank.get(b);
+    });
+    const slots = new Map(routes.map((route, i) => [route, (routes.length - 1) / 2 - i]));
+    for (let i = 0; i < n - 1; i++) {
+      const a = nodes[i];
+      const b = nodes[i + 1];
+      edgeSlots.set(a < b ? `${a}|${b}` : `${b}|${a}`, { from: a, to: b, slots });
+    }
+  }
+
+  // 路線沿 from→to 前進時的偏移道數
+  const getSlot = (route, from, to) => {
+    const info = edgeSlots.get(from < to ? `${from}|${to}` : `${to}|${from}`);
+    if (!info) return 0;
+    const slot = info.slots.get(route) ?? 0;
+    return info.from === from ? slot : -slot;
+  };
+
+  for (const piece of pieces) {
+    const keys = piece.points.map(toKey);
+    piece.slots = keys.slice(0, -1).map((from, i) => getSlot(piece.route, from, keys[i + 1]));
+  }
+
+  // 車站標記：沿經過路線最多的共用線段的法線，從最左道延伸到最右道
+  const spans = new Map();
+  for (const [node, edgeKeys] of nodeEdges) {
+    let best = null;
+    for (const key of edgeKeys) {
+      const info = edgeSlots.get(key);
+      if (info && (!best || info.slots.size > best.slots.size)) best = info;
+    }
+    if (!best) continue;
+    const [fx, fy] = vertices.get(best.from);
+    const [tx, ty] = vertices.get(best.to);
+    const len = Math.hypot(tx - fx, ty - fy);
+    const values = [...best.slots.values()];
+    spans.set(node, {
+      normal: [-(ty - fy) / len, (tx - fx) / len],
+      min: Math.min(...values),
+      max: Math.max(...values),
+    });
+  }
+
+  // 交換次數：兩條路線從同一段進、同一段出，左右關係卻不同
+  let swaps = 0;
+  for (const [node, edgeKeys] of nodeEdges) {
+    const passing = [];
+    const seen = new Set();
+    for (const key of edgeKeys) {
+      for (const route of edges.get(key).routes) {
+        if (seen.has(route)) continue;
+        seen.add(route);
+        const neighbors = [...routeAdjacency.get(route).get(node)].sort();
+        if (neighbors.length === 2) passing.push({ route, neighbors });
+      }
+    }
+    for (let i = 0; i < passing.length; i++) {
+      for (let j = i + 1; j < passing.length; j++) {
+        const [p, q] = passing[i].neighbors;
+        if (p !== passing[j].neighbors[0] || q !== passing[j].neighbors[1]) continue;
+        const a = passing[i].route;
+        const b = passing[j].route;
+        const before = Math.sign(getSlot(a, p, node) - getSlot(b, p, node));
+        const after = Math.sign(getSlot(a, node, q) - getSlot(b, node, q));
+        if (before * after < 0) swaps++;
+      }
+    }
+  }
+
+  const shared = [...edges.values()].filter((edge) => edge.routes.size > 1);
+  return {
+    pieces,
+    spans,
+    stats: {
+      sharedEdges: shared.length,
+      corridors: corridors.length,
+      maxParallel: shared.reduce((max, edge) => Math.max(max, edge.routes.size), 1),
+      swaps,
+    },
+  };
+}
+
+// ==========================================
+// 3. 平移折線 (Offset Polylines)
+// ==========================================
+
+/**
+ * 依每一段的偏移距離平移折線 (正值往前進方向的左側，y 軸向上)
+ * 轉角取兩條平移線的交點；相鄰兩段同方向但偏移不同 (進出走廊或交換順序) 時加上一小段橫移
+ *
+ * @param {Array<Array<number>>} points - 折線座標
+ * @param {Array<number>} offsets - 每一段的偏移距離 (長度為 points.length - 1)
+ * @returns {Array<Array<number>>} 平移後的折線座標
+ */
+export function offsetPolyline(points, offsets) {
+  if (points.length < 2) return points.map((p) => [p[0], p[1]]);
+
+  const directions = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const dx = points[i + 1][0] - points[i][0];
+    const dy = points[i + 1][1] - points[i][1];
+    const len = Math.hypot(dx, dy);
+    directions.push(len > 0 ? [dx / len, dy / len] : [0, 0]);
+  }
+  const shift = (p, i) => [
+    p[0] - directions[i][1] * offsets[i],
+    p[1] + directions[i][0] * offsets[i],
+  ];
+
+  const result = [shift(points[0], 0)];
+  for (let i = 1; i < points.length - 1; i++) {
+    const d1 = directions[i - 1];
+    const d2 = directions[i];
+    const q1 = shift(points[i], i - 1);
+    const q2 = shift(points[i], i);
+    const cross = d1[0] * d2[1] - d1[1] * d2[0];
+    if (Math.abs(cross) < EPSILON) {
+      result.push(q1);
+      if (Math.hypot(q2[0] - q1[0], q2[1] - q1[1]) > 0) result.push(q2);
+      continue;
+    }
+    const t = ((q2[0] - q1[0]) * d2[1] - (q2[1] - q1[1]) * d2[0]) / cross;
+    result.push([q1[0] + d1[0] * t, q1[1] + d1[1] * t]);
+  }
+  result.push(shift(points[points.length - 1], points.length - 2));
+  return result;
+}
@@ -0,0 +1,114 @@
+/**
+ * 可重現隨機數模組 (Seeded Random Module)
+ *
+ * 全專案共用一個隨機種子 (seed)，所有需要隨機性的地方都由此種子產生隨機數：
+ * - execute_2_2_to_2_3 的 solveLayoutLive / solveLayoutAnnealing (隨機 L/Z 型配置、模擬退火)
+ * - execute_2_3_to_2_4 的 optimizationGenerator (flip 優化)
+ * - execute_3_1_to_4_1 的 randomChoices (隨機權重)
+ * - dataProcessor 的 generateWeightedRandomValue (網格數值)
+ *
+ * 每個使用者以「種子 + 串流名稱」建立各自的隨機序列，
+ * 因此單獨重跑某一步驟時，結果不受其他步驟先後執行的影響；
+ * 相同種子 + 相同輸入即可完全重現同一份版面。
+ *
+ * @file seededRandom.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ */
+
+// ==========================================
+// 1. 種子管理 (Seed Management)
+// ==========================================
+
+// 種子上限 (32-bit 無號整數)
+const MAX_SEED = 2 ** 32;
+
+/**
+ * 產生一個新的隨機種子 (唯一使用 Math.random 的地方)
+ * @returns {number} 0 ~ 2^31-1 的整數
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+/**
+ * 字串雜湊 (cyrb53 的 32-bit 版本)，用於把種子與串流名稱混合成初始狀態
+ * @param {string} text - 輸入字串
+ * @returns {number} 32-bit 無號整數
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * 將輸入轉成合法的種子：非負整數直接使用，其他字串以雜湊轉換
+ * @param {number|string} seed - 種子
+ * @returns {number} 0 ~ 2^32-1 的整數
+ */
+export function normalizeSeed(seed) {
+  if (seed === null || seed === undefined || seed === '') {
+    throw new Error('隨機種子不可為空');
+  }
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) % MAX_SEED;
+  }
+  return hashString(text);
+}
+
+/**
+ * 目前共用的隨機種子 (頁面載入時隨機產生，可由 store 的 setRandomSeed 指定)
+ */
+let sharedSeed = generateSeed();
+
+/**
+ * 取得目前共用的隨機種子
+ * @returns {number} 種子
+ */
+export function getSharedSeed() {
+  return sharedSeed;
+}
+
+/**
+ * 設定共用的隨機種子
+ * @param {number|string} seed - 新的種子
+ * @returns {number} 正規化後的種子
+ */
+export function setSharedSeed(seed) {
+  sharedSeed = normalizeSeed(seed);
+  return sharedSeed;
+}
+
+// ==========================================
+// 2. 隨機數產生器 (Random Number Generator)
+// ==========================================
+/**
+ * 建立可重現的隨機數產生器 (mulberry32)
+ *
+ * @param {number|string} [seed] - 種子 (省略時使用共用種子)
+ * @param {string} [stream=''] - 串流名稱，例如步驟 ID，讓不同使用者得到互不干擾的序列
+ * @returns {Function} 與 Math.random 相同介面的函式，回傳 [0, 1) 的浮點數
+ *
+ * @example
+ * const random = createSeededRandom(42, '2_2_to_2_3');
+ * const j = Math.floor(random() * (i + 1));
+ */
+export function createSeededRandom(seed = sharedSeed, stream = '') {
+  let state = hashString(`${normalizeSeed(seed)}:${stream}`);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}